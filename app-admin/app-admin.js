@@ -108,11 +108,12 @@ app.use(async function cleanPost(ctx, next) {
 app.use(convert(flash())); // note koa-flash@1.0.0 is v1 middleware which generates deprecation notice
 
 
-// lusca security headers
+// lusca security headers, & CSRF protection (token in _csrf form field or X-CSRF-Token header)
 const luscaCspTrustedCdns = 'ajax.googleapis.com cdnjs.cloudflare.com maxcdn.bootstrapcdn.com';
 const luscaCspDefaultSrc = `'self' 'unsafe-inline' ${luscaCspTrustedCdns}`; // 'unsafe-inline' required for <style> blocks
 app.use(lusca({
     csp:            { policy: { 'default-src': luscaCspDefaultSrc } }, // Content-Security-Policy
+    csrf:           { secret: 'csrfSecret' },                          // CSRF tokens (koa-session doesn't save '_' keys)
     cto:            'nosniff',                                         // X-Content-Type-Options
     hsts:           { maxAge: 60*60*24*365, includeSubDomains: true }, // HTTP Strict-Transport-Security
     xframe:         'SAMEORIGIN',                                      // X-Frame-Options
@@ -121,6 +122,13 @@ app.use(lusca({
 }));
 
 
+// CSRF token has been verified (for posts) - remove it from post data, which is passed on to models
+app.use(async function cleanCsrf(ctx, next) {
+    if (ctx.request.body) delete ctx.request.body._csrf;
+    await next();
+});
+
+
 // add the domain (host without subdomain) into koa ctx (used in index.html)
 app.use(async function ctxAddDomain(ctx, next) {
     ctx.state.domain = ctx.request.host.replace('admin.', '');
@@ -168,10 +176,16 @@ app.use(async function isSignedIn(ctx, next) {
 
 import routesMembers from './routes/members-routes.js';
 import routesTeams   from './routes/teams-routes.js';
+import routesApiKeys from './routes/api-keys-routes.js';
+import routesUsers   from './routes/users-routes.js';
+import routesAccount from './routes/account-routes.js';
 import routesAjax    from './routes/ajax-routes.js';
 import routesDev     from './routes/dev-routes.js';
 app.use(routesMembers);
 app.use(routesTeams);
+app.use(routesApiKeys);
+app.use(routesUsers);
+app.use(routesAccount);
 app.use(routesAjax);
 app.use(routesDev);
 
@@ -0,0 +1,249 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Account handlers - signed-in user's own details (invoked by router to render templates)        */
+/*                                                                                                */
+/* GET functions render template pages; POST functions process post requests then redirect.       */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import User             from '../../models/user.js';
+import Role             from '../../models/role.js';
+import Session          from '../../models/session.js';
+import Mail             from '../../lib/mail.js';
+import PasswordPolicy   from '../../lib/password-policy.js';
+import Totp             from '../../lib/totp.js';
+import validationErrors from '../../lib/validation-errors.js';
+
+/*
+ * E-mail change sequence is:
+ * - POST /account with new e-mail; 302 ->
+ * - GET  /account (showing pending e-mail change)
+ * - e-mail is sent to new e-mail with verification link '/account/email/{token}'
+ * - GET  /account/email/{token} (e-mail is changed)
+ */
+
+
+class AccountHandlers {
+
+    /**
+     * GET /account - render account page.
+     */
+    static async account(ctx) {
+        const user = await User.get(ctx.state.auth.user.id);
+        if (!user) ctx.throw(404, 'User not found');
+
+        const context = {
+            Firstname:    user.Firstname,
+            Lastname:     user.Lastname,
+            Email:        user.Email,
+            PendingEmail: user.PendingEmail,
+            TotpEnabled:  user.TotpEnabledOn != null,
+            TotpRequired: await Role.requiresTotp(user.Role),
+            MinLength:    PasswordPolicy.settings.minLength,
+        };
+        if (ctx.flash.formdata) Object.assign(context, ctx.flash.formdata); // failed validation? fill in previous values
+        await ctx.render('account', context);
+    }
+
+
+    /**
+     * GET /account/email/:token - confirm e-mail change, and render confirmation page.
+     */
+    static async confirmEmail(ctx) {
+        const email = await User.confirmEmailChange(ctx.state.auth.user.id, ctx.params.token);
+
+        await ctx.render('account-email-confirm', { email, badToken: !email });
+    }
+
+
+    /**
+     * GET /account/2fa - render two-factor authentication enrolment page.
+     */
+    static async totp(ctx) {
+        const user = await User.get(ctx.state.auth.user.id);
+        if (!user) ctx.throw(404, 'User not found');
+        if (user.TotpEnabledOn) return ctx.response.redirect('/account');
+
+        const secret = user.TotpSecret || await User.totpEnrol(user.UserId); // keep any secret already scanned
+        const context = { uri: Totp.uri(secret, user.Email, 'Koa Sample App'), secret };
+        await ctx.render('totp-enrol', context);
+    }
+
+
+    /**
+     * GET /account/sessions - render list of active sessions (signed-in browsers/devices).
+     */
+    static async sessions(ctx) {
+        const sessions = await Session.list(ctx.state.auth.user.id);
+        for (const session of sessions) session.current = session.SessionId == ctx.state.auth.user.session;
+
+        await ctx.render('account-sessions', { sessions });
+    }
+
+
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+    /* POST processing                                                                            */
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+    /**
+     * POST /account - process update account details.
+     *
+     * Name is updated directly; a changed e-mail must first be verified, so a verification link is
+     * sent to the new address.
+     */
+    static async processAccount(ctx) {
+        const body = ctx.request.body;
+        const userId = ctx.state.auth.user.id;
+
+        try {
+
+            const validation = { // back-end validation matching HTML5 validation
+                Email: 'type=email required',
+            };
+
+            if (validationErrors(body, validation)) {
+                throw new Error(validationErrors(body, validation));
+            }
+
+            await User.update(userId, { Firstname: body.Firstname, Lastname: body.Lastname });
+
+            const user = await User.get(userId);
+            if (body.Email != user.Email) {
+                const token = await User.requestEmailChange(userId, body.Email);
+
+                // send e-mail with verification link to new address
+                const context = { firstname: user.Firstname, email: body.Email, host: ctx.request.host, token: token };
+                await Mail.send(`"${user.Firstname} ${user.Lastname}" <${body.Email}>`, 'account-email.email', context, ctx);
+
+                if (global.it) ctx.response.set('X-Email-Token', token); // for testing (within mocha tests only)
+            }
+
+            ctx.response.redirect('/account');
+
+        } catch (e) {
+            // stay on same page to report error (with current filled fields)
+            ctx.flash = { formdata: body, _error: e.message };
+            ctx.response.redirect('/account');
+        }
+    }
+
+
+    /**
+     * POST /account/password - process change password.
+     *
+     * The current password must be supplied.
+     */
+    static async processPassword(ctx) {
+        const body = ctx.request.body;
+        const userId = ctx.state.auth.user.id;
+
+        // current password correct?
+        if (!await User.verifyPassword(userId, body.passwordCurrent)) {
+            ctx.flash = { _error: 'Current password not recognised' };
+            ctx.response.redirect('/account');
+            return;
+        }
+
+        // passwords match?
+        if (!body.password || body.password != body.passwordConfirm) {
+            ctx.flash = { _error: 'Passwords don’t match' };
+            ctx.response.redirect('/account');
+            return;
+        }
+
+        // password satisfies password policy (checking against user's name & e-mail)?
+        const user = await User.get(userId);
+        const policy = { ...body, Firstname: user.Firstname, Lastname: user.Lastname, Email: user.Email };
+        const validation = { password: 'type=password required policy' };
+        if (validationErrors(policy, validation)) {
+            ctx.flash = { _error: validationErrors(policy, validation).join(', ') };
+            ctx.response.redirect('/account');
+            return;
+        }
+
+        // check if password has been pwned (user is notified, and can confirm password anyway)
+        if (body.pwnedNotified != 'yes') {
+            const breached = await PasswordPolicy.breachCount(body.password);
+            if (breached > 0) {
+                const pwnedCount = `${Intl.NumberFormat().format(breached)} time${breached>1 ? 's' : ''}`;
+                ctx.flash = { formdata: body, pwnedCount: pwnedCount, pwnedNotified: 'yes' };
+                ctx.response.redirect('/account');
+                return;
+            }
+        }
+
+        // set the password (any tokens issued with the previous password are no longer valid, and
+        // other sessions are ended)
+        await User.setPassword(userId, body.password, ctx.state.auth.user.session);
+
+        ctx.flash = { passwordChanged: true };
+        ctx.response.redirect('/account');
+    }
+
+
+    /**
+     * POST /account/2fa - process two-factor authentication enrolment: if the code is confirmed,
+     * 2FA is enabled, and the recovery codes are shown.
+     */
+    static async processTotp(ctx) {
+        const recoveryCodes = await User.totpActivate(ctx.state.auth.user.id, ctx.request.body.code);
+        if (!recoveryCodes) {
+            ctx.flash = { _error: 'Code not recognised' };
+            return ctx.response.redirect('/account/2fa');
+        }
+
+        await ctx.render('totp-recovery-codes', { recoveryCodes, href: '/account' });
+    }
+
+
+    /**
+     * POST /account/2fa/disable - process disable two-factor authentication.
+     *
+     * The current password must be supplied; 2FA cannot be disabled if the user's role requires it.
+     */
+    static async processTotpDisable(ctx) {
+        const userId = ctx.state.auth.user.id;
+
+        if (!await User.verifyPassword(userId, ctx.request.body.passwordCurrent)) {
+            ctx.flash = { _error: 'Current password not recognised' };
+            return ctx.response.redirect('/account');
+        }
+
+        if (await Role.requiresTotp(ctx.state.auth.user.Role)) {
+            ctx.flash = { _error: 'Two-factor authentication is required for your role' };
+            return ctx.response.redirect('/account');
+        }
+
+        await User.totpDisable(userId);
+
+        ctx.response.redirect('/account');
+    }
+
+
+    /**
+     * POST /account/sessions - process revoke session (the session's browser/device is signed
+     * out), or revoke all sessions (including the current one).
+     */
+    static async processSessions(ctx) {
+        const body = ctx.request.body;
+        const userId = ctx.state.auth.user.id;
+
+        if (body['revoke-all']) {
+            await Session.revokeUser(userId);
+            ctx.cookies.set('sample-app:jwt', null, { signed: true });
+            return ctx.response.redirect('/login');
+        }
+
+        if (!await Session.revoke(body.revoke, userId)) {
+            ctx.flash = { _error: 'Session not found' };
+            return ctx.response.redirect('/account/sessions');
+        }
+
+        ctx.response.redirect(body.revoke == ctx.state.auth.user.session ? '/login' : '/account/sessions');
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default AccountHandlers;
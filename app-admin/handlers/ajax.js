@@ -25,6 +25,12 @@ class AjaxHandlers {
      * e.g. GET admin.app.com/ajax/members/123456 => GET api.app.com/members/123456
      *
      * It uses the same JSON Web Token to authenticate as was used for website sign-in.
+     *
+     * Conditional request headers (If-Match / If-None-Match) are passed through, and ETags returned.
+     *
+     * Ajax requests other than GET must supply the CSRF token in an X-CSRF-Token header (the token
+     * is returned in the X-CSRF-Token header of every ajax response, and is also available as the
+     * _csrf form field of any page).
      */
     static async ajaxApiPassthrough(ctx) {
         const resource = ctx.request.url.replace('/ajax/', '');
@@ -37,6 +43,9 @@ class AjaxHandlers {
             'Accept':        ctx.request.header.accept || '*/*',
             'Authorization': 'Bearer ' + ctx.state.auth.jwt,
         };
+        for (const hdr of [ 'If-Match', 'If-None-Match' ]) {
+            if (ctx.request.get(hdr)) hdrs[hdr] = ctx.request.get(hdr);
+        }
 
         try {
             const response = await fetch(url, {
@@ -44,8 +53,10 @@ class AjaxHandlers {
                 body:    body,
                 headers: hdrs,
             });
-            const json = response.headers.get('content-type').match(/application\/json/);
+            const json = (response.headers.get('content-type') || '').match(/json/); // including application/problem+json
             ctx.response.status = response.status;
+            ctx.response.set('X-CSRF-Token', ctx.state._csrf);
+            if (response.headers.get('etag')) ctx.response.set('ETag', response.headers.get('etag'));
             ctx.response.body = json ? await response.json() : await response.text();
         } catch (e) { // eg offline, DNS fail, etc
             ctx.response.status = 500;
@@ -0,0 +1,134 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* API keys handlers (invoked by router to render templates)                                      */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import ApiKey     from '../../models/api-key.js';
+import Db         from '../../lib/mysqldb.js';
+import Permission from '../../lib/permission-middleware.js';
+
+
+class ApiKeysHandlers {
+
+    /**
+     * GET /api-keys - render list-api-keys page.
+     */
+    static async list(ctx) {
+        const apiKeys = await ApiKey.list();
+
+        await ctx.render('api-keys-list', { apiKeys });
+    }
+
+
+    /**
+     * GET /api-keys/add - render add-api-key page.
+     */
+    static async add(ctx) {
+        const context = ctx.flash.formdata || { UserId: ctx.state.auth.user.id }; // failed validation? fill in previous values
+        context.users = await usersList(ctx);
+        context.scopes = ApiKey.scopes;
+        await ctx.render('api-keys-add', context);
+    }
+
+
+    /**
+     * GET /api-keys/:id/revoke - render revoke-api-key page.
+     */
+    static async revoke(ctx) {
+        const apiKey = await ApiKey.get(ctx.params.id);
+        if (!apiKey) ctx.throw(404, 'API key not found');
+
+        const context = apiKey;
+        await ctx.render('api-keys-revoke', context);
+    }
+
+
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+    /* POST processing                                                                            */
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+    /**
+     * POST /api-keys/add - process add-api-key.
+     *
+     * The new key is shown on the (rendered) response page: it is not recorded, so cannot be shown
+     * again subsequently.
+     */
+    static async processAdd(ctx) {
+        const body = ctx.request.body;
+        body.Scopes = [].concat(body.Scopes || []); // checkboxes: single value if only one checked
+
+        try {
+
+            // keys act on behalf of their user, so only those who manage users can create keys for others
+            await checkOwner(ctx, body.UserId);
+
+            const { id, key } = await ApiKey.create(body.UserId, body.Name, body.Scopes);
+            ctx.response.set('X-Insert-Id', id); // for integration tests
+
+            const context = await ApiKey.get(id);
+            context.key = key;
+            await ctx.render('api-keys-created', context);
+
+        } catch (e) {
+            // stay on same page to report error (with current filled fields)
+            ctx.flash = { formdata: body, _error: e.message };
+            ctx.response.redirect(ctx.request.url);
+        }
+    }
+
+
+    /**
+     * POST /api-keys/:id/revoke - process revoke-api-key.
+     */
+    static async processRevoke(ctx) {
+        try {
+
+            const apiKey = await ApiKey.get(ctx.params.id);
+            if (!apiKey) ctx.throw(404, 'API key not found');
+            await checkOwner(ctx, apiKey.UserId);
+
+            await ApiKey.revoke(ctx.params.id);
+
+            // return to list of api keys
+            ctx.response.redirect('/api-keys');
+
+        } catch (e) {
+            // stay on same page to report error
+            ctx.flash = { _error: e.message };
+            ctx.response.redirect(ctx.request.url);
+        }
+    }
+
+}
+
+
+/**
+ * Users (for key owner picklist): all users for those with users:write permission, otherwise just
+ * the signed-in user.
+ */
+async function usersList(ctx) {
+    const all = await Permission.has(ctx, 'users:write');
+    const sql = `Select UserId, Firstname, Lastname, Email
+                 From User
+                 ${all ? '' : 'Where UserId = :userId'}
+                 Order By Firstname, Lastname`;
+    const [ users ] = await Db.query(sql, { userId: ctx.state.auth.user.id });
+    return users;
+}
+
+
+/**
+ * Check signed-in user can manage API keys of given user: their own keys, or anyone's if they have
+ * users:write permission; throws 403 otherwise.
+ */
+async function checkOwner(ctx, userId) {
+    if (Number(userId) == ctx.state.auth.user.id) return;
+    if (!await Permission.has(ctx, 'users:write')) ctx.throw(403, 'API keys can only be managed for other users with ‘users:write’ permission');
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default ApiKeysHandlers;
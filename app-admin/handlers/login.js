@@ -7,7 +7,14 @@
 import Scrypt from 'scrypt-kdf';   // scrypt key derivation function
 import jwt    from 'jsonwebtoken'; // JSON Web Token implementation
 
-import User from '../../models/user.js';
+import User          from '../../models/user.js';
+import Role          from '../../models/role.js';
+import Totp          from '../../lib/totp.js';
+import Session       from '../../models/session.js';
+import RememberToken from '../../models/remember-token.js';
+import PasswordReset from '../../models/password-reset.js';
+import LoginThrottle from '../../lib/login-throttle.js';
+import Mail          from '../../lib/mail.js';
 
 
 class LoginHandlers {
@@ -26,10 +33,12 @@ class LoginHandlers {
 
 
     /**
-     * GET /logout - logout user
+     * GET /logout - logout user (ending the session server-side, as well as deleting the cookies).
      */
-    static getLogout(ctx) {
+    static async getLogout(ctx) {
+        if (ctx.state.auth) await Session.revoke(ctx.state.auth.user.session);
         ctx.cookies.set('sample-app:jwt', null, { signed: true }); // delete the cookie holding the JSON Web Token
+        ctx.cookies.set(rememberCookie().name, null, { signed: true }); // ... and any remember-me cookie
         ctx.response.redirect('/');
     }
 
@@ -43,17 +52,29 @@ class LoginHandlers {
      * If user authenticates, create JSON Web Token & record it in a signed cookie for subsequent
      * requests, and record the payload in ctx.state.auth.user.
      *
-     * The JWT payload includes the user id, the user’s role so that authorisation checks can be
-     * done without a database query (just initial letter so that the role in the token is not too
-     * obvious), and whether the token can be renewed for a ‘remember-me’ function.
+     * The JWT payload includes the user id, the user’s role (for permission checks), and the
+     * session it belongs to; for ‘remember-me’, a remember-me token is also issued in a separate
+     * cookie, to renew the login once the JWT has expired.
+     *
+     * For users with two-factor authentication (or whose role requires it), the JWT is not issued
+     * until the second factor has been verified (or set up) - see postTotp() / postTotpEnrol().
+     *
+     * Failed attempts are throttled per account & per IP address (see lib/login-throttle.js).
      */
     static async postLogin(ctx) {
         const body = ctx.request.body;
 
+        // refuse attempt before (expensive) password verification if throttled (otherwise reserve it)
+        const wait = await LoginThrottle.reserve(body.username, ctx.request.ip);
+        if (wait) {
+            ctx.flash = { formdata: body, loginfailmsg: throttledMessage(wait) };
+            return ctx.response.redirect(ctx.request.url);
+        }
+
         let [ user ] = await User.getBy('Email', body.username); // lookup user
 
         // always invoke verify() (whether email found or not) to mitigate against timing attacks on login function
-        const passwordHash = user ? user.Password : '0123456789abcdef'.repeat(8);
+        const passwordHash = user && user.Password ? user.Password : '0123456789abcdef'.repeat(8); // invited users have no password until set
         let passwordMatch = null;
         try {
             passwordMatch = await Scrypt.verify(Buffer.from(passwordHash, 'base64'), body.password);
@@ -63,97 +84,190 @@ class LoginHandlers {
         }
 
         if (!user || !passwordMatch) {
+            if (user && await LoginThrottle.lockedOut(body.username)) await lockoutNotification(ctx, user);
             // login failed: redisplay login page with login fail message
             const loginfailmsg = 'E-mail / password not recognised';
             ctx.flash = { formdata: body, loginfailmsg: loginfailmsg };
             return ctx.response.redirect(ctx.request.url);
         }
 
+        if (user.DisabledOn) {
+            await LoginThrottle.release(body.username, ctx.request.ip); // not a failed attempt
+            // account disabled: redisplay login page with disabled message
+            ctx.flash = { formdata: body, loginfailmsg: 'User account disabled' };
+            return ctx.response.redirect(ctx.request.url);
+        }
+
+        // if we were provided with a redirect URL after the /login, redirect there, otherwise /
+        const href = ctx.request.url=='/login' ? '/' : ctx.request.url.replace('/login', '');
+        const remember = body['remember-me'] ? true : false;
+
+        // second factor required? record credentials validated in short-lived cookie, & go on to
+        // 2FA step (or, if 2FA is required but not yet set up, to enrolment)
+        if (user.TotpEnabledOn || await Role.requiresTotp(user.Role)) {
+            await LoginThrottle.release(body.username, ctx.request.ip); // second factor is throttled in its own right
+            const pending = jwt.sign({ id: user.UserId, remember, href }, process.env.JWT_SECRET_KEY, { expiresIn: '5m', subject: '2fa' });
+            ctx.cookies.set('sample-app:2fa', pending, { signed: true });
+            return ctx.response.redirect(user.TotpEnabledOn ? '/2fa' : '/2fa/enrol');
+        }
+
         // submitted credentials validate: create JWT & record it in a cookie to 'log in' user
+        await setJwtCookie(ctx, user, remember);
+        await LoginThrottle.success(body.username, ctx.request.ip);
 
-        const payload = {
-            id:       user.UserId,                          // to get user details
-            name:     `${user.Firstname} ${user.Lastname}`, // make name available without db query
-            role:     user.Role.slice(0, 1).toLowerCase(),  // make role available without db query
-            remember: body['remember-me'] ? true : false,   // whether token can be renewed
-        };
-        const token = jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn: '24h' });
+        ctx.response.redirect(href);
+    }
 
-        // record token in signed cookie; if 'remember-me', set cookie for 1 week, otherwise set session only
-        const options = { signed: true };
-        if (body['remember-me']) options.expires = new Date(Date.now() + 1000*60*60*24*7);
 
-        ctx.cookies.set('sample-app:jwt', token, options);
+    /**
+     * GET /2fa - render second-factor (TOTP code) login page.
+     */
+    static async getTotp(ctx) {
+        if (!pendingLogin(ctx)) return ctx.response.redirect('/login'); // credentials not (recently) validated
 
-        // if we were provided with a redirect URL after the /login, redirect there, otherwise /
-        const href = ctx.request.url=='/login' ? '/' : ctx.request.url.replace('/login', '');
-        ctx.response.redirect(href);
+        await ctx.render('login-2fa');
+    }
+
+
+    /**
+     * POST /2fa - process second-factor login step.
+     *
+     * The code can be from the user's authenticator app, or a recovery code. Failed codes count
+     * towards login throttling in the same way as failed passwords.
+     */
+    static async postTotp(ctx) {
+        const pending = pendingLogin(ctx);
+        if (!pending) return ctx.response.redirect('/login'); // credentials not (recently) validated
+
+        const user = await User.get(pending.id);
+
+        const wait = await LoginThrottle.reserve(user.Email, ctx.request.ip);
+        if (wait) {
+            ctx.flash = { loginfailmsg: throttledMessage(wait) };
+            return ctx.response.redirect('/2fa');
+        }
+
+        if (!await User.totpVerify(pending.id, ctx.request.body.code)) {
+            if (await LoginThrottle.lockedOut(user.Email)) await lockoutNotification(ctx, user);
+            ctx.flash = { loginfailmsg: 'Code not recognised' };
+            return ctx.response.redirect('/2fa');
+        }
+
+        ctx.cookies.set('sample-app:2fa', null, { signed: true });
+        await setJwtCookie(ctx, user, pending.remember);
+        await LoginThrottle.success(user.Email, ctx.request.ip);
+
+        ctx.response.redirect(pending.href);
+    }
+
+
+    /**
+     * GET /2fa/enrol - render 2FA enrolment page, for users required to use 2FA who have not yet
+     * set it up.
+     */
+    static async getTotpEnrol(ctx) {
+        const pending = pendingLogin(ctx);
+        if (!pending) return ctx.response.redirect('/login'); // credentials not (recently) validated
+
+        const user = await User.get(pending.id);
+        if (user.TotpEnabledOn) return ctx.response.redirect('/2fa');
+
+        const secret = user.TotpSecret || await User.totpEnrol(user.UserId); // keep any secret already scanned
+        const context = { uri: Totp.uri(secret, user.Email, 'Koa Sample App'), secret, required: true };
+        await ctx.render('totp-enrol', context);
+    }
+
+
+    /**
+     * POST /2fa/enrol - process 2FA enrolment during login: if the code is confirmed, the user is
+     * logged in and shown their recovery codes.
+     *
+     * Failed codes count towards login throttling as for postTotp().
+     */
+    static async postTotpEnrol(ctx) {
+        const pending = pendingLogin(ctx);
+        if (!pending) return ctx.response.redirect('/login'); // credentials not (recently) validated
+
+        const user = await User.get(pending.id);
+
+        const wait = await LoginThrottle.reserve(user.Email, ctx.request.ip);
+        if (wait) {
+            ctx.flash = { _error: throttledMessage(wait) };
+            return ctx.response.redirect('/2fa/enrol');
+        }
+
+        const recoveryCodes = await User.totpActivate(pending.id, ctx.request.body.code);
+        if (!recoveryCodes) {
+            if (await LoginThrottle.lockedOut(user.Email)) await lockoutNotification(ctx, user);
+            ctx.flash = { _error: 'Code not recognised' };
+            return ctx.response.redirect('/2fa/enrol');
+        }
+
+        ctx.cookies.set('sample-app:2fa', null, { signed: true });
+        await setJwtCookie(ctx, user, pending.remember);
+        await LoginThrottle.success(user.Email, ctx.request.ip);
+
+        await ctx.render('totp-recovery-codes', { recoveryCodes, href: pending.href });
     }
 
 
     /**
      * Verify the JSON Web Token authentication supplied in (signed) cookie.
      *
-     * If the token verifies,
+     * If the token verifies, and its session is still active,
      * - record the payload in ctx.state.auth.user
      * - record the token in ctx.state.auth.jwt for ajax->api calls
-     * - if required, extend the cookie auth for a further 24 hours
      * - & return true
      * ... otherwise return false.
      *
      * This is normally called via the middleware, but in some cases could be called directly.
      *
-     * Issued tokens have 24-hour validity. If the cookie contains an expired token, and the user
-     * logged with using the 'remember-me' option, then issue a replacement 24-hour token, and renew
-     * the cookie for a further 7 days. The 'remember-me' function will lapse after 7 days inactivity.
+     * Issued tokens have 24-hour validity. If there is no (valid) token, but the user logged in
+     * using the 'remember-me' option, the remember-me cookie's token is exchanged for a new one,
+     * and a replacement JWT is issued within the same session (see renewSession()).
+     *
+     * Tokens belonging to sessions which have been revoked (or have lapsed), and tokens issued before
+     * sessions were recorded, are not accepted: the cookie is deleted.
      *
      * Throws 401 if an invalid token is supplied.
      */
-    static verifyJwt(ctx) {
+    static async verifyJwt(ctx) {
         const secretKey = process.env.JWT_SECRET_KEY;
         if (!secretKey) throw new Error('No JWT secret key available');
 
         const options = { signed: true };
         const token = ctx.cookies.get('sample-app:jwt', options);
 
-        if (!token) return false; // not logged in
-
         if (token) { // verify JWT login token - will throw on invalid token
+            let payload = null;
             try {
-                const payload = jwt.verify(token, secretKey); // throws on invalid token
+                payload = jwt.verify(token, secretKey); // throws on invalid (or expired) token
+            } catch (e) {
+                if (e.name != 'TokenExpiredError') {
+                    // delete the cookie holding the JSON Web Token
+                    ctx.cookies.set('sample-app:jwt', null, options);
+                    if ([ 'invalid token', 'invalid signature', 'jwt malformed' ].includes(e.message)) {
+                        ctx.throw(401, 'Invalid authentication'); // verify failed
+                    }
+                    ctx.throw(e.status || 500, e.message); // Internal Server Error
+                }
+            }
 
+            // check session is still active (recording it as seen)
+            if (payload && payload.session && await Session.touch(payload.session, ctx.request.ip)) {
                 // valid token: accept it...
                 ctx.state.auth = {
                     user: authDetails(payload),
                     jwt:  token, // for ajax->api calls
                 };
-            } catch (err) {
-                // verify failed - retry with ignore expire option
-                try {
-                    const payload = jwt.verify(token, secretKey, { ignoreExpiration: true });
-
-                    ctx.state.auth = {
-                        user: authDetails(payload),
-                        jwt:  token, // for ajax->api calls
-                    };
-
-                    // ... and re-issue a replacement token for a further 24 hours
-                    delete payload.exp;
-                    const replacementToken = jwt.sign(payload, secretKey, { expiresIn: '24h' });
-                    if (payload.remember) options.expires = new Date(Date.now() + 1000*60*60*24*7); // remember-me for 7d
-                    ctx.cookies.set('racedrone:jwt', replacementToken, options);
-                } catch (e) {
-                    if ([ 'invalid token', 'invalid signature', 'jwt malformed' ].includes(e.message)) {
-                        // delete the cookie holding the JSON Web Token
-                        ctx.cookies.set('racedrone:jwt', null, options);
-                        ctx.throw(401, 'Invalid authentication'); // verify (both!) failed
-                    }
-                    ctx.throw(e.status || 500, e.message); // Internal Server Error
-                }
+                return true; // payload is now recorded in ctx.state.auth
             }
+
+            // expired token, or session no longer active
+            ctx.cookies.set('sample-app:jwt', null, options);
         }
 
-        return true; // payload is now recorded in ctx.state.auth
+        return await renewSession(ctx); // 'remember-me'?
     }
 
 }
@@ -168,7 +282,7 @@ LoginHandlers.middleware = {
      */
     verifyJwt: function() {
         return async function(ctx, next) {
-            LoginHandlers.verifyJwt(ctx);
+            await LoginHandlers.verifyJwt(ctx);
             // if we had a valid token, the user is now set up as a logged-in user with details in ctx.state.auth
             await next();
         };
@@ -208,13 +322,154 @@ LoginHandlers.middleware = {
 
 
 /**
- * Copy payload, expand the cryptic abbreviated roles in the JWT token to full versions.
+ * Start session for (authenticated) user, & record JWT identifying it in signed (session) cookie
+ * to 'log in' user.
+ *
+ * If 'remember-me', a remember-me token is also issued, so that the login can be renewed when the
+ * JWT expires (or the browser is restarted).
+ *
+ * Any outstanding password reset tokens are revoked, as the user evidently knows their password.
+ */
+async function setJwtCookie(ctx, user, remember) {
+    const session = await Session.create(user.UserId, ctx.request.ip, ctx.request.headers['user-agent']);
+
+    setSessionCookie(ctx, user, session);
+
+    if (remember) {
+        const { name, options } = rememberCookie();
+        ctx.cookies.set(name, await RememberToken.issue(user.UserId, session, ctx.request.ip), options);
+    }
+
+    await PasswordReset.revokeUser(user.UserId);
+}
+
+
+/**
+ * Create JWT for user within given session, & record it in signed (session) cookie.
+ *
+ * @returns {string} JWT.
+ */
+function setSessionCookie(ctx, user, session) {
+    const payload = {
+        id:      user.UserId,                          // to get user details
+        name:    `${user.Firstname} ${user.Lastname}`, // make name available without db query
+        role:    user.Role,                            // make role available without db query
+        session: session,                              // to check session has not been revoked
+    };
+    const token = jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn: '24h' });
+
+    ctx.cookies.set('sample-app:jwt', token, { signed: true });
+
+    return token;
+}
+
+
+/**
+ * Renew login from remember-me cookie: the remember token is exchanged for a replacement (each
+ * renewal is recorded in the RememberToken table), and a new JWT is issued within the same session.
+ *
+ * If the remember token is invalid, expired, or has been used before (in which case it has been
+ * stolen, and the session is revoked), the remember-me cookie is deleted.
+ *
+ * @returns {boolean} True if login has been renewed (with details recorded in ctx.state.auth).
+ */
+async function renewSession(ctx) {
+    const { name, options } = rememberCookie();
+    const token = ctx.cookies.get(name, { signed: true });
+    if (!token) return false; // not logged in
+
+    let renewed = null;
+    try {
+        renewed = await RememberToken.rotate(token, ctx.request.ip);
+    } catch (e) {
+        if (e.status != 401) throw e;
+        ctx.cookies.set(name, null, { signed: true });
+        return false;
+    }
+    if (!renewed) return false; // token just renewed by concurrent request
+
+    const user = await User.get(renewed.userId);
+    if (!user || user.DisabledOn || !await Session.touch(renewed.sessionId, ctx.request.ip)) {
+        ctx.cookies.set(name, null, { signed: true });
+        return false;
+    }
+
+    const jwtToken = setSessionCookie(ctx, user, renewed.sessionId);
+    ctx.cookies.set(name, renewed.token, options);
+
+    ctx.state.auth = {
+        user: authDetails(jwt.decode(jwtToken)),
+        jwt:  jwtToken, // for ajax->api calls
+    };
+
+    return true;
+}
+
+
+/**
+ * Remember-me cookie name & options: the name (REMEMBER_ME_COOKIE) and SameSite policy
+ * (REMEMBER_ME_SAMESITE: strict, lax, or none) are configurable; the lifetime is the session
+ * lifetime (REMEMBER_ME_DAYS).
+ */
+function rememberCookie() {
+    const name = process.env.REMEMBER_ME_COOKIE || 'sample-app:remember';
+    const sameSite = (process.env.REMEMBER_ME_SAMESITE || 'lax').toLowerCase();
+    if (![ 'strict', 'lax', 'none' ].includes(sameSite)) throw new Error(`Invalid REMEMBER_ME_SAMESITE ‘${process.env.REMEMBER_ME_SAMESITE}’`);
+
+    const options = {
+        signed:   true,
+        httpOnly: true,
+        sameSite: sameSite,
+        expires:  new Date(Date.now() + 1000*60*60*24*Session.lifetimeDays),
+    };
+
+    return { name, options };
+}
+
+
+/**
+ * Login fail message for throttled login attempt.
+ */
+function throttledMessage(wait) {
+    const delay = wait < 120 ? `${wait} seconds` : `${Math.ceil(wait/60)} minutes`;
+    return `Too many failed sign-in attempts: please try again in ${delay}`;
+}
+
+
+/**
+ * Notify user their account has been locked following repeated failed login attempts.
+ */
+async function lockoutNotification(ctx, user) {
+    const context = { Firstname: user.Firstname, minutes: LoginThrottle.lockoutMinutes, ip: ctx.request.ip, host: ctx.request.host };
+    await Mail.send(`"${user.Firstname} ${user.Lastname}" <${user.Email}>`, 'login-locked.email', context, ctx);
+}
+
+
+/**
+ * Return login awaiting second factor (user whose credentials have been validated by postLogin),
+ * or null if there is none (or it has expired).
+ */
+function pendingLogin(ctx) {
+    const token = ctx.cookies.get('sample-app:2fa', { signed: true });
+    if (!token) return null;
+
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET_KEY, { subject: '2fa' }); // { id, remember, href }
+    } catch (e) {
+        return null; // expired or invalid token
+    }
+}
+
+
+/**
+ * Copy payload, recording role for permission checks (expanding abbreviated roles in tokens issued
+ * before roles were defined in the database).
  */
 function authDetails(jwtPayload) {
-    const roles = { g: 'guest', a: 'admin', s: 'su' };
+    const legacyRoles = { g: 'guest', a: 'admin', s: 'su' };
 
-    const details = { ...jwtPayload };     // for user id  to look up user details (use copy of payload to not zap original)
-    details.Role = roles[jwtPayload.role]; // expand abbreviated roles for authorisation checks
+    const details = { ...jwtPayload };                              // for user id  to look up user details (use copy of payload to not zap original)
+    details.Role = legacyRoles[jwtPayload.role] || jwtPayload.role; // for permission checks
 
     return details;
 }
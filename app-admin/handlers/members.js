@@ -4,10 +4,14 @@
 /* All functions here either render or redirect, or throw.                                        */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
+import { promises as fs } from 'fs'; // nodejs.org/api/fs.html
+
 import Member           from '../../models/member.js';
 import TeamMember       from '../../models/team-member.js';
 import Db               from '../../lib/mysqldb.js';
 import validationErrors from '../../lib/validation-errors.js';
+import CsvTable         from '../../lib/csv-table.js';
+import QueryFilter      from '../../lib/query-filter.js';
 
 
 class MembersHandlers {
@@ -18,20 +22,36 @@ class MembersHandlers {
      * Results can be filtered with URL query strings eg /members?firstname=alice.
      */
     static async list(ctx) {
-        // build sql query including any query-string filters; eg ?field1=val1&field2=val2 becomes
-        // "Where field1 = :field1 And field2 = :field2"
-        let sql = 'Select * From Member';
-        if (ctx.request.querystring) {
-            const filter = Object.keys(ctx.request.query).map(q => `${q} = :${q}`).join(' and ');
-            sql += ' Where ' + filter;
+        try {
+
+            const list = await listSql(ctx.request.query);
+            const [ members ] = await Db.query(list.sql, list.values);
+
+            await ctx.render('members-list', { members, querystring: ctx.request.querystring });
+
+        } catch (e) {
+            switch (e.code) {
+                case 'ER_BAD_FIELD_ERROR': ctx.throw(403, 'Unrecognised Member field'); break;
+                default: throw e;
+            }
         }
-        sql += ' Order By Firstname, Lastname';
+    }
 
+
+    /**
+     * GET /members/export - download members as CSV.
+     *
+     * Results can be filtered with URL query strings as per list(), so that the export matches the
+     * list being viewed.
+     */
+    static async exportCsv(ctx) {
         try {
 
-            const [ members ] = await Db.query(sql, ctx.request.query);
+            const list = await listSql(ctx.request.query);
+            const [ members ] = await Db.query(list.sql, list.values);
 
-            await ctx.render('members-list', { members });
+            ctx.response.attachment('members.csv');
+            ctx.response.body = await CsvTable.stringify('Member', members);
 
         } catch (e) {
             switch (e.code) {
@@ -42,6 +62,14 @@ class MembersHandlers {
     }
 
 
+    /**
+     * GET /members/import - render import-members page (CSV upload).
+     */
+    static async import(ctx) {
+        await ctx.render('members-import');
+    }
+
+
     /**
      * GET /members/:id - render view-member page.
      */
@@ -78,6 +106,7 @@ class MembersHandlers {
         // member details
         const member = await Member.get(ctx.params.id);
         if (!member) ctx.throw(404, 'Member not found');
+        member._version = Member.version(member); // for optimistic concurrency check on update
         if (ctx.flash.formdata) Object.assign(member, ctx.flash.formdata); // failed validation? fill in previous values
 
         // team membership
@@ -124,11 +153,6 @@ class MembersHandlers {
      * POST /members/add - process add-member.
      */
     static async processAdd(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'User management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         const body = ctx.request.body;
 
         try {
@@ -158,14 +182,56 @@ class MembersHandlers {
 
 
     /**
-     * POST /members/:id/edit - process edit-member.
+     * POST /members/import - process import-members.
+     *
+     * An uploaded CSV file is previewed, with columns mapped to Member fields and any errors shown
+     * against each row. The preview is re-submitted with the CSV text and any changes to the
+     * column mapping; once the import is confirmed, if there are no errors, all members are inserted
+     * in a single transaction.
      */
-    static async processEdit(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'User management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
+    static async processImport(ctx) {
+        const body = ctx.request.body;
+        const file = ctx.request.files ? ctx.request.files.csv : null;
+
+        try {
+
+            const csv = file ? await fs.readFile(file.path, 'utf8') : body.csv;
+            if (!csv) throw new Error('Please select a CSV file');
+
+            // column mapping from preview (column-0, column-1, etc); on initial upload, default mapping is used
+            const mapping = file ? null : Object.keys(body).filter(key => /^column-\d+$/.test(key))
+                .reduce((map, key) => { map[key.split('-')[1]] = body[key]; return map; }, []);
+
+            const validation = { // back-end validation matching HTML5 validation
+                Email: 'required type=email',
+            };
+
+            const preview = await CsvTable.preview('Member', csv, mapping, validation);
+
+            if (body.action == 'import' && preview.errors == 0) {
+                const count = await CsvTable.insert(Member, preview.rows);
+                ctx.response.set('X-Insert-Count', count); // for integration tests
+
+                // return to list of members
+                return ctx.response.redirect('/members');
+            }
+
+            const columns = preview.headers.map((header, c) => ({ header, c, field: preview.mapping[c] }));
+            const context = { ...preview, columns, csv };
+            await ctx.render('members-import', context);
+
+        } catch (e) {
+            // return to upload page to report error
+            ctx.flash = { _error: e.message };
+            ctx.response.redirect(ctx.request.url);
         }
+    }
+
 
+    /**
+     * POST /members/:id/edit - process edit-member.
+     */
+    static async processEdit(ctx) {
         const body = ctx.request.body;
 
         // update member details
@@ -182,14 +248,17 @@ class MembersHandlers {
 
                 body.Active = body.Active ? true : false; // field supplied in post only when checked
 
-                await Member.update(ctx.params.id, body);
+                // fail if member has been updated since edit form was rendered, rather than overwriting it
+                const { _version, ...values } = body;
+                await Member.updateIfVersion(ctx.params.id, _version, values);
 
                 // return to list of members
                 ctx.response.redirect('/members');
 
             } catch (e) {
-                // stay on same page to report error (with current filled fields)
-                ctx.flash = { formdata: body, _error: e.message };
+                // stay on same page to report error (with current filled fields, unless there was a
+                // conflicting update, in which case show the updated member details)
+                ctx.flash = e.status == 409 ? { _error: e.message } : { formdata: body, _error: e.message };
                 ctx.response.redirect(ctx.request.url);
             }
         }
@@ -238,11 +307,6 @@ class MembersHandlers {
      * POST /members/:id/delete - process delete-member.
      */
     static async processDelete(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'User management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         try {
 
             await Member.delete(ctx.params.id);
@@ -260,6 +324,20 @@ class MembersHandlers {
 }
 
 
+/**
+ * Build SQL query for members list including any query-string filters as per QueryFilter, eg
+ * ?Lastname=Hamilton or ?MemberId[gt]=100002; filter fields are checked against Member columns, and values are
+ * supplied through placeholders.
+ */
+async function listSql(query) {
+    const filter = await QueryFilter.where('Member', query);
+    let sql = 'Select * From Member';
+    if (filter.sql) sql += ' Where ' + filter.sql;
+    sql += ' Order By Firstname, Lastname';
+    return { sql, values: filter.values };
+}
+
+
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 export default MembersHandlers;
@@ -4,12 +4,11 @@
 /* GET functions render template pages; POST functions process post requests then redirect.       */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import crypto from 'crypto';     // nodejs.org/api/crypto.html
-import Scrypt from 'scrypt-kdf'; // scrypt key derivation function
-
-import User  from '../../models/user.js';
-import Mail  from '../../lib/mail.js';
-import Pwned from '../../lib/pwned.js';
+import User             from '../../models/user.js';
+import PasswordReset    from '../../models/password-reset.js';
+import Mail             from '../../lib/mail.js';
+import PasswordPolicy   from '../../lib/password-policy.js';
+import validationErrors from '../../lib/validation-errors.js';
 
 /*
  * Password reset sequence is:
@@ -36,32 +35,24 @@ class PasswordResetHandlers {
     /**
      * POST /password/reset-request - process request password reset.
      *
-     * Send e-mail with password reset link.
+     * Send e-mail with password reset link (unless the user has made too many requests recently);
+     * the response is the same whether or not the e-mail is recognised.
      */
     static async processRequest(ctx) {
         const email = ctx.request.body.email;
 
         const [ user ] = await User.getBy('Email', email);
-
-        // current timestamp for token expiry in base36
-        const now = Math.floor(Date.now()/1000).toString(36);
-
-        // random sha256 hash; 1st 8 chars of hash in base36 gives 42 bits of entropy
-        const hash = crypto.createHash('sha256').update(Math.random().toString());
-        const rndHash = parseInt(hash.digest('hex'), 16).toString(36).slice(0, 8);
-        const token = now+'-'+rndHash; // note use timestamp first so it is easier to identify old tokens in db
-
-        // note: do createHash() before checking if user exists to mitigate against timing attacks
         if (!user) { ctx.response.redirect('/password/reset-request-confirm'); return; }
 
-        // record reset request in db
-        await User.update(user.UserId, { PasswordResetRequest: token });
+        // record reset request in db (no further e-mails are sent if too many recent requests)
+        const token = await PasswordReset.request(user.UserId, ctx.request.ip);
+        if (!token) { ctx.response.redirect('/password/reset-request-confirm'); return; }
 
         // send e-mail with generated token
-        const context = { firstname: user.Firstname, host: ctx.request.host, token: token };
+        const context = { firstname: user.Firstname, host: ctx.request.host, token: token, expiryHours: PasswordReset.expiryHours };
         await Mail.send(`"${user.Firstname} ${user.Lastname}" <${email}>`, 'password-reset.email', context, ctx);
 
-        ctx.response.set('X-Reset-Token', token); // for testing
+        if (global.it) ctx.response.set('X-Reset-Token', token); // for testing (within mocha tests only)
 
         ctx.response.redirect('/password/reset-request-confirm');
     }
@@ -74,12 +65,13 @@ class PasswordResetHandlers {
         const token = ctx.params.token;
 
         // check token is good
-        if (!await userForResetToken(token)) {
+        if (!await PasswordReset.verify(token)) {
             await ctx.render('password-reset', { badToken: true });
             return;
         }
 
-        await ctx.render('password-reset', Object.assign({}, ctx.flash.formdata, { valid: true }));
+        const context = { valid: true, minLength: PasswordPolicy.settings.minLength };
+        await ctx.render('password-reset', Object.assign({}, ctx.flash.formdata, context));
     }
 
 
@@ -87,7 +79,7 @@ class PasswordResetHandlers {
      * GET /password/reset-request-confirm - render request password reset confirmation page
      */
     static async requestConfirm(ctx) {
-        await ctx.render('password-reset-request-confirm', { host: ctx.request.host });
+        await ctx.render('password-reset-request-confirm', { host: ctx.request.host, expiryHours: PasswordReset.expiryHours });
     }
 
 
@@ -98,8 +90,8 @@ class PasswordResetHandlers {
         const token = ctx.params.token;
 
         // check token is good
-        const user = await userForResetToken(token);
-        if (!user) {
+        const userId = await PasswordReset.verify(token);
+        if (!userId) {
             ctx.response.redirect('/password/reset/'+token); // use existing notification mechanism!
             return;
         }
@@ -111,24 +103,36 @@ class PasswordResetHandlers {
             return;
         }
 
-        // check if password has been pwned
+        // password satisfies password policy (checking against user's name & e-mail)?
+        const user = await User.get(userId);
+        const policy = { ...ctx.request.body, Firstname: user.Firstname, Lastname: user.Lastname, Email: user.Email };
+        const validation = { password: 'type=password required policy' };
+        if (validationErrors(policy, validation)) {
+            ctx.flash = { _error: validationErrors(policy, validation).join(', ') };
+            ctx.response.redirect('/password/reset/'+token);
+            return;
+        }
+
+        // check if password has been pwned (user is notified, and can confirm password anyway)
         if (ctx.request.body.pwnedNotified != 'yes') {
-            try {
-                const breached = await Pwned.breachCount(ctx.request.body.password);
-                if (breached > 0) {
-                    const pwnedCount = `${Intl.NumberFormat().format(breached)} time${breached>1 ? 's' : ''}`;
-                    ctx.flash = { formdata: ctx.request.body, pwnedCount: pwnedCount, pwnedNotified: 'yes' };
-                    ctx.response.redirect('/password/reset/'+token);
-                    return;
-                }
-            } catch (e) {
-                console.error(e);
+            const breached = await PasswordPolicy.breachCount(ctx.request.body.password);
+            if (breached > 0) {
+                const pwnedCount = `${Intl.NumberFormat().format(breached)} time${breached>1 ? 's' : ''}`;
+                ctx.flash = { formdata: ctx.request.body, pwnedCount: pwnedCount, pwnedNotified: 'yes' };
+                ctx.response.redirect('/password/reset/'+token);
+                return;
             }
         }
 
-        // set the password and clear the password reset token
-        const password = await Scrypt.kdf(ctx.request.body.password, { logN: 15 });
-        await User.update(user.UserId, { password: password.toString('base64'), PasswordResetRequest: null });
+        // use up the password reset token (checking it has not meanwhile been used)
+        if (!await PasswordReset.use(token)) {
+            ctx.response.redirect('/password/reset/'+token);
+            return;
+        }
+
+        // set the password (any tokens issued with the previous password, and any other password
+        // reset tokens, are no longer valid)
+        await User.setPassword(userId, ctx.request.body.password);
 
         ctx.response.redirect('/password/reset/confirm');
     }
@@ -144,30 +148,6 @@ class PasswordResetHandlers {
 }
 
 
-/**
- * Return whether reset token is valid (requested and not expired), and if so returns user details.
- *
- * @param   {string} token - The reset token to be checked.
- * @returns {Object|boolean} User if token is valid, otherwise null.
- */
-async function userForResetToken(token) {
-    // a valid token contains a single hyphen
-    if (token.split('-').length != 2) return null;
-
-    // the token is a timestamp in base36 and a hash separated by a hyphen
-    const [ timestamp ] = token.split('-'); // (we don't need the hash here)
-
-    // check token is not expired
-    if (Date.now()/1000 - parseInt(timestamp, 36) > 60*60*24) return null;
-
-    // check token has been recorded (and not used)
-    const [ user ] = await User.getBy('PasswordResetRequest', token);
-    if (!user) return null;
-
-    // all checks out!
-    return user;
-}
-
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 export default PasswordResetHandlers;
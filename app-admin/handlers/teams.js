@@ -4,10 +4,15 @@
 /* All functions here either render or redirect, or throw.                                        */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
+import { promises as fs } from 'fs'; // nodejs.org/api/fs.html
+
 import Team             from '../../models/team.js';
 import TeamMember       from '../../models/team-member.js';
 import Db               from '../../lib/mysqldb.js';
 import validationErrors from '../../lib/validation-errors.js';
+import CsvTable         from '../../lib/csv-table.js';
+import QueryFilter      from '../../lib/query-filter.js';
+import Permission       from '../../lib/permission-middleware.js';
 
 
 class TeamsHandlers {
@@ -18,20 +23,36 @@ class TeamsHandlers {
      * Results can be filtered with URL query strings eg /teams?name=alpha.
      */
     static async list(ctx) {
-        // build sql query including any query-string filters; eg ?field1=val1&field2=val2 becomes
-        // "Where field1 = :field1 And field2 = :field2"
-        let sql = 'Select * From Team';
-        if (ctx.request.querystring) {
-            const filter = Object.keys(ctx.request.query).map(q => `${q} = :${q}`).join(' and ');
-            sql += ' Where '+filter;
+        try {
+
+            const list = await listSql(ctx.request.query);
+            const [ teams ] = await Db.query(list.sql, list.values);
+
+            await ctx.render('teams-list', { teams, querystring: ctx.request.querystring });
+
+        } catch (e) {
+            switch (e.code) {
+                case 'ER_BAD_FIELD_ERROR': ctx.throw(403, 'Unrecognised Team field'); break;
+                default: throw e;
+            }
         }
-        sql +=  ' Order By Name';
+    }
 
+
+    /**
+     * GET /teams/export - download teams as CSV.
+     *
+     * Results can be filtered with URL query strings as per list(), so that the export matches the
+     * list being viewed.
+     */
+    static async exportCsv(ctx) {
         try {
 
-            const [ teams ] = await Db.query(sql, ctx.request.query);
+            const list = await listSql(ctx.request.query);
+            const [ teams ] = await Db.query(list.sql, list.values);
 
-            await ctx.render('teams-list', { teams });
+            ctx.response.attachment('teams.csv');
+            ctx.response.body = await CsvTable.stringify('Team', teams);
 
         } catch (e) {
             switch (e.code) {
@@ -42,6 +63,14 @@ class TeamsHandlers {
     }
 
 
+    /**
+     * GET /teams/import - render import-teams page (CSV upload).
+     */
+    static async import(ctx) {
+        await ctx.render('teams-import');
+    }
+
+
     /**
      * GET /teams/:id - render view-team page.
      */
@@ -78,6 +107,7 @@ class TeamsHandlers {
         // team details
         const team = await Team.get(ctx.params.id);
         if (!team) ctx.throw(404, 'Team not found');
+        team._version = Team.version(team); // for optimistic concurrency check on update
         if (ctx.flash.formdata) Object.assign(team, ctx.flash.formdata); // failed validation? fill in previous values
 
         // team members
@@ -124,11 +154,6 @@ class TeamsHandlers {
      * POST /teams/add - process add-team.
      */
     static async processAdd(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'Team management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         const body = ctx.request.body;
 
         try {
@@ -156,18 +181,64 @@ class TeamsHandlers {
 
 
     /**
-     * POST /teams/:id/edit - process edit-team.
+     * POST /teams/import - process import-teams.
+     *
+     * An uploaded CSV file is previewed, with columns mapped to Team fields and any errors shown
+     * against each row. The preview is re-submitted with the CSV text and any changes to the
+     * column mapping; once the import is confirmed, if there are no errors, all teams are inserted
+     * in a single transaction.
      */
-    static async processEdit(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'Team management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
+    static async processImport(ctx) {
+        const body = ctx.request.body;
+        const file = ctx.request.files ? ctx.request.files.csv : null;
+
+        try {
+
+            const csv = file ? await fs.readFile(file.path, 'utf8') : body.csv;
+            if (!csv) throw new Error('Please select a CSV file');
+
+            // column mapping from preview (column-0, column-1, etc); on initial upload, default mapping is used
+            const mapping = file ? null : Object.keys(body).filter(key => /^column-\d+$/.test(key))
+                .reduce((map, key) => { map[key.split('-')[1]] = body[key]; return map; }, []);
+
+            const validation = { // back-end validation matching HTML5 validation
+                Name: 'required',
+            };
+
+            const preview = await CsvTable.preview('Team', csv, mapping, validation);
+
+            if (body.action == 'import' && preview.errors == 0) {
+                const count = await CsvTable.insert(Team, preview.rows);
+                ctx.response.set('X-Insert-Count', count); // for integration tests
+
+                // return to list of teams
+                return ctx.response.redirect('/teams');
+            }
+
+            const columns = preview.headers.map((header, c) => ({ header, c, field: preview.mapping[c] }));
+            const context = { ...preview, columns, csv };
+            await ctx.render('teams-import', context);
+
+        } catch (e) {
+            // return to upload page to report error
+            ctx.flash = { _error: e.message };
+            ctx.response.redirect(ctx.request.url);
         }
+    }
 
+
+    /**
+     * POST /teams/:id/edit - process edit-team.
+     *
+     * This updates either the team details, or the team roster; permissions are checked here rather
+     * than in the route, as a team grant (e.g. team captain) may permit managing the roster only.
+     */
+    static async processEdit(ctx) {
         const body = ctx.request.body;
 
         // update team details
         if ('Name' in body) {
+            await Permission.check(ctx, 'teams:write', ctx.params.id);
             try {
 
                 const validation = { // back-end validation matching HTML5 validation
@@ -178,20 +249,24 @@ class TeamsHandlers {
                     throw new Error(validationErrors(body, validation));
                 }
 
-                await Team.update(ctx.params.id, body);
+                // fail if team has been updated since edit form was rendered, rather than overwriting it
+                const { _version, ...values } = body;
+                await Team.updateIfVersion(ctx.params.id, _version, values);
 
                 // return to list of members
                 ctx.response.redirect('/teams');
 
             } catch (e) {
-                // stay on same page to report error (with current filled fields)
-                ctx.flash = { formdata: body, _error: e.message };
+                // stay on same page to report error (with current filled fields, unless there was a
+                // conflicting update, in which case show the updated team details)
+                ctx.flash = e.status == 409 ? { _error: e.message } : { formdata: body, _error: e.message };
                 ctx.response.redirect(ctx.request.url);
             }
         }
 
         // add member to team
         if ('add-member' in body) {
+            await Permission.check(ctx, 'team-members:write', ctx.params.id);
             const values = {
                 TeamId:   ctx.params.id,
                 MemberId: body['add-member'],
@@ -215,6 +290,9 @@ class TeamsHandlers {
 
         // remove member from team
         if ('del-member' in body) {
+            await Permission.check(ctx, 'team-members:write', ctx.params.id);
+            const teamMember = await TeamMember.get(body['del-member']);
+            if (!teamMember || teamMember.TeamId != ctx.params.id) ctx.throw(404, 'Team member not found');
             try {
 
                 await TeamMember.delete(body['del-member']);
@@ -234,11 +312,6 @@ class TeamsHandlers {
      * POST /teams/:id/delete - process delete-team.
      */
     static async processDelete(ctx) {
-        if (ctx.state.auth.user.Role != 'admin') {
-            ctx.flash = { _error: 'Team management requires admin privileges' };
-            return ctx.response.redirect('/login'+ctx.request.url);
-        }
-
         try {
 
             await Team.delete(ctx.params.id);
@@ -256,6 +329,20 @@ class TeamsHandlers {
 }
 
 
+/**
+ * Build SQL query for teams list including any query-string filters as per QueryFilter, eg
+ * ?Name=alpha or ?TeamId[gt]=100002; filter fields are checked against Team columns, and values are
+ * supplied through placeholders.
+ */
+async function listSql(query) {
+    const filter = await QueryFilter.where('Team', query);
+    let sql = 'Select * From Team';
+    if (filter.sql) sql += ' Where ' + filter.sql;
+    sql += ' Order By Name';
+    return { sql, values: filter.values };
+}
+
+
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 export default TeamsHandlers;
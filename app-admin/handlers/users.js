@@ -0,0 +1,265 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Users handlers (invoked by router to render templates)                                         */
+/*                                                                                                */
+/* All functions here either render or redirect, or throw.                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import User             from '../../models/user.js';
+import Role             from '../../models/role.js';
+import PasswordReset    from '../../models/password-reset.js';
+import Db               from '../../lib/mysqldb.js';
+import Mail             from '../../lib/mail.js';
+import LoginThrottle    from '../../lib/login-throttle.js';
+import validationErrors from '../../lib/validation-errors.js';
+
+
+class UsersHandlers {
+
+    /**
+     * GET /users - render list-users page.
+     */
+    static async list(ctx) {
+        const sql = `Select UserId, Firstname, Lastname, Email, Role, DisabledOn, Password Is Null As Invited,
+                            TotpEnabledOn Is Not Null As TotpEnabled
+                     From User
+                     Order By Firstname, Lastname`;
+        const [ users ] = await Db.query(sql);
+
+        const roles = await Role.list(); // for 2FA requirement settings
+
+        await ctx.render('users-list', { users, roles });
+    }
+
+
+    /**
+     * GET /users/add - render invite-user page.
+     */
+    static async add(ctx) {
+        const context = ctx.flash.formdata || {}; // failed validation? fill in previous values
+        context.roles = await Role.list();
+        await ctx.render('users-add', context);
+    }
+
+
+    /**
+     * GET /users/:id/edit - render edit-user page.
+     */
+    static async edit(ctx) {
+        const user = await User.get(ctx.params.id);
+        if (!user) ctx.throw(404, 'User not found');
+
+        const context = publicDetails(user);
+        if (ctx.flash.formdata) Object.assign(context, ctx.flash.formdata); // failed validation? fill in previous values
+        context.roles = await Role.list();
+        context.self = user.UserId == ctx.state.auth.user.id;
+
+        // team grants (e.g. team captain), and teams for grant picklist
+        context.teamGrants = await Role.teamGrants(user.UserId);
+        const [ teams ] = await Db.query('Select TeamId, Name From Team Order By Name');
+        context.teams = teams;
+
+        await ctx.render('users-edit', context);
+    }
+
+
+    /**
+     * GET /users/:id/delete - render delete-user page.
+     */
+    static async delete(ctx) {
+        const user = await User.get(ctx.params.id);
+        if (!user) ctx.throw(404, 'User not found');
+
+        const context = publicDetails(user);
+        await ctx.render('users-delete', context);
+    }
+
+
+    /**
+     * GET /users/locked - render list of accounts locked out following failed login attempts.
+     */
+    static async locked(ctx) {
+        const accounts = await LoginThrottle.locked();
+        for (const account of accounts) {
+            const [ user ] = await User.getBy('Email', account.username);
+            account.UserId = user ? user.UserId : null; // attempts may be made against non-existent accounts
+            account.lockedUntil = account.lockedUntil.toISOString().replace('T', ' ').slice(0, 19);
+        }
+
+        await ctx.render('users-locked', { accounts });
+    }
+
+
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+    /* POST processing                                                                            */
+    /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+    /**
+     * POST /users/add - process invite-user.
+     *
+     * The new user is e-mailed a link to set their password.
+     */
+    static async processAdd(ctx) {
+        const body = ctx.request.body;
+
+        try {
+
+            const validation = { // back-end validation matching HTML5 validation
+                Email: 'type=email required',
+                Role:  'required',
+            };
+
+            if (validationErrors(body, validation)) {
+                throw new Error(validationErrors(body, validation));
+            }
+
+            const { id, token } = await User.invite(body);
+            ctx.response.set('X-Insert-Id', id); // for integration tests
+
+            // send e-mail with set-password link
+            const context = { firstname: body.Firstname, host: ctx.request.host, token: token, expiryHours: PasswordReset.expiryHours };
+            await Mail.send(`"${body.Firstname} ${body.Lastname}" <${body.Email}>`, 'user-invite.email', context, ctx);
+
+            if (global.it) ctx.response.set('X-Reset-Token', token); // for testing (within mocha tests only)
+
+            // return to list of users
+            ctx.response.redirect('/users');
+
+        } catch (e) {
+            // stay on same page to report error (with current filled fields)
+            ctx.flash = { formdata: body, _error: e.message };
+            ctx.response.redirect(ctx.request.url);
+        }
+    }
+
+
+    /**
+     * POST /users/:id/edit - process edit-user.
+     *
+     * This updates either the user details (a change of role revokes the user's current sessions),
+     * or disables / re-enables the user, or resets the user's two-factor authentication (e.g. if
+     * they have lost their authenticator app & recovery codes), or grants / revokes a role within a
+     * team (e.g. team captain).
+     */
+    static async processEdit(ctx) {
+        const body = ctx.request.body;
+
+        try {
+
+            if ('disable' in body) {
+                if (ctx.params.id == ctx.state.auth.user.id) throw new Error('You cannot disable your own account');
+                await User.disable(ctx.params.id);
+                return ctx.response.redirect('/users');
+            }
+
+            if ('enable' in body) {
+                await User.enable(ctx.params.id);
+                return ctx.response.redirect('/users');
+            }
+
+            if ('reset-totp' in body) {
+                await User.totpDisable(ctx.params.id);
+                return ctx.response.redirect('/users');
+            }
+
+            if ('grant-team' in body) {
+                await Role.grantTeam(ctx.params.id, body['grant-team'], body['grant-role']);
+                return ctx.response.redirect(ctx.request.url); // stay on same page showing new grant
+            }
+
+            if ('revoke-team' in body) {
+                await Role.revokeTeam(ctx.params.id, body['revoke-team'], body['revoke-role']);
+                return ctx.response.redirect(ctx.request.url); // stay on same page showing remaining grants
+            }
+
+            const validation = { // back-end validation matching HTML5 validation
+                Email: 'type=email required',
+                Role:  'required',
+            };
+
+            if (validationErrors(body, validation)) {
+                throw new Error(validationErrors(body, validation));
+            }
+
+            const user = await User.get(ctx.params.id);
+            if (!user) ctx.throw(404, 'User not found');
+            const roleChanged = body.Role != user.Role;
+            if (roleChanged && ctx.params.id == ctx.state.auth.user.id) throw new Error('You cannot change your own role');
+
+            const values = { Firstname: body.Firstname, Lastname: body.Lastname, Email: body.Email, Role: body.Role };
+            await User.update(ctx.params.id, values);
+            if (roleChanged) await User.revokeTokens(ctx.params.id); // sessions may be in use with previous role's permissions
+
+            // return to list of users
+            ctx.response.redirect('/users');
+
+        } catch (e) {
+            // stay on same page to report error (with current filled fields)
+            ctx.flash = { formdata: body, _error: e.message };
+            ctx.response.redirect(ctx.request.url);
+        }
+    }
+
+
+    /**
+     * POST /users/roles - process role settings: which roles require two-factor authentication.
+     */
+    static async processRoles(ctx) {
+        const required = [].concat(ctx.request.body.RequireTotp || []); // checkboxes: single value if only one checked
+
+        for (const role of await Role.list()) {
+            await Role.setRequireTotp(role.Name, required.includes(role.Name));
+        }
+
+        ctx.response.redirect('/users');
+    }
+
+
+    /**
+     * POST /users/locked - process unlock account.
+     */
+    static async processUnlock(ctx) {
+        await LoginThrottle.unlock(ctx.request.body.username);
+
+        ctx.response.redirect('/users/locked');
+    }
+
+
+    /**
+     * POST /users/:id/delete - process delete-user.
+     */
+    static async processDelete(ctx) {
+        try {
+
+            if (ctx.params.id == ctx.state.auth.user.id) throw new Error('You cannot delete your own account');
+
+            await User.delete(ctx.params.id);
+
+            // return to list of users
+            ctx.response.redirect('/users');
+
+        } catch (e) {
+            // stay on same page to report error
+            ctx.flash = { _error: e.message };
+            ctx.response.redirect(ctx.request.url);
+        }
+    }
+
+}
+
+
+/**
+ * User details excluding password & token fields.
+ */
+function publicDetails(user) {
+    const fields = [ 'UserId', 'Firstname', 'Lastname', 'Email', 'Role', 'DisabledOn' ];
+    const details = fields.reduce((values, field) => ({ ...values, [field]: user[field] }), {});
+    details.Invited = user.Password == null;
+    details.TotpEnabled = user.TotpEnabledOn != null;
+    return details;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default UsersHandlers;
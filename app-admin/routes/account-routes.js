@@ -0,0 +1,26 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  Account routes (signed-in user's own details)                                                 */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import account from '../handlers/account.js';
+
+
+router.get('/account',               account.account);            // render account page
+router.get('/account/email/:token',  account.confirmEmail);       // confirm e-mail change
+router.get('/account/2fa',           account.totp);               // render 2fa enrolment page
+router.get('/account/sessions',      account.sessions);           // render active sessions page
+
+router.post('/account',              account.processAccount);     // process update account details
+router.post('/account/password',     account.processPassword);    // process change password
+router.post('/account/2fa',          account.processTotp);        // process 2fa enrolment
+router.post('/account/2fa/disable',  account.processTotpDisable); // process disable 2fa
+router.post('/account/sessions',     account.processSessions);    // process revoke session(s)
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
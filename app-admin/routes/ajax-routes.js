@@ -5,6 +5,7 @@
 /* other generic requests to the API.                                                             */
 /*                                                                                                */
 /* Being placed after auth test in the middleware stack, ajax calls are password-protected.       */
+/* Ajax calls other than GET must include the CSRF token in an X-CSRF-Token header.               */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 import Router from 'koa-router'; // router middleware for koa
@@ -0,0 +1,26 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  API keys routes                                                                               */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import Permission from '../../lib/permission-middleware.js';
+import apiKeys    from '../handlers/api-keys.js';
+
+const read  = Permission.require('api-keys:read');
+const write = Permission.require('api-keys:write');
+
+
+router.get('/api-keys',             read,  apiKeys.list);          // render list api keys page
+router.get('/api-keys/add',         write, apiKeys.add);           // render add a new api key page
+router.get('/api-keys/:id/revoke',  write, apiKeys.revoke);        // render revoke an api key page
+
+router.post('/api-keys/add',        write, apiKeys.processAdd);    // process add api key
+router.post('/api-keys/:id/revoke', write, apiKeys.processRevoke); // process revoke api key
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
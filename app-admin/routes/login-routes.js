@@ -10,10 +10,15 @@ import login from '../handlers/login.js';
 
 
 // note url allowed after '/login' to redirect to after successful login
-router.get(/\/login(.*)/,  login.getLogin);    // render login page
-router.get('/logout',      login.getLogout);   // log user out
+router.get(/\/login(.*)/,  login.getLogin);      // render login page
+router.get('/logout',      login.getLogout);     // log user out
 
-router.post(/\/login(.*)/, login.postLogin);   // process login
+router.post(/\/login(.*)/, login.postLogin);     // process login
+
+router.get('/2fa',         login.getTotp);       // render second-factor login page
+router.get('/2fa/enrol',   login.getTotpEnrol);  // render (required) 2fa enrolment page
+router.post('/2fa',        login.postTotp);      // process second-factor login
+router.post('/2fa/enrol',  login.postTotpEnrol); // process (required) 2fa enrolment
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
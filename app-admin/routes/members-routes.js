@@ -6,18 +6,25 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import members from '../handlers/members.js';
+import Permission from '../../lib/permission-middleware.js';
+import members    from '../handlers/members.js';
 
+const read  = Permission.require('members:read');
+const write = Permission.require('members:write');
 
-router.get('/members',             members.list);          // render list members page
-router.get('/members/add',         members.add);           // render add a new member page
-router.get('/members/:id',         members.view);          // render view member details page
-router.get('/members/:id/edit',    members.edit);          // render edit member details page
-router.get('/members/:id/delete',  members.delete);        // render delete a member page
 
-router.post('/members/add',        members.processAdd);    // process add member
-router.post('/members/:id/edit',   members.processEdit);   // process edit member
-router.post('/members/:id/delete', members.processDelete); // process delete member
+router.get('/members',             read,  members.list);          // render list members page
+router.get('/members/add',         write, members.add);           // render add a new member page
+router.get('/members/export',      read,  members.exportCsv);     // download members as csv
+router.get('/members/import',      write, members.import);        // render import members page
+router.get('/members/:id',         read,  members.view);          // render view member details page
+router.get('/members/:id/edit',    write, members.edit);          // render edit member details page
+router.get('/members/:id/delete',  write, members.delete);        // render delete a member page
+
+router.post('/members/add',        write, members.processAdd);    // process add member
+router.post('/members/import',     write, members.processImport); // process import members
+router.post('/members/:id/edit',   write, members.processEdit);   // process edit member
+router.post('/members/:id/delete', write, members.processDelete); // process delete member
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
@@ -6,18 +6,25 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import teams from '../handlers/teams.js';
+import Permission from '../../lib/permission-middleware.js';
+import teams      from '../handlers/teams.js';
 
+const read  = Permission.require('teams:read');
+const write = Permission.require('teams:write', { team: ctx => ctx.params.id }); // a team grant allows updating that team
 
-router.get('/teams',               teams.list);          // render list members page
-router.get('/teams/add',           teams.add);           // render add a new member page
-router.get('/teams/:id',           teams.view);          // render view member details page
-router.get('/teams/:id/edit',      teams.edit);          // render edit member details page
-router.get('/teams/:id/delete',    teams.delete);        // render delete a member page
 
-router.post('/teams/add',          teams.processAdd);    // process add member
-router.post('/teams/:id/edit',     teams.processEdit);   // process edit member
-router.post('/teams/:id/delete',   teams.processDelete); // process delete member
+router.get('/teams',               read,  teams.list);          // render list members page
+router.get('/teams/add',           write, teams.add);           // render add a new member page
+router.get('/teams/export',        read,  teams.exportCsv);     // download teams as csv
+router.get('/teams/import',        write, teams.import);        // render import teams page
+router.get('/teams/:id',           read,  teams.view);          // render view member details page
+router.get('/teams/:id/edit',      read,  teams.edit);          // render edit member details page
+router.get('/teams/:id/delete',    write, teams.delete);        // render delete a member page
+
+router.post('/teams/add',          write, teams.processAdd);    // process add member
+router.post('/teams/import',       write, teams.processImport); // process import teams
+router.post('/teams/:id/edit',            teams.processEdit);   // process edit member (permissions checked in handler)
+router.post('/teams/:id/delete',   write, teams.processDelete); // process delete member
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
@@ -0,0 +1,31 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  Users routes                                                                                  */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import Permission from '../../lib/permission-middleware.js';
+import users      from '../handlers/users.js';
+
+const read  = Permission.require('users:read');
+const write = Permission.require('users:write');
+
+
+router.get('/users',              read,  users.list);          // render list users page
+router.get('/users/add',          write, users.add);           // render invite a new user page
+router.get('/users/locked',       read,  users.locked);        // render list locked accounts page
+router.get('/users/:id/edit',     read,  users.edit);          // render edit user details page
+router.get('/users/:id/delete',   write, users.delete);        // render delete a user page
+
+router.post('/users/add',         write, users.processAdd);    // process invite user
+router.post('/users/roles',       write, users.processRoles);  // process role (2fa requirement) settings
+router.post('/users/locked',      write, users.processUnlock); // process unlock account
+router.post('/users/:id/edit',    write, users.processEdit);   // process edit user (or disable/enable, reset 2fa)
+router.post('/users/:id/delete',  write, users.processDelete); // process delete user
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
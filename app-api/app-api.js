@@ -1,12 +1,19 @@
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 /* API app - RESTful API for API interface and/or ajax functions.                                 */
 /*                                                                                                */
-/* The API provides GET / POST / PATCH / DELETE methods on a variety of resources.                */
+/* The API provides GET / POST / PUT / PATCH / DELETE methods on a variety of resources.          */
 /*                                                                                                */
-/* 2xx responses honour the request Accept type (json/xml/yaml/text) for the response body;       */
-/* 4xx/5xx responses provide a simple text message in the body.                                   */
+/* 2xx responses honour the request Accept type (json/xml/yaml/text/csv/ndjson) for the response  */
+/* body (see response-body.js for csv & ndjson); request bodies can be form-urlencoded/multipart, */
+/* json, xml, or yaml (see request-body.js).                                                      */
+/* 4xx/5xx responses provide RFC 7807 problem details in the body (see problem.js).               */
 /*                                                                                                */
 /* A GET on a collection which returns no results returns a 204 / No Content response.            */
+/*                                                                                                */
+/* Collections are paged, with Link & X-Total-Count headers (see pagination.js).                  */
+/*                                                                                                */
+/* Individual resources carry ETags; PUT / PATCH / DELETE require a matching If-Match header      */
+/* (see conditional.js).                                                                          */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 import Koa    from 'koa';      // koa framework
@@ -17,9 +24,12 @@ import Debug  from 'debug';    // small debugging utility
 
 const debug = Debug('app:req'); // debug each request
 
-import Log   from '../lib/log.js';
-import Ssl   from '../lib/ssl-middleware.js';
-import Auth  from './auth.js';
+import Log          from '../lib/log.js';
+import Ssl          from '../lib/ssl-middleware.js';
+import Auth         from './auth.js';
+import Problem      from './problem.js';
+import RequestBody  from './request-body.js';
+import ResponseBody from './response-body.js';
 
 
 const app = new Koa(); // API app
@@ -27,7 +37,7 @@ const app = new Koa(); // API app
 
 // log requests (into mongodb capped collection)
 app.use(async function logAccess(ctx, next) {
-    debug(ctx.request.method.padEnd(4) + ' ' + ctx.request.url);
+    debug(ctx.request.method.padEnd(4) + ' ' + Log.scrubUrl(ctx.request.url));
     const t1 = Date.now();
     await next();
     const t2 = Date.now();
@@ -36,22 +46,27 @@ app.use(async function logAccess(ctx, next) {
 });
 
 
-// content negotiation: api will respond with json, xml, or yaml
+// content negotiation: api will respond with json, xml, yaml, csv, or ndjson
 app.use(async function contentNegotiation(ctx, next) {
     await next();
 
     if (!ctx.response.body) return; // no content to return
+    if (typeof ctx.response.body.pipe == 'function') return; // streamed body is already formatted
 
     // check Accept header for preferred response type
-    const type = ctx.request.accepts('json', 'xml', 'yaml', 'text');
+    const type = ResponseBody.type(ctx);
+
+    // error responses have problem details (rfc 7807) content types
+    const problem = ctx.response.body.root == 'problem';
 
     switch (type) {
         case 'json':
         default:
             delete ctx.response.body.root; // xml root element
-            break; // ... koa takes care of type
+            if (problem) ctx.response.type = 'application/problem+json';
+            break; // ... otherwise koa takes care of type
         case 'xml':
-            ctx.response.type = type;
+            ctx.response.type = problem ? 'application/problem+xml' : type;
             const root = ctx.response.body.root; // xml root element
             delete ctx.response.body.root;
             ctx.response.body = xmlify(ctx.response.body, root);
@@ -62,6 +77,16 @@ app.use(async function contentNegotiation(ctx, next) {
             ctx.response.type = 'yaml';
             ctx.response.body = yaml.dump(ctx.response.body);
             break;
+        case 'text/csv':
+            delete ctx.response.body.root; // xml root element
+            ctx.response.type = type;
+            ctx.response.body = ResponseBody.toCsv(ctx.response.body);
+            break;
+        case 'application/x-ndjson':
+            delete ctx.response.body.root; // xml root element
+            ctx.response.type = type;
+            ctx.response.body = ResponseBody.toNdjson(ctx.response.body);
+            break;
         case false:
             ctx.throw(406); // "Not acceptable" - can't furnish whatever was requested
             break;
@@ -84,16 +109,25 @@ app.use(async function handleErrors(ctx, next) {
                 break;
             case 401: // Unauthorized
                 ctx.response.set('WWW-Authenticate', 'Basic');
+                ctx.response.body = Problem.details(ctx, err);
                 break;
+            case 400: // Bad Request
             case 403: // Forbidden
             case 404: // Not Found
             case 406: // Not Acceptable
             case 409: // Conflict
-                ctx.response.body = { message: err.message, root: 'error' };
+            case 410: // Gone
+            case 412: // Precondition Failed
+            case 413: // Payload Too Large
+            case 415: // Unsupported Media Type
+            case 428: // Precondition Required
+            case 429: // Too Many Requests
+                ctx.response.body = Problem.details(ctx, err);
                 break;
             default:
             case 500: // Internal Server Error (for uncaught or programming errors)
-                ctx.response.body = { message: err.message, stack: err.stack, root: 'error' };
+                ctx.response.body = Problem.details(ctx, err);
+                if (err.stack) ctx.response.body.stack = err.stack;
                 // ctx.app.emit('error', err, ctx); // github.com/koajs/koa/wiki/Error-Handling
                 break;
         }
@@ -101,9 +135,24 @@ app.use(async function handleErrors(ctx, next) {
 });
 
 
+// reject request bodies of types the api can't handle
+app.use(async function checkContentType(ctx, next) {
+    const hasBody = [ 'POST', 'PUT', 'PATCH' ].includes(ctx.request.method) && ctx.request.length !== 0;
+    if (hasBody && ctx.request.is(RequestBody.types) === false) { // note is() returns null if no body
+        ctx.throw(415, `Content-Type must be one of ${RequestBody.types.join(', ')}`); // Unsupported Media Type
+    }
+    await next();
+});
+
+
 // parse request body into ctx.request.body
 // - multipart allows parsing of enctype=multipart/form-data
-app.use(body({ multipart: true }));
+// - text is left for RequestBody to parse xml & yaml bodies
+app.use(body({ multipart: true, text: false }));
+app.use(async function parseBody(ctx, next) {
+    await RequestBody.parse(ctx);
+    await next();
+});
 
 
 // clean up post data - trim & convert blank fields to null
@@ -139,9 +188,11 @@ app.use(Auth.middleware.verifyJwtApi());
 import routesMembers     from './routes-members.js';
 import routesTeams       from './routes-teams.js';
 import routesTeamMembers from './routes-team-members.js';
+import routesUsers       from './routes-users.js';
 app.use(routesMembers);
 app.use(routesTeams);
 app.use(routesTeamMembers);
+app.use(routesUsers);
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
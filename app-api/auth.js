@@ -1,64 +1,169 @@
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 /* API authentication - similar to login functions for the www site, but JWT token is obtained by */
-/* a call to the /auth resource.                                                                  */
+/* a POST to the /auth resource (GET /auth with query-string credentials is deprecated).          */
+/*                                                                                                */
+/* /auth issues a short-lived (15-minute) JWT access token, and a refresh token which can be      */
+/* exchanged at /auth/refresh for a new access token (and a replacement refresh token). Access    */
+/* tokens are checked against revocations on each request: /auth/logout revokes the session the   */
+/* tokens belong to, and a password change revokes all tokens issued to the user.                 */
+/*                                                                                                */
+/* Server-to-server integrations can use API keys (created in the admin app) in place of JWTs.    */
+/*                                                                                                */
+/* Failed authentications are throttled per account & per IP address (see lib/login-throttle.js). */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 import jwt    from 'jsonwebtoken'; // JSON Web Token implementation
 import Scrypt from 'scrypt-kdf';   // scrypt key derivation function
 
-import User from '../models/user.js';
+import User          from '../models/user.js';
+import RefreshToken  from '../models/refresh-token.js';
+import Session       from '../models/session.js';
+import ApiKey        from '../models/api-key.js';
+import PasswordReset from '../models/password-reset.js';
+import LoginThrottle from '../lib/login-throttle.js';
+import Mail          from '../lib/mail.js';
+
+const accessTokenExpiry = 60*15; // access tokens are valid for 15 minutes
 
 
 class Auth {
 
     /**
-     * @api {get} /auth Get JWT authentication token for subsequent API requests
-     * @apiName   GetAuth
+     * @api {post} /auth Get JWT authentication token for subsequent API requests
+     * @apiName   PostAuth
      * @apiGroup  Auth
      *
      * @apiDescription Subsequent requests requiring authentication are made with the JSON Web Token
      *   obtained from /auth, supplied in the Bearer Authorization HTTP header.
      *
+     *   Credentials can be supplied in the request body, or in a Basic Authorization HTTP header.
+     *
      *   Note that since this does a KDF verification, it is a *slow* operation. The returned token
-     *   has a 24-hour limited lifetime.
+     *   has a 15-minute lifetime; the refresh token can be used to obtain a new token from
+     *   /auth/refresh.
+     *
+     * @apiParam   (Body) username           Email of user to be authenticated.
+     * @apiParam   (Body) password           Password of user to be authenticated.
+     * @apiHeader  [Authorization]           Basic authentication credentials (in place of body username/password).
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  [Content-Type]            application/x-www-form-urlencoded, application/json, application/xml, application/yaml.
+     * @apiSuccess jwt                       JSON Web Token be used for subsequent Authorization header
+     * @apiSuccess refreshToken              Token to obtain replacement JWT from /auth/refresh
+     * @apiSuccess expiresIn                 Lifetime of JWT in seconds
+     * @apiError   401/Unauthorized          Username/password not supplied.
+     * @apiError   403/Forbidden             User account disabled.
+     * @apiError   404/NotFound              Username/password not found.
+     * @apiError   429/TooManyRequests       Too many failed attempts: retry after Retry-After seconds.
+     */
+    static async postAuth(ctx) {
+        const { username, password } = basicCredentials(ctx) || ctx.request.body;
+
+        const user = await authenticate(ctx, username, password);
+
+        const session = await RefreshToken.issue(user.UserId);
+
+        ctx.response.body = { ...tokens(user, session), root: 'Auth' };
+    }
+
+
+    /**
+     * @api {get} /auth Get JWT authentication token (deprecated: use POST /auth)
+     * @apiName   GetAuth
+     * @apiGroup  Auth
+     *
+     * @apiDescription Deprecated, as credentials in the query string get recorded in logs: responses
+     *   carry Deprecation and Link headers, and a Sunset header if AUTH_GET_SUNSET is set. After the
+     *   sunset date, requests are rejected with 410/Gone.
      *
      * @apiParam   username                  Email of user to be authenticated.
      * @apiParam   password                  Password of user to be authenticated.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
      * @apiSuccess jwt                       JSON Web Token be used for subsequent Authorization header
+     * @apiSuccess refreshToken              Token to obtain replacement JWT from /auth/refresh
+     * @apiSuccess expiresIn                 Lifetime of JWT in seconds
+     * @apiError   410/Gone                  Deprecation period has ended.
+     * @apiError   429/TooManyRequests       Too many failed attempts: retry after Retry-After seconds.
      */
     static async getAuth(ctx) {
+        const sunset = process.env.AUTH_GET_SUNSET ? new Date(process.env.AUTH_GET_SUNSET) : null;
+        if (sunset && isNaN(sunset)) throw new Error(`Invalid AUTH_GET_SUNSET date ‘${process.env.AUTH_GET_SUNSET}’`);
+
+        ctx.response.set('Deprecation', 'true');
+        ctx.response.set('Link', '</auth>; rel="successor-version"');
+        if (sunset) ctx.response.set('Sunset', sunset.toUTCString());
+
+        if (sunset && sunset <= new Date()) ctx.throw(410, 'GET /auth is no longer supported: use POST /auth');
+
         const { username, password } = ctx.request.query;
-        if (!username || !password) ctx.throw(401, 'Username/password not supplied');
-        let [ user ] = await User.getBy('Email', username);
-
-        // always invoke verify() (whether email found or not) to mitigate against timing attacks on authentication function
-        const passwordHash = user ? user.Password : '0123456789abcdef'.repeat(8);
-        let passwordMatch = null;
-        try {
-            passwordMatch = await Scrypt.verify(Buffer.from(passwordHash, 'base64'), password);
-        } catch (e) {
-            if (e instanceof RangeError) user = null; // "Invalid key"
-            if (!(e instanceof RangeError)) throw e;
-        }
 
-        if (!user || !passwordMatch) ctx.throw(404, 'Username/password not found');
+        const user = await authenticate(ctx, username, password);
 
-        const payload = {
-            id:   user.UserId,                         // to get user details
-            role: user.Role.slice(0, 1).toLowerCase(), // make role available without db query
-        };
-        const token = jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn: '24h' });
-        ctx.response.body = { jwt: token, root: 'Auth' };
+        const session = await RefreshToken.issue(user.UserId);
+
+        ctx.response.body = { ...tokens(user, session), root: 'Auth' };
+    }
+
+
+    /**
+     * @api {post} /auth/refresh Exchange refresh token for new JWT authentication token
+     * @apiName   PostAuthRefresh
+     * @apiGroup  Auth
+     *
+     * @apiDescription Refresh tokens can be used once only: each refresh returns a replacement
+     *   refresh token. Re-use of a refresh token revokes the session it belongs to.
+     *
+     * @apiParam   (Body) refreshToken       Refresh token from /auth (or previous /auth/refresh).
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml.
+     * @apiSuccess jwt                       JSON Web Token be used for subsequent Authorization header
+     * @apiSuccess refreshToken              Token to obtain replacement JWT from /auth/refresh
+     * @apiSuccess expiresIn                 Lifetime of JWT in seconds
+     * @apiError   403/Forbidden             User account disabled.
+     */
+    static async postRefresh(ctx) {
+        const refreshToken = ctx.request.body.refreshToken;
+        if (!refreshToken) ctx.throw(401, 'Refresh token not supplied');
+
+        const { userId, ...session } = await RefreshToken.rotate(refreshToken); // throws 401 on invalid token
+
+        const user = await User.get(userId);
+        if (!user) ctx.throw(401, 'Invalid refresh token');
+        if (user.DisabledOn) ctx.throw(403, 'User account disabled', { code: 'account-disabled' });
+
+        ctx.response.body = { ...tokens(user, session), root: 'Auth' };
+    }
+
+
+    /**
+     * @api {post} /auth/logout Revoke JWT authentication token & refresh token
+     * @apiName   PostAuthLogout
+     * @apiGroup  Auth
+     *
+     * @apiDescription Revokes the session the JWT belongs to: neither the JWT nor the session's
+     *   refresh token will be accepted subsequently.
+     *
+     * @apiHeader  Authorization             Bearer JWT authentication token.
+     * @apiSuccess (Success 2xx) 204/NoContent Session revoked.
+     * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     */
+    static async postLogout(ctx) {
+        await Auth.verifyJwtApi(ctx); // throws 401 on invalid (or already revoked) token
+
+        if (ctx.state.auth.sid) await RefreshToken.revokeSession(ctx.state.auth.sid);
+
+        ctx.response.status = 204; // No Content
     }
 
 
     /**
      * Verify the JSON Web Token authentication supplied in Bearer Authorization header, for API calls.
      *
-     * If the token verifies, record the payload in ctx.state.auth.
+     * If the token verifies, and has not been revoked, record the payload in ctx.state.auth.
+     *
+     * The Bearer token may alternatively be an API key (created in the admin app), in which case
+     * the request must be within the key's scopes.
      */
-    static verifyJwtApi(ctx) {
+    static async verifyJwtApi(ctx) {
         const secretKey = process.env.JWT_SECRET_KEY;
         if (!secretKey) ctx.throw(401, 'No JWT Secret Key available');
 
@@ -67,18 +172,26 @@ class Auth {
         const [ scheme, token ] = ctx.request.header.authorization.split(' ');
         if (scheme != 'Bearer') ctx.throw(401, 'Invalid authorisation');
 
+        if (ApiKey.isApiKey(token)) return await verifyApiKey(ctx, token);
+
         if (token) {
+            let payload = null;
             try {
-                const payload = jwt.verify(token, secretKey); // throws on invalid token
-
-                // valid token: accept it...
-                ctx.state.auth = authDetails(payload);
+                payload = jwt.verify(token, secretKey); // throws on invalid token
             } catch (err) {
                 if ([ 'invalid token', 'invalid signature', 'jwt malformed', 'jwt expired' ].includes(err.message)) {
                     ctx.throw(401, 'Invalid authentication'); // verify failed
                 }
                 ctx.throw(err.status || 500, err.message); // Internal Server Error
             }
+
+            // check token has not been revoked (by logout, or for all user's tokens by password change)
+            if (payload.sid && await RefreshToken.sessionRevoked(payload.sid)) ctx.throw(401, 'Authentication has been revoked');
+            if (payload.session && !await Session.touch(payload.session, ctx.request.ip)) ctx.throw(401, 'Authentication has been revoked'); // admin app (ajax) token
+            if (await User.tokenRevoked(payload.id, payload.iat)) ctx.throw(401, 'Authentication has been revoked');
+
+            // valid token: accept it...
+            ctx.state.auth = authDetails(payload, token);
         }
     }
 
@@ -94,7 +207,7 @@ Auth.middleware = {
      */
     verifyJwtApi: function() {
         return async function(ctx, next) {
-            Auth.verifyJwtApi(ctx);
+            await Auth.verifyJwtApi(ctx);
             // if we had a valid token, the user is now set up as a logged-in user with details in ctx.state.auth
             await next();
 
@@ -103,17 +216,125 @@ Auth.middleware = {
 };
 
 
+/**
+ * Verify API key supplied as Bearer token, and check request is within the key's scopes: read
+ * scopes allow GET requests, write scopes other methods; team memberships come under teams.
+ *
+ * Valid keys record the key's user (with the user's current role), and scopes, in ctx.state.auth.
+ */
+async function verifyApiKey(ctx, key) {
+    const apiKey = await ApiKey.verify(key);
+    if (!apiKey) ctx.throw(401, 'Invalid API key');
+
+    const resource = ctx.request.path.split('/')[1].replace(/^team-members$/, 'teams');
+    const access = [ 'GET', 'HEAD' ].includes(ctx.request.method) ? 'read' : 'write';
+    const scope = `${resource}:${access}`;
+    if (!apiKey.scopes.includes(scope)) ctx.throw(403, `API key does not have ‘${scope}’ scope`, { code: 'insufficient-scope' });
+
+    ctx.state.auth = authDetails({ id: apiKey.userId, role: apiKey.role, apiKey: apiKey.id, scopes: apiKey.scopes });
+}
+
+
+/**
+ * Verify username/password, returning User details. Throws 401 if credentials are not supplied,
+ * 404 if they don't match a user, 429 if too many failed attempts have been made (for the account,
+ * or from the IP address).
+ */
+async function authenticate(ctx, username, password) {
+    if (!username || !password) ctx.throw(401, 'Username/password not supplied');
+
+    // refuse attempt before (expensive) password verification if throttled (otherwise reserve it)
+    const wait = await LoginThrottle.reserve(username, ctx.request.ip);
+    if (wait) {
+        ctx.response.set('Retry-After', wait.toString());
+        ctx.throw(429, `Too many failed login attempts: retry after ${wait} seconds`, { code: 'too-many-attempts' });
+    }
+
+    let [ user ] = await User.getBy('Email', username);
+
+    // always invoke verify() (whether email found or not) to mitigate against timing attacks on authentication function
+    const passwordHash = user && user.Password ? user.Password : '0123456789abcdef'.repeat(8); // invited users have no password until set
+    let passwordMatch = null;
+    try {
+        passwordMatch = await Scrypt.verify(Buffer.from(passwordHash, 'base64'), password);
+    } catch (e) {
+        if (e instanceof RangeError) user = null; // "Invalid key"
+        if (!(e instanceof RangeError)) throw e;
+    }
+
+    if (!user || !passwordMatch) {
+        if (user && await LoginThrottle.lockedOut(username)) await lockoutNotification(ctx, user);
+        ctx.throw(404, 'Username/password not found');
+    }
+    if (user.DisabledOn) {
+        await LoginThrottle.release(username, ctx.request.ip); // not a failed attempt
+        ctx.throw(403, 'User account disabled', { code: 'account-disabled' });
+    }
+
+    await LoginThrottle.success(username, ctx.request.ip);
+    await PasswordReset.revokeUser(user.UserId); // user evidently knows their password
+
+    return user;
+}
+
+
+/**
+ * Notify user their account has been locked following repeated failed login attempts (with a
+ * link to the admin app's password reset, in case it was them).
+ */
+async function lockoutNotification(ctx, user) {
+    const context = {
+        Firstname: user.Firstname,
+        minutes:   LoginThrottle.lockoutMinutes,
+        ip:        ctx.request.ip,
+        host:      ctx.request.host.replace(/^api\./, 'admin.'),
+    };
+    await Mail.send(`"${user.Firstname} ${user.Lastname}" <${user.Email}>`, 'login-locked.email', context, ctx);
+}
+
+
+/**
+ * Return username/password from Basic Authorization header, or null if none supplied.
+ */
+function basicCredentials(ctx) {
+    const [ scheme, encoded ] = (ctx.request.header.authorization || '').split(' ');
+    if (scheme != 'Basic' || !encoded) return null;
+
+    const credentials = Buffer.from(encoded, 'base64').toString();
+    const separator = credentials.indexOf(':'); // note password may contain ':'
+    if (separator == -1) return null;
+
+    return { username: credentials.slice(0, separator), password: credentials.slice(separator+1) };
+}
+
+
+/**
+ * Return response body with new access token (JWT) for user, and refresh token for session.
+ */
+function tokens(user, session) {
+    const payload = {
+        id:   user.UserId,                         // to get user details
+        role: user.Role,                           // make role available without db query
+        sid:  session.sessionId,                   // to check session has not been revoked
+    };
+    const token = jwt.sign(payload, process.env.JWT_SECRET_KEY, { expiresIn: accessTokenExpiry });
+
+    return { jwt: token, refreshToken: session.token, expiresIn: accessTokenExpiry };
+}
+
 
 /**
- * Copy payload, expand the cryptic abbreviated roles in the JWT token to full versions, & keep a
- * copy of the jwt token.
+ * Copy payload, recording role for permission checks, & keep a copy of the jwt token.
+ *
+ * Tokens issued before roles were defined in the database have abbreviated roles (g/a/s), which
+ * are expanded to full versions.
  */
 function authDetails(jwtPayload, token) {
-    const roles = { g: 'guest', a: 'admin', s: 'su' };
+    const legacyRoles = { g: 'guest', a: 'admin', s: 'su' };
 
-    const details = { ...jwtPayload };     // for user id  to look up user details (use copy of payload to not zap original)
-    details.Role = roles[jwtPayload.role]; // expand abbreviated roles for authorisation checks
-    details.jwt = token;                   // for ajax->api calls
+    const details = { ...jwtPayload };                              // for user id  to look up user details (use copy of payload to not zap original)
+    details.Role = legacyRoles[jwtPayload.role] || jwtPayload.role; // for permission checks
+    details.jwt = token;                                            // for ajax->api calls
 
     return details;
 }
@@ -11,10 +11,12 @@
 /* For XML, MySQL booleans should be translated into 'true'/'false'/'', and nulls should have an  */
 /* 'xsi:nil' attribute.                                                                           */
 /*                                                                                                */
-/* Posted values should have 'true'/'false'/'' translated to true/false/null.                     */
+/* Posted values should have 'true'/'false'/'' translated to true/false/null (JSON & YAML bodies  */
+/* may already have typed true/false/null values).                                                */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import Db from '../lib/mysqldb.js';
+import Db         from '../lib/mysqldb.js';
+import ModelError from '../models/modelerror.js';
 
 
 class CastBoolean {
@@ -44,12 +46,16 @@ class CastBoolean {
 
 
     /**
-     * Cast string true/false/null values (as received by API POST/PATCH body) to JavaScript booleans
-     * where table fields are MySQL BIT(1) / TINYINT(1).
+     * Cast true/false/null values (as received by API POST/PATCH body) to JavaScript booleans where
+     * table fields are MySQL BIT(1) / TINYINT(1).
+     *
+     * Form & XML bodies supply string 'true'/'false'/'' values (or '1'/'0'); JSON & YAML bodies may
+     * supply typed true/false/null values (or 1/0), which are accepted as they are.
      *
      * @param   {string} table Name of table values are being cast for (field types are checked)
      * @param   {Object} values
      * @returns {Object} Converted values
+     * @throws  ModelError 403 on values which are not boolean.
      *
      * @example
      *   ctx.request.body = await castBoolean.fromStrings('Member', ctx.request.body);
@@ -57,11 +63,12 @@ class CastBoolean {
      */
     static async fromStrings(table, values) {
         const castValues = values;
-        const fields = await Db.query('Describe '+table);
-        fields[0].forEach(field => {
+        const fields = await Db.describe(table);
+        fields.forEach(field => {
             const boolean = field.Type=='tinyint(1)' || field.Type=='bit(1)';
             if (boolean && field.Field in values) {
-                castValues[field.Field] = values[field.Field]=='' ? null : JSON.parse(values[field.Field].toLowerCase());
+                castValues[field.Field] = toBoolean(values[field.Field]);
+                if (castValues[field.Field] === undefined) throw new ModelError(403, `${field.Field} must be true or false`);
             }
         });
         return castValues;
@@ -70,6 +77,19 @@ class CastBoolean {
 }
 
 
+/**
+ * Convert 'true'/'false'/'1'/'0'/'' strings, true/false/null, or 1/0 to true/false/null; any other
+ * value returns undefined.
+ */
+function toBoolean(value) {
+    if (value === null || value === '') return null;
+    if (typeof value == 'boolean') return value;
+    if (value === 1 || value === 0 || value === '1' || value === '0') return value == 1;
+    if (typeof value == 'string') return Db.trueFalseToBool(value);
+    return undefined;
+}
+
+
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 export default CastBoolean;
@@ -0,0 +1,138 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Conditional requests (RFC 7232) for optimistic concurrency control.                            */
+/*                                                                                                */
+/* Responses for individual resources carry an ETag identifying the version of the resource (as   */
+/* returned by the model's version() function). For GET requests, representations other than the  */
+/* full JSON representation (other response types, or with ?fields / ?include selections) have    */
+/* the representation appended to the version, so that each representation has a distinct ETag.   */
+/*                                                                                                */
+/* GET requests with an If-None-Match header matching the current ETag get a 304 / Not Modified   */
+/* response. Note the ETag reflects the resource record itself; it does not change with changes   */
+/* to related resources (such as team memberships).                                               */
+/*                                                                                                */
+/* PUT / PATCH / DELETE requests must supply an If-Match header with the ETag of the version the  */
+/* modification is based on (the ETag of any representation of that version is accepted): if it   */
+/* is missing, they get a 428 / Precondition Required response; if the resource has been changed  */
+/* since, they get a 412 / Precondition Failed response.                                          */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto'; // nodejs.org/api/crypto.html
+
+import Db           from '../lib/mysqldb.js';
+import ResponseBody from './response-body.js';
+
+
+class Conditional {
+
+    /**
+     * Set ETag response header for given resource details, and check whether it matches any
+     * If-None-Match request header.
+     *
+     * @param   {Object}  ctx - Koa context.
+     * @param   {Object}  Model - Model the resource belongs to (providing version()).
+     * @param   {Object}  object - Resource details (as returned by Model.get()).
+     * @returns {boolean} True if client already has current version (response should be 304).
+     *
+     * @example
+     *   if (Conditional.notModified(ctx, Member, member)) { ctx.response.status = 304; return; }
+     */
+    static notModified(ctx, Model, object) {
+        ctx.response.etag = Model.version(object) + representation(ctx);
+        ctx.response.vary('Accept'); // ETag depends on negotiated response type
+
+        const ifNoneMatch = ctx.request.get('If-None-Match');
+        if (!ifNoneMatch) return false;
+
+        // weak comparison: W/ prefixes are disregarded
+        const weak = tag => tag.replace(/^W\//, '');
+        return ifNoneMatch.trim() == '*' || etags(ifNoneMatch).map(weak).includes(weak(ctx.response.etag));
+    }
+
+
+    /**
+     * Perform modification of resource ctx.params.id, provided the If-Match request header matches
+     * the current version of the resource. The resource is locked, and the modification performed,
+     * within a transaction, so that the check & the modification are atomic.
+     *
+     * @param {Object}   ctx - Koa context.
+     * @param {Object}   Model - Model the resource belongs to (providing getForUpdate() & version()).
+     * @param {Function} modify - Async function performing modification, given current resource
+     *   details and connection to use.
+     * Throws 404 if resource not found, 428 if no If-Match header supplied, 412 if If-Match does not
+     * match current version.
+     *
+     * @example
+     *   await Conditional.ifMatch(ctx, Member, async (member, connection) => {
+     *       await Member.update(ctx.params.id, ctx.request.body, connection);
+     *   });
+     */
+    static async ifMatch(ctx, Model, modify) {
+        const connection = await Db.connection();
+        try {
+            await connection.beginTransaction();
+
+            const current = await Model.getForUpdate(ctx.params.id, connection);
+            const name = Model.name.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase(); // e.g. TeamMember => team-member
+            if (!current) ctx.throw(404, `No ${name} ${ctx.params.id} found`); // Not Found
+
+            const ifMatch = ctx.request.get('If-Match');
+            if (!ifMatch) ctx.throw(428, 'If-Match header required'); // Precondition Required
+
+            if (ifMatch.trim() != '*' && !Conditional.matches(ifMatch, Model.version(current))) {
+                ctx.throw(412, `${Model.name} ${ctx.params.id} has been changed`); // Precondition Failed
+            }
+
+            await modify(current, connection);
+
+            await connection.commit();
+        } catch (e) {
+            await connection.rollback();
+            throw e;
+        } finally {
+            connection.release();
+        }
+    }
+
+
+    /**
+     * Whether any ETag in If-Match header (or bulk _etag) is for given version of resource: the
+     * ETag may be for any representation of the version.
+     *
+     * Uses strong comparison: weak tags (W/"...") never match.
+     *
+     * @param   {string}  ifMatch - If-Match header (list of ETags).
+     * @param   {string}  version - Current version of resource (as returned by Model.version()).
+     * @returns {boolean} True if an ETag is for the current version.
+     */
+    static matches(ifMatch, version) {
+        return etags(String(ifMatch)).some(tag => tag == `"${version}"` || tag.startsWith(`"${version}-`));
+    }
+
+}
+
+
+/**
+ * Return representation suffix for ETag of GET response: empty for full JSON representation,
+ * otherwise a hash of the negotiated response type and any ?fields / ?include selection.
+ */
+function representation(ctx) {
+    const type = ResponseBody.type(ctx) || 'json';
+    const { fields, include } = ctx.request.query;
+    if (type == 'json' && fields === undefined && include === undefined) return '';
+
+    const selection = JSON.stringify([ type, fields, include ]);
+    return '-' + crypto.createHash('sha1').update(selection).digest('hex').slice(0, 8);
+}
+
+
+/**
+ * Return list of entity tags from If-Match / If-None-Match header.
+ */
+function etags(header) {
+    return header.split(',').map(tag => tag.trim());
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Conditional;
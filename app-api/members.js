@@ -2,9 +2,19 @@
 /*  API handlers - Members                                                                        */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import Member      from '../models/member.js';
-import Db          from '../lib/mysqldb.js';
-import castBoolean from './cast-boolean.js';
+import Member       from '../models/member.js';
+import Db           from '../lib/mysqldb.js';
+import castBoolean  from './cast-boolean.js';
+import Pagination   from './pagination.js';
+import QueryFilter  from '../lib/query-filter.js';
+import JsonPatch    from '../lib/json-patch.js';
+import Conditional  from './conditional.js';
+import ResponseBody from './response-body.js';
+import Problem      from './problem.js';
+import ModelError   from '../models/modelerror.js';
+import RequestBody  from './request-body.js';
+
+const bulkLimit = 1000; // max number of members in a bulk request
 
 
 class MembersHandlers {
@@ -16,44 +26,63 @@ class MembersHandlers {
      *
      * @apiDescription Summary list of members.
      *
-     * @apiParam   -filter-field-              Field to be filtered on (eg /members?firstname=fred)
+     *   Lists are paged: the Link header provides first/prev/next/last links, and the X-Total-Count
+     *   header gives the total number of (matching) members.
+     *
+     *   With Accept application/x-ndjson and no limit/offset/cursor, all (matching) members are
+     *   streamed, one per line, rather than being paged.
+     *
+     * @apiParam   -filter-field-              Field to be filtered on (eg /members?firstname=fred); operators
+     *                                        as field[op]=value: eq, ne, gt, gte, lt, lte, like, nlike, in,
+     *                                        nin, null (eg /members?Lastname[like]=Sch%&MemberId[gt]=100002).
+     * @apiParam   [or]                        Or'ed conditions separated by '|' (eg or=Firstname=Lewis|Lastname=Hamilton).
+     * @apiParam   [limit=100]                 Number of members to return (max 1000).
+     * @apiParam   [offset=0]                  Number of members to skip.
+     * @apiParam   [cursor]                    Opaque (offset) token from Link header (alternative to offset).
+     * @apiParam   [sort=Firstname,Lastname]   Fields to sort by, '-' prefix for descending (eg sort=-Lastname,Firstname).
+     * @apiParam   [fields]                    Fields to include in list (eg fields=Firstname,Email).
      * @apiHeader  Authorization               Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain.
-     * @apiSuccess (Success 2xx) 200/OK        List of members with id, uri attributes.
+     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiSuccess (Success 2xx) 200/OK        List of members with id, uri attributes (and any selected fields).
      * @apiSuccess (Success 2xx) 204/NoContent No matching members found.
-     * @apiError   403/Forbidden               Unrecognised Member field in query.
+     * @apiError   400/BadRequest              Invalid limit, offset, cursor, or filter operator/value.
+     * @apiError   403/Forbidden               Unrecognised Member field in query, sort, or fields.
      * @apiError   401/Unauthorized            Invalid JWT auth credentials supplied.
      */
     static async getMembers(ctx) {
-        try {
-
-            let sql = 'Select * From Member';
-            // query-string filters?
-            if (ctx.request.querystring) {
-                const filter = Object.keys(ctx.request.query).map(function(q) { return q+' = :'+q; }).join(' and ');
-                sql += ' Where '+filter;
-            }
-            sql +=  ' Order By Firstname, Lastname';
+        const page = Pagination.page(ctx);
+
+        // query-string filters are any query-string parameters other than paging, sort, & fields parameters
+        const query = { ...ctx.request.query };
+        for (const param of [ 'limit', 'offset', 'cursor', 'sort', 'fields' ]) delete query[param];
+
+        const filter = await QueryFilter.where('Member', query); // throws on unrecognised field / operator
+        const where = filter.sql ? ' Where '+filter.sql : '';
+        const orderBy = await QueryFilter.sort('Member', ctx.request.query.sort, 'Firstname,Lastname');
+        const fields = await QueryFilter.fields('Member', ctx.request.query.fields) || [];
+
+        const [ [ { total } ] ] = await Db.query('Select Count(*) As total From Member'+where, filter.values);
+
+        // ndjson collections (other than explicitly paged ones) are streamed rather than buffered
+        if (ResponseBody.streamCollection(ctx)) {
+            ctx.response.set('X-Total-Count', total);
+            if (total == 0) { ctx.response.status = 204; return; } // No Content
+            const rows = await Db.stream('Select * From Member'+where+' Order By '+orderBy, filter.values);
+            ctx.response.type = 'application/x-ndjson';
+            ctx.response.body = ResponseBody.ndjsonStream(rows, member => listItem(member, fields));
+            return;
+        }
 
-            const result = await Db.query(sql, ctx.request.query);
-            const [ members ] = castBoolean.fromMysql(result);
+        const sql = 'Select * From Member'+where+' Order By '+orderBy+' Limit :limit Offset :offset';
+        const result = await Db.query(sql, { ...filter.values, limit: page.limit, offset: page.offset });
+        const [ members ] = castBoolean.fromMysql(result);
 
-            if (members.length == 0) { ctx.response.status = 204; return; } // No Content (preferred to returning 200 with empty list)
+        Pagination.setHeaders(ctx, page, total);
 
-            // just id & uri attributes in list
-            for (let m=0; m<members.length; m++) {
-                members[m] = { _id: members[m].MemberId, _uri: '/members/'+members[m].MemberId };
-            }
+        if (members.length == 0) { ctx.response.status = 204; return; } // No Content (preferred to returning 200 with empty list)
 
-            ctx.response.body = members;
-            ctx.response.body.root = 'Members';
-
-        } catch (e) {
-            switch (e.code) {
-                case 'ER_BAD_FIELD_ERROR': ctx.throw(403, 'Unrecognised Member field'); break;
-                default: throw e;
-            }
-        }
+        ctx.response.body = members.map(member => listItem(member, fields));
+        ctx.response.body.root = 'Members';
     }
 
 
@@ -62,14 +91,33 @@ class MembersHandlers {
      * @apiName   GetMembersId
      * @apiGroup  Members
      *
+     * @apiParam   [fields]                 Fields to be returned (eg fields=Firstname,Email,Teams).
+     * @apiParam   [include]                Related resources to embed in full (include=teams), with JoinedOn date.
      * @apiHeader  Authorization            Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
-     * @apiSuccess (Success 2xx) 200/OK     Full details of specified member.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  [If-None-Match]          ETag of member details already held.
+     * @apiSuccess (Success 2xx) 200/OK     Full details of specified member (or selected fields), with ETag.
+     * @apiSuccess (Success 3xx) 304/NotModified Member details unchanged since If-None-Match ETag.
      * @apiError   401/Unauthorized         Invalid JWT auth credentials supplied.
+     * @apiError   400/BadRequest           Unrecognised include.
+     * @apiError   403/Forbidden            Unrecognised Member field in fields.
      * @apiError   404/NotFound             Member not found.
      */
     static async getMemberById(ctx) {
-        const result = await Db.query('Select * From Member Where MemberId = :id', { id: ctx.params.id });
+        // conditional get: no need to return details if client already has current version
+        const current = await Member.get(ctx.params.id);
+        if (!current) ctx.throw(404, `No member ${ctx.params.id} found`); // Not Found
+        if (Conditional.notModified(ctx, Member, current)) { ctx.response.status = 304; return; } // Not Modified
+
+        // optional field selection (which may include the related 'Teams' collection)
+        const fields = await QueryFilter.fields('Member', ctx.request.query.fields, [ 'Teams' ]);
+        const columns = fields ? fields.filter(f => f != 'Teams') : [];
+        const select = fields ? [ 'MemberId', ...columns ].join(', ') : '*';
+
+        // optional embedding of related resources
+        const include = QueryFilter.include(ctx.request.query.include, [ 'teams' ]);
+
+        const result = await Db.query(`Select ${select} From Member Where MemberId = :id`, { id: ctx.params.id });
         const [ members ] = castBoolean.fromMysql(result);
         const member = members[0];
 
@@ -77,11 +125,21 @@ class MembersHandlers {
 
         // return id as attribute / underscore-field
         member._id = member.MemberId;
-
-        // team membership
-        const sql = 'Select TeamId As _id, concat("/teams/",TeamId) As _uri From TeamMember Where MemberId = :id';
-        const [ teams ] = await Db.query(sql, { id: ctx.params.id });
-        member.Teams = teams;
+        if (fields && !fields.includes('MemberId')) delete member.MemberId;
+
+        // team membership: either just id & uri, or (with include=teams) full team details
+        if (include.includes('teams')) {
+            const sql = `Select t.TeamId As _id, concat("/teams/",t.TeamId) As _uri, t.*, tm.JoinedOn
+                         From TeamMember tm Inner Join Team t Using (TeamId)
+                         Where tm.MemberId = :id
+                         Order By t.Name, t.TeamId`;
+            const [ teams ] = await Db.query(sql, { id: ctx.params.id });
+            member.Teams = teams;
+        } else if (!fields || fields.includes('Teams')) {
+            const sql = 'Select TeamId As _id, concat("/teams/",TeamId) As _uri From TeamMember Where MemberId = :id';
+            const [ teams ] = await Db.query(sql, { id: ctx.params.id });
+            member.Teams = teams;
+        }
 
         ctx.response.body = member;
         ctx.response.body.root = 'Member';
@@ -95,51 +153,187 @@ class MembersHandlers {
      *
      * @apiParam   ...                       [as per get].
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
-     * @apiHeader  Content-Type              application/x-www-form-urlencoded.
-     * @apiSuccess (Success 2xx) 201/Created Details of newly created member.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml.
+     * @apiSuccess (Success 2xx) 201/Created Details of newly created member, with ETag.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   403/Forbidden             ‘members:write’ permission required.
+     * @apiError   415/UnsupportedMediaType  Unsupported Content-Type.
      */
     static async postMembers(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         ctx.request.body = await castBoolean.fromStrings('Member', ctx.request.body);
 
         const id = await Member.insert(ctx.request.body);
 
-        ctx.response.body = await Member.get(id); // return created member details
+        const member = await Member.get(id); // return created member details
+        ctx.response.etag = Member.version(member);
+        ctx.response.body = member;
         ctx.response.body.root = 'Member';
         ctx.response.set('Location', '/members/'+id);
         ctx.response.status = 201; // Created
     }
 
 
+    /**
+     * @api {post} /members/bulk Create, update & delete members in bulk
+     * @apiName    PostMembersBulk
+     * @apiGroup   Members
+     *
+     * @apiDescription Body is an array of members: members without a MemberId are created; members
+     *   with a MemberId are updated (supplied fields only), or deleted if _delete is true. Updates &
+     *   deletes must include the member's ETag as _etag (as per If-Match).
+     *
+     *   All changes are made in a single transaction. By default, the request is all-or-nothing: if
+     *   any member fails, no changes are made (and members which would have succeeded report 424).
+     *   With atomic=false, the request is best-effort: failed members are skipped, others applied.
+     *
+     *   The response gives a result for each member, in the same order: status and (on success) id
+     *   & uri (and ETag as _etag, for created & updated members), or (on failure) status, code (as
+     *   per problem details), & message.
+     *
+     * @apiParam   [atomic=true]                All-or-nothing (true) or best-effort (false).
+     * @apiHeader  Authorization                Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json]    application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  Content-Type                 application/json.
+     * @apiSuccess (Success 2xx) 200/OK         All members succeeded: list of results.
+     * @apiSuccess (Success 2xx) 207/MultiStatus One or more members failed: list of results.
+     * @apiError   400/BadRequest               Body not an array of members, or invalid atomic.
+     * @apiError   401/Unauthorized             Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden                ‘members:write’ permission required.
+     * @apiError   413/PayloadTooLarge          More than 1000 members.
+     * @apiError   415/UnsupportedMediaType     Unsupported Content-Type.
+     */
+    static async postMembersBulk(ctx) {
+        const atomic = ctx.request.query.atomic==undefined ? true : Db.trueFalseToBool(ctx.request.query.atomic);
+        if (atomic === undefined) ctx.throw(400, 'atomic must be true or false'); // Bad Request
+
+        const members = ctx.request.body;
+        if (!Array.isArray(members) || !members.every(m => typeof m == 'object' && m !== null && !Array.isArray(m))) {
+            ctx.throw(400, 'Bulk request body must be an array of members'); // Bad Request
+        }
+        if (members.length > bulkLimit) ctx.throw(413, `Bulk request limited to ${bulkLimit} members`); // Payload Too Large
+
+        const results = [];
+
+        const connection = await Db.connection();
+        try {
+            await connection.beginTransaction();
+
+            // each member is applied within a savepoint, so a failed member leaves no partial changes
+            for (const member of members) {
+                await Db.query('Savepoint bulk_member', {}, connection);
+                try {
+                    results.push(await bulkMember(member, connection));
+                    await Db.query('Release Savepoint bulk_member', {}, connection);
+                } catch (e) {
+                    if (!(e instanceof ModelError) || e.status >= 500) throw e; // only report validation errors
+                    await Db.query('Rollback To Savepoint bulk_member', {}, connection);
+                    results.push({ status: e.status, code: Problem.code(e), message: e.message });
+                }
+            }
+
+            const failed = results.some(r => r.status >= 400);
+
+            if (atomic && failed) {
+                await connection.rollback();
+                // successful members have been rolled back along with failed ones
+                for (const [ r, result ] of results.entries()) {
+                    if (result.status < 400) results[r] = { status: 424, code: 'failed-dependency', message: 'Not applied due to failure of other member(s)' };
+                }
+            } else {
+                await connection.commit();
+            }
+
+            ctx.response.status = failed ? 207 : 200; // Multi-Status / OK
+        } catch (e) {
+            await connection.rollback();
+            throw e;
+        } finally {
+            connection.release();
+        }
+
+        ctx.response.body = results;
+        ctx.response.body.root = 'Results';
+    }
+
+
     /**
      * @api {patch} /members/:id Update member details
      * @apiName     PatchMembers
      * @apiGroup    Members
      *
+     * @apiDescription Fields supplied are updated, others are left unchanged; null values (including
+     *   in JSON Merge Patch bodies) clear fields. JSON Patch operations are applied atomically.
+     *   If-Match must supply the ETag of the member details the update is based on.
+     *
      * @apiParam   ...                       [as per get].
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
-     * @apiHeader  Content-Type              application/x-www-form-urlencoded.
-     * @apiSuccess (Success 2xx) 200/OK      Updated member details.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml,
+     *                                      application/merge-patch+json, application/json-patch+json.
+     * @apiHeader  If-Match                  ETag of member details update is based on.
+     * @apiSuccess (Success 2xx) 200/OK      Updated member details, with ETag.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   400/BadRequest            Malformed JSON Patch.
+     * @apiError   403/Forbidden             ‘members:write’ permission required.
+     * @apiError   415/UnsupportedMediaType  Unsupported Content-Type.
      * @apiError   404/NotFound              Member not found.
+     * @apiError   409/Conflict              JSON Patch cannot be applied (e.g. failed test operation).
+     * @apiError   422/UnprocessableEntity   JSON Patch would replace details with other than an object.
+     * @apiError   412/PreconditionFailed    Member has been changed since If-Match ETag.
+     * @apiError   428/PreconditionRequired  If-Match header not supplied.
      */
     static async patchMemberById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
+        await Conditional.ifMatch(ctx, Member, async (member, connection) => {
+            if (ctx.request.is('application/json-patch+json')) {
+                await patchJsonMember(ctx, connection);
+            } else {
+                // form, json, xml, yaml, or json merge patch: supplied fields are updated
+                ctx.request.body = await castBoolean.fromStrings('Member', ctx.request.body);
+                await Member.update(ctx.params.id, ctx.request.body, connection);
+            }
+        });
 
-        ctx.request.body = await castBoolean.fromStrings('Member', ctx.request.body);
+        // return updated member details
+        const member = await Member.get(ctx.params.id);
+        ctx.response.etag = Member.version(member);
+        ctx.response.body = member;
+        ctx.response.body.root = 'Member';
+    }
 
-        await Member.update(ctx.params.id, ctx.request.body);
 
-        // return updated member details
-        ctx.response.body = await Member.get(ctx.params.id);
-        if (!ctx.response.body) ctx.throw(404, `No member ${ctx.params.id} found`); // Not Found
+    /**
+     * @api {put} /members/:id Replace member details
+     * @apiName   PutMembers
+     * @apiGroup  Members
+     *
+     * @apiDescription Full replacement: any (nullable) fields not supplied are cleared. If-Match must
+     *   supply the ETag of the member details being replaced.
+     *
+     * @apiParam   ...                       [as per get].
+     * @apiHeader  Authorization             Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml.
+     * @apiHeader  If-Match                  ETag of member details being replaced.
+     * @apiSuccess (Success 2xx) 200/OK      Replaced member details, with ETag.
+     * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden             ‘members:write’ permission required, or required field not supplied.
+     * @apiError   404/NotFound              Member not found.
+     * @apiError   412/PreconditionFailed    Member has been changed since If-Match ETag.
+     * @apiError   415/UnsupportedMediaType  Unsupported Content-Type.
+     * @apiError   428/PreconditionRequired  If-Match header not supplied.
+     */
+    static async putMemberById(ctx) {
+        ctx.request.body = await castBoolean.fromStrings('Member', ctx.request.body);
+
+        await Conditional.ifMatch(ctx, Member, async (member, connection) => {
+            await Member.overwrite(ctx.params.id, ctx.request.body, connection);
+        });
 
+        // return replaced member details
+        const member = await Member.get(ctx.params.id);
+        ctx.response.etag = Member.version(member);
+        ctx.response.body = member;
         ctx.response.body.root = 'Member';
     }
 
@@ -149,25 +343,95 @@ class MembersHandlers {
      * @apiName      DeleteMembers
      * @apiGroup     Members
      *
-     * @apiHeader  Authorization        Basic Access Authentication token.
-     * @apiSuccess (Success 2xx) 200/OK Full details of deleted member.
-     * @apiError   401/Unauthorized     Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden        Admin auth required.
-     * @apiError   404/NotFound         Member not found.
+     * @apiHeader  Authorization            Basic Access Authentication token.
+     * @apiHeader  If-Match                 ETag of member details being deleted.
+     * @apiSuccess (Success 2xx) 200/OK     Full details of deleted member.
+     * @apiError   401/Unauthorized         Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden            ‘members:write’ permission required.
+     * @apiError   404/NotFound             Member not found.
+     * @apiError   412/PreconditionFailed   Member has been changed since If-Match ETag.
+     * @apiError   428/PreconditionRequired If-Match header not supplied.
      */
     static async deleteMemberById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         // return deleted member details
-        const member = await Member.get(ctx.params.id);
+        let deleted = null;
+        await Conditional.ifMatch(ctx, Member, async (member, connection) => {
+            await Member.delete(ctx.params.id, connection);
+            deleted = member;
+        });
 
-        if (!member) ctx.throw(404, `No member ${ctx.params.id} found`); // Not Found
+        ctx.response.body = deleted; // deleted member details
+        ctx.response.body.root = 'Member';
+    }
+}
 
-        await Member.delete(ctx.params.id);
 
-        ctx.response.body = member; // deleted member details
-        ctx.response.body.root = 'Member';
+/**
+ * Create, update, or delete single member within bulk request transaction.
+ *
+ * @param   {Object} member - Member details (with MemberId for update / delete, _delete for delete,
+ *   _etag for update / delete).
+ * @param   {Object} connection - Connection to use (within transaction).
+ * @returns {Object} Result with status, id, uri (and _etag other than for deletes).
+ * @throws  ModelError on validation errors, unrecognised member, or ETag mismatch.
+ */
+async function bulkMember(member, connection) {
+    const { MemberId: id, _delete, _etag, ...values } = member;
+    RequestBody.checkFields(values);
+
+    // create
+    if (id == undefined) {
+        if (_delete) throw new ModelError(400, 'MemberId required to delete member');
+        const newId = await Member.insert(await castBoolean.fromStrings('Member', values), connection);
+        const created = await Member.getForUpdate(newId, connection);
+        return { status: 201, _id: newId, _uri: '/members/'+newId, _etag: `"${Member.version(created)}"` };
+    }
+
+    // update or delete: check member details are as expected
+    const current = await Member.getForUpdate(id, connection);
+    if (!current) throw new ModelError(404, `No member ${id} found`);
+    if (!_etag) throw new ModelError(428, `_etag required to ${_delete ? 'delete' : 'update'} member ${id}`);
+    if (!Conditional.matches(_etag, Member.version(current))) throw new ModelError(412, `Member ${id} has been changed`);
+
+    if (_delete) {
+        await Member.delete(id, connection);
+        return { status: 200, _id: id, _uri: '/members/'+id };
     }
+
+    if (Object.keys(values).length == 0) throw new ModelError(400, `No fields supplied to update member ${id}`);
+    await Member.update(id, await castBoolean.fromStrings('Member', values), connection);
+    const updated = await Member.getForUpdate(id, connection);
+    return { status: 200, _id: id, _uri: '/members/'+id, _etag: `"${Member.version(updated)}"` };
+}
+
+
+/**
+ * Apply JSON Patch (RFC 6902) to member: the patch is applied to the current member details, which are
+ * then replaced by the patched details. This is invoked within the Conditional.ifMatch() transaction
+ * (with the member record locked), so that the patch is applied atomically.
+ */
+async function patchJsonMember(ctx, connection) {
+    const sql = 'Select * From Member Where MemberId = :id';
+    const result = await Db.query(sql, { id: ctx.params.id }, connection);
+    const [ [ member ] ] = castBoolean.fromMysql(result);
+
+    const patched = JsonPatch.apply(member, ctx.request.body); // throws on malformed or failed patch
+    if (typeof patched != 'object' || patched === null || Array.isArray(patched)) {
+        throw new ModelError(422, 'JSON Patch must leave member details as an object');
+    }
+    RequestBody.checkFields(patched);
+    const values = await castBoolean.fromStrings('Member', patched);
+
+    await Member.overwrite(ctx.params.id, values, connection);
+}
+
+
+/**
+ * Member as listed in collection: id & uri attributes, plus any selected fields.
+ */
+function listItem(member, fields) {
+    const selected = fields.reduce((values, field) => ({ ...values, [field]: member[field] }), {});
+    return { _id: member.MemberId, _uri: '/members/'+member.MemberId, ...selected };
 }
 
 
@@ -0,0 +1,323 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* OpenAPI 3 specification of the API, served at /openapi.json (e.g. for generating typed         */
+/* clients, or for contract checks against the running app).                                      */
+/*                                                                                                */
+/* Operations are generated from the apidoc comments on the handlers (as used for the HTML apidoc */
+/* documentation), so there is a single source for the API documentation; resource schemas are    */
+/* generated from the MySQL table definitions.                                                    */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { promises as fs } from 'fs'; // nodejs.org/api/fs.html
+
+import Db from '../lib/mysqldb.js';
+
+// handler modules documented in the specification (those used by routes-auth, routes-members, etc)
+const handlers = [ 'auth.js', 'members.js', 'teams.js', 'team-members.js', 'users.js' ];
+
+// apidoc groups which are resources with schemas generated from table definitions
+const tables = { Members: 'Member', Teams: 'Team', TeamMembers: 'TeamMember' };
+
+let specification = null; // generated on first request, as handlers & tables don't change while app is running
+
+
+class OpenApi {
+
+    /**
+     * GET /openapi.json - return OpenAPI specification of the API.
+     *
+     * The specification is returned in the preferred format (json, yaml, etc), with the current
+     * host as the server url.
+     */
+    static async getOpenApi(ctx) {
+        if (!specification) specification = await OpenApi.specification();
+
+        const { openapi, info, ...rest } = specification;
+        const servers = [ { url: ctx.request.origin } ];
+
+        ctx.response.body = { openapi, info, servers, ...rest };
+    }
+
+
+    /**
+     * Generate OpenAPI specification from handler apidoc comments & table definitions.
+     *
+     * @returns {Object} OpenAPI 3 specification (without servers).
+     */
+    static async specification() {
+        const pkg = JSON.parse(await fs.readFile('package.json', 'utf8'));
+
+        const spec = {
+            openapi:    '3.0.3',
+            info:       { title: pkg.description, version: pkg.version },
+            paths:      {},
+            components: {
+                schemas:         { Problem: problemSchema, ListItem: listItemSchema, JsonPatch: jsonPatchSchema },
+                securitySchemes: {
+                    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                    basicAuth:  { type: 'http', scheme: 'basic' },
+                },
+            },
+        };
+
+        for (const table of Object.values(tables)) {
+            spec.components.schemas[table] = tableSchema(await Db.describe(table));
+        }
+
+        for (const file of handlers) {
+            const source = await fs.readFile(`app-api/${file}`, 'utf8');
+            for (const apiDoc of OpenApi.parseApiDoc(source)) {
+                const path = apiDoc.path.replace(/:(\w+)/g, '{$1}');
+                if (!spec.paths[path]) spec.paths[path] = {};
+                spec.paths[path][apiDoc.method] = operation(apiDoc);
+            }
+        }
+
+        return spec;
+    }
+
+
+    /**
+     * Parse apidoc comments (apidocjs.com) from handler source.
+     *
+     * Tags with descriptions continued on subsequent (indented) lines are joined; @apiParam,
+     * @apiHeader, @apiSuccess, & @apiError tags are returned as lists of { group, field, optional,
+     * default, description } / { group, status, field, description } objects. Request body fields
+     * (rather than query-string parameters) are documented as @apiParam (Body).
+     *
+     * @param   {string}   source - JavaScript source code.
+     * @returns {Object[]} Documented operations: { method, path, summary, name, group, description,
+     *   params, headers, success, error }.
+     *
+     * @example
+     *   const source = await fs.readFile('app-api/teams.js', 'utf8');
+     *   const operations = OpenApi.parseApiDoc(source); // [ { method: 'get', path: '/teams', ... }, ... ]
+     */
+    static parseApiDoc(source) {
+        const operations = [];
+
+        for (const [ , comment ] of source.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+            if (!/@api\s/.test(comment)) continue;
+
+            // split comment into tags, each with (possibly multi-line) text
+            const tags = [];
+            for (const line of comment.split('\n').map(l => l.replace(/^\s*\* ?/, ''))) {
+                const tag = line.match(/^@(\w+)\s*(.*)$/);
+                if (tag) tags.push({ tag: tag[1], text: tag[2].trim() });
+                else if (tags.length > 0) tags[tags.length-1].text += '\n' + line.trim();
+            }
+
+            const op = { params: [], headers: [], success: [], error: [] };
+            for (const { tag, text: untrimmed } of tags) {
+                const text = untrimmed.trim();
+                switch (tag) {
+                    case 'api':
+                        const [ , method, path, summary ] = text.match(/^\{(\w+)\}\s+(\S+)\s*(.*)/);
+                        Object.assign(op, { method: method.toLowerCase(), path, summary: summary.replace(/\.$/, '') });
+                        break;
+                    case 'apiName':        op.name = text; break;
+                    case 'apiGroup':       op.group = text; break;
+                    case 'apiDescription': op.description = text.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ')).join('\n\n'); break;
+                    case 'apiParam':       op.params.push(parseField(text)); break;
+                    case 'apiHeader':      op.headers.push(parseField(text)); break;
+                    case 'apiSuccess':     op.success.push(parseResult(text)); break;
+                    case 'apiError':       op.error.push(parseResult(text)); break;
+                }
+            }
+            operations.push(op);
+        }
+
+        return operations;
+    }
+
+}
+
+
+/**
+ * Parse apidoc field (@apiParam / @apiHeader): '[(group)] name description', '[(group)] [name]
+ * description', or '[(group)] [name=default] description'.
+ */
+function parseField(text) {
+    const [ , group, optional, field, dflt, description ] = text.match(/^(?:\(([^)]*)\)\s*)?(\[?)([^\s=\]]+)(?:=([^\]]*))?\]?\s*([\s\S]*)$/);
+    return { group, field, optional: optional=='[', default: dflt, description: description.replace(/\s+/g, ' ') };
+}
+
+
+/**
+ * Parse apidoc result (@apiSuccess / @apiError): '[(group)] status/Name description', or
+ * '[(group)] field description'.
+ */
+function parseResult(text) {
+    const [ , group, result, description ] = text.match(/^(?:\(([^)]*)\)\s*)?(\S+)\s*([\s\S]*)$/);
+    const [ , status, field ] = result.match(/^(?:(\d{3})\/)?(.*)$/);
+    return { group, status: status ? Number(status) : undefined, field, description: description.replace(/\s+/g, ' ') };
+}
+
+
+/**
+ * Generate OpenAPI operation object from parsed apidoc.
+ */
+function operation(apiDoc) {
+    const header = name => apiDoc.headers.find(h => h.field.toLowerCase() == name.toLowerCase());
+    const mediaTypes = h => h ? h.description.replace(/\.$/, '').split(/,\s*/) : [];
+
+    const op = {
+        tags:        [ apiDoc.group ],
+        summary:     apiDoc.summary,
+        operationId: apiDoc.name,
+    };
+    if (apiDoc.description) op.description = apiDoc.description;
+    if (/\bdeprecated\b/i.test(apiDoc.summary)) op.deprecated = true;
+
+    // parameters: path parameters, query-string parameters, & (other than standard) headers
+    const parameters = [];
+    for (const [ , name ] of apiDoc.path.matchAll(/:(\w+)/g)) {
+        parameters.push({ name, in: 'path', required: true, schema: { type: 'integer' } });
+    }
+    for (const param of apiDoc.params.filter(p => /^\w+$/.test(p.field) && p.group != 'Body')) {
+        const schema = param.default === undefined ? { type: 'string' } : { type: 'string', default: param.default };
+        parameters.push({ name: param.field, in: 'query', required: !param.optional, description: param.description, schema });
+    }
+    for (const hdr of apiDoc.headers.filter(h => ![ 'authorization', 'accept', 'content-type' ].includes(h.field.toLowerCase()))) {
+        parameters.push({ name: hdr.field, in: 'header', required: !hdr.optional, description: hdr.description, schema: { type: 'string' } });
+    }
+    if (parameters.length > 0) op.parameters = parameters;
+
+    // request body: content types as per Content-Type header
+    const table = tables[apiDoc.group];
+    const requestTypes = mediaTypes(header('Content-Type'));
+    if (requestTypes.length > 0) {
+        let schema = table ? { $ref: `#/components/schemas/${table}` } : bodySchema(apiDoc.params.filter(p => p.group == 'Body'));
+        if (apiDoc.path.endsWith('/bulk')) schema = { type: 'array', items: schema };
+        const content = {};
+        for (const type of requestTypes) content[type] = { schema: type=='application/json-patch+json' ? { $ref: '#/components/schemas/JsonPatch' } : schema };
+        op.requestBody = { required: !header('Content-Type').optional, content }; // optional if eg credentials may be in header
+    }
+
+    // responses: success responses as per Accept header (defaulting to json), errors as problem details
+    const responseTypes = header('Accept') ? mediaTypes(header('Accept')) : [ 'application/json' ];
+    const responseSchema = responseSchemaFor(apiDoc, table);
+    const responses = {};
+    for (const result of apiDoc.success.filter(r => r.status)) {
+        responses[result.status] = { description: result.description || result.field };
+        if (result.status < 300 && result.status != 204) {
+            responses[result.status].content = {};
+            for (const type of responseTypes) responses[result.status].content[type] = { schema: responseSchema };
+        }
+    }
+    if (Object.keys(responses).length == 0) { // success result fields without status: 200 with those fields
+        const properties = {};
+        for (const result of apiDoc.success) properties[result.field] = { type: 'string', description: result.description };
+        responses[200] = { description: 'OK', content: {} };
+        for (const type of responseTypes) responses[200].content[type] = { schema: { type: 'object', properties } };
+    }
+    for (const result of apiDoc.error.filter(r => r.status)) {
+        const content = { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } };
+        responses[result.status] = { description: result.description || result.field, content };
+    }
+    op.responses = responses;
+
+    // security: bearer JWT, other than (optional) basic auth credentials for /auth
+    const authorization = header('Authorization');
+    if (authorization) op.security = /\bBasic\b/.test(authorization.description) ? [ { basicAuth: [] }, {} ] : [ { bearerAuth: [] } ];
+
+    return op;
+}
+
+
+/**
+ * Schema for request body (for resources without table definitions) from @apiParam (Body) fields.
+ */
+function bodySchema(fields) {
+    const schema = { type: 'object', properties: {} };
+    for (const field of fields) schema.properties[field.field] = { type: 'string', description: field.description };
+    const required = fields.filter(f => !f.optional).map(f => f.field);
+    if (required.length > 0) schema.required = required;
+    return schema;
+}
+
+
+/**
+ * Schema for successful response body: list of resources for collections, otherwise resource
+ * details.
+ */
+function responseSchemaFor(apiDoc, table) {
+    if (!table) return { type: 'object' };
+    if (apiDoc.path.endsWith('/bulk')) return { type: 'array', items: { type: 'object' } };
+    const collection = apiDoc.method == 'get' && !apiDoc.path.includes(':');
+    if (collection) return { type: 'array', items: { $ref: '#/components/schemas/ListItem' } };
+    return { $ref: `#/components/schemas/${table}` };
+}
+
+
+/**
+ * Generate schema from table column definitions (as per Db.describe()).
+ */
+function tableSchema(columns) {
+    const schema = { type: 'object', properties: { _id: { type: 'integer', readOnly: true } }, required: [] };
+
+    for (const column of columns) {
+        const type = column.Type.toLowerCase();
+        const property = {};
+        if (type=='tinyint(1)' || type=='bit(1)') property.type = 'boolean';
+        else if (/^(tiny|small|medium|big)?int\b/.test(type)) property.type = 'integer';
+        else if (/^(decimal|float|double)\b/.test(type)) property.type = 'number';
+        else if (type == 'date') Object.assign(property, { type: 'string', format: 'date' });
+        else if (/^enum\(/.test(type)) Object.assign(property, { type: 'string', enum: [ ...type.matchAll(/'([^']*)'/g) ].map(m => m[1]) });
+        else property.type = 'string';
+
+        const length = type.match(/^(var)?char\((\d+)\)/);
+        if (length) property.maxLength = Number(length[2]);
+        if (column.Null == 'YES') property.nullable = true;
+
+        const autoIncrement = column.Extra.includes('auto_increment');
+        if (autoIncrement) property.readOnly = true;
+        if (column.Null=='NO' && column.Default===null && !autoIncrement) schema.required.push(column.Field);
+
+        schema.properties[column.Field] = property;
+    }
+
+    if (schema.required.length == 0) delete schema.required;
+
+    return schema;
+}
+
+
+const problemSchema = { // as per problem.js
+    type:       'object',
+    properties: {
+        type:     { type: 'string' },
+        title:    { type: 'string' },
+        status:   { type: 'integer' },
+        detail:   { type: 'string' },
+        instance: { type: 'string' },
+        code:     { type: 'string' },
+    },
+};
+
+const listItemSchema = { // plus any fields selected with 'fields' query-string parameter
+    type:       'object',
+    properties: {
+        _id:  { type: 'integer' },
+        _uri: { type: 'string' },
+    },
+    additionalProperties: true,
+};
+
+const jsonPatchSchema = { // RFC 6902
+    type:  'array',
+    items: {
+        type:       'object',
+        properties: {
+            op:    { type: 'string', enum: [ 'add', 'remove', 'replace', 'move', 'copy', 'test' ] },
+            path:  { type: 'string' },
+            from:  { type: 'string' },
+            value: {},
+        },
+        required: [ 'op', 'path' ],
+    },
+};
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default OpenApi;
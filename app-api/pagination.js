@@ -0,0 +1,129 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Pagination of API collections                                                                  */
+/*                                                                                                */
+/* Collections can be paged either by ?limit=n&offset=m, or by ?limit=n&cursor=c, where the       */
+/* cursor is an opaque token obtained from the Link header of a previous response (an empty       */
+/* cursor starts from the beginning of the collection). Note the cursor is an offset token, not a */
+/* keyset cursor: it encodes the offset of the page within the (ordered) collection, so as with   */
+/* ?offset, pages may skip or repeat resources if the collection changes between requests.        */
+/*                                                                                                */
+/* Paged responses include an RFC 8288 Link header with first/prev/next/last relations, and an    */
+/* X-Total-Count header with the total number of matching resources; as these are headers, they   */
+/* apply equally to json, xml, and yaml response bodies.                                          */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+const limitDefault = 100;  // page size if no limit is specified
+const limitMax     = 1000; // larger limits are capped to this
+
+
+class Pagination {
+
+    /**
+     * Return the page of the collection requested by the limit/offset/cursor query-string
+     * parameters.
+     *
+     * @param   {Object} ctx - Koa context.
+     * @returns {Object} Page details: { limit, offset, cursor } (cursor is true if paging by cursor,
+     *   with offset decoded from the cursor's offset token).
+     * @throws  400 Bad Request on invalid pagination parameters.
+     *
+     * @example
+     *   const page = Pagination.page(ctx);
+     *   const sql = 'Select * From Member Order By MemberId Limit :limit Offset :offset';
+     *   const [ members ] = await Db.query(sql, { limit: page.limit, offset: page.offset });
+     */
+    static page(ctx) {
+        const { limit, offset, cursor } = ctx.request.query;
+
+        const page = { limit: limitDefault, offset: 0, cursor: cursor !== undefined };
+
+        if (offset!==undefined && cursor!==undefined) ctx.throw(400, 'Only one of offset or cursor can be supplied');
+
+        if (limit !== undefined) {
+            if (!/^[0-9]+$/.test(limit) || Number(limit) == 0) ctx.throw(400, 'Invalid limit (must be positive integer)');
+            page.limit = Math.min(Number(limit), limitMax);
+        }
+
+        if (offset !== undefined) {
+            if (!/^[0-9]+$/.test(offset)) ctx.throw(400, 'Invalid offset (must be non-negative integer)');
+            page.offset = Number(offset);
+        }
+
+        if (cursor !== undefined) {
+            page.offset = decodeOffsetToken(cursor);
+            if (page.offset === null) ctx.throw(400, 'Invalid cursor');
+        }
+
+        return page;
+    }
+
+
+    /**
+     * Set X-Total-Count & Link (first/prev/next/last) response headers for a page of a collection.
+     *
+     * Links retain any other query-string parameters (e.g. filters), and use the same paging
+     * mechanism (offset or cursor) as the current request.
+     *
+     * @param {Object} ctx - Koa context.
+     * @param {Object} page - Page details as returned by Pagination.page().
+     * @param {number} total - Total number of resources in the (filtered) collection.
+     */
+    static setHeaders(ctx, page, total) {
+        ctx.response.set('X-Total-Count', total.toString());
+
+        const lastOffset = total==0 ? 0 : Math.floor((total-1) / page.limit) * page.limit;
+
+        const links = [];
+        links.push(link(ctx, page, 0, 'first'));
+        if (page.offset > 0) links.push(link(ctx, page, Math.max(page.offset-page.limit, 0), 'prev'));
+        if (page.offset+page.limit < total) links.push(link(ctx, page, page.offset+page.limit, 'next'));
+        links.push(link(ctx, page, lastOffset, 'last'));
+
+        ctx.response.set('Link', links.join(', '));
+    }
+
+}
+
+
+/**
+ * Return RFC 8288 link to page of current collection starting at given offset.
+ */
+function link(ctx, page, offset, rel) {
+    const params = new URLSearchParams(ctx.request.querystring);
+    params.delete('offset');
+    params.delete('cursor');
+    params.set('limit', page.limit);
+    if (page.cursor) params.set('cursor', encodeOffsetToken(offset));
+    if (!page.cursor) params.set('offset', offset);
+    return `<${ctx.request.path}?${params.toString()}>; rel="${rel}"`;
+}
+
+
+/**
+ * Encode offset within collection into opaque offset token (used as cursor).
+ */
+function encodeOffsetToken(offset) {
+    return Buffer.from(JSON.stringify({ o: offset })).toString('base64');
+}
+
+
+/**
+ * Decode opaque offset token (used as cursor) into offset within collection; returns null for
+ * invalid tokens.
+ */
+function decodeOffsetToken(token) {
+    if (typeof token != 'string') return null;
+    if (token == '') return 0; // start of collection
+    try {
+        const position = JSON.parse(Buffer.from(token, 'base64').toString());
+        if (!Number.isInteger(position.o) || position.o < 0) return null;
+        return position.o;
+    } catch (e) {
+        return null;
+    }
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Pagination;
@@ -0,0 +1,70 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Problem details for API error responses (RFC 7807).                                            */
+/*                                                                                                */
+/* Error responses have a body with type, title, status, detail, and instance members, plus a     */
+/* machine-readable 'code' extension member (e.g. 'duplicate-email', 'not-found'), so that        */
+/* clients can distinguish errors without parsing messages. Codes come from ModelErrors (or are   */
+/* derived from MySQL errors), otherwise from the HTTP status.                                    */
+/*                                                                                                */
+/* Problem types are not (yet) individually documented, so type is 'about:blank', with the HTTP   */
+/* status text as title; the detail member is the error message.                                  */
+/*                                                                                                */
+/* As with other responses, the body honours the request Accept type: json & xml responses have   */
+/* content types application/problem+json & application/problem+xml.                              */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import http from 'http'; // nodejs.org/api/http.html
+
+import Log        from '../lib/log.js';
+import ModelError from '../models/modelerror.js';
+
+
+class Problem {
+
+    /**
+     * Return problem details response body for error.
+     *
+     * @param   {Object} ctx - Koa context.
+     * @param   {Error}  err - Error thrown (ModelError, http-error from ctx.throw(), MySQL error, etc).
+     * @returns {Object} Problem details (with 'problem' xml root element).
+     *
+     * @example
+     *   ctx.response.body = Problem.details(ctx, err); // { type, title, status, detail, instance, code }
+     */
+    static details(ctx, err) {
+        const status = err.status || 500;
+        return {
+            type:     'about:blank',
+            title:    http.STATUS_CODES[status],
+            status:   status,
+            detail:   err.message,
+            instance: Log.scrubUrl(ctx.request.originalUrl), // no credentials in response body
+            code:     Problem.code(err),
+            root:     'problem', // xml root element
+        };
+    }
+
+
+    /**
+     * Return machine-readable code for error: a ModelError code, or code derived from MySQL error,
+     * or a code supplied to ctx.throw() (e.g. ctx.throw(403, msg, { code: 'insufficient-scope' })),
+     * or otherwise the HTTP status text in kebab-case (e.g. 'precondition-failed').
+     *
+     * @param   {Error} err - Error thrown.
+     * @returns {string} Error code.
+     */
+    static code(err) {
+        if (err instanceof ModelError && err.code) return err.code;
+        if (err.sqlState && ModelError.codeFor(err)) return ModelError.codeFor(err); // uncaught MySQL error
+        if (err.expose && typeof err.code == 'string') return err.code; // http-error with code property
+
+        const title = http.STATUS_CODES[err.status || 500] || 'error';
+        return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Problem;
@@ -0,0 +1,194 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Parse JSON Merge Patch, XML & YAML request bodies (complementing koa-body's form & JSON).      */
+/*                                                                                                */
+/* XML bodies follow the same structure as XML responses (as generated by xmlify): the root       */
+/* element represents the resource, and each child element a field; xsi:nil="true" elements are   */
+/* null, and attributes (such as id & uri) are ignored. YAML bodies are a mapping of fields to    */
+/* values.                                                                                        */
+/*                                                                                                */
+/* Values in XML bodies (as in form bodies) are strings; JSON & YAML bodies have typed values.    */
+/* Bodies must be objects with scalar field values: other bodies are rejected before they can     */
+/* reach the models, other than JSON Patch bodies and bulk request bodies, which are arrays.      */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import jsdom from 'jsdom'; const JsDom = jsdom.JSDOM; // JavaScript implementation of DOM and HTML standards TODO: named export not yet available
+import yaml  from 'js-yaml';                           // YAML parser
+
+import ModelError from '../models/modelerror.js';
+
+
+const types = {
+    form:       [ 'application/x-www-form-urlencoded', 'multipart/form-data' ],
+    json:       [ 'application/json', 'application/json-patch+json' ], // both parsed by koa-body
+    mergePatch: [ 'application/merge-patch+json' ],
+    xml:        [ 'application/xml', 'text/xml' ],
+    yaml:       [ 'application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml' ],
+};
+
+const limit = 1024*1024; // 1mb, as per koa-body json limit
+
+const bulkPaths = [ '/members/bulk' ]; // endpoints taking arrays of resources (checked by the handler)
+
+const xsiNamespace = 'http://www.w3.org/2001/XMLSchema-instance';
+
+
+class RequestBody {
+
+    /**
+     * Content types which can be accepted for request bodies.
+     */
+    static get types() {
+        return [ ...types.form, ...types.json, ...types.mergePatch, ...types.xml, ...types.yaml ];
+    }
+
+
+    /**
+     * Parse JSON Merge Patch, XML, or YAML request body into ctx.request.body (other types are left
+     * to koa-body).
+     *
+     * Throws 400 on malformed body, on array body (other than for JSON Patch or bulk requests), or on
+     * non-scalar field values, 413 on over-large body.
+     */
+    static async parse(ctx) {
+        try {
+            if (ctx.request.is(types.mergePatch)) ctx.request.body = RequestBody.fromMergePatch(await text(ctx));
+            if (ctx.request.is(types.xml)) ctx.request.body = RequestBody.fromXml(await text(ctx));
+            if (ctx.request.is(types.yaml)) ctx.request.body = RequestBody.fromYaml(await text(ctx));
+            if (Array.isArray(ctx.request.body)) {
+                const jsonPatch = ctx.request.method == 'PATCH' && ctx.request.is('application/json-patch+json');
+                const bulk = ctx.request.method == 'POST' && bulkPaths.includes(ctx.request.path);
+                if (!jsonPatch && !bulk) throw new Error('Invalid request body: must be an object');
+            } else {
+                RequestBody.checkFields(ctx.request.body);
+            }
+        } catch (e) {
+            ctx.throw(e.status || 400, e.message);
+        }
+    }
+
+
+    /**
+     * Convert JSON Merge Patch (RFC 7396) document to object; nulls indicate fields to be cleared.
+     *
+     * @param   {string} json - JSON Merge Patch document, e.g. '{ "Firstname": "Lewis", "Active": null }'.
+     * @returns {Object} Object with (typed) values, e.g. { Firstname: 'Lewis', Active: null }.
+     * @throws  Error on malformed JSON, or JSON which is not an object.
+     */
+    static fromMergePatch(json) {
+        let body = null;
+        try {
+            body = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Invalid JSON Merge Patch body: ${e.message}`);
+        }
+
+        if (typeof body != 'object' || body === null || Array.isArray(body)) throw new Error('Invalid JSON Merge Patch body: must be an object');
+
+        return body;
+    }
+
+
+    /**
+     * Convert XML document to object with fields from root element's child elements.
+     *
+     * @param   {string} xml - XML document, e.g. '<Member><Firstname>Lewis</Firstname></Member>'.
+     * @returns {Object} Object with (string) values, e.g. { Firstname: 'Lewis' }.
+     * @throws  Error on malformed XML.
+     */
+    static fromXml(xml) {
+        // xmlify emits xsi:nil without declaring the xsi namespace, which XML parsers reject: if
+        // the declaration is missing, supply it on the root element so that responses round-trip
+        if (xml.includes('xsi:') && !xml.includes('xmlns:xsi')) {
+            xml = xml.replace(/^(\s*(<\?xml[^>]*\?>)?\s*<[\w.-]+)/, `$1 xmlns:xsi="${xsiNamespace}"`);
+        }
+
+        try {
+            const document = new JsDom(xml, { contentType: 'application/xml' }).window.document;
+            return fields(document.documentElement);
+        } catch (e) {
+            throw new Error(`Invalid XML body: ${e.message}`);
+        }
+    }
+
+
+    /**
+     * Convert YAML document to object.
+     *
+     * @param   {string} yml - YAML document, e.g. 'Firstname: Lewis'.
+     * @returns {Object} Object with (typed) values, e.g. { Firstname: 'Lewis' }.
+     * @throws  Error on malformed YAML, or YAML which is not a mapping.
+     */
+    static fromYaml(yml) {
+        let body = null;
+        try {
+            body = yaml.safeLoad(yml);
+        } catch (e) {
+            throw new Error(`Invalid YAML body: ${e.message}`);
+        }
+
+        if (body === undefined || body === null) return {}; // empty document
+        if (typeof body != 'object' || Array.isArray(body)) throw new Error('Invalid YAML body: fields must be a mapping');
+
+        return body;
+    }
+
+
+    /**
+     * Check that all field values are scalars (string, number, boolean, or null).
+     *
+     * @param   {Object} values - Field values, e.g. from request body.
+     * @throws  ModelError 400 on object or array values.
+     */
+    static checkFields(values) {
+        for (const [ field, val ] of Object.entries(values || {})) {
+            if (typeof val == 'object' && val !== null) throw new ModelError(400, `Invalid request body: field ‘${field}’ must have a scalar value`);
+        }
+    }
+
+}
+
+
+/**
+ * Return object with values of each child element of given element.
+ */
+function fields(el) {
+    const object = {};
+    for (const child of el.children) object[child.tagName] = value(child);
+    return object;
+}
+
+
+/**
+ * Return value of field element: null for xsi:nil, array for elements such as
+ * <Teams><Team>...</Team></Teams> (mirroring xmlify), object for other elements with child
+ * elements, otherwise text content.
+ */
+function value(el) {
+    if (el.getAttributeNS(xsiNamespace, 'nil') == 'true') return null;
+
+    const children = [ ...el.children ];
+    if (children.length == 0) return el.textContent;
+
+    const sameName = children.every(child => child.tagName == children[0].tagName);
+    const list = sameName && (children.length > 1 || el.tagName == children[0].tagName+'s');
+
+    return list ? children.map(child => child.children.length > 0 ? fields(child) : value(child)) : fields(el);
+}
+
+
+/**
+ * Read (unparsed) request body as text; throws 413 if it exceeds the size limit.
+ */
+async function text(ctx) {
+    let body = '';
+    for await (const chunk of ctx.req) {
+        body += chunk;
+        if (body.length > limit) ctx.throw(413, 'Request body too large'); // Payload Too Large
+    }
+    return body;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default RequestBody;
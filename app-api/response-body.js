@@ -0,0 +1,124 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Format API response bodies as CSV or NDJSON (complementing json, xml & yaml, which are handled */
+/* by the contentNegotiation middleware).                                                         */
+/*                                                                                                */
+/* CSV bodies have a header row of field names, then one row per resource (or a single row for    */
+/* an individual resource or an error); fields which are themselves lists or objects (such as a   */
+/* member's teams) are given as JSON text.                                                        */
+/*                                                                                                */
+/* NDJSON (newline-delimited JSON) bodies have one JSON object per line. Collections can also be  */
+/* streamed directly from the database, so large collections need not be held in memory.          */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { Transform, pipeline } from 'stream'; // nodejs.org/api/stream.html
+
+import Csv         from '../lib/csv.js';
+import castBoolean from './cast-boolean.js';
+
+
+// response types the api can furnish, in order of preference where the Accept header doesn't distinguish
+const types = [ 'json', 'xml', 'yaml', 'text', 'text/csv', 'application/x-ndjson' ];
+
+
+class ResponseBody {
+
+    /**
+     * Return the response type best matching the request Accept header.
+     *
+     * @param   {Object} ctx - Koa context.
+     * @returns {string|false} One of json, xml, yaml, text, text/csv, application/x-ndjson, or false
+     *   if none are acceptable.
+     */
+    static type(ctx) {
+        return ctx.request.accepts(types);
+    }
+
+
+    /**
+     * Whether a collection should be streamed as NDJSON: this is the case when NDJSON is the
+     * preferred response type and no paging parameters (limit/offset/cursor) are supplied.
+     *
+     * @param   {Object} ctx - Koa context.
+     * @returns {boolean} True if collection should be streamed.
+     */
+    static streamCollection(ctx) {
+        const { limit, offset, cursor } = ctx.request.query;
+        const paged = limit!==undefined || offset!==undefined || cursor!==undefined;
+        return ResponseBody.type(ctx) == 'application/x-ndjson' && !paged;
+    }
+
+
+    /**
+     * Convert response body (resource, collection of resources, or error) to CSV text.
+     *
+     * @param   {Object|Object[]} body - Response body.
+     * @returns {string} CSV text.
+     *
+     * @example
+     *   ResponseBody.toCsv([ { _id: 1, Name: 'Brainiacs' } ]); // '_id,Name\r\n1,Brainiacs\r\n'
+     */
+    static toCsv(body) {
+        const records = Array.isArray(body) ? body : [ body ];
+
+        // header row includes every field occurring in any record, in order of first occurrence
+        const fields = [ ...new Set(records.flatMap(record => Object.keys(record))) ];
+
+        const values = records.map(record => {
+            const converted = {};
+            for (const field of fields) {
+                const value = record[field];
+                converted[field] = typeof value == 'object' && value !== null ? JSON.stringify(value) : value;
+            }
+            return converted;
+        });
+
+        return Csv.stringify(fields, values);
+    }
+
+
+    /**
+     * Convert response body (resource, collection of resources, or error) to NDJSON text.
+     *
+     * @param   {Object|Object[]} body - Response body.
+     * @returns {string} NDJSON text, one line per resource.
+     */
+    static toNdjson(body) {
+        const records = Array.isArray(body) ? body : [ body ];
+        return records.map(record => JSON.stringify(record) + '\n').join('');
+    }
+
+
+    /**
+     * Convert stream of MySQL result rows (as from Db.stream()) to stream of NDJSON text, with
+     * booleans cast as per castBoolean.fromMysql().
+     *
+     * @param   {Readable} rows - Object-mode stream of result rows.
+     * @param   {Function} [map] - Function to map each row to the resource to be returned.
+     * @returns {Readable} Stream of NDJSON text, one line per row.
+     *
+     * @example
+     *   const rows = await Db.stream('Select * From Team');
+     *   ctx.response.body = ResponseBody.ndjsonStream(rows, team => ({ _id: team.TeamId, Name: team.Name }));
+     */
+    static ndjsonStream(rows, map=row => row) {
+        let fields = [];
+        rows.on('fields', f => fields = f);
+
+        const ndjson = new Transform({
+            writableObjectMode: true,
+            transform(row, encoding, callback) {
+                const [ [ rowCast ] ] = castBoolean.fromMysql([ [ row ], fields ]);
+                callback(null, JSON.stringify(map(rowCast)) + '\n');
+            },
+        });
+
+        // pipeline propagates errors & closes the database stream if the response is abandoned
+        return pipeline(rows, ndjson, () => {});
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default ResponseBody;
@@ -2,6 +2,8 @@
 /*  Route to handle authentication /auth element                                                  */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
+/* eslint space-in-parens: off */
+
 import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
@@ -9,7 +11,10 @@ const router = new Router();
 import auth from './auth.js';
 
 
-router.get('/auth', auth.getAuth);
+router.post('/auth',         auth.postAuth);    // get access & refresh tokens
+router.get( '/auth',         auth.getAuth);     // get access & refresh tokens (deprecated)
+router.post('/auth/refresh', auth.postRefresh); // exchange refresh token for new access & refresh tokens
+router.post('/auth/logout',  auth.postLogout);  // revoke tokens (requires jwt auth)
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
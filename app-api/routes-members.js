@@ -8,14 +8,20 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import members from './members.js';
+import Permission from '../lib/permission-middleware.js';
+import members    from './members.js';
 
+const read  = Permission.require('members:read');
+const write = Permission.require('members:write');
 
-router.get(   '/members',     members.getMembers);       // list members
-router.get(   '/members/:id', members.getMemberById);    // get member details
-router.post(  '/members',     members.postMembers);      // add new member
-router.patch( '/members/:id', members.patchMemberById);  // update member details
-router.delete('/members/:id', members.deleteMemberById); // delete member
+
+router.get(   '/members',      read,  members.getMembers);       // list members
+router.get(   '/members/:id',  read,  members.getMemberById);    // get member details
+router.post(  '/members',      write, members.postMembers);      // add new member
+router.post(  '/members/bulk', write, members.postMembersBulk);  // add, update & delete members in bulk
+router.put(   '/members/:id',  write, members.putMemberById);    // replace member details
+router.patch( '/members/:id',  write, members.patchMemberById);  // update member details
+router.delete('/members/:id',  write, members.deleteMemberById); // delete member
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
@@ -1,20 +1,25 @@
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 /*  Route to handle root element: return uri's for available resources & note on authentication   */
+/*  (and OpenAPI specification of the api).                                                       */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
+import openapi from './openapi.js';
+
 
 router.get('/', function getRoot(ctx) {
     // root element just returns uri's for principal resources (in preferred format)
-    const resources = { auth: { _uri: '/auth' }, members: { _uri: '/members' }, teams: { _uri: '/teams' } };
-    const authentication = '‘GET /auth?username=<un>&password=<pw>’ to obtain JSON Web Token; subsequent requests require JWT auth';
+    const resources = { auth: { _uri: '/auth' }, members: { _uri: '/members' }, teams: { _uri: '/teams' }, users: { _uri: '/users' }, openapi: { _uri: '/openapi.json' } };
+    const authentication = '‘POST /auth’ with username & password (or Basic auth) to obtain JSON Web Token; subsequent requests require JWT auth';
     ctx.response.body = { resources: resources, authentication: authentication };
     ctx.response.body.root = 'api';
 });
 
+router.get('/openapi.json', openapi.getOpenApi); // OpenAPI specification of the api
+
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
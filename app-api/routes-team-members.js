@@ -8,12 +8,16 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import teams  from './team-members.js';
+import Permission from '../lib/permission-middleware.js';
+import teams      from './team-members.js';
 
+const read  = Permission.require('team-members:read', { team: teams.team });  // a team grant allows reading that team's roster...
+const write = Permission.require('team-members:write', { team: teams.team }); // ... and managing it
 
-router.get(   '/team-members/:id',   teams.getTeamMemberById);        // get team membership details
-router.post(  '/team-members',       teams.postTeamMembers);          // add new team membership
-router.delete('/team-members/:id',   teams.deleteTeamMemberById);     // delete team membership
+
+router.get(   '/team-members/:id',   read,  teams.getTeamMemberById);        // get team membership details
+router.post(  '/team-members',       write, teams.postTeamMembers);          // add new team membership
+router.delete('/team-members/:id',   write, teams.deleteTeamMemberById);     // delete team membership
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
@@ -8,14 +8,19 @@ import Router from 'koa-router'; // router middleware for koa
 
 const router = new Router();
 
-import teams  from './teams.js';
+import Permission from '../lib/permission-middleware.js';
+import teams      from './teams.js';
 
+const read  = Permission.require('teams:read');
+const write = Permission.require('teams:write', { team: ctx => ctx.params.id }); // a team grant allows updating that team
 
-router.get(   '/teams',       teams.getTeams);           // list teams
-router.get(   '/teams/:id',   teams.getTeamById);        // get team details
-router.post(  '/teams',       teams.postTeams);          // add new team
-router.patch( '/teams/:id',   teams.patchTeamById);      // update team details
-router.delete('/teams/:id',   teams.deleteTeamById);     // delete team
+
+router.get(   '/teams',       read,  teams.getTeams);           // list teams
+router.get(   '/teams/:id',   read,  teams.getTeamById);        // get team details
+router.post(  '/teams',       write, teams.postTeams);          // add new team
+router.put(   '/teams/:id',   write, teams.putTeamById);        // replace team details
+router.patch( '/teams/:id',   write, teams.patchTeamById);      // update team details
+router.delete('/teams/:id',   write, teams.deleteTeamById);     // delete team
 
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
@@ -0,0 +1,27 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Users routes                                                                                   */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+/* eslint space-in-parens: off */
+
+import Router from 'koa-router'; // router middleware for koa
+
+const router = new Router();
+
+import Permission from '../lib/permission-middleware.js';
+import users      from './users.js';
+
+const read  = Permission.require('users:read');
+const write = Permission.require('users:write');
+
+
+router.get(   '/users',       read,  users.getUsers);           // list users
+router.get(   '/users/:id',   read,  users.getUserById);        // get user details
+router.post(  '/users',       write, users.postUsers);          // invite new user
+router.patch( '/users/:id',   write, users.patchUserById);      // update user details (or disable/enable)
+router.delete('/users/:id',   write, users.deleteUserById);     // delete user
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default router.middleware();
@@ -2,7 +2,8 @@
 /*  API handlers - Teams/Members                                                                  */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import TeamMember from '../models/team-member.js';
+import TeamMember  from '../models/team-member.js';
+import Conditional from './conditional.js';
 
 
 class TeamsMembersHandlers {
@@ -13,8 +14,10 @@ class TeamsMembersHandlers {
      * @apiGroup  TeamMembers
      *
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
-     * @apiSuccess (Success 2xx) 200/OK      Full details of specified team.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  [If-None-Match]           ETag of team-member details already held.
+     * @apiSuccess (Success 2xx) 200/OK      Full details of specified team, with ETag.
+     * @apiSuccess (Success 3xx) 304/NotModified Team-member details unchanged since If-None-Match ETag.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
      * @apiError   404/NotFound              Team-member not found.
      */
@@ -23,6 +26,8 @@ class TeamsMembersHandlers {
 
         if (!teamMember) ctx.throw(404, `No team-member ${ctx.params.id} found`); // Not Found
 
+        if (Conditional.notModified(ctx, TeamMember, teamMember)) { ctx.response.status = 304; return; } // Not Modified
+
         // return id as attribute / underscore-field
         teamMember._id = teamMember.TeamMemberId;
 
@@ -37,19 +42,20 @@ class TeamsMembersHandlers {
      * @apiGroup   TeamMembers
      *
      * @apiParam   ...                       [as per get].
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  Content-Type              application/x-www-form-urlencoded.
-     * @apiSuccess (Success 2xx) 201/Created Details of newly created team-membership.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml.
+     * @apiSuccess (Success 2xx) 201/Created Details of newly created team-membership, with ETag.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   403/Forbidden             ‘team-members:write’ permission required.
+     * @apiError   415/UnsupportedMediaType  Unsupported Content-Type.
      */
     static async postTeamMembers(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         const id = await TeamMember.insert(ctx.request.body);
 
-        ctx.response.body = await TeamMember.get(id); // return created team-member details
+        const teamMember = await TeamMember.get(id); // return created team-member details
+        ctx.response.etag = TeamMember.version(teamMember);
+        ctx.response.body = teamMember;
         ctx.response.body.root = 'TeamMember';
         ctx.response.set('Location', '/team-members/'+id);
         ctx.response.status = 201; // Created
@@ -57,28 +63,43 @@ class TeamsMembersHandlers {
 
 
     /**
-     * @api {delete} /teams/:id Delete team-member
+     * @api {delete} /team-members/:id Delete team-member
      * @apiName      DeleteTeamMembers
      * @apiGroup     TeamMembers
      *
-     * @apiHeader  Authorization        Basic Access Authentication token.
-     * @apiSuccess (Success 2xx) 200/OK Full details of deleted team-member.
-     * @apiError   401/Unauthorized     Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden        Admin auth required.
-     * @apiError   404/NotFound         Team-member not found.
+     * @apiHeader  Authorization            Basic Access Authentication token.
+     * @apiHeader  If-Match                 ETag of team-member details being deleted.
+     * @apiSuccess (Success 2xx) 200/OK     Full details of deleted team-member.
+     * @apiError   401/Unauthorized         Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden            ‘team-members:write’ permission required.
+     * @apiError   404/NotFound             Team-member not found.
+     * @apiError   412/PreconditionFailed   Team-member has been changed since If-Match ETag.
+     * @apiError   428/PreconditionRequired If-Match header not supplied.
      */
     static async deleteTeamMemberById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         // return deleted team-member details
-        const teamMember = await TeamMember.get(ctx.params.id);
+        let deleted = null;
+        await Conditional.ifMatch(ctx, TeamMember, async (teamMember, connection) => {
+            await TeamMember.delete(ctx.params.id, connection);
+            deleted = teamMember;
+        });
 
-        if (!teamMember) ctx.throw(404, `No team-member ${ctx.params.id} found`); // Not Found
+        ctx.response.body = deleted; // deleted team-member details
+        ctx.response.body.root = 'TeamMember';
+    }
 
-        await TeamMember.delete(ctx.params.id);
 
-        ctx.response.body = teamMember; // deleted team-member details
-        ctx.response.body.root = 'TeamMember';
+    /**
+     * Team which team-membership request concerns (for team-scoped permissions): from the existing
+     * team-membership, or for new team-memberships, from the request body.
+     *
+     * @returns {number} Team id, or undefined if not known.
+     */
+    static async team(ctx) {
+        if (!ctx.params.id) return ctx.request.body.TeamId;
+
+        const teamMember = await TeamMember.get(ctx.params.id);
+        return teamMember ? teamMember.TeamId : undefined;
     }
 
 }
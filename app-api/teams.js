@@ -2,8 +2,16 @@
 /*  API handlers - Teams                                                                          */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import Team from '../models/team.js';
-import Db   from '../lib/mysqldb.js';
+import Team         from '../models/team.js';
+import Db           from '../lib/mysqldb.js';
+import castBoolean  from './cast-boolean.js';
+import Pagination   from './pagination.js';
+import QueryFilter  from '../lib/query-filter.js';
+import JsonPatch    from '../lib/json-patch.js';
+import Conditional  from './conditional.js';
+import ResponseBody from './response-body.js';
+import RequestBody  from './request-body.js';
+import ModelError   from '../models/modelerror.js';
 
 
 class TeamsHandlers {
@@ -15,43 +23,62 @@ class TeamsHandlers {
      *
      * @apiDescription Summary list of teams.
      *
-     * @apiParam   -filter-field-              Field to be filtered on (eg /teams?name=brainiacs)
+     *   Lists are paged: the Link header provides first/prev/next/last links, and the X-Total-Count
+     *   header gives the total number of (matching) teams.
+     *
+     *   With Accept application/x-ndjson and no limit/offset/cursor, all (matching) teams are
+     *   streamed, one per line, rather than being paged.
+     *
+     * @apiParam   -filter-field-              Field to be filtered on (eg /teams?name=brainiacs); operators
+     *                                        as field[op]=value: eq, ne, gt, gte, lt, lte, like, nlike, in,
+     *                                        nin, null (eg /teams?Name[like]=brain%).
+     * @apiParam   [or]                        Or'ed conditions separated by '|' (eg or=Name=Brainiacs|Name=Mega%20Minds).
+     * @apiParam   [limit=100]                 Number of teams to return (max 1000).
+     * @apiParam   [offset=0]                  Number of teams to skip.
+     * @apiParam   [cursor]                    Opaque (offset) token from Link header (alternative to offset).
+     * @apiParam   [sort=Name]                 Fields to sort by, '-' prefix for descending (eg sort=-Name).
+     * @apiParam   [fields]                    Fields to include in list (eg fields=Name).
      * @apiHeader  Authorization               Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain.
-     * @apiSuccess (Success 2xx) 200/OK        List of teams with id, uri attributes.
+     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiSuccess (Success 2xx) 200/OK        List of teams with id, uri attributes (and any selected fields).
      * @apiSuccess (Success 2xx) 204/NoContent No matching teams found.
-     * @apiError   403/Forbidden               Unrecognised Team field in query.
+     * @apiError   400/BadRequest              Invalid limit, offset, cursor, or filter operator/value.
+     * @apiError   403/Forbidden               Unrecognised Team field in query, sort, or fields.
      * @apiError   401/Unauthorized            Invalid JWT auth credentials supplied.
      */
     static async getTeams(ctx) {
-        try {
-
-            let sql = 'Select * From Team';
-            // query-string filters?
-            if (ctx.request.querystring) {
-                const filter = Object.keys(ctx.request.query).map(function(q) { return q+' = :'+q; }).join(' and ');
-                sql += ' Where '+filter;
-            }
-            sql +=  ' Order By Name';
-
-            const [ teams ] = await Db.query(sql, ctx.request.query);
+        const page = Pagination.page(ctx);
+
+        // query-string filters are any query-string parameters other than paging, sort, & fields parameters
+        const query = { ...ctx.request.query };
+        for (const param of [ 'limit', 'offset', 'cursor', 'sort', 'fields' ]) delete query[param];
+
+        const filter = await QueryFilter.where('Team', query); // throws on unrecognised field / operator
+        const where = filter.sql ? ' Where '+filter.sql : '';
+        const orderBy = await QueryFilter.sort('Team', ctx.request.query.sort, 'Name');
+        const fields = await QueryFilter.fields('Team', ctx.request.query.fields) || [];
+
+        const [ [ { total } ] ] = await Db.query('Select Count(*) As total From Team'+where, filter.values);
+
+        // ndjson collections (other than explicitly paged ones) are streamed rather than buffered
+        if (ResponseBody.streamCollection(ctx)) {
+            ctx.response.set('X-Total-Count', total);
+            if (total == 0) { ctx.response.status = 204; return; } // No Content
+            const rows = await Db.stream('Select * From Team'+where+' Order By '+orderBy, filter.values);
+            ctx.response.type = 'application/x-ndjson';
+            ctx.response.body = ResponseBody.ndjsonStream(rows, team => listItem(team, fields));
+            return;
+        }
 
-            if (teams.length == 0) { ctx.response.status = 204; return; } // No Content (preferred to returning 200 with empty list)
+        const sql = 'Select * From Team'+where+' Order By '+orderBy+' Limit :limit Offset :offset';
+        const [ teams ] = await Db.query(sql, { ...filter.values, limit: page.limit, offset: page.offset });
 
-            // just id & uri attributes in list
-            for (let m=0; m<teams.length; m++) {
-                teams[m] = { _id: teams[m].TeamId, _uri: '/teams/'+teams[m].TeamId };
-            }
+        Pagination.setHeaders(ctx, page, total);
 
-            ctx.response.body = teams;
-            ctx.response.body.root = 'Teams';
+        if (teams.length == 0) { ctx.response.status = 204; return; } // No Content (preferred to returning 200 with empty list)
 
-        } catch (e) {
-            switch (e.code) {
-                case 'ER_BAD_FIELD_ERROR': ctx.throw(403, 'Unrecognised Team field'); break;
-                default: throw e;
-            }
-        }
+        ctx.response.body = teams.map(team => listItem(team, fields));
+        ctx.response.body.root = 'Teams';
     }
 
 
@@ -60,24 +87,54 @@ class TeamsHandlers {
      * @apiName   GetTeamsId
      * @apiGroup  Teams
      *
+     * @apiParam   [fields]                  Fields to be returned (eg fields=Name,Members).
+     * @apiParam   [include]                 Related resources to embed in full (include=members), with JoinedOn date.
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
-     * @apiSuccess (Success 2xx) 200/OK      Full details of specified team.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  [If-None-Match]           ETag of team details already held.
+     * @apiSuccess (Success 2xx) 200/OK      Full details of specified team (or selected fields), with ETag.
+     * @apiSuccess (Success 3xx) 304/NotModified Team details unchanged since If-None-Match ETag.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     * @apiError   400/BadRequest            Unrecognised include.
+     * @apiError   403/Forbidden             Unrecognised Team field in fields.
      * @apiError   404/NotFound              Team not found.
      */
     static async getTeamById(ctx) {
-        const team = await Team.get(ctx.params.id);
+        // conditional get: no need to return details if client already has current version
+        const current = await Team.get(ctx.params.id);
+        if (!current) ctx.throw(404, `No team ${ctx.params.id} found`); // Not Found
+        if (Conditional.notModified(ctx, Team, current)) { ctx.response.status = 304; return; } // Not Modified
+
+        // optional field selection (which may include the related 'Members' collection)
+        const fields = await QueryFilter.fields('Team', ctx.request.query.fields, [ 'Members' ]);
+        const columns = fields ? fields.filter(f => f != 'Members') : [];
+        const select = fields ? [ 'TeamId', ...columns ].join(', ') : '*';
+
+        // optional embedding of related resources
+        const include = QueryFilter.include(ctx.request.query.include, [ 'members' ]);
+
+        const [ [ team ] ] = await Db.query(`Select ${select} From Team Where TeamId = :id`, { id: ctx.params.id });
 
         if (!team) ctx.throw(404, `No team ${ctx.params.id} found`); // Not Found
 
         // return id as attribute / underscore-field
         team._id = team.TeamId;
-
-        // team membership
-        const sql = 'Select MemberId As _id, concat("/members/",MemberId) As _uri From TeamMember Where TeamId = :id';
-        const [ members ] = await Db.query(sql,  { id: ctx.params.id });
-        team.Members = members;
+        if (fields && !fields.includes('TeamId')) delete team.TeamId;
+
+        // team membership: either just id & uri, or (with include=members) full member details
+        if (include.includes('members')) {
+            const sql = `Select m.MemberId As _id, concat("/members/",m.MemberId) As _uri, m.*, tm.JoinedOn
+                         From TeamMember tm Inner Join Member m Using (MemberId)
+                         Where tm.TeamId = :id
+                         Order By m.Firstname, m.Lastname, m.MemberId`;
+            const result = await Db.query(sql, { id: ctx.params.id });
+            const [ members ] = castBoolean.fromMysql(result);
+            team.Members = members;
+        } else if (!fields || fields.includes('Members')) {
+            const sql = 'Select MemberId As _id, concat("/members/",MemberId) As _uri From TeamMember Where TeamId = :id';
+            const [ members ] = await Db.query(sql,  { id: ctx.params.id });
+            team.Members = members;
+        }
 
         ctx.response.body = team;
         ctx.response.body.root = 'Team';
@@ -90,19 +147,20 @@ class TeamsHandlers {
      * @apiGroup   Teams
      *
      * @apiParam   ...                       [as per get].
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  Content-Type              application/x-www-form-urlencoded.
-     * @apiSuccess (Success 2xx) 201/Created Details of newly created team.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml.
+     * @apiSuccess (Success 2xx) 201/Created Details of newly created team, with ETag.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   403/Forbidden             ‘teams:write’ permission required.
+     * @apiError   415/UnsupportedMediaType  Unsupported Content-Type.
      */
     static async postTeams(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         const id = await Team.insert(ctx.request.body);
 
-        ctx.response.body = await Team.get(id); // return created team details
+        const team = await Team.get(id); // return created team details
+        ctx.response.etag = Team.version(team);
+        ctx.response.body = team;
         ctx.response.body.root = 'Team';
         ctx.response.set('Location', '/teams/'+id);
         ctx.response.status = 201; // Created
@@ -114,24 +172,75 @@ class TeamsHandlers {
      * @apiName     PatchTeams
      * @apiGroup    Teams
      *
+     * @apiDescription Fields supplied are updated, others are left unchanged; null values (including
+     *   in JSON Merge Patch bodies) clear fields. JSON Patch operations are applied atomically.
+     *   If-Match must supply the ETag of the team details the update is based on.
+     *
      * @apiParam   ...                       [as per get].
      * @apiHeader  Authorization             Basic Access Authentication token.
-     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain.
-     * @apiHeader  Content-Type              application/x-www-form-urlencoded.
-     * @apiSuccess (Success 2xx) 200/OK      Updated team details.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml,
+     *                                      application/merge-patch+json, application/json-patch+json.
+     * @apiHeader  If-Match                  ETag of team details update is based on.
+     * @apiSuccess (Success 2xx) 200/OK      Updated team details, with ETag.
      * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden             Admin auth required.
+     * @apiError   400/BadRequest            Malformed JSON Patch.
+     * @apiError   403/Forbidden             ‘teams:write’ permission required.
+     * @apiError   415/UnsupportedMediaType  Unsupported Content-Type.
      * @apiError   404/NotFound              Team not found.
+     * @apiError   409/Conflict              JSON Patch cannot be applied (e.g. failed test operation).
+     * @apiError   422/UnprocessableEntity   JSON Patch would replace details with other than an object.
+     * @apiError   412/PreconditionFailed    Team has been changed since If-Match ETag.
+     * @apiError   428/PreconditionRequired  If-Match header not supplied.
      */
     static async patchTeamById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
-        await Team.update(ctx.params.id, ctx.request.body);
+        await Conditional.ifMatch(ctx, Team, async (team, connection) => {
+            if (ctx.request.is('application/json-patch+json')) {
+                await patchJsonTeam(ctx, team, connection);
+            } else {
+                // form, json, xml, yaml, or json merge patch: supplied fields are updated
+                await Team.update(ctx.params.id, ctx.request.body, connection);
+            }
+        });
 
         // return updated team details
-        ctx.response.body = await Team.get(ctx.params.id);
-        if (!ctx.response.body) ctx.throw(404, `No team ${ctx.params.id} found`); // Not Found
+        const team = await Team.get(ctx.params.id);
+        ctx.response.etag = Team.version(team);
+        ctx.response.body = team;
+        ctx.response.body.root = 'Team';
+    }
 
+
+    /**
+     * @api {put} /teams/:id Replace team details
+     * @apiName   PutTeams
+     * @apiGroup  Teams
+     *
+     * @apiDescription Full replacement: any (nullable) fields not supplied are cleared. If-Match must
+     *   supply the ETag of the team details being replaced.
+     *
+     * @apiParam   ...                       [as per get].
+     * @apiHeader  Authorization             Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml.
+     * @apiHeader  If-Match                  ETag of team details being replaced.
+     * @apiSuccess (Success 2xx) 200/OK      Replaced team details, with ETag.
+     * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden             ‘teams:write’ permission required, or required field not supplied.
+     * @apiError   404/NotFound              Team not found.
+     * @apiError   412/PreconditionFailed    Team has been changed since If-Match ETag.
+     * @apiError   415/UnsupportedMediaType  Unsupported Content-Type.
+     * @apiError   428/PreconditionRequired  If-Match header not supplied.
+     */
+    static async putTeamById(ctx) {
+        await Conditional.ifMatch(ctx, Team, async (team, connection) => {
+            await Team.overwrite(ctx.params.id, ctx.request.body, connection);
+        });
+
+        // return replaced team details
+        const team = await Team.get(ctx.params.id);
+        ctx.response.etag = Team.version(team);
+        ctx.response.body = team;
         ctx.response.body.root = 'Team';
     }
 
@@ -141,27 +250,53 @@ class TeamsHandlers {
      * @apiName      DeleteTeams
      * @apiGroup     Teams
      *
-     * @apiHeader  Authorization        Basic Access Authentication token.
-     * @apiSuccess (Success 2xx) 200/OK Full details of deleted team.
-     * @apiError   401/Unauthorized     Invalid JWT auth credentials supplied.
-     * @apiError   403/Forbidden        Admin auth required.
-     * @apiError   404/NotFound         Team not found.
+     * @apiHeader  Authorization            Basic Access Authentication token.
+     * @apiHeader  If-Match                 ETag of team details being deleted.
+     * @apiSuccess (Success 2xx) 200/OK     Full details of deleted team.
+     * @apiError   401/Unauthorized         Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden            ‘teams:write’ permission required.
+     * @apiError   404/NotFound             Team not found.
+     * @apiError   412/PreconditionFailed   Team has been changed since If-Match ETag.
+     * @apiError   428/PreconditionRequired If-Match header not supplied.
      */
     static async deleteTeamById(ctx) {
-        if (ctx.state.auth.Role != 'admin') ctx.throw(403, 'Admin auth required'); // Forbidden
-
         // return deleted team details
-        const team = await Team.get(ctx.params.id);
+        let deleted = null;
+        await Conditional.ifMatch(ctx, Team, async (team, connection) => {
+            await Team.delete(ctx.params.id, connection);
+            deleted = team;
+        });
 
-        if (!team) ctx.throw(404, `No team ${ctx.params.id} found`); // Not Found
+        ctx.response.body = deleted; // deleted team details
+        ctx.response.body.root = 'Team';
+    }
 
-        await Team.delete(ctx.params.id);
 
-        ctx.response.body = team; // deleted team details
-        ctx.response.body.root = 'Team';
+}
+
+
+/**
+ * Apply JSON Patch (RFC 6902) to team: the patch is applied to the current team details, which are
+ * then replaced by the patched details. This is invoked within the Conditional.ifMatch() transaction
+ * (with the team record locked), so that the patch is applied atomically.
+ */
+async function patchJsonTeam(ctx, team, connection) {
+    const patched = JsonPatch.apply(team, ctx.request.body); // throws on malformed or failed patch
+    if (typeof patched != 'object' || patched === null || Array.isArray(patched)) {
+        throw new ModelError(422, 'JSON Patch must leave team details as an object');
     }
+    RequestBody.checkFields(patched);
+
+    await Team.overwrite(ctx.params.id, patched, connection);
+}
 
 
+/**
+ * Team as listed in collection: id & uri attributes, plus any selected fields.
+ */
+function listItem(team, fields) {
+    const selected = fields.reduce((values, field) => ({ ...values, [field]: team[field] }), {});
+    return { _id: team.TeamId, _uri: '/teams/'+team.TeamId, ...selected };
 }
 
 
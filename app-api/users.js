@@ -0,0 +1,215 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/*  API handlers - Users                                                                          */
+/*                                                                                                */
+/* Users are returned without password / token fields, and only name, e-mail, & role can be       */
+/* updated; new users are invited (e-mailed a set-password link) rather than created with a       */
+/* password.                                                                                      */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import User          from '../models/user.js';
+import PasswordReset from '../models/password-reset.js';
+import Db            from '../lib/mysqldb.js';
+import Mail          from '../lib/mail.js';
+import Pagination    from './pagination.js';
+
+const fields = [ 'UserId', 'Firstname', 'Lastname', 'Email', 'Role', 'DisabledOn' ]; // fields returned
+const updatable = [ 'Firstname', 'Lastname', 'Email', 'Role', 'Disabled' ];         // fields which can be patched
+
+
+class UsersHandlers {
+
+    /**
+     * @api {get} /users List users
+     * @apiName   GetUsers
+     * @apiGroup  Users
+     *
+     * @apiDescription Summary list of users, ordered by name.
+     *
+     *   Lists are paged: the Link header provides first/prev/next/last links, and the X-Total-Count
+     *   header gives the total number of users.
+     *
+     * @apiParam   [limit=100]                 Number of users to return (max 1000).
+     * @apiParam   [offset=0]                  Number of users to skip.
+     * @apiParam   [cursor]                    Opaque (offset) token from Link header (alternative to offset).
+     * @apiHeader  Authorization               Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json]   application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiSuccess (Success 2xx) 200/OK        List of users with id, uri, name, e-mail, role, & disabled date.
+     * @apiSuccess (Success 2xx) 204/NoContent No users found.
+     * @apiError   400/BadRequest              Invalid limit, offset, or cursor.
+     * @apiError   401/Unauthorized            Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden               ‘users:read’ permission required.
+     */
+    static async getUsers(ctx) {
+        const page = Pagination.page(ctx);
+
+        const [ [ { total } ] ] = await Db.query('Select Count(*) As total From User');
+
+        const sql = `Select ${fields.join(', ')}
+                     From User
+                     Order By Firstname, Lastname, UserId
+                     Limit :limit Offset :offset`;
+        const [ users ] = await Db.query(sql, { limit: page.limit, offset: page.offset });
+
+        Pagination.setHeaders(ctx, page, total);
+
+        if (users.length == 0) { ctx.response.status = 204; return; } // No Content (preferred to returning 200 with empty list)
+
+        ctx.response.body = users.map(user => ({ _id: user.UserId, _uri: '/users/'+user.UserId, ...user }));
+        ctx.response.body.root = 'Users';
+    }
+
+
+    /**
+     * @api {get} /users/:id Get details of user
+     * @apiName   GetUsersId
+     * @apiGroup  Users
+     *
+     * @apiHeader  Authorization             Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiSuccess (Success 2xx) 200/OK      Details of specified user (name, e-mail, role, & disabled date).
+     * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden             ‘users:read’ permission required.
+     * @apiError   404/NotFound              User not found.
+     */
+    static async getUserById(ctx) {
+        const user = await userDetails(ctx.params.id);
+        if (!user) ctx.throw(404, `No user ${ctx.params.id} found`); // Not Found
+
+        ctx.response.body = user;
+        ctx.response.body.root = 'User';
+    }
+
+
+    /**
+     * @api {post} /users Invite new user
+     * @apiName    PostUsers
+     * @apiGroup   Users
+     *
+     * @apiDescription The new user is e-mailed a link to the admin app to set their password; the
+     *   link is valid for 24 hours.
+     *
+     * @apiParam   (Body) [Firstname]        User’s first name.
+     * @apiParam   (Body) [Lastname]         User’s last name.
+     * @apiParam   (Body) Email              User’s e-mail address (used to sign in).
+     * @apiParam   (Body) Role               User’s role (e.g. guest, admin).
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  Authorization             Basic Access Authentication token.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml.
+     * @apiSuccess (Success 2xx) 201/Created Details of newly invited user.
+     * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden             ‘users:write’ permission required, e-mail or role not supplied, or unrecognised role.
+     * @apiError   409/Conflict              User with e-mail already exists.
+     * @apiError   415/UnsupportedMediaType  Unsupported Content-Type.
+     */
+    static async postUsers(ctx) {
+        const body = ctx.request.body;
+        if (!body.Email) ctx.throw(403, 'Email must be supplied', { code: 'missing-email' });
+        if (!body.Role) ctx.throw(403, 'Role must be supplied', { code: 'missing-role' });
+
+        const { id, token } = await User.invite(body);
+
+        // send e-mail with set-password link (passwords are set in the admin app)
+        const host = ctx.request.host.replace(/^api\./, 'admin.');
+        const context = { firstname: body.Firstname, host: host, token: token, expiryHours: PasswordReset.expiryHours };
+        await Mail.send(`"${body.Firstname} ${body.Lastname}" <${body.Email}>`, 'user-invite.email', context, ctx);
+
+        if (global.it) ctx.response.set('X-Reset-Token', token); // for testing (within mocha tests only)
+
+        ctx.response.body = await userDetails(id); // return invited user details
+        ctx.response.body.root = 'User';
+        ctx.response.set('Location', '/users/'+id);
+        ctx.response.status = 201; // Created
+    }
+
+
+    /**
+     * @api {patch} /users/:id Update user details
+     * @apiName     PatchUsers
+     * @apiGroup    Users
+     *
+     * @apiDescription Fields supplied are updated, others are left unchanged. Disabling a user, or
+     *   changing their role, revokes any tokens already issued to them; users cannot disable
+     *   themselves or change their own role.
+     *
+     * @apiParam   (Body) [Firstname]        User’s first name.
+     * @apiParam   (Body) [Lastname]         User’s last name.
+     * @apiParam   (Body) [Email]            User’s e-mail address.
+     * @apiParam   (Body) [Role]             User’s role.
+     * @apiParam   (Body) [Disabled]         true to disable user, false to re-enable user.
+     * @apiHeader  Authorization             Basic Access Authentication token.
+     * @apiHeader  [Accept=application/json] application/json, application/xml, text/yaml, text/plain, text/csv, application/x-ndjson.
+     * @apiHeader  Content-Type              application/x-www-form-urlencoded, application/json, application/xml, application/yaml.
+     * @apiSuccess (Success 2xx) 200/OK      Updated user details.
+     * @apiError   401/Unauthorized          Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden             ‘users:write’ permission required, unrecognised field or role, or own account disabled or role changed.
+     * @apiError   404/NotFound              User not found.
+     * @apiError   415/UnsupportedMediaType  Unsupported Content-Type.
+     */
+    static async patchUserById(ctx) {
+        const { Disabled, ...values } = ctx.request.body;
+
+        const unrecognised = Object.keys(ctx.request.body).filter(field => !updatable.includes(field));
+        if (unrecognised.length > 0) ctx.throw(403, `Unrecognised User field ‘${unrecognised.join('’, ‘')}’`, { code: 'unrecognised-field' });
+
+        const user = await User.get(ctx.params.id);
+        if (!user) ctx.throw(404, `No user ${ctx.params.id} found`); // Not Found
+
+        // Disabled may be boolean (json/yaml) or string (form/xml)
+        const disable = [ true, 'true' ].includes(Disabled);
+        const enable = [ false, 'false' ].includes(Disabled);
+        const roleChanged = 'Role' in values && values.Role != user.Role;
+
+        // check own account is not being disabled or having its role changed before making any changes
+        if (roleChanged && ctx.params.id == ctx.state.auth.id) ctx.throw(403, 'You cannot change your own role', { code: 'change-own-role' });
+        if (disable && ctx.params.id == ctx.state.auth.id) ctx.throw(403, 'You cannot disable your own account', { code: 'disable-self' });
+
+        if (Object.keys(values).length > 0) await User.update(ctx.params.id, values);
+        if (roleChanged) await User.revokeTokens(ctx.params.id); // tokens may be in use with previous role's permissions
+
+        if (disable) await User.disable(ctx.params.id);
+        if (enable) await User.enable(ctx.params.id);
+
+        ctx.response.body = await userDetails(ctx.params.id); // return updated user details
+        ctx.response.body.root = 'User';
+    }
+
+
+    /**
+     * @api {delete} /users/:id Delete user
+     * @apiName      DeleteUsers
+     * @apiGroup     Users
+     *
+     * @apiHeader  Authorization        Basic Access Authentication token.
+     * @apiSuccess (Success 2xx) 200/OK Details of deleted user.
+     * @apiError   401/Unauthorized     Invalid JWT auth credentials supplied.
+     * @apiError   403/Forbidden        ‘users:write’ permission required, or own account.
+     * @apiError   404/NotFound         User not found.
+     */
+    static async deleteUserById(ctx) {
+        const user = await userDetails(ctx.params.id);
+        if (!user) ctx.throw(404, `No user ${ctx.params.id} found`); // Not Found
+
+        if (ctx.params.id == ctx.state.auth.id) ctx.throw(403, 'You cannot delete your own account', { code: 'delete-self' });
+
+        await User.delete(ctx.params.id);
+
+        ctx.response.body = user; // deleted user details
+        ctx.response.body.root = 'User';
+    }
+
+}
+
+
+/**
+ * User details as returned by API (without password / token fields), or undefined if not found.
+ */
+async function userDetails(id) {
+    const [ [ user ] ] = await Db.query(`Select ${fields.join(', ')} From User Where UserId = :id`, { id });
+    if (user) user._id = user.UserId;
+    return user;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default UsersHandlers;
@@ -90,11 +90,12 @@ app.use(async function cleanPost(ctx, next) {
 app.use(convert(flash())); // note koa-flash@1.0.0 is v1 middleware which generates deprecation notice
 
 
-// lusca security headers
+// lusca security headers, & CSRF protection (token in _csrf form field or X-CSRF-Token header)
 const luscaCspTrustedCdns = 'ajax.googleapis.com cdnjs.cloudflare.com maxcdn.bootstrapcdn.com';
 const luscaCspDefaultSrc = `'self' 'unsafe-inline' ${luscaCspTrustedCdns}`; // 'unsafe-inline' required for <style> blocks
 app.use(lusca({
     csp:            { policy: { 'default-src': luscaCspDefaultSrc } }, // Content-Security-Policy
+    csrf:           { secret: 'csrfSecret' },                          // CSRF tokens (koa-session doesn't save '_' keys)
     cto:            'nosniff',                                         // X-Content-Type-Options
     hsts:           { maxAge: 60*60*24*365, includeSubDomains: true }, // HTTP Strict-Transport-Security
     xframe:         'SAMEORIGIN',                                      // X-Frame-Options
@@ -103,6 +104,13 @@ app.use(lusca({
 }));
 
 
+// CSRF token has been verified (for posts) - remove it from post data, which is passed on to models
+app.use(async function cleanCsrf(ctx, next) {
+    if (ctx.request.body) delete ctx.request.body._csrf;
+    await next();
+});
+
+
 // add the domain (host without subdomain) into koa ctx (used in navpartial template)
 app.use(async function ctxAddDomain(ctx, next) {
     ctx.state.domain = ctx.request.host.replace('www.', '');
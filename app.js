@@ -20,6 +20,18 @@ const app = new Koa();
 /* set up middleware which will be applied to each request - - - - - - - - - - - - - - - - - - -  */
 
 
+// if the app runs behind TRUST_PROXY proxies (e.g. 1 for Heroku router), the client IP address (for
+// logging, login throttling, etc) is that recorded by the outermost proxy in X-Forwarded-For (any
+// earlier entries are supplied by the client, so cannot be trusted); otherwise X-Forwarded-For is
+// ignored (set on each request, as environment is loaded after module imports)
+app.use(async function trustProxy(ctx, next) {
+    const proxies = Number(process.env.TRUST_PROXY) || 0;
+    ctx.app.proxy = proxies > 0;
+    ctx.app.maxIpsCount = proxies;
+    await next();
+});
+
+
 // return response time in X-Response-Time header
 app.use(async function responseTime(ctx, next) {
     const t1 = Date.now();
@@ -36,7 +48,7 @@ app.use(compress({}));
 // set signed cookie keys for JWT cookie & session cookie
 app.keys = [ 'koa-sample-app' ];
 
-// session for flash messages [& compose] (uses signed session cookies, with no server storage)
+// session for flash messages & CSRF secret [& compose] (uses signed session cookies, with no server storage)
 app.use(session(app));
 
 
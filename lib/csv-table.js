@@ -0,0 +1,181 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Export & import database table records as CSV, for spreadsheet users.                          */
+/*                                                                                                */
+/* Exports include all columns, with the column names as header row; boolean (bit / tinyint(1))   */
+/* columns are exported as 'true' / 'false'. Text values which spreadsheet applications could     */
+/* interpret as formulae are neutralised (by Csv.stringify).                                      */
+/*                                                                                                */
+/* Imports are a two-step process: preview() maps the CSV columns to table fields (by default, by */
+/* matching header names), and checks each row for validation errors & for duplicates of unique   */
+/* fields (both within the CSV & against existing records); insert() then inserts all rows within */
+/* a single transaction.                                                                          */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Db               from './mysqldb.js';
+import Csv              from './csv.js';
+import validationErrors from './validation-errors.js';
+
+
+class CsvTable {
+
+    /**
+     * Generate CSV text from table records.
+     *
+     * @param   {string}   table - Table records are from.
+     * @param   {Object[]} records - Records (as returned from 'Select *').
+     * @returns {string}   CSV text.
+     */
+    static async stringify(table, records) {
+        const columns = await Db.describe(table);
+        const fields = columns.map(c => c.Field);
+        const booleans = columns.filter(c => isBoolean(c)).map(c => c.Field);
+
+        const values = records.map(record => {
+            const converted = { ...record };
+            for (const f of booleans) converted[f] = Db.boolToTrueFalse(Buffer.isBuffer(record[f]) ? record[f][0] : record[f]);
+            return converted;
+        });
+
+        return Csv.stringify(fields, values);
+    }
+
+
+    /**
+     * Preview import of CSV text into table.
+     *
+     * @param   {string}   table - Table records are to be imported into.
+     * @param   {string}   csv - CSV text, with header row.
+     * @param   {string[]} [mapping] - Field each CSV column is to be imported into ('' or null to
+     *   ignore column); if not supplied, columns are mapped to fields matching header names.
+     * @param   {Object}   [validation] - Validation rules, as per validationErrors().
+     * @returns {Object}   Preview with
+     *   - headers: CSV header row,
+     *   - fields: fields which can be imported into,
+     *   - mapping: field each column is to be imported into,
+     *   - rows: array of { row: row number, cells: CSV fields, values: field values, errors },
+     *   - errors: total number of rows with errors.
+     * @throws  Error on malformed CSV, CSV with no data rows, or invalid mapping.
+     *
+     * @example
+     *   const preview = await CsvTable.preview('Member', csv, null, { Email: 'required type=email' });
+     *   if (preview.errors == 0) await CsvTable.insert(Member, preview.rows);
+     */
+    static async preview(table, csv, mapping=null, validation={}) {
+        const [ headers, ...data ] = Csv.parse(csv);
+        const rows = data
+            .map((cells, r) => ({ row: r+2, cells })) // row number as seen in spreadsheet
+            .filter(row => !(row.cells.length == 1 && row.cells[0] == '')); // ignore blank lines
+        if (!headers || rows.length == 0) throw new Error('CSV has no data rows');
+
+        // primary key is not imported: new records are always created
+        const columns = (await Db.describe(table)).filter(c => c.Key != 'PRI');
+        const fields = columns.map(c => c.Field);
+
+        // default mapping: columns whose header matches a field name (ignoring case & spaces)
+        const normalise = name => name.replace(/\s/g, '').toLowerCase();
+        if (!mapping) mapping = headers.map(h => fields.find(f => normalise(f) == normalise(h)) || '');
+        mapping = headers.map((h, c) => mapping[c] || '');
+
+        for (const [ c, field ] of mapping.entries()) {
+            if (field && !fields.includes(field)) throw new Error(`Unrecognised ${table} field ‘${field}’`);
+            if (field && mapping.indexOf(field) != c) throw new Error(`Field ‘${field}’ is mapped to more than one column`);
+        }
+
+        // field values & validation
+        for (const row of rows) {
+            row.values = {};
+            row.errors = [];
+            for (const [ c, field ] of mapping.entries()) {
+                if (!field) continue;
+                const value = (row.cells[c] || '').trim();
+                const column = columns.find(col => col.Field == field);
+                row.values[field] = isBoolean(column) ? toBoolean(value) : (value == '' ? null : value);
+                if (row.values[field] === undefined) row.errors.push(`“${field}” must be true or false`);
+            }
+            if (row.cells.length != headers.length) row.errors.push(`Row has ${row.cells.length} columns, header has ${headers.length}`);
+            row.errors.push(...(validationErrors(row.values, validation) || []));
+        }
+
+        // duplicates of unique fields, both within the CSV and against existing records
+        const uniqueFields = columns.filter(c => c.Key == 'UNI' && mapping.includes(c.Field)).map(c => c.Field);
+        for (const field of uniqueFields) {
+            const values = rows.map(row => row.values[field]).filter(v => v != null);
+            const sql = `Select ${field} From ${table} Where ${field} In (:values)`;
+            const [ existing ] = values.length > 0 ? await Db.query(sql, { values }) : [ [] ];
+            const existingValues = existing.map(record => String(record[field]).toLowerCase()); // default collations are case-insensitive
+
+            const seen = new Map(); // value => row number
+            for (const row of rows) {
+                const value = row.values[field];
+                if (value == null) continue;
+                const key = String(value).toLowerCase();
+                if (existingValues.includes(key)) row.errors.push(`${table} with ${field} ‘${value}’ already exists`);
+                if (seen.has(key)) row.errors.push(`Duplicate ${field} ‘${value}’ (row ${seen.get(key)})`);
+                if (!seen.has(key)) seen.set(key, row.row);
+            }
+        }
+
+        const errors = rows.filter(row => row.errors.length > 0).length;
+
+        return { headers, fields, mapping, rows, errors };
+    }
+
+
+    /**
+     * Insert previewed rows, all within a single transaction: if any insert fails, none are made.
+     *
+     * @param   {Object}   Model - Model to insert records through (providing insert()).
+     * @param   {Object[]} rows - Rows as returned by preview().
+     * @returns {number}   Number of records inserted.
+     * @throws  Error (from Model.insert) identifying the row which failed.
+     */
+    static async insert(Model, rows) {
+        const connection = await Db.connection();
+        try {
+            await connection.beginTransaction();
+
+            for (const row of rows) {
+                try {
+                    await Model.insert(row.values, connection);
+                } catch (e) {
+                    e.message = `Row ${row.row}: ${e.message}`;
+                    throw e;
+                }
+            }
+
+            await connection.commit();
+        } catch (e) {
+            await connection.rollback();
+            throw e;
+        } finally {
+            connection.release();
+        }
+
+        return rows.length;
+    }
+
+}
+
+
+/**
+ * Whether column is boolean (bit(1) or tinyint(1)).
+ */
+function isBoolean(column) {
+    return column.Type == 'bit(1)' || column.Type == 'tinyint(1)';
+}
+
+
+/**
+ * Convert CSV boolean (true/false, yes/no, 1/0, or blank) to true/false/null; any other value returns
+ * undefined.
+ */
+function toBoolean(value) {
+    const booleans = { 'true': true, 'false': false, 'yes': true, 'no': false, '1': true, '0': false, '': null };
+    const key = value.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(booleans, key) ? booleans[key] : undefined;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default CsvTable;
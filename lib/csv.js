@@ -0,0 +1,102 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Parse & generate CSV (RFC 4180) text.                                                          */
+/*                                                                                                */
+/* Fields containing commas, double-quotes, or line breaks are enclosed in double-quotes, with    */
+/* any double-quotes doubled. Generated CSV uses CRLF line breaks; when parsing, CRLF, LF, or CR  */
+/* are accepted, and any UTF-8 byte order mark (as written by spreadsheet applications) is        */
+/* ignored.                                                                                       */
+/*                                                                                                */
+/* To prevent CSV (formula) injection, generated text fields starting with '=', '+', '-', '@',    */
+/* tab, or CR are prefixed with a single-quote, so spreadsheet applications treat them as text.   */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+
+class Csv {
+
+    /**
+     * Generate CSV text from array of records.
+     *
+     * @param   {string[]} fields - Fields to be included (in order), used as header row.
+     * @param   {Object[]} records - Records to be included, one per row.
+     * @returns {string}   CSV text (null / undefined values are empty fields).
+     *
+     * @example
+     *   const csv = Csv.stringify([ 'Firstname', 'Lastname' ], [ { Firstname: 'Lewis', Lastname: 'Hamilton' } ]);
+     *   // 'Firstname,Lastname\r\nLewis,Hamilton\r\n'
+     */
+    static stringify(fields, records) {
+        const rows = [ fields, ...records.map(record => fields.map(field => record[field])) ];
+        return rows.map(row => row.map(quote).join(',') + '\r\n').join('');
+    }
+
+
+    /**
+     * Parse CSV text into array of rows, each an array of (string) fields.
+     *
+     * @param   {string}     csv - CSV text.
+     * @returns {string[][]} Rows of fields (no conversion is made of field values, and blank lines
+     *   are returned as rows with a single empty field).
+     * @throws  Error on unterminated quoted field, or characters following closing quote.
+     *
+     * @example
+     *   const rows = Csv.parse('Firstname,Lastname\r\n"Hamilton, Lewis",\r\n');
+     *   // [ [ 'Firstname', 'Lastname' ], [ 'Hamilton, Lewis', '' ] ]
+     */
+    static parse(csv) {
+        const text = csv.replace(/^\uFEFF/, ''); // strip byte order mark
+        const rows = [];
+
+        let row = [];
+        let i = 0;
+        while (i < text.length) {
+            let value = '';
+            if (text[i] == '"') {
+                // quoted field: runs to next unpaired double-quote
+                const start = i;
+                i++;
+                for (;;) {
+                    if (i >= text.length) throw new Error(`Unterminated quoted field at row ${rows.length+1}`);
+                    if (text[i] == '"' && text[i+1] == '"') { value += '"'; i += 2; continue; }
+                    if (text[i] == '"') { i++; break; }
+                    value += text[i++];
+                }
+                if (i < text.length && !',\r\n'.includes(text[i])) {
+                    throw new Error(`Unexpected character after quoted field ‘${text.slice(start, i+1)}’ at row ${rows.length+1}`);
+                }
+            } else {
+                // unquoted field: runs to next comma or line break
+                while (i < text.length && !',\r\n'.includes(text[i])) value += text[i++];
+            }
+            row.push(value);
+
+            // end of field: comma continues row, line break (or end of text) ends it
+            if (text[i] == ',') {
+                i++;
+                if (i == text.length) rows.push([ ...row, '' ]); // trailing empty field at end of text
+            } else {
+                if (text[i] == '\r' && text[i+1] == '\n') i++;
+                i++;
+                rows.push(row);
+                row = [];
+            }
+        }
+
+        return rows;
+    }
+
+}
+
+
+/**
+ * Format single value as CSV field, neutralising potential formulae, and quoting if required.
+ */
+function quote(value) {
+    if (value === null || value === undefined) return '';
+    const str = typeof value == 'string' && /^[=+\-@\t\r]/.test(value) ? "'" + value : String(value);
+    return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Csv;
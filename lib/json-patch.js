@@ -0,0 +1,188 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Apply JSON Patch (RFC 6902) operations to a document.                                          */
+/*                                                                                                */
+/* A JSON Patch is an array of operations such as                                                 */
+/*   [ { "op": "replace", "path": "/Firstname", "value": "Lewis" },                               */
+/*     { "op": "remove", "path": "/Active" } ]                                                    */
+/* where paths are JSON Pointers (RFC 6901). Operations are add, remove, replace, move, copy, and */
+/* test; they are applied in sequence, and if any fails, the patch as a whole fails (the original */
+/* document is left unchanged).                                                                   */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import ModelError from '../models/modelerror.js';
+
+
+class JsonPatch {
+
+    /**
+     * Apply JSON Patch operations to document.
+     *
+     * @param   {Object}   document - Document to be patched (not modified).
+     * @param   {Object[]} patch - Array of JSON Patch operations.
+     * @returns {Object}   Patched document.
+     * @throws  ModelError 400 on malformed patch, 409 on patch which cannot be applied to document
+     *   (including failed test operation).
+     *
+     * @example
+     *   const patched = JsonPatch.apply({ Firstname: 'Lewis' }, [ { op: 'replace', path: '/Firstname', value: 'Max' } ]);
+     */
+    static apply(document, patch) {
+        if (!Array.isArray(patch)) throw new ModelError(400, 'JSON Patch must be an array of operations');
+
+        let doc = clone(document);
+
+        for (const [ i, operation ] of patch.entries()) {
+            if (typeof operation != 'object' || operation === null) throw new ModelError(400, `JSON Patch operation ${i} must be an object`);
+            const { op, path, from, value } = operation;
+            if (typeof path != 'string') throw new ModelError(400, `JSON Patch operation ${i} requires path`);
+            if ([ 'add', 'replace', 'test' ].includes(op) && !('value' in operation)) throw new ModelError(400, `JSON Patch operation ${i} requires value`);
+            if ([ 'move', 'copy' ].includes(op) && typeof from != 'string') throw new ModelError(400, `JSON Patch operation ${i} requires from`);
+
+            switch (op) {
+                case 'add':
+                    doc = add(doc, path, clone(value));
+                    break;
+                case 'remove':
+                    doc = remove(doc, path);
+                    break;
+                case 'replace':
+                    doc = add(remove(doc, path), path, clone(value));
+                    break;
+                case 'move':
+                    if (path.startsWith(from+'/')) throw new ModelError(400, `JSON Patch operation ${i} cannot move value into its own child`);
+                    const moved = get(doc, from);
+                    doc = add(remove(doc, from), path, moved);
+                    break;
+                case 'copy':
+                    doc = add(doc, path, clone(get(doc, from)));
+                    break;
+                case 'test':
+                    if (!equal(get(doc, path), value)) throw new ModelError(409, `JSON Patch test failed for ‘${path}’`);
+                    break;
+                default:
+                    throw new ModelError(400, `Unrecognised JSON Patch operation ‘${op}’`);
+            }
+        }
+
+        return doc;
+    }
+
+}
+
+
+/**
+ * Split JSON Pointer into (unescaped) reference tokens; throws 400 on invalid pointer (including
+ * tokens such as ‘__proto__’ which could reach object prototypes).
+ */
+function tokens(pointer) {
+    if (pointer == '') return [];
+    if (!pointer.startsWith('/')) throw new ModelError(400, `Invalid JSON Pointer ‘${pointer}’`);
+    const keys = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (keys.some(key => [ '__proto__', 'constructor', 'prototype' ].includes(key))) {
+        throw new ModelError(400, `Invalid JSON Pointer ‘${pointer}’`);
+    }
+    return keys;
+}
+
+
+/**
+ * Return container (object or array) holding value referenced by pointer, together with the key
+ * within it; throws 409 if the container doesn't exist.
+ */
+function locate(doc, pointer) {
+    const keys = tokens(pointer);
+    const key = keys.pop();
+    let container = doc;
+    for (const k of keys) {
+        if (typeof container != 'object' || container === null || !has(container, k)) {
+            throw new ModelError(409, `JSON Patch path ‘${pointer}’ not found`);
+        }
+        container = container[k];
+    }
+    if (typeof container != 'object' || container === null) throw new ModelError(409, `JSON Patch path ‘${pointer}’ not found`);
+    return { container, key };
+}
+
+
+/**
+ * Return array index for key (‘-’ being end of array for add); throws 409 if out of range.
+ */
+function index(array, key, pointer, forAdd) {
+    if (forAdd && key == '-') return array.length;
+    if (!/^(0|[1-9][0-9]*)$/.test(key)) throw new ModelError(409, `JSON Patch path ‘${pointer}’ is not a valid array index`);
+    const i = Number(key);
+    if (i > array.length || (!forAdd && i == array.length)) throw new ModelError(409, `JSON Patch path ‘${pointer}’ out of range`);
+    return i;
+}
+
+
+/**
+ * Return value referenced by pointer; throws 409 if not found.
+ */
+function get(doc, pointer) {
+    if (pointer == '') return doc;
+    const { container, key } = locate(doc, pointer);
+    if (Array.isArray(container)) return container[index(container, key, pointer, false)];
+    if (!has(container, key)) throw new ModelError(409, `JSON Patch path ‘${pointer}’ not found`);
+    return container[key];
+}
+
+
+/**
+ * Add value at pointer (replacing any existing object member), returning updated document.
+ */
+function add(doc, pointer, value) {
+    if (pointer == '') return value;
+    const { container, key } = locate(doc, pointer);
+    if (Array.isArray(container)) container.splice(index(container, key, pointer, true), 0, value);
+    else container[key] = value;
+    return doc;
+}
+
+
+/**
+ * Remove value at pointer, returning updated document; throws 409 if not found.
+ */
+function remove(doc, pointer) {
+    if (pointer == '') return undefined;
+    const { container, key } = locate(doc, pointer);
+    if (Array.isArray(container)) {
+        container.splice(index(container, key, pointer, false), 1);
+    } else {
+        if (!has(container, key)) throw new ModelError(409, `JSON Patch path ‘${pointer}’ not found`);
+        delete container[key];
+    }
+    return doc;
+}
+
+
+/**
+ * Whether object has own property key (inherited properties are not part of a JSON document).
+ */
+function has(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+
+/**
+ * Deep copy of JSON value.
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+
+/**
+ * Deep equality of JSON values (object member order is not significant).
+ */
+function equal(a, b) {
+    if (typeof a != 'object' || typeof b != 'object' || a === null || b === null) return a === b;
+    if (Array.isArray(a) != Array.isArray(b)) return false;
+    if (Object.keys(a).length != Object.keys(b).length) return false;
+    return Object.keys(a).every(key => has(b, key) && equal(a[key], b[key]));
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default JsonPatch;
@@ -11,6 +11,9 @@ import useragent from 'useragent'; // parse browser user agent string
 import Db   from './mongodb.js';
 import Mail from './mail.js';
 
+// query-string parameters whose values are never recorded in logs (credentials, tokens, etc)
+const sensitiveParams = [ 'username', 'password', 'token', 'refreshtoken', 'jwt' ];
+
 
 class Log {
 
@@ -23,12 +26,11 @@ class Log {
     static async access(ctx, time) {
         // don't log development environment [to test logging, check referer=mocha]
         if (ctx.app.env == 'development') return;
-        ctx.app.proxy = true; // support x-forwarded-host / x-forwarded-for for e.g. Heroku
 
         const request = {
             method:   ctx.request.method,
             host:     ctx.request.host,
-            url:      ctx.request.url,
+            url:      Log.scrubUrl(ctx.request.url),
             ip:       ctx.request.ip,
             referrer: ctx.request.headers.referer,
             status:   ctx.response.status,
@@ -61,7 +63,7 @@ class Log {
         const request = {
             method: ctx.request.method,
             host:   ctx.request.host,
-            url:    ctx.request.url,
+            url:    Log.scrubUrl(ctx.request.url),
             ip:     ctx.request.ip,
             status: ctx.response.status,
         };
@@ -87,6 +89,31 @@ class Log {
     }
 
 
+    /**
+     * Replace values of sensitive query-string parameters (such as passwords) in url, so that they
+     * are not recorded in logs.
+     *
+     * @param   {string} url - Request url.
+     * @returns {string} Url with sensitive parameter values replaced by '***'.
+     *
+     * @example
+     *   Log.scrubUrl('/auth?username=me&password=secret'); // => '/auth?username=***&password=***'
+     */
+    static scrubUrl(url) {
+        const [ path, ...query ] = url.split('?');
+        if (query.length == 0) return url;
+
+        const params = query.join('?').split('&').map(param => {
+            const [ name ] = param.split('=');
+            let decoded = name;
+            try { decoded = decodeURIComponent(name.replace(/\+/g, ' ')); } catch (e) { /* leave malformed name as is */ }
+            return sensitiveParams.includes(decoded.toLowerCase()) ? `${name}=***` : param;
+        });
+
+        return path + '?' + params.join('&');
+    }
+
+
     /**
      * Log or notify unhandled exception e.g. from within models.
      *
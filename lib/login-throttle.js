@@ -0,0 +1,298 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Login throttling: failed login attempts are counted per account and per IP address; beyond a   */
+/* few free attempts, further attempts must wait an exponentially increasing delay, and after too */
+/* many failures the account (or IP address) is locked out for a period.                          */
+/*                                                                                                */
+/* Attempts are refused before the password is verified, so a brute-force run does not get to     */
+/* cost a scrypt verification per attempt; each permitted attempt is reserved (counted as a       */
+/* failure until it succeeds), so that concurrent attempts cannot all pass the check. Refused     */
+/* attempts are not counted, and do not extend the wait (or lockout).                             */
+/*                                                                                                */
+/* Counters are held in-process by default; if LOGIN_THROTTLE_STORE=mongodb, they are held in a   */
+/* MongoDB collection, so are shared between app instances (and survive restarts).                */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Db from './mongodb.js';
+
+const limits = {
+    account: { free: 5,  lockAt: 10 },  // per-account (i.e. per username attempted)
+    ip:      { free: 20, lockAt: 100 }, // per-IP (allowing for shared addresses, e.g. NAT)
+};
+const lockout = 1000*60*15;   // locked out for 15 minutes
+const forget = 1000*60*60*24; // counters are forgotten 24 hours after last failure
+const maxCounters = 100000;   // in-process store: beyond this, least recently failed counters are dropped
+
+const counters = new Map(); // in-process store: key => { key, failures, last }, in order of last failure
+
+
+class LoginThrottle {
+
+    /**
+     * Return how long before a login attempt for given username from given IP address can be made.
+     *
+     * @param   {string} username - Username (e-mail) login is being attempted for.
+     * @param   {string} ip - IP address login attempt is being made from.
+     * @returns {number} Seconds to wait before next attempt (0 if an attempt can be made now).
+     */
+    static async wait(username, ip) {
+        const now = Date.now();
+        const account = await store().get(accountKey(username));
+        const address = await store().get(`ip:${ip}`);
+
+        const until = Math.max(retryAt(account, limits.account), retryAt(address, limits.ip));
+
+        return until > now ? Math.ceil((until - now) / 1000) : 0;
+    }
+
+
+    /**
+     * Reserve login attempt (before verifying credentials): if an attempt can be made now, it is
+     * recorded as a failure in advance, and is cleared by success() or release(). This means
+     * concurrent attempts are counted as they are made, rather than once they have been verified.
+     *
+     * @param   {string} username - Username (e-mail) login is being attempted for.
+     * @param   {string} ip - IP address login attempt is being made from.
+     * @returns {number} Seconds to wait before next attempt (0 if the attempt has been reserved).
+     */
+    static async reserve(username, ip) {
+        const now = Date.now();
+
+        // count attempt first (atomically), so that concurrent attempts see each other...
+        const account = await store().increment(accountKey(username));
+        const address = await store().increment(`ip:${ip}`);
+
+        // ... then check whether it could be made, given the counts before it
+        const until = Math.max(retryAt(account.previous, limits.account), retryAt(address.previous, limits.ip));
+        if (until <= now) return 0;
+
+        // refused attempts are not counted as failures, and do not restart the wait
+        await store().revert(accountKey(username), account);
+        await store().revert(`ip:${ip}`, address);
+        return Math.ceil((until - now) / 1000);
+    }
+
+
+    /**
+     * Record failed login attempt (which has not been reserved by reserve()).
+     *
+     * @param   {string} username - Username (e-mail) login was attempted for.
+     * @param   {string} ip - IP address login attempt was made from.
+     * @returns {boolean} True if this failure has locked the account out.
+     */
+    static async failure(username, ip) {
+        const account = await store().increment(accountKey(username));
+        await store().increment(`ip:${ip}`);
+
+        return account.failures >= limits.account.lockAt;
+    }
+
+
+    /**
+     * Whether account is locked out (e.g. following failure of a reserved attempt).
+     *
+     * @param   {string}  username - Username (e-mail).
+     * @returns {boolean} True if account has reached the lockout threshold.
+     */
+    static async lockedOut(username) {
+        const account = await store().get(accountKey(username));
+        return account != null && account.failures >= limits.account.lockAt;
+    }
+
+
+    /**
+     * Release reserved attempt which neither failed nor completed a login (e.g. password verified,
+     * but second factor still to come).
+     *
+     * @param {string} username - Username (e-mail) login was attempted for.
+     * @param {string} ip - IP address login attempt was made from.
+     */
+    static async release(username, ip) {
+        await store().decrement(accountKey(username));
+        await store().decrement(`ip:${ip}`);
+    }
+
+
+    /**
+     * Record successful login: the account's failure count is cleared, and any reservation for the
+     * IP address released (its failures are left to be forgotten in due course, so that success on
+     * one account does not reset attempts made against others).
+     *
+     * @param {string} username - Username (e-mail) of user who has logged in.
+     * @param {string} [ip] - IP address of reserved attempt which has succeeded.
+     */
+    static async success(username, ip=undefined) {
+        await store().delete(accountKey(username));
+        if (ip !== undefined) await store().decrement(`ip:${ip}`);
+    }
+
+
+    /**
+     * List currently locked-out accounts.
+     *
+     * @returns {Object[]} Locked accounts { username, failures, lockedUntil }.
+     */
+    static async locked() {
+        const now = Date.now();
+        const accounts = await store().list('account:');
+
+        return accounts
+            .filter(account => account.failures >= limits.account.lockAt && account.last + lockout > now)
+            .map(account => ({
+                username:    account.key.replace(/^account:/, ''),
+                failures:    account.failures,
+                lockedUntil: new Date(account.last + lockout),
+            }))
+            .sort((a, b) => a.lockedUntil - b.lockedUntil);
+    }
+
+
+    /**
+     * Unlock account (clearing its failure count).
+     *
+     * @param {string} username - Username (e-mail) of locked account.
+     */
+    static async unlock(username) {
+        await store().delete(accountKey(username));
+    }
+
+
+    /**
+     * Lockout period, in minutes (e.g. for notifications).
+     */
+    static get lockoutMinutes() {
+        return lockout / 1000 / 60;
+    }
+
+}
+
+
+/**
+ * Counter key for username (usernames are e-mails, so case-insensitive).
+ */
+function accountKey(username) {
+    return `account:${String(username).toLowerCase()}`;
+}
+
+
+/**
+ * Time (ms since epoch) at which next attempt can be made for counter: free attempts need not
+ * wait; beyond that, attempts must wait 1s, 2s, 4s, ... after the last failure, until the lockout
+ * threshold, when they must wait the lockout period.
+ */
+function retryAt(counter, limit) {
+    if (!counter || counter.failures < limit.free) return 0;
+    if (counter.failures >= limit.lockAt) return counter.last + lockout;
+    return counter.last + 1000 * 2**(counter.failures - limit.free);
+}
+
+
+/**
+ * In-process counter store (synchronous, but used with await as for the MongoDB store).
+ */
+const memoryStore = {
+    get(key) {
+        const counter = counters.get(key);
+        if (counter && counter.last + forget < Date.now()) { counters.delete(key); return null; }
+        return counter || null;
+    },
+    increment(key) {
+        const counter = memoryStore.get(key) || { key, failures: 0 };
+        const previous = { failures: counter.failures, last: counter.last };
+        counter.failures++;
+        counter.last = Date.now();
+        counters.delete(key); // re-insert to keep counters in order of last failure
+        counters.set(key, counter);
+        prune();
+        return { ...counter, previous };
+    },
+    decrement(key) {
+        const counter = memoryStore.get(key);
+        if (counter && counter.failures > 0) counter.failures--;
+    },
+    revert(key, incremented) { // undo increment(), restoring last failure time unless failed again since
+        const counter = memoryStore.get(key);
+        if (!counter || counter.failures == 0) return;
+        counter.failures--;
+        if (counter.last != incremented.last) return;
+        if (incremented.previous.last === undefined) counters.delete(key); else counter.last = incremented.previous.last;
+    },
+    delete(key) {
+        counters.delete(key);
+    },
+    list(prefix) {
+        const keys = [ ...counters.keys() ].filter(key => key.startsWith(prefix));
+        return keys.map(key => memoryStore.get(key)).filter(counter => counter != null);
+    },
+};
+
+
+/**
+ * Drop forgotten counters from in-process store (which would otherwise grow without limit, e.g.
+ * from attempts against random usernames), and if there are still too many, the least recently
+ * failed ones. Counters are held in order of last failure, so only the oldest need be checked.
+ */
+function prune() {
+    const now = Date.now();
+    for (const [ key, counter ] of counters) {
+        if (counter.last + forget >= now && counters.size <= maxCounters) break;
+        counters.delete(key);
+    }
+}
+
+
+/**
+ * MongoDB counter store (collection 'login-throttle', with TTL index to forget old counters).
+ */
+const mongoStore = {
+    async collection() {
+        const collection = await Db.collection('login-throttle');
+        await collection.createIndex({ updated: 1 }, { expireAfterSeconds: forget/1000 }); // no-op if exists
+        return collection;
+    },
+    async get(key) {
+        const collection = await mongoStore.collection();
+        const doc = await collection.findOne({ _id: key });
+        return doc ? { key, failures: doc.failures, last: doc.updated.getTime() } : null;
+    },
+    async increment(key) {
+        const collection = await mongoStore.collection();
+        const updated = new Date();
+        const update = { $inc: { failures: 1 }, $set: { updated } };
+        const result = await collection.findOneAndUpdate({ _id: key }, update, { upsert: true, returnOriginal: true });
+        const previous = result.value ? { failures: result.value.failures, last: result.value.updated.getTime() } : { failures: 0 };
+        return { key, failures: previous.failures + 1, last: updated.getTime(), previous };
+    },
+    async decrement(key) {
+        const collection = await mongoStore.collection();
+        await collection.updateOne({ _id: key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+    },
+    async revert(key, incremented) { // undo increment(), restoring last failure time unless failed again since
+        const collection = await mongoStore.collection();
+        const filter = { _id: key, failures: { $gt: 0 }, updated: new Date(incremented.last) };
+        const restore = incremented.previous.last === undefined ? {} : { $set: { updated: new Date(incremented.previous.last) } };
+        const result = await collection.updateOne(filter, { $inc: { failures: -1 }, ...restore });
+        if (result.matchedCount == 0) await mongoStore.decrement(key);
+    },
+    async delete(key) {
+        const collection = await mongoStore.collection();
+        await collection.deleteOne({ _id: key });
+    },
+    async list(prefix) {
+        const collection = await mongoStore.collection();
+        const docs = await collection.find({ _id: { $regex: '^'+prefix } }).toArray();
+        return docs.map(doc => ({ key: doc._id, failures: doc.failures, last: doc.updated.getTime() }));
+    },
+};
+
+
+/**
+ * Counter store in use (determined on each call, as environment is loaded after module imports).
+ */
+function store() {
+    return process.env.LOGIN_THROTTLE_STORE == 'mongodb' ? mongoStore : memoryStore;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default LoginThrottle;
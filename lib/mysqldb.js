@@ -10,6 +10,8 @@ const debug = Debug('app:mysql'); // mysql db queries
 
 let connectionPool = null;
 
+const describeCache = new Map(); // table column definitions
+
 const heartbeat = false; // send heartbeat queries to prevent Azure disconnect issues
 
 
@@ -67,6 +69,47 @@ class MysqlDb {
         return [ rows, fields ];
     }
 
+    /**
+     * Perform a query, returning the result rows as a stream rather than an array, so that large
+     * result sets need not be held in memory.
+     *
+     * A connection is taken from the pool for the duration of the query; it is released once all
+     * rows have been read, or discarded if the stream is closed before then (e.g. on client abort).
+     * The stream emits a 'fields' event (with field definitions) before the first row.
+     *
+     * @param   {string} sql - The SQL command to be executed.
+     * @param   {Object} [values] - Values to be substituted in SQL placeholders.
+     * @returns {Readable} Object-mode stream of result rows.
+     *
+     * @example
+     *   const books = await Db.stream('Select * From Books Where Author = :author', { author: 'David' });
+     *   for await (const book of books) console.info(book.Title);
+     */
+    static async stream(sql, values) {
+        if (!connectionPool) await setupConnectionPool();
+
+        const connection = await connectionPool.getConnection();
+        debug('stream', sql.trim().split('\n')[0]+(sql.trim().split('\n').length>1?'...':''));
+
+        const query = connection.connection.query(sql, values); // underlying (non-promise) connection supports streaming
+
+        // release connection once query completes (including on sql error); if the stream is closed
+        // before the query completes, the connection is discarded rather than returned to the pool
+        let finished = false;
+        const finish = reusable => {
+            if (finished) return;
+            finished = true;
+            if (reusable) connection.release(); else connection.destroy();
+        };
+        query.on('error', () => finish(true));
+        query.on('end', () => finish(true));
+
+        const stream = query.stream();
+        stream.on('close', () => finish(false));
+
+        return stream;
+    }
+
     /**
      * Get a connection to the database.
      *
@@ -95,6 +138,28 @@ class MysqlDb {
     }
 
 
+    /**
+     * Return column definitions for table (as per MySQL 'Describe': Field, Type, Null, Key, Default,
+     * Extra). Definitions are cached until app restart, as table structures don't change while the
+     * app is running.
+     *
+     * @param   {string} table - Name of table to be described.
+     * @returns {Object[]} Column definitions.
+     *
+     * @example
+     *   const columns = await Db.describe('Member');
+     *   const emailRequired = columns.find(c => c.Field == 'Email').Null == 'NO';
+     */
+    static async describe(table) {
+        if (describeCache.has(table)) return describeCache.get(table); // yay, cached!
+
+        const [ columns ] = await MysqlDb.query(`Describe ${table}`);
+        describeCache.set(table, columns);
+
+        return columns;
+    }
+
+
     /**
      * Return connection parameters used to connect to MySQL. Parameters are obtained from the
      * DB_MYSQL_CONNECTION environment variable which should be a connection string either in the
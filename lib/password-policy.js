@@ -0,0 +1,143 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Password policy: new passwords must have a minimum length, must not contain banned words       */
+/* (including the user's own name or e-mail), and must have a minimum estimated strength; these   */
+/* are checked by the 'policy' validationErrors() rule. Passwords which have appeared in a data   */
+/* breach are reported by breachCount(), so users can be warned before confirming them.           */
+/*                                                                                                */
+/* The policy is set by PASSWORD_MIN_LENGTH (default 10), PASSWORD_MIN_STRENGTH (estimated bits   */
+/* of entropy, default 45), and PASSWORD_BANNED_WORDS (comma-separated, in addition to a built-in */
+/* list); further rules can be added with PasswordPolicy.use().                                   */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Pwned from './pwned.js';
+import Log   from './log.js';
+
+const bannedWords = [ 'password', 'passw0rd', 'qwerty', 'letmein', 'welcome', 'iloveyou', 'admin' ];
+
+const rules = []; // additional rules added with use()
+
+
+class PasswordPolicy {
+
+    /**
+     * Current policy settings (determined on each call, as environment is loaded after module
+     * imports).
+     *
+     * @returns {Object} { minLength, minStrength, bannedWords }.
+     */
+    static get settings() {
+        const extraWords = (process.env.PASSWORD_BANNED_WORDS || '').split(',').map(word => word.trim().toLowerCase());
+        return {
+            minLength:   Number(process.env.PASSWORD_MIN_LENGTH) || 10,
+            minStrength: Number(process.env.PASSWORD_MIN_STRENGTH) || 45,
+            bannedWords: bannedWords.concat(extraWords.filter(word => word != '')),
+        };
+    }
+
+
+    /**
+     * Add rule to policy.
+     *
+     * @param {Function} rule - Function taking (password, user) and returning error message (e.g.
+     *   'must contain a digit') if the password does not satisfy the rule, otherwise null.
+     *
+     * @example
+     *   PasswordPolicy.use(pw => /[0-9]/.test(pw) ? null : 'must contain a digit');
+     */
+    static use(rule) {
+        rules.push(rule);
+    }
+
+
+    /**
+     * Check password against policy rules (other than breach check, which requires a lookup).
+     *
+     * @param   {string}   password - Password to be checked.
+     * @param   {Object}   [user] - User the password is for (Firstname, Lastname, Email are banned).
+     * @returns {string[]} Error messages (e.g. 'must be at least 10 characters long'); empty if
+     *   password satisfies policy.
+     */
+    static validate(password, user={}) {
+        const settings = PasswordPolicy.settings;
+        const pw = typeof password == 'string' ? password : '';
+        const errors = [];
+
+        if (pw.length < settings.minLength) {
+            errors.push(`must be at least ${settings.minLength} characters long`);
+        } else if (PasswordPolicy.strength(pw) < settings.minStrength) {
+            errors.push('is too easily guessed');
+        }
+
+        const banned = settings.bannedWords.concat(userWords(user)).find(word => pw.toLowerCase().includes(word));
+        if (banned) errors.push(`must not contain ‘${banned}’`);
+
+        for (const rule of rules) {
+            const error = rule(pw, user);
+            if (error) errors.push(error);
+        }
+
+        return errors;
+    }
+
+
+    /**
+     * Number of times password has appeared in a data breach (using the Pwned Passwords offline
+     * dataset if the API cannot be reached).
+     *
+     * If the breach check is unavailable (no network, and no offline dataset), the exception is
+     * logged, and the password is treated as not breached.
+     *
+     * @param   {string} password - Password to be checked.
+     * @returns {number} Breach count; 0 if not breached (or check unavailable).
+     */
+    static async breachCount(password) {
+        try {
+            return await Pwned.breachCount(password);
+        } catch (e) {
+            Log.exception('PasswordPolicy.breachCount', e);
+            return 0;
+        }
+    }
+
+
+    /**
+     * Estimate strength of password, as bits of entropy: the length times the bits per character
+     * for the character classes used (lower-case, upper-case, digits, others). Runs of repeated or
+     * sequential characters (e.g. 'aaaa', 'abcd', '4321') count as just two characters.
+     *
+     * @param   {string} password - Password to be estimated.
+     * @returns {number} Estimated bits of entropy.
+     */
+    static strength(password) {
+        const classes = [ { re: /[a-z]/, size: 26 }, { re: /[A-Z]/, size: 26 }, { re: /[0-9]/, size: 10 }, { re: /[^a-zA-Z0-9]/, size: 33 } ];
+        const poolSize = classes.filter(c => c.re.test(password)).reduce((size, c) => size + c.size, 0);
+        if (poolSize == 0) return 0;
+
+        let length = 0;
+        for (let i=0; i<password.length; i++) {
+            const step = password.charCodeAt(i) - password.charCodeAt(i-1);
+            const stepPrev = password.charCodeAt(i-1) - password.charCodeAt(i-2);
+            const inRun = i >= 2 && step == stepPrev && Math.abs(step) <= 1;
+            if (!inRun) length++;
+        }
+
+        return Math.floor(length * Math.log2(poolSize));
+    }
+
+}
+
+
+/**
+ * Words from user's name & e-mail which should not appear in their password (ignoring very short
+ * words, and the e-mail top-level domain).
+ */
+function userWords(user) {
+    const email = (user.Email || '').replace(/\.[^.@]+$/, ''); // without TLD
+    const words = [ user.Firstname, user.Lastname, email ].join(' ').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    return words.filter(word => word.length >= 3);
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default PasswordPolicy;
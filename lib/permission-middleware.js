@@ -0,0 +1,94 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Permission middleware - check signed-in user has permission for the requested resource/action. */
+/*                                                                                                */
+/* Used in routes for both admin & api apps, e.g.                                                 */
+/*   router.post('/members', Permission.require('members:write'), members.postMembers);           */
+/*                                                                                                */
+/* Permissions come from the user's role, or from a team grant (for team-scoped permissions, the  */
+/* team concerned is obtained from the request - see require()). Permissions are obtained from    */
+/* the database once per request.                                                                 */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Role from '../models/role.js';
+
+
+class Permission {
+
+    /**
+     * Middleware to require permission for the request; throws 403 if the user does not have the
+     * permission.
+     *
+     * @param {string}   permission - Permission required, as 'resource:action', e.g. 'members:write'.
+     * @param {Function} [options.team] - (Async) function returning the id of the team the request
+     *   concerns, from the koa context; if given, a team grant for that team confers permission.
+     *
+     * @example
+     *   router.delete('/team-members/:id', Permission.require('team-members:write', { team: teamOfTeamMember }), ...);
+     */
+    static require(permission, options={}) {
+        return async function permissionMiddleware(ctx, next) {
+            await Permission.check(ctx, permission, options.team);
+            await next();
+        };
+    }
+
+
+    /**
+     * Check user has permission; throws 403 if not.
+     *
+     * This can be used directly by handlers which perform different actions depending on the
+     * request (e.g. updating a team's details or its roster).
+     *
+     * @param {Object}          ctx - Koa context.
+     * @param {string}          permission - Permission required, as 'resource:action'.
+     * @param {Function|number} [team] - Team id, or (async) function returning team id from ctx.
+     */
+    static async check(ctx, permission, team=undefined) {
+        if (!await Permission.has(ctx, permission, team)) ctx.throw(403, `Permission ‘${permission}’ required`);
+    }
+
+
+    /**
+     * Whether user has permission.
+     *
+     * @param   {Object}          ctx - Koa context.
+     * @param   {string}          permission - Permission required, as 'resource:action'.
+     * @param   {Function|number} [team] - Team id, or (async) function returning team id from ctx.
+     * @returns {boolean}         True if user has permission.
+     */
+    static async has(ctx, permission, team=undefined) {
+        if (!ctx.state.auth) return false;
+
+        const user = ctx.state.auth.user || ctx.state.auth; // admin app records user in ctx.state.auth.user
+        if (!ctx.state.permissions) ctx.state.permissions = await Role.permissions(user.id);
+
+        if (Permission.allows(ctx.state.permissions, permission)) return true; // no need to determine team
+
+        if (team === undefined) return false;
+        const teamId = typeof team == 'function' ? await team(ctx) : team;
+
+        return Permission.allows(ctx.state.permissions, permission, teamId);
+    }
+
+
+    /**
+     * Whether set of permissions (as returned by Role.permissions()) allows given permission,
+     * optionally within given team.
+     *
+     * @param   {Object}  permissions - { global: string[], teams: { [teamId]: string[] } }.
+     * @param   {string}  permission - Permission required, as 'resource:action'.
+     * @param   {number}  [teamId] - Team request concerns.
+     * @returns {boolean} True if permission is allowed.
+     */
+    static allows(permissions, permission, teamId=undefined) {
+        if (permissions.global.includes(permission)) return true;
+        if (teamId == null) return false;
+        return (permissions.teams[teamId] || []).includes(permission);
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Permission;
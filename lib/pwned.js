@@ -1,9 +1,15 @@
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 /* Check whether password has been seen in a breach.                                              */
+/*                                                                                                */
+/* If api.pwnedpasswords.com is unavailable, an offline copy of the Pwned Passwords dataset can   */
+/* be used: PWNED_PASSWORDS_DATASET is the directory holding it, as one file per SHA-1 hash       */
+/* prefix (e.g. '21BD1.txt'), each holding 'suffix:count' lines just as returned by the API.      */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import crypto from 'crypto';     // nodejs.org/api/crypto.html
-import fetch  from 'node-fetch'; // window.fetch in node.js
+import crypto             from 'crypto';     // nodejs.org/api/crypto.html
+import { promises as fs } from 'fs';         // nodejs.org/api/fs.html
+import path               from 'path';       // nodejs.org/api/path.html
+import fetch              from 'node-fetch'; // window.fetch in node.js
 
 class Pwned {
 
@@ -14,23 +20,60 @@ class Pwned {
      *
      * K-anonymity methodology is used to obtain breach count without transmitting actual password.
      *
+     * If the API cannot be reached, the offline dataset is used if available.
+     *
      * @param {string} pw - Password to be checked.
      * @returns {number} Number of breaches password has been seen in (not breached returns 0 ≣ false).
+     * @throws  Error if API cannot be reached and no offline dataset is available.
      */
     static async breachCount(pw) {
         if (typeof pw != 'string') throw new Error('Password is not a string');
 
         const hash = crypto.createHash('sha1').update(pw).digest('hex').toUpperCase();
         const prefix = hash.slice(0, 5);
-        const response = await fetch(`https://api.pwnedpasswords.com/range/${prefix}`);
-        if (!response.ok) throw new Error(`Pwned.breachCount failed (status ${response.status})`);
-        const respText = await response.text();
-        const suffixes = await respText.split('\r\n');
-        const match = suffixes.filter(s => `${prefix}${s.split(':')[0]}` == hash)[0];
-
-        if (!match) return 0;
-        return match.split(':')[1];
+        try {
+            const response = await fetch(`https://api.pwnedpasswords.com/range/${prefix}`, { timeout: 5000 });
+            if (!response.ok) throw new Error(`Pwned.breachCount failed (status ${response.status})`);
+            const respText = await response.text();
+            return count(respText, hash);
+        } catch (e) {
+            if (!process.env.PWNED_PASSWORDS_DATASET) throw e;
+            return await Pwned.offlineBreachCount(pw);
+        }
     }
+
+
+    /**
+     * Return breach count for password from offline Pwned Passwords dataset.
+     *
+     * @param {string} pw - Password to be checked.
+     * @returns {number} Number of breaches password has been seen in (not breached returns 0 ≣ false).
+     * @throws  Error if no offline dataset is available.
+     */
+    static async offlineBreachCount(pw) {
+        if (typeof pw != 'string') throw new Error('Password is not a string');
+        if (!process.env.PWNED_PASSWORDS_DATASET) throw new Error('No PWNED_PASSWORDS_DATASET available');
+
+        const hash = crypto.createHash('sha1').update(pw).digest('hex').toUpperCase();
+        const prefix = hash.slice(0, 5);
+        const file = path.join(process.env.PWNED_PASSWORDS_DATASET, `${prefix}.txt`);
+        const respText = await fs.readFile(file, 'utf8');
+        return count(respText, hash);
+    }
+}
+
+
+/**
+ * Return breach count for (upper-case hex) SHA-1 hash from range of 'suffix:count' lines for its
+ * prefix.
+ */
+function count(range, hash) {
+    const prefix = hash.slice(0, 5);
+    const suffixes = range.split(/\r?\n/);
+    const match = suffixes.filter(s => `${prefix}${s.split(':')[0].toUpperCase()}` == hash)[0];
+
+    if (!match) return 0;
+    return Number(match.split(':')[1]);
 }
 
 
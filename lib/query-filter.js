@@ -0,0 +1,252 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Translate query-string filters, sort orders, field selections, and embedded related resources  */
+/* into SQL (or lists to be applied by handlers).                                                 */
+/*                                                                                                */
+/* Filters take the form field=value for equality, or field[op]=value for other comparisons, e.g. */
+/*   /members?Lastname[like]=Sch%&MemberId[gt]=100002&Active[ne]=true&Firstname[null]=false       */
+/* Operators are eq, ne, gt, gte, lt, lte, like, nlike, in & nin (comma-separated lists), and     */
+/* null (true for 'is null', false for 'is not null'). Filters are and'ed together; or'ed         */
+/* conditions are supplied as an 'or' group of conditions separated by '|', e.g.                  */
+/*   /members?or=Firstname=Lewis|Lastname[like]=Sch%                                              */
+/*                                                                                                */
+/* Sort orders are comma-separated fields, prefixed by '-' for descending order, e.g.             */
+/*   /members?sort=-Lastname,Firstname                                                            */
+/* field selections are comma-separated fields, e.g.                                              */
+/*   /members?fields=Firstname,Email                                                              */
+/* and related resources to be embedded in full are specified by include, e.g.                    */
+/*   /members/100001?include=teams                                                                */
+/*                                                                                                */
+/* Field names are spliced into the SQL, so they are checked against the table's actual columns;  */
+/* values are always supplied through placeholders.                                               */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Db         from './mysqldb.js';
+import ModelError from '../models/modelerror.js';
+
+
+const operators = {
+    eq:    '=',
+    ne:    '!=',
+    gt:    '>',
+    gte:   '>=',
+    lt:    '<',
+    lte:   '<=',
+    like:  'Like',
+    nlike: 'Not Like',
+    in:    'In',
+    nin:   'Not In',
+    null:  'Is Null',
+};
+
+
+class QueryFilter {
+
+    /**
+     * Return SQL condition & placeholder values for query-string filter on given table.
+     *
+     * @param   {string} table - Table filter applies to.
+     * @param   {Object} query - Query-string filter parameters (excluding e.g. pagination parameters).
+     * @returns {Object} { sql, values }: sql condition (empty string for no filter), and values for
+     *   sql placeholders.
+     * @throws  ModelError 403 on unrecognised field, 400 on invalid operator or value.
+     *
+     * @example
+     *   const filter = await QueryFilter.where('Member', { 'MemberId[gt]': '100002' });
+     *   const sql = 'Select * From Member' + (filter.sql ? ' Where '+filter.sql : '');
+     *   const [ members ] = await Db.query(sql, filter.values);
+     */
+    static async where(table, query) {
+        const columns = await Db.describe(table);
+        return QueryFilter.parse(table, query, columns);
+    }
+
+
+    /**
+     * Return SQL condition & placeholder values for query-string filter, given table column
+     * definitions (as returned by Db.describe()).
+     *
+     * @param   {string}   table - Table filter applies to (for error messages).
+     * @param   {Object}   query - Query-string filter parameters.
+     * @param   {Object[]} columns - Table column definitions.
+     * @returns {Object}   { sql, values }.
+     */
+    static parse(table, query, columns) {
+        const values = {};
+        const conditions = [];
+
+        for (const [ key, value ] of Object.entries(query)) {
+            // repeated parameters (e.g. ?or=...&or=...) each add a separate condition
+            for (const val of [].concat(value)) {
+                if (key == 'or') {
+                    // or group: conditions separated by '|', each as 'field[op]=value'
+                    const group = val.split('|').map(cond => {
+                        const [ k, ...v ] = cond.split('=');
+                        return condition(table, columns, k, v.join('='), values);
+                    });
+                    conditions.push('('+group.join(' Or ')+')');
+                } else {
+                    conditions.push(condition(table, columns, key, val, values));
+                }
+            }
+        }
+
+        return { sql: conditions.join(' And '), values };
+    }
+
+
+    /**
+     * Return SQL 'order by' list for query-string sort parameter on given table.
+     *
+     * The sort parameter is a comma-separated list of fields, each optionally prefixed by '-' for
+     * descending order. The primary key is appended as a tie-breaker (if not already included), so
+     * that paging through results is deterministic.
+     *
+     * @param   {string} table - Table sort applies to.
+     * @param   {string} [sort] - Query-string sort parameter, e.g. '-Lastname,Firstname'.
+     * @param   {string} defaultSort - Sort to use if none supplied.
+     * @returns {string} SQL order by list, e.g. 'Lastname Desc, Firstname, MemberId'.
+     * @throws  ModelError 403 on unrecognised field.
+     *
+     * @example
+     *   const orderBy = await QueryFilter.sort('Member', ctx.request.query.sort, 'Firstname,Lastname');
+     *   const [ members ] = await Db.query('Select * From Member Order By '+orderBy);
+     */
+    static async sort(table, sort, defaultSort) {
+        const columns = await Db.describe(table);
+        return QueryFilter.parseSort(table, sort || defaultSort, columns);
+    }
+
+
+    /**
+     * Return SQL 'order by' list for query-string sort parameter, given table column definitions.
+     *
+     * @param   {string}   table - Table sort applies to (for error messages).
+     * @param   {string}   sort - Query-string sort parameter.
+     * @param   {Object[]} columns - Table column definitions.
+     * @returns {string}   SQL order by list.
+     */
+    static parseSort(table, sort, columns) {
+        const order = [].concat(sort).join(',').split(',').filter(f => f.trim() != '').map(f => {
+            const desc = f.trim().startsWith('-');
+            return { field: column(table, columns, f.trim().replace(/^[-+]/, '')).Field, desc };
+        });
+
+        const pk = columns.find(c => c.Key == 'PRI');
+        if (pk && !order.some(o => o.field == pk.Field)) order.push({ field: pk.Field, desc: false });
+
+        return order.map(o => o.field + (o.desc ? ' Desc' : '')).join(', ');
+    }
+
+
+    /**
+     * Return list of (validated) fields for query-string fields parameter on given table.
+     *
+     * @param   {string}   table - Table fields belong to.
+     * @param   {string}   [fields] - Query-string fields parameter, e.g. 'Firstname,Email'.
+     * @param   {string[]} [related] - Names of related collections which can also be selected.
+     * @returns {string[]} Field names (as defined in the table), or null if no field selection.
+     * @throws  ModelError 403 on unrecognised field.
+     *
+     * @example
+     *   const fields = await QueryFilter.fields('Member', 'Firstname,Email'); // [ 'Firstname', 'Email' ]
+     */
+    static async fields(table, fields, related=[]) {
+        const columns = await Db.describe(table);
+        return QueryFilter.parseFields(table, fields, columns, related);
+    }
+
+
+    /**
+     * Return list of (validated) fields for query-string fields parameter, given table column
+     * definitions.
+     *
+     * @param   {string}   table - Table fields belong to (for error messages).
+     * @param   {string}   fields - Query-string fields parameter.
+     * @param   {Object[]} columns - Table column definitions.
+     * @param   {string[]} [related] - Names of related collections which can also be selected.
+     * @returns {string[]} Field names, or null if no field selection.
+     */
+    static parseFields(table, fields, columns, related=[]) {
+        if (fields === undefined) return null;
+
+        const list = [].concat(fields).join(',').split(',').filter(f => f.trim() != '').map(f => {
+            const rel = related.find(r => r.toLowerCase() == f.trim().toLowerCase());
+            return rel || column(table, columns, f.trim()).Field;
+        });
+
+        return [ ...new Set(list) ];
+    }
+
+
+    /**
+     * Return list of related resources to be embedded, as specified by query-string include
+     * parameter.
+     *
+     * @param   {string}   [include] - Query-string include parameter, e.g. 'teams'.
+     * @param   {string[]} permitted - Related resources which can be embedded.
+     * @returns {string[]} Related resources to be embedded (lower-case).
+     * @throws  ModelError 400 on unrecognised related resource.
+     *
+     * @example
+     *   const include = QueryFilter.include(ctx.request.query.include, [ 'teams' ]);
+     *   if (include.includes('teams')) { ... }
+     */
+    static include(include, permitted) {
+        if (include === undefined) return [];
+
+        const list = [].concat(include).join(',').toLowerCase().split(',').filter(i => i.trim() != '');
+
+        const unrecognised = list.filter(i => !permitted.includes(i.trim()));
+        if (unrecognised.length > 0) throw new ModelError(400, `Unrecognised include ‘${unrecognised.join(', ')}’`);
+
+        return list.map(i => i.trim());
+    }
+
+}
+
+
+/**
+ * Return SQL condition for single 'field[op]=value' filter, adding the value to the placeholder
+ * values.
+ */
+function condition(table, columns, key, value, values) {
+    const [ , field, op='eq' ] = key.match(/^(\w+)(?:\[(\w+)\])?$/) || [];
+
+    const col = column(table, columns, field);
+
+    if (!(op in operators)) throw new ModelError(400, `Unrecognised filter operator ‘${op}’`);
+
+    if (op == 'null') {
+        if (value == 'true') return `${col.Field} Is Null`;
+        if (value == 'false') return `${col.Field} Is Not Null`;
+        throw new ModelError(400, `Filter ‘${key}’ must be true or false`);
+    }
+
+    const placeholder = 'f'+Object.keys(values).length; // placeholder names can't clash with field names
+    const boolean = col.Type=='tinyint(1)' || col.Type=='bit(1)';
+    const cast = v => boolean && [ 'true', 'false' ].includes(v.toLowerCase()) ? v.toLowerCase()=='true' : v;
+
+    if (op == 'in' || op == 'nin') {
+        values[placeholder] = value.split(',').map(cast);
+        return `${col.Field} ${operators[op]} (:${placeholder})`;
+    }
+
+    values[placeholder] = cast(value);
+    return `${col.Field} ${operators[op]} :${placeholder}`;
+}
+
+
+/**
+ * Return column definition for given field; field must be an actual column (matched
+ * case-insensitively, as MySQL does), as field names get spliced into SQL.
+ */
+function column(table, columns, field) {
+    const col = field ? columns.find(c => c.Field.toLowerCase() == field.toLowerCase()) : undefined;
+    if (!col) throw new ModelError(403, `Unrecognised ${table} field`, 'unrecognised-field');
+    return col;
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default QueryFilter;
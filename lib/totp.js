@@ -0,0 +1,130 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Time-based one-time passwords (RFC 6238), as generated by authenticator apps.                  */
+/*                                                                                                */
+/* Uses HMAC-SHA1, 6 digits, 30-second time steps: the defaults used by authenticator apps (which */
+/* may ignore any other settings in the provisioning URI).                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto'; // nodejs.org/api/crypto.html
+
+const base32Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'; // RFC 4648
+const period = 30; // time step in seconds
+
+
+class Totp {
+
+    /**
+     * Generate random shared secret.
+     *
+     * @returns {string} 160-bit secret, base32-encoded (as used in provisioning URI).
+     */
+    static generateSecret() {
+        return base32Encode(crypto.randomBytes(20));
+    }
+
+
+    /**
+     * Provisioning URI (for QR code) for authenticator apps: see
+     * github.com/google/google-authenticator/wiki/Key-Uri-Format.
+     *
+     * @param   {string} secret - Base32-encoded shared secret.
+     * @param   {string} account - Account name (e.g. user's e-mail).
+     * @param   {string} issuer - Service the account belongs to.
+     * @returns {string} otpauth:// URI.
+     */
+    static uri(secret, account, issuer) {
+        const label = encodeURIComponent(issuer) + ':' + encodeURIComponent(account);
+        return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=6&period=${period}`;
+    }
+
+
+    /**
+     * Time step (counter) for given time.
+     *
+     * @param   {number} [time=Date.now()] - Time in milliseconds since epoch.
+     * @returns {number} Number of 30-second periods since epoch.
+     */
+    static step(time=Date.now()) {
+        return Math.floor(time / 1000 / period);
+    }
+
+
+    /**
+     * Generate one-time password for given time step (RFC 4226 HOTP with time-based counter).
+     *
+     * @param   {string} secret - Base32-encoded shared secret.
+     * @param   {number} step - Time step, as per step().
+     * @param   {number} [digits=6] - Number of digits in password.
+     * @returns {string} One-time password (zero-padded).
+     */
+    static generate(secret, step, digits=6) {
+        const counter = Buffer.alloc(8);
+        counter.writeUInt32BE(Math.floor(step / 2**32), 0);
+        counter.writeUInt32BE(step % 2**32, 4);
+
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+        // dynamic truncation
+        const offset = hmac[hmac.length-1] & 0x0f;
+        const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10**digits;
+
+        return code.toString().padStart(digits, '0');
+    }
+
+
+    /**
+     * Verify one-time password, allowing for clock drift of one time step either way.
+     *
+     * @param   {string} secret - Base32-encoded shared secret.
+     * @param   {string} code - One-time password supplied by user.
+     * @param   {number} [time=Date.now()] - Time in milliseconds since epoch.
+     * @returns {number} Time step code matched, or null if code does not match.
+     */
+    static verify(secret, code, time=Date.now()) {
+        const supplied = String(code || '').replace(/\s/g, '');
+        if (!/^\d{6}$/.test(supplied)) return null;
+
+        const now = Totp.step(time);
+        for (const step of [ now-1, now, now+1 ]) {
+            const expected = Totp.generate(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(supplied))) return step;
+        }
+
+        return null;
+    }
+
+}
+
+
+/**
+ * Encode buffer as base32 (without padding).
+ */
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let encoded = '';
+    for (let i=0; i<bits.length; i+=5) encoded += base32Chars[parseInt(bits.slice(i, i+5).padEnd(5, '0'), 2)];
+    return encoded;
+}
+
+
+/**
+ * Decode base32 string (case-insensitive, ignoring spaces & padding) to buffer.
+ */
+function base32Decode(str) {
+    const chars = str.toUpperCase().replace(/[\s=]/g, '');
+    let bits = '';
+    for (const char of chars) {
+        const value = base32Chars.indexOf(char);
+        if (value < 0) throw new Error(`Invalid base32 character ‘${char}’`);
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i=0; i+8<=bits.length; i+=8) bytes.push(parseInt(bits.slice(i, i+8), 2));
+    return Buffer.from(bytes);
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Totp;
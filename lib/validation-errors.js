@@ -9,10 +9,15 @@
 /* The validation rules is an object with input names as properties and the inputs’ rules as      */
 /* values, so the validationRules passed to validationErrors() will be rules for all inputs on    */
 /* the page being validated.                                                                      */
+/*                                                                                                */
+/* As well as the HTML5 attributes, password inputs can have a 'policy' rule, to check new        */
+/* passwords against the password policy (less the breach check, which requires a lookup).        */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 import isEmail from 'isemail'; // email address validation library
 
+import PasswordPolicy from './password-policy.js';
+
 
 /**
  * Validate request body against validation rules and return any validation errors, or false if
@@ -26,7 +31,8 @@ import isEmail from 'isemail'; // email address validation library
  *   const rules = {
  *       name:     'required',
  *       age:      'type=number required min=4 max=17',
- *       guardian: 'required minlength=6'
+ *       guardian: 'required minlength=6',
+ *       password: 'type=password required policy',
  *   };
  *   if (validationErrors(body, rules)) {
  *       ctx.flash = { validation: validationErrors(body, rules) };
@@ -98,6 +104,12 @@ function validationErrors(body, validationRules) {
                     if (textTypes.includes(rules[input].type)
                         && !value.match(new RegExp(`^${attrValue}$`))) error = `“${input}” must match the pattern /${attrValue}/`;
                     break;
+                case 'policy': // password policy (checking against any name / e-mail also supplied)
+                    if (rules[input].type == 'password' && typeof value == 'string') {
+                        const [ policyError ] = PasswordPolicy.validate(value, body);
+                        if (policyError) error = `“${input}” ${policyError}`;
+                    }
+                    break;
             }
         }
 
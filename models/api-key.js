@@ -0,0 +1,170 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* ApiKey model; long-lived personal API keys for server-to-server integrations                   */
+/*                                                                                                */
+/* Each key belongs to a User, and is restricted to a set of scopes (e.g. 'members:read') - a key */
+/* can never do more than its user could. Keys are shown once when created; only a hash of each   */
+/* key is recorded, so keys cannot be recovered from the database.                                */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto';    // nodejs.org/api/crypto.html
+import Debug  from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import ModelError from './modelerror.js';
+import Role       from './role.js';
+
+const keyPrefix = 'sak_'; // distinguishes API keys from JWTs in Bearer Authorization header
+
+
+class ApiKey {
+
+    /**
+     * Available scopes: read (GET) or write (POST/PUT/PATCH/DELETE) access to each API resource.
+     */
+    static get scopes() {
+        return [ 'members:read', 'members:write', 'teams:read', 'teams:write', 'users:read', 'users:write' ];
+    }
+
+
+    /**
+     * Whether token (from Bearer Authorization header) is an API key (rather than a JWT).
+     *
+     * @param   {string}  token - Bearer token.
+     * @returns {boolean} True if token has API key format.
+     */
+    static isApiKey(token) {
+        return typeof token == 'string' && token.startsWith(keyPrefix);
+    }
+
+
+    /**
+     * Returns API keys (without hashes), optionally for given user only, most recent first.
+     *
+     * @param   {number}   [userId] - User whose keys are to be returned; otherwise all keys.
+     * @returns {Object[]} API key details, including user name & email.
+     */
+    static async list(userId=undefined) {
+        const sql = `Select ApiKeyId, UserId, Name, Prefix, Scopes, CreatedOn, LastUsedOn, RevokedOn,
+                            Firstname, Lastname, Email
+                     From ApiKey Inner Join User Using (UserId)
+                     ${userId ? 'Where UserId = :userId' : ''}
+                     Order By CreatedOn Desc, ApiKeyId Desc`;
+        const [ keys ] = await Db.query(sql, { userId });
+        return keys.map(key => ({ ...key, Scopes: key.Scopes.split(' ') }));
+    }
+
+
+    /**
+     * Returns API key details (without hash).
+     *
+     * @param   {number} id - ApiKey id.
+     * @returns {Object} API key details or undefined if not found.
+     */
+    static async get(id) {
+        const sql = `Select ApiKeyId, UserId, Name, Prefix, Scopes, CreatedOn, LastUsedOn, RevokedOn
+                     From ApiKey
+                     Where ApiKeyId = :id`;
+        const [ [ key ] ] = await Db.query(sql, { id });
+        if (key) key.Scopes = key.Scopes.split(' ');
+        return key;
+    }
+
+
+    /**
+     * Creates new API key for user.
+     *
+     * @param   {number}   userId - User the key acts on behalf of.
+     * @param   {string}   name - Description of key (e.g. integration it is used for).
+     * @param   {string[]} scopes - Scopes key is restricted to.
+     * @returns {Object}   { id, key }: the key itself is not recorded, so cannot be retrieved later.
+     * @throws  ModelError 403 on missing name, unrecognised user, or invalid scopes (including scopes
+     *   not granted by the user's role).
+     */
+    static async create(userId, name, scopes) {
+        debug('ApiKey.create', userId, name, scopes);
+
+        if (!name) throw new ModelError(403, 'Name must be supplied', 'missing-name');
+        if (!Array.isArray(scopes) || scopes.length == 0) throw new ModelError(403, 'At least one scope must be supplied', 'missing-scopes');
+        const invalid = scopes.filter(scope => !ApiKey.scopes.includes(scope));
+        if (invalid.length > 0) throw new ModelError(403, `Unrecognised scope ‘${invalid.join('’, ‘')}’`, 'invalid-scope');
+
+        // a key can never do more than its user could
+        const [ [ user ] ] = await Db.execute('Select UserId From User Where UserId = :userId', { userId: userId || null });
+        if (!user) throw new ModelError(403, 'User not found', 'invalid-reference');
+        const permissions = await Role.permissions(userId);
+        const ungranted = scopes.filter(scope => !permissions.global.includes(scope));
+        if (ungranted.length > 0) throw new ModelError(403, `User’s role does not grant scope ‘${ungranted.join('’, ‘')}’`, 'invalid-scope');
+
+        const key = keyPrefix + crypto.randomBytes(24).toString('hex');
+
+        const sql = `Insert Into ApiKey
+                     Set UserId = :userId, Name = :name, Prefix = :prefix, KeyHash = :hash, Scopes = :scopes,
+                         CreatedOn = Now()`;
+        const values = { userId, name, prefix: key.slice(0, 12), hash: hash(key), scopes: scopes.join(' ') };
+        try {
+            const [ result ] = await Db.execute(sql, values);
+            return { id: result.insertId, key };
+        } catch (e) {
+            switch (e.code) {
+                case 'ER_NO_REFERENCED_ROW_2': // 1452 foreign key constraint fails
+                    throw new ModelError(403, 'User not found', ModelError.codeFor(e)); // Forbidden
+                default:
+                    console.error('ApiKey.create', e);
+                    throw new ModelError(500, e.message);
+            }
+        }
+    }
+
+
+    /**
+     * Verify API key, recording its use.
+     *
+     * Last-used timestamps are recorded to the nearest minute, to avoid a database update on every
+     * request.
+     *
+     * @param   {string} key - API key (from Bearer Authorization header).
+     * @returns {Object} { id, userId, role, scopes } of (non-revoked) key of (non-disabled) user, or
+     *   null if not recognised.
+     */
+    static async verify(key) {
+        const sql = `Select ApiKeyId, UserId, Scopes, Role
+                     From ApiKey Inner Join User Using (UserId)
+                     Where KeyHash = :hash And RevokedOn Is Null And DisabledOn Is Null`;
+        const [ [ apiKey ] ] = await Db.execute(sql, { hash: hash(key) });
+        if (!apiKey) return null;
+
+        const sqlUsed = `Update ApiKey
+                         Set LastUsedOn = Now()
+                         Where ApiKeyId = :id And (LastUsedOn Is Null Or LastUsedOn < Now() - Interval 1 Minute)`;
+        await Db.execute(sqlUsed, { id: apiKey.ApiKeyId });
+
+        return { id: apiKey.ApiKeyId, userId: apiKey.UserId, role: apiKey.Role, scopes: apiKey.Scopes.split(' ') };
+    }
+
+
+    /**
+     * Revoke API key: it will no longer be accepted (the record is retained for the audit trail).
+     *
+     * @param {number} id - ApiKey id.
+     */
+    static async revoke(id) {
+        debug('ApiKey.revoke', id);
+
+        await Db.execute('Update ApiKey Set RevokedOn = Now() Where ApiKeyId = :id And RevokedOn Is Null', { id });
+    }
+
+}
+
+
+/**
+ * Return SHA-256 hash of key, as recorded in database (keys are random, so a fast hash suffices).
+ */
+function hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default ApiKey;
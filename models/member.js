@@ -21,6 +21,18 @@ class Member extends Model {
     }
 
 
+    /**
+     * Returns Member details, locking the record until the transaction on the connection completes.
+     *
+     * @param   {number} id - Member id.
+     * @param   {Object} connection - Connection to use (within transaction).
+     * @returns {Object} Member details or undefined if not found.
+     */
+    static async getForUpdate(id, connection) {
+        return await super.getForUpdate('Member', id, connection);
+    }
+
+
     /**
      * Returns Members with given field matching given value (convenience wrapper for simple filter).
      *
@@ -63,6 +75,35 @@ class Member extends Model {
     }
 
 
+    /**
+     * Update Member details, provided Member has not been changed since given version was retrieved.
+     *
+     * @param  {number} id - Member id.
+     * @param  {string} version - Version of Member details update is based on (from Member.version()).
+     * @param  {Object} values - Member details.
+     * @throws Error on validation or referential integrity errors, 409 on version mismatch.
+     */
+    static async updateIfVersion(id, version, values) {
+        return await super.updateIfVersion('Member', id, version, values);
+    }
+
+
+    /**
+     * Overwrite Member details (full replacement): fields not supplied are cleared.
+     *
+     * @param  {number} id - Member id.
+     * @param  {Object} values - Member details.
+     * @param  {Object} [connection] - Connection to use (e.g. within transaction); otherwise from pool.
+     * @throws Error on validation or referential integrity errors.
+     */
+    static async overwrite(id, values, connection=undefined) {
+        // validation as per insert
+        if (!values.Firstname && !values.Lastname) throw new ModelError(403, 'Firstname or Lastname must be supplied');
+
+        return await super.overwrite('Member', id, values, connection);
+    }
+
+
     /**
      * Delete Member record.
      *
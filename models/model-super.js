@@ -4,7 +4,8 @@
 /* Assumes table names are identical to model names, and primary key names are table name + 'Id'. */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import Debug from 'debug';     // small debugging utility
+import crypto from 'crypto';    // nodejs.org/api/crypto.html
+import Debug  from 'debug';     // small debugging utility
 const debug = Debug('app:db'); // debug db updates
 
 import Db         from '../lib/mysqldb.js';
@@ -27,6 +28,34 @@ class SuperModel {
     }
 
 
+    /**
+     * Returns object details, locking the record against other updates until the transaction on
+     * the supplied connection completes (e.g. for optimistic concurrency version checks).
+     *
+     * @param   {string} model - Model / table name.
+     * @param   {number} id - Object id.
+     * @param   {Object} connection - Connection to use (within transaction).
+     * @returns {Object} Object details or undefined if not found.
+     */
+    static async getForUpdate(model, id, connection) {
+        const sql = `Select * From ${model} Where ${model}Id = :id For Update`;
+        const [ [ object ] ] = await Db.execute(sql, { id }, connection);
+        return object;
+    }
+
+
+    /**
+     * Returns version identifier for object details (as returned by get()), which changes whenever
+     * any field changes; used for ETags and optimistic concurrency checks.
+     *
+     * @param   {Object} object - Object details.
+     * @returns {string} Version identifier.
+     */
+    static version(object) {
+        return crypto.createHash('sha1').update(JSON.stringify(object)).digest('hex');
+    }
+
+
     /**
      * Returns Objects with given field matching given value (convenience wrapper for simple filter);
      * note any sorting would have to be done in JavaScript.
@@ -46,7 +75,7 @@ class SuperModel {
         } catch (e) {
             switch (e.code) {
                 case 'ER_BAD_FIELD_ERROR': // 1054 unknown column
-                    throw new ModelError(403, `Unrecognised ${model} field ${field}`);
+                    throw new ModelError(403, `Unrecognised ${model} field ${field}`, ModelError.codeFor(e));
                 default:
                     console.error(`${model}.getBy`, e);
                     throw new ModelError(500, e.message);
@@ -78,11 +107,11 @@ class SuperModel {
                 case 'ER_NO_REFERENCED_ROW':    // 1216 foreign key constraint fails
                 case 'ER_NO_REFERENCED_ROW_2':  // 1452 foreign key constraint fails
                 case 'ER_NO_DEFAULT_FOR_FIELD': // 1364 field doesn't have a default value
-                    throw new ModelError(403, e.message); // Forbidden
+                    throw new ModelError(403, e.message, ModelError.codeFor(e)); // Forbidden
                 case 'ER_DUP_ENTRY':            // 1062 duplicate entry
-                    throw new ModelError(409, e.message); // Conflict
+                    throw new ModelError(409, e.message, ModelError.codeFor(e)); // Conflict
                 case 'ER_BAD_FIELD_ERROR':      // 1054 unknown column
-                    throw new ModelError(500, e.message); // Internal Server Error for programming errors
+                    throw new ModelError(500, e.message, ModelError.codeFor(e)); // Internal Server Error for programming errors
                 default:
                     console.error(`${model}.insert`, e);
                     throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
@@ -114,9 +143,9 @@ class SuperModel {
                 case 'ER_NO_REFERENCED_ROW':    // 1216 foreign key constraint fails
                 case 'ER_NO_REFERENCED_ROW_2':  // 1452 foreign key constraint fails
                 case 'ER_NO_DEFAULT_FOR_FIELD': // 1364 field doesn't have a default value
-                    throw new ModelError(403, e.message); // Forbidden
+                    throw new ModelError(403, e.message, ModelError.codeFor(e)); // Forbidden
                 case 'ER_BAD_FIELD_ERROR':      // 1054 unknown column
-                    throw new ModelError(500, e.message); // Internal Server Error for programming errors
+                    throw new ModelError(500, e.message, ModelError.codeFor(e)); // Internal Server Error for programming errors
                 default:
                     console.error(`${model}.value`, e);
                     throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
@@ -149,9 +178,9 @@ class SuperModel {
                 case 'ER_ROW_IS_REFERENCED':   // 1217 foreign key constraint fails
                 case 'ER_ROW_IS_REFERENCED_2': // 1451 foreign key constraint fails
                 case 'ER_NO_REFERENCED_ROW_2': // 1452 foreign key constraint fails
-                    throw new ModelError(403, `‘${model}’ ${e.message}`); // Forbidden
+                    throw new ModelError(403, `‘${model}’ ${e.message}`, ModelError.codeFor(e)); // Forbidden
                 case 'ER_BAD_FIELD_ERROR':
-                    throw new ModelError(500, `‘${model}’ ${e.message}`); // Internal Server Error for programming errors
+                    throw new ModelError(500, `‘${model}’ ${e.message}`, ModelError.codeFor(e)); // Internal Server Error for programming errors
                 default:
                     console.error(`${model}.update`, e);
                     throw new ModelError(500, `‘${model}’ ${e.message}`); // Internal Server Error for uncaught exception
@@ -160,6 +189,71 @@ class SuperModel {
     }
 
 
+    /**
+     * Update Object details, provided the object is still at the given version (as returned by
+     * version()): this prevents updates made since the object was retrieved from being silently
+     * overwritten.
+     *
+     * @param  {string} model - Model / table name.
+     * @param  {number} id - Object id.
+     * @param  {string} version - Version of object details the update is based on.
+     * @param  {Object} values - Object details.
+     * @throws Error on validation or referential integrity errors, 404 if object not found, 409 if
+     *   object has been changed since given version.
+     */
+    static async updateIfVersion(model, id, version, values) {
+        const connection = await Db.connection();
+        try {
+            await connection.beginTransaction();
+
+            const current = await SuperModel.getForUpdate(model, id, connection);
+            if (!current) throw new ModelError(404, `${model} not found`);
+            if (SuperModel.version(current) != version) {
+                throw new ModelError(409, `${model} has been changed by someone else since it was retrieved`, 'version-conflict'); // Conflict
+            }
+
+            await SuperModel.update(model, id, values, connection);
+
+            await connection.commit();
+        } catch (e) {
+            await connection.rollback();
+            throw e;
+        } finally {
+            connection.release();
+        }
+    }
+
+
+    /**
+     * Overwrite Object details (full replacement): nullable fields not included in values are set
+     * to null.
+     *
+     * @param  {string} model - Model / table name.
+     * @param  {number} id - Object id.
+     * @param  {Object} values - Object details.
+     * @param  {Object} [connection] - Connection to use (e.g. within transaction); otherwise from pool.
+     * @throws Error on validation or referential integrity errors, or missing non-nullable fields.
+     */
+    static async overwrite(model, id, values, connection=undefined) {
+        const columns = await Db.describe(model);
+
+        const replacement = { ...values };
+
+        // primary key is taken from id, and cannot be changed
+        if (`${model}Id` in replacement && replacement[`${model}Id`] != id) throw new ModelError(403, `${model}Id cannot be changed`);
+        delete replacement[`${model}Id`];
+
+        // any fields not supplied are cleared (or rejected if they cannot be null)
+        for (const column of columns) {
+            if (column.Field == `${model}Id` || column.Field in replacement) continue;
+            if (column.Null == 'NO') throw new ModelError(403, `Column '${column.Field}' cannot be null`);
+            replacement[column.Field] = null;
+        }
+
+        await SuperModel.update(model, id, replacement, connection);
+    }
+
+
     /**
      * Delete Object record.
      *
@@ -180,7 +274,7 @@ class SuperModel {
             switch (e.code) {
                 case 'ER_ROW_IS_REFERENCED':   // 1217 foreign key constraint fails
                 case 'ER_ROW_IS_REFERENCED_2': // 1451 foreign key constraint fails
-                    throw new ModelError(403, `${model} has dependent record(s)`); // Forbidden
+                    throw new ModelError(403, `${model} has dependent record(s)`, ModelError.codeFor(e)); // Forbidden
                 default:
                     console.error(`${model}.delete`, e);
                     throw new ModelError(500, e.message); // Internal Server Error
@@ -210,7 +304,7 @@ class SuperModel {
             switch (e.code) {
                 case 'ER_ROW_IS_REFERENCED':   // 1217 foreign key constraint fails
                 case 'ER_ROW_IS_REFERENCED_2': // 1451 foreign key constraint fails
-                    throw new ModelError(403, `${model} has dependent record(s)`); // Forbidden
+                    throw new ModelError(403, `${model} has dependent record(s)`, ModelError.codeFor(e)); // Forbidden
                 default:
                     console.error(`${model}.delete`, e);
                     throw new ModelError(500, e.message); // Internal Server Error
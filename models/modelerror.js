@@ -1,5 +1,8 @@
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 /* ModelError - error thrown by model includes http status to return when error is thrown in API  */
+/*                                                                                                */
+/* A ModelError may also carry a machine-readable code (e.g. 'duplicate-email'), so that API      */
+/* clients can distinguish errors without parsing messages.                                       */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 
@@ -8,13 +11,52 @@
  *
  * @param {Number} status - HTTP status for API return status
  * @param {String} message - Message associated with error
+ * @param {String} [code] - Machine-readable error code
  */
 class ModelError extends Error {
-    constructor(status, message) {
+    constructor(status, message, code=undefined) {
         super(message);
         this.name = this.constructor.name;
         this.status = status;
+        this.code = code;
     }
+
+
+    /**
+     * Return machine-readable error code for MySQL error, identifying the field concerned where
+     * possible (e.g. ER_DUP_ENTRY on key Email => 'duplicate-email').
+     *
+     * @param   {Error} err - Error thrown by mysql2.
+     * @returns {string|undefined} Error code, or undefined for errors with no specific code.
+     */
+    static codeFor(err) {
+        const field = (err.message.match(/(?:for key|Column|Field) '(?:\w+\.)?(\w+)'/) || [])[1];
+        switch (err.code) {
+            case 'ER_DUP_ENTRY':            // 1062 duplicate entry
+                return field ? 'duplicate-'+kebab(field) : 'duplicate-entry';
+            case 'ER_BAD_NULL_ERROR':       // 1048 column cannot be null
+            case 'ER_NO_DEFAULT_FOR_FIELD': // 1364 field doesn't have a default value
+                return field ? 'missing-'+kebab(field) : 'missing-field';
+            case 'ER_NO_REFERENCED_ROW':    // 1216 foreign key constraint fails
+            case 'ER_NO_REFERENCED_ROW_2':  // 1452 foreign key constraint fails
+                return 'invalid-reference';
+            case 'ER_ROW_IS_REFERENCED':    // 1217 foreign key constraint fails
+            case 'ER_ROW_IS_REFERENCED_2':  // 1451 foreign key constraint fails
+                return 'has-dependents';
+            case 'ER_BAD_FIELD_ERROR':      // 1054 unknown column
+                return 'unrecognised-field';
+            default:
+                return undefined;
+        }
+    }
+}
+
+
+/**
+ * Convert field name to kebab-case (e.g. 'TeamId' => 'team-id').
+ */
+function kebab(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
 }
 
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
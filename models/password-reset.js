@@ -0,0 +1,132 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* PasswordReset model; tokens for password reset links (also used for user invitations)          */
+/*                                                                                                */
+/* Tokens are single-use, and lapse after PASSWORD_RESET_EXPIRY_HOURS (default 24); outstanding   */
+/* tokens are revoked when the user's password is changed, or when the user logs in. Only a hash  */
+/* of each token is recorded, so tokens cannot be recovered from the database.                    */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto';    // nodejs.org/api/crypto.html
+import Debug  from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db from '../lib/mysqldb.js';
+
+const requestLimit = { requests: 3, minutes: 60 }; // password reset requests allowed per user
+
+
+class PasswordReset {
+
+    /**
+     * Lifetime of password reset tokens, in hours (from PASSWORD_RESET_EXPIRY_HOURS, default 24).
+     */
+    static get expiryHours() {
+        return Number(process.env.PASSWORD_RESET_EXPIRY_HOURS) || 24;
+    }
+
+
+    /**
+     * Issue new password reset token for user.
+     *
+     * @param   {number} userId - User the token is issued to.
+     * @param   {string} [ip] - IP address the token was requested from.
+     * @returns {string} Password reset token.
+     */
+    static async issue(userId, ip=null) {
+        debug('PasswordReset.issue', userId);
+
+        const token = crypto.randomBytes(32).toString('hex');
+
+        const sql = `Insert Into PasswordReset
+                     Set UserId = :userId, TokenHash = :hash, RequestedOn = Now(), RequestedIp = :ip,
+                         ExpiresOn = Now() + Interval ${PasswordReset.expiryHours} Hour`;
+        await Db.execute(sql, { userId, hash: hash(token), ip });
+
+        return token;
+    }
+
+
+    /**
+     * Issue password reset token for user requesting a password reset, unless the user has
+     * already made too many requests recently.
+     *
+     * @param   {number} userId - User requesting password reset.
+     * @param   {string} ip - IP address the request was made from.
+     * @returns {string} Password reset token, or null if request limit has been reached.
+     */
+    static async request(userId, ip) {
+        const sql = `Select Count(*) As requests
+                     From PasswordReset
+                     Where UserId = :userId And RequestedOn > Now() - Interval ${requestLimit.minutes} Minute`;
+        const [ [ recent ] ] = await Db.execute(sql, { userId });
+        if (recent.requests >= requestLimit.requests) return null;
+
+        return await PasswordReset.issue(userId, ip);
+    }
+
+
+    /**
+     * Return id of user token was issued to, if token is valid (not expired, used, or revoked).
+     *
+     * @param   {string} token - Password reset token.
+     * @returns {number} User id, or null if token is not valid.
+     */
+    static async verify(token) {
+        const sql = `Select UserId
+                     From PasswordReset
+                     Where TokenHash = :hash And ExpiresOn > Now() And UsedOn Is Null And RevokedOn Is Null`;
+        const [ [ reset ] ] = await Db.execute(sql, { hash: hash(typeof token=='string' ? token : '') });
+
+        return reset ? reset.UserId : null;
+    }
+
+
+    /**
+     * Use up password reset token (if it is valid): it cannot be used again.
+     *
+     * @param   {string} token - Password reset token.
+     * @returns {number} User id, or null if token is not valid (e.g. already used).
+     */
+    static async use(token) {
+        debug('PasswordReset.use');
+
+        const userId = await PasswordReset.verify(token);
+        if (!userId) return null;
+
+        const sql = `Update PasswordReset
+                     Set UsedOn = Now()
+                     Where TokenHash = :hash And ExpiresOn > Now() And UsedOn Is Null And RevokedOn Is Null`;
+        const [ result ] = await Db.execute(sql, { hash: hash(token) });
+
+        return result.affectedRows == 1 ? userId : null; // fails if concurrently used
+    }
+
+
+    /**
+     * Revoke all outstanding password reset tokens of user (e.g. on password change or login).
+     *
+     * @param {number} userId - User whose tokens are to be revoked.
+     */
+    static async revokeUser(userId) {
+        debug('PasswordReset.revokeUser', userId);
+
+        const sql = `Update PasswordReset
+                     Set RevokedOn = Now()
+                     Where UserId = :userId And UsedOn Is Null And RevokedOn Is Null And ExpiresOn > Now()`;
+        await Db.execute(sql, { userId });
+    }
+
+}
+
+
+/**
+ * Return SHA-256 hash of token, as recorded in database.
+ */
+function hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default PasswordReset;
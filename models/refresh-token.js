@@ -0,0 +1,151 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* RefreshToken model; long-lived API refresh tokens, used to obtain short-lived access tokens    */
+/*                                                                                                */
+/* Refresh tokens are single-use: each refresh replaces the token with a new one within the same  */
+/* session (login). Re-use of a replaced token indicates it has been leaked, so the whole session */
+/* is revoked. Access tokens identify their session, so revoking a session also revokes access    */
+/* tokens issued within it.                                                                       */
+/*                                                                                                */
+/* Only a hash of each token is recorded, so tokens cannot be recovered from the database.        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto';    // nodejs.org/api/crypto.html
+import Debug  from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import ModelError from './modelerror.js';
+
+const lifetimeDays = 30; // refresh tokens lapse after 30 days without being used
+
+
+class RefreshToken {
+
+    /**
+     * Issue new refresh token for user, either starting a new session, or within an existing
+     * session.
+     *
+     * @param   {number} userId - User the token is issued to.
+     * @param   {string} [sessionId] - Session the token belongs to; if not given, a new session is started.
+     * @param   {Object} [connection] - Connection to use (e.g. within transaction); otherwise from pool.
+     * @returns {Object} { token, sessionId }.
+     */
+    static async issue(userId, sessionId=undefined, connection=undefined) {
+        debug('RefreshToken.issue', userId);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = sessionId || crypto.randomBytes(16).toString('hex');
+
+        const sql = `Insert Into RefreshToken
+                     Set UserId = :userId, SessionId = :session, TokenHash = :hash,
+                         IssuedOn = Now(), ExpiresOn = Now() + Interval ${lifetimeDays} Day`;
+        await Db.execute(sql, { userId, session, hash: hash(token) }, connection);
+
+        return { token, sessionId: session };
+    }
+
+
+    /**
+     * Exchange refresh token for a replacement token within the same session.
+     *
+     * If the token has already been replaced, it has presumably been leaked, so the session is
+     * revoked.
+     *
+     * @param   {string} token - Refresh token being exchanged.
+     * @returns {Object} { userId, token, sessionId } of replacement token.
+     * @throws  ModelError 401 if token is not recognised, expired, revoked, or already replaced.
+     */
+    static async rotate(token) {
+        debug('RefreshToken.rotate');
+
+        const connection = await Db.connection();
+        try {
+            await connection.beginTransaction();
+
+            const sql = `Select *, ExpiresOn < Now() As Expired
+                         From RefreshToken
+                         Where TokenHash = :hash
+                         For Update`;
+            const [ [ current ] ] = await Db.execute(sql, { hash: hash(typeof token=='string' ? token : '') }, connection);
+
+            if (!current || current.Expired || current.RevokedOn) {
+                throw new ModelError(401, 'Invalid refresh token', 'invalid-refresh-token');
+            }
+
+            if (current.ReplacedOn) { // token re-use: revoke session (committed, though refresh fails)
+                await RefreshToken.revokeSession(current.SessionId, connection);
+                await connection.commit();
+                throw new ModelError(401, 'Refresh token has already been used', 'refresh-token-reused');
+            }
+
+            await Db.execute('Update RefreshToken Set ReplacedOn = Now() Where RefreshTokenId = :id', { id: current.RefreshTokenId }, connection);
+            const replacement = await RefreshToken.issue(current.UserId, current.SessionId, connection);
+
+            await connection.commit();
+
+            return { userId: current.UserId, ...replacement };
+        } catch (e) {
+            await connection.rollback();
+            throw e;
+        } finally {
+            connection.release();
+        }
+    }
+
+
+    /**
+     * Revoke session (e.g. on logout): its refresh tokens can no longer be used, and access tokens
+     * issued within it are no longer accepted.
+     *
+     * @param {string} sessionId - Session to be revoked.
+     * @param {Object} [connection] - Connection to use (e.g. within transaction); otherwise from pool.
+     */
+    static async revokeSession(sessionId, connection=undefined) {
+        debug('RefreshToken.revokeSession', sessionId);
+
+        const sql = 'Update RefreshToken Set RevokedOn = Now() Where SessionId = :sessionId And RevokedOn Is Null';
+        await Db.execute(sql, { sessionId }, connection);
+    }
+
+
+    /**
+     * Revoke all sessions of user (e.g. on password change).
+     *
+     * @param {number} userId - User whose sessions are to be revoked.
+     */
+    static async revokeUser(userId) {
+        debug('RefreshToken.revokeUser', userId);
+
+        const sql = 'Update RefreshToken Set RevokedOn = Now() Where UserId = :userId And RevokedOn Is Null';
+        await Db.execute(sql, { userId });
+    }
+
+
+    /**
+     * Whether session has been revoked.
+     *
+     * @param   {string}  sessionId - Session to be checked.
+     * @returns {boolean} True if session has been revoked (or was never issued).
+     */
+    static async sessionRevoked(sessionId) {
+        const sql = `Select Count(*) As tokens, Count(RevokedOn) As revoked
+                     From RefreshToken
+                     Where SessionId = :sessionId`;
+        const [ [ { tokens, revoked } ] ] = await Db.execute(sql, { sessionId });
+        return tokens==0 || revoked>0;
+    }
+
+}
+
+
+/**
+ * Return SHA-256 hash of token, as recorded in database.
+ */
+function hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default RefreshToken;
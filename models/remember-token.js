@@ -0,0 +1,135 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* RememberToken model; admin app 'remember-me' tokens, used to renew expired login JWTs          */
+/*                                                                                                */
+/* Remember tokens belong to an admin session, and are single-use: each renewal replaces the      */
+/* token with a new one. Re-use of a replaced token indicates it has been stolen, so the session  */
+/* is revoked. Records are retained (with the IP address each token was issued to & used from) as */
+/* an audit trail of renewals. Tokens lapse after the session lifetime (REMEMBER_ME_DAYS).        */
+/*                                                                                                */
+/* Only a hash of each token is recorded, so tokens cannot be recovered from the database.        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto from 'crypto';    // nodejs.org/api/crypto.html
+import Debug  from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import ModelError from './modelerror.js';
+import Session    from './session.js';
+
+const graceSeconds = 10; // concurrent requests may present a token just replaced by another request
+
+
+class RememberToken {
+
+    /**
+     * Issue new remember token within (admin) session.
+     *
+     * @param   {number} userId - User the token is issued to.
+     * @param   {string} sessionId - Session the token belongs to.
+     * @param   {string} ip - IP address the token is issued to.
+     * @param   {Object} [connection] - Connection to use (e.g. within transaction); otherwise from pool.
+     * @returns {string} Remember token.
+     */
+    static async issue(userId, sessionId, ip, connection=undefined) {
+        debug('RememberToken.issue', userId, sessionId);
+
+        const token = crypto.randomBytes(32).toString('hex');
+
+        const sql = `Insert Into RememberToken
+                     Set UserId = :userId, SessionId = :sessionId, TokenHash = :hash, IssuedOn = Now(), IssuedIp = :ip,
+                         ExpiresOn = Now() + Interval ${Session.lifetimeDays} Day`;
+        await Db.execute(sql, { userId, sessionId, hash: hash(token), ip }, connection);
+
+        return token;
+    }
+
+
+    /**
+     * Exchange remember token for a replacement token within the same session.
+     *
+     * If the token has already been replaced, it has presumably been stolen, so the session is
+     * revoked - unless it was replaced within the last few seconds, in which case it is most likely
+     * from a concurrent request, and is simply not accepted.
+     *
+     * @param   {string} token - Remember token being exchanged.
+     * @param   {string} ip - IP address the token is presented from.
+     * @returns {Object} { userId, sessionId, token } of replacement token, or null if token has just
+     *   been replaced by a concurrent request.
+     * @throws  ModelError 401 if token is not recognised, expired, revoked (or its session is), or
+     *   re-used.
+     */
+    static async rotate(token, ip) {
+        debug('RememberToken.rotate');
+
+        const connection = await Db.connection();
+        try {
+            await connection.beginTransaction();
+
+            const sql = `Select RememberToken.*, ExpiresOn < Now() As Expired, Session.RevokedOn As SessionRevokedOn,
+                                UsedOn > Now() - Interval ${graceSeconds} Second As JustUsed
+                         From RememberToken Inner Join Session Using (SessionId)
+                         Where TokenHash = :hash
+                         For Update`;
+            const [ [ current ] ] = await Db.execute(sql, { hash: hash(typeof token=='string' ? token : '') }, connection);
+
+            if (!current || current.Expired || current.RevokedOn || current.SessionRevokedOn) {
+                throw new ModelError(401, 'Invalid remember-me token', 'invalid-remember-token');
+            }
+
+            if (current.UsedOn && current.JustUsed) { // concurrent request: not accepted, but not re-use
+                await connection.rollback();
+                return null;
+            }
+
+            if (current.UsedOn) { // token re-use: revoke session (committed, though renewal fails)
+                await Db.execute('Update RememberToken Set ReusedOn = Now() Where RememberTokenId = :id', { id: current.RememberTokenId }, connection);
+                await RememberToken.revokeSession(current.SessionId, connection);
+                await Session.revoke(current.SessionId, undefined, connection);
+                await connection.commit();
+                throw new ModelError(401, 'Remember-me token has already been used', 'remember-token-reused');
+            }
+
+            const sqlUsed = 'Update RememberToken Set UsedOn = Now(), UsedIp = :ip Where RememberTokenId = :id';
+            await Db.execute(sqlUsed, { id: current.RememberTokenId, ip }, connection);
+            const replacement = await RememberToken.issue(current.UserId, current.SessionId, ip, connection);
+
+            await connection.commit();
+
+            return { userId: current.UserId, sessionId: current.SessionId, token: replacement };
+        } catch (e) {
+            await connection.rollback();
+            throw e;
+        } finally {
+            connection.release();
+        }
+    }
+
+
+    /**
+     * Revoke remember tokens of session.
+     *
+     * @param {string} sessionId - Session whose tokens are to be revoked.
+     * @param {Object} [connection] - Connection to use (e.g. within transaction); otherwise from pool.
+     */
+    static async revokeSession(sessionId, connection=undefined) {
+        debug('RememberToken.revokeSession', sessionId);
+
+        const sql = 'Update RememberToken Set RevokedOn = Now() Where SessionId = :sessionId And RevokedOn Is Null';
+        await Db.execute(sql, { sessionId }, connection);
+    }
+
+}
+
+
+/**
+ * Return SHA-256 hash of token, as recorded in database.
+ */
+function hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default RememberToken;
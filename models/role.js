@@ -0,0 +1,170 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Role model; roles and their permissions                                                        */
+/*                                                                                                */
+/* Permissions are per resource and action, expressed as 'resource:action' (e.g. 'members:read',  */
+/* 'team-members:write'). A user's role (User.Role) grants permissions across all resources; team */
+/* grants give a user a (further) role within a single team, e.g. a team captain managing their   */
+/* own team's roster.                                                                             */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import Debug from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db         from '../lib/mysqldb.js';
+import ModelError from './modelerror.js';
+
+
+class Role {
+
+    /**
+     * Returns all roles (e.g. for role picklist).
+     *
+     * @returns {Object[]} Roles: RoleId, Name, Description, RequireTotp.
+     */
+    static async list() {
+        const [ roles ] = await Db.query('Select RoleId, Name, Description, RequireTotp From Role Order By Name');
+        return roles.map(role => ({ ...role, RequireTotp: role.RequireTotp == 1 }));
+    }
+
+
+    /**
+     * Whether role exists.
+     *
+     * @param   {string}  role - Role (name).
+     * @returns {boolean} True if role is defined in Role table.
+     */
+    static async exists(role) {
+        const [ [ row ] ] = await Db.execute('Select RoleId From Role Where Name = :role', { role: typeof role == 'string' ? role : null });
+        return row != undefined;
+    }
+
+
+    /**
+     * Whether users with given role must use two-factor (TOTP) authentication to sign in.
+     *
+     * @param   {string}  role - Role (name).
+     * @returns {boolean} True if 2FA is required.
+     */
+    static async requiresTotp(role) {
+        const [ [ row ] ] = await Db.execute('Select RequireTotp From Role Where Name = :role', { role: role || null });
+        return row ? row.RequireTotp == 1 : false;
+    }
+
+
+    /**
+     * Set whether users with given role must use two-factor (TOTP) authentication to sign in.
+     *
+     * @param {string}  role - Role (name).
+     * @param {boolean} required - Whether 2FA is required.
+     */
+    static async setRequireTotp(role, required) {
+        debug('Role.setRequireTotp', role, required);
+
+        await Db.execute('Update Role Set RequireTotp = :required Where Name = :role', { role, required: required ? 1 : 0 });
+    }
+
+
+    /**
+     * Returns permissions of user, from user's (current) role and from any team grants.
+     *
+     * The role is obtained from the database rather than from the user's (JWT) authentication, so
+     * that a change of role takes effect immediately.
+     *
+     * @param   {number} userId - User id.
+     * @returns {Object} { global: string[], teams: { [teamId]: string[] } }.
+     */
+    static async permissions(userId) {
+        const sql = `Select Null As TeamId, Concat(Resource, ':', Action) As Permission
+                     From User
+                       Inner Join Role On Role.Name = User.Role
+                       Inner Join RolePermission On RolePermission.RoleId = Role.RoleId
+                     Where UserId = :userId
+                     Union
+                     Select TeamId, Concat(Resource, ':', Action) As Permission
+                     From TeamGrant Inner Join RolePermission Using (RoleId)
+                     Where UserId = :userId`;
+        const [ rows ] = await Db.execute(sql, { userId: userId || null });
+
+        const permissions = { global: [], teams: {} };
+        for (const row of rows) {
+            if (row.TeamId == null) {
+                permissions.global.push(row.Permission);
+            } else {
+                if (!permissions.teams[row.TeamId]) permissions.teams[row.TeamId] = [];
+                permissions.teams[row.TeamId].push(row.Permission);
+            }
+        }
+
+        return permissions;
+    }
+
+
+    /**
+     * Returns user's team grants.
+     *
+     * @param   {number}   userId - User id.
+     * @returns {Object[]} Team grants: TeamId, Team (name), Role (name).
+     */
+    static async teamGrants(userId) {
+        const sql = `Select TeamId, Team.Name As Team, Role.Name As Role
+                     From TeamGrant Inner Join Team Using (TeamId) Inner Join Role Using (RoleId)
+                     Where UserId = :userId
+                     Order By Team.Name, Role.Name`;
+        const [ grants ] = await Db.execute(sql, { userId });
+        return grants;
+    }
+
+
+    /**
+     * Grant user a role within a team.
+     *
+     * @param   {number} userId - User being granted role.
+     * @param   {number} teamId - Team role applies to.
+     * @param   {string} role - Role (name) being granted, e.g. 'captain'.
+     * @returns {number} New TeamGrant id.
+     * @throws  ModelError 403 on unrecognised user, team, or role.
+     */
+    static async grantTeam(userId, teamId, role) {
+        debug('Role.grantTeam', userId, teamId, role);
+
+        const sql = `Insert Into TeamGrant (UserId, TeamId, RoleId)
+                     Select :userId, :teamId, RoleId From Role Where Name = :role`;
+        try {
+            const [ result ] = await Db.execute(sql, { userId, teamId, role });
+            if (result.affectedRows == 0) throw new ModelError(403, `Unrecognised role ‘${role}’`, 'invalid-role');
+            return result.insertId;
+        } catch (e) {
+            switch (e.code) {
+                case 'ER_NO_REFERENCED_ROW_2': // 1452 foreign key constraint fails
+                    throw new ModelError(403, e.message, ModelError.codeFor(e)); // Forbidden
+                case 'ER_DUP_ENTRY':           // 1062 duplicate entry
+                    throw new ModelError(409, e.message, ModelError.codeFor(e)); // Conflict
+                default:
+                    throw e;
+            }
+        }
+    }
+
+
+    /**
+     * Revoke user's role(s) within a team.
+     *
+     * @param {number} userId - User whose role is being revoked.
+     * @param {number} teamId - Team role applies to.
+     * @param {string} [role] - Role (name) being revoked; otherwise all user's roles within team.
+     */
+    static async revokeTeam(userId, teamId, role=undefined) {
+        debug('Role.revokeTeam', userId, teamId, role);
+
+        const sql = `Delete From TeamGrant
+                     Where UserId = :userId And TeamId = :teamId
+                     ${role ? 'And RoleId = (Select RoleId From Role Where Name = :role)' : ''}`;
+        await Db.execute(sql, { userId, teamId, role: role || null });
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Role;
@@ -0,0 +1,131 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Session model; server-side records of admin app logins                                         */
+/*                                                                                                */
+/* Each admin login starts a session, identified in the login JWT, so that sessions can be listed */
+/* (with the device, IP address, and time last seen) and revoked: a JWT belonging to a revoked    */
+/* session is no longer accepted, wherever the cookie holding it may be.                          */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import crypto    from 'crypto';    // nodejs.org/api/crypto.html
+import useragent from 'useragent'; // parse browser user agent string
+import Debug     from 'debug';     // small debugging utility
+const debug = Debug('app:db'); // debug db updates
+
+import Db from '../lib/mysqldb.js';
+
+
+class Session {
+
+    /**
+     * Lifetime of sessions, in days (from REMEMBER_ME_DAYS, default 7): sessions lapse after this
+     * long without being seen, as does remember-me.
+     */
+    static get lifetimeDays() {
+        return Number(process.env.REMEMBER_ME_DAYS) || 7;
+    }
+
+
+    /**
+     * Start new session for user.
+     *
+     * @param   {number} userId - User logging in.
+     * @param   {string} ip - IP address login was made from.
+     * @param   {string} userAgent - User-Agent header of browser login was made from.
+     * @returns {string} Id of new session.
+     */
+    static async create(userId, ip, userAgent) {
+        debug('Session.create', userId);
+
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        const device = useragent.parse(userAgent).toString(); // e.g. 'Chrome 80.0.3987 / Mac OS X 10.15.3'
+
+        const sql = `Insert Into Session
+                     Set SessionId = :sessionId, UserId = :userId, Device = :device, Ip = :ip, UserAgent = :userAgent,
+                         CreatedOn = Now(), LastSeenOn = Now()`;
+        await Db.execute(sql, { sessionId, userId, device, ip, userAgent: userAgent || null });
+
+        return sessionId;
+    }
+
+
+    /**
+     * Return session if it is active (neither revoked nor lapsed), and record it as last seen now
+     * (from given IP address).
+     *
+     * @param   {string} sessionId - Session id (from login JWT).
+     * @param   {string} ip - IP address session is being used from.
+     * @returns {Object} Session details, or null if session is not active.
+     */
+    static async touch(sessionId, ip) {
+        const sql = `Select *
+                     From Session
+                     Where SessionId = :sessionId And RevokedOn Is Null And LastSeenOn > Now() - Interval ${Session.lifetimeDays} Day`;
+        const [ [ session ] ] = await Db.execute(sql, { sessionId });
+        if (!session) return null;
+
+        // record session as seen (not more than once a minute, to save a db write on every request)
+        const sqlSeen = `Update Session
+                         Set LastSeenOn = Now(), Ip = :ip
+                         Where SessionId = :sessionId And (LastSeenOn < Now() - Interval 1 Minute Or Ip != :ip)`;
+        await Db.execute(sqlSeen, { sessionId, ip });
+
+        return session;
+    }
+
+
+    /**
+     * List active sessions of user, most recently seen first.
+     *
+     * @param   {number}   userId - User whose sessions are to be listed.
+     * @returns {Object[]} Sessions.
+     */
+    static async list(userId) {
+        const sql = `Select SessionId, Device, Ip, UserAgent, CreatedOn, LastSeenOn
+                     From Session
+                     Where UserId = :userId And RevokedOn Is Null And LastSeenOn > Now() - Interval ${Session.lifetimeDays} Day
+                     Order By LastSeenOn Desc`;
+        const [ sessions ] = await Db.execute(sql, { userId });
+        return sessions;
+    }
+
+
+    /**
+     * Revoke session (e.g. on logout): the JWT identifying it is no longer accepted.
+     *
+     * @param   {string}  sessionId - Session to be revoked.
+     * @param   {number}  [userId] - If given, session is only revoked if it belongs to this user.
+     * @param   {Object}  [connection] - Connection to use (e.g. within transaction); otherwise from pool.
+     * @returns {boolean} True if session was revoked.
+     */
+    static async revoke(sessionId, userId=undefined, connection=undefined) {
+        debug('Session.revoke', sessionId);
+
+        const sql = `Update Session
+                     Set RevokedOn = Now()
+                     Where SessionId = :sessionId And RevokedOn Is Null ${userId ? 'And UserId = :userId' : ''}`;
+        const [ result ] = await Db.execute(sql, { sessionId, userId }, connection);
+        return result.affectedRows > 0;
+    }
+
+
+    /**
+     * Revoke all sessions of user (e.g. on password change, or 'sign out everywhere').
+     *
+     * @param {number} userId - User whose sessions are to be revoked.
+     * @param {string} [exceptSessionId] - Session to be kept (e.g. that the password was changed in).
+     */
+    static async revokeUser(userId, exceptSessionId=undefined) {
+        debug('Session.revokeUser', userId, exceptSessionId);
+
+        const sql = `Update Session
+                     Set RevokedOn = Now()
+                     Where UserId = :userId And RevokedOn Is Null And SessionId != :except`;
+        await Db.execute(sql, { userId, except: exceptSessionId || '' });
+    }
+
+}
+
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+export default Session;
@@ -20,6 +20,18 @@ class TeamMember extends Model {
     }
 
 
+    /**
+     * Returns TeamMember details, locking the record until the transaction on the connection completes.
+     *
+     * @param   {number} id - TeamMember id.
+     * @param   {Object} connection - Connection to use (within transaction).
+     * @returns {Object} TeamMember details or undefined if not found.
+     */
+    static async getForUpdate(id, connection) {
+        return await super.getForUpdate('TeamMember', id, connection);
+    }
+
+
     /**
      * Creates new TeamMember record (member joining team).
      *
@@ -20,6 +20,18 @@ class Team extends Model {
     }
 
 
+    /**
+     * Returns Team details, locking the record until the transaction on the connection completes.
+     *
+     * @param   {number} id - Team id.
+     * @param   {Object} connection - Connection to use (within transaction).
+     * @returns {Object} Team details or undefined if not found.
+     */
+    static async getForUpdate(id, connection) {
+        return await super.getForUpdate('Team', id, connection);
+    }
+
+
     /**
      * Returns Teams with given field matching given value (convenience wrapper for simple filter).
      *
@@ -58,6 +70,32 @@ class Team extends Model {
     }
 
 
+    /**
+     * Update Team details, provided Team has not been changed since given version was retrieved.
+     *
+     * @param  {number} id - Team id.
+     * @param  {string} version - Version of Team details update is based on (from Team.version()).
+     * @param  {Object} values - Team details.
+     * @throws Error on validation or referential integrity errors, 409 on version mismatch.
+     */
+    static async updateIfVersion(id, version, values) {
+        await super.updateIfVersion('Team', id, version, values);
+    }
+
+
+    /**
+     * Overwrite Team details (full replacement): fields not supplied are cleared.
+     *
+     * @param  {number} id - Team id.
+     * @param  {Object} values - Team details.
+     * @param  {Object} [connection] - Connection to use (e.g. within transaction); otherwise from pool.
+     * @throws Error on validation or referential integrity errors.
+     */
+    static async overwrite(id, values, connection=undefined) {
+        await super.overwrite('Team', id, values, connection);
+    }
+
+
     /**
      * Delete Team record.
      *
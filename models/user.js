@@ -4,12 +4,19 @@
 /* All database modifications go through the model; most querying is in the handlers.             */
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
-import Debug from 'debug';     // small debugging utility
+import crypto from 'crypto';     // nodejs.org/api/crypto.html
+import Scrypt from 'scrypt-kdf'; // scrypt key derivation function
+import Debug  from 'debug';      // small debugging utility
 const debug = Debug('app:db'); // debug db updates
 
-import Db         from '../lib/mysqldb.js';
-import Log        from '../lib/log.js';
-import ModelError from './modelerror.js';
+import Db            from '../lib/mysqldb.js';
+import Log           from '../lib/log.js';
+import Totp          from '../lib/totp.js';
+import ModelError    from './modelerror.js';
+import PasswordReset from './password-reset.js';
+import RefreshToken  from './refresh-token.js';
+import Role          from './role.js';
+import Session       from './session.js';
 
 
 class User {
@@ -46,7 +53,7 @@ class User {
         } catch (e) {
             switch (e.code) {
                 case 'ER_BAD_FIELD_ERROR':
-                    throw new ModelError(403, 'Unrecognised User field '+field);
+                    throw new ModelError(403, 'Unrecognised User field '+field, ModelError.codeFor(e));
                 default:
                     Log.exception('User.getBy', e);
                     throw new ModelError(500, e.message);
@@ -60,11 +67,13 @@ class User {
      *
      * @param   {Object} values - User details.
      * @returns {number} New user id.
-     * @throws  Error on validation or referential integrity errors.
+     * @throws  Error on validation or referential integrity errors (ModelError 403 on unrecognised role).
      */
     static async insert(values) {
         debug('User.insert', values.Email);
 
+        await checkRole(values.Role);
+
         try {
 
             const [ result ] = await Db.query('Insert Into User Set ?', [ values ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
@@ -75,11 +84,11 @@ class User {
                 case 'ER_BAD_NULL_ERROR':
                 case 'ER_NO_REFERENCED_ROW_2':
                 case 'ER_NO_DEFAULT_FOR_FIELD':
-                    throw new ModelError(403, e.message); // Forbidden
+                    throw new ModelError(403, e.message, ModelError.codeFor(e)); // Forbidden
                 case 'ER_DUP_ENTRY':
-                    throw new ModelError(409, e.message); // Conflict
+                    throw new ModelError(409, e.message, ModelError.codeFor(e)); // Conflict
                 case 'ER_BAD_FIELD_ERROR':
-                    throw new ModelError(500, e.message); // Internal Server Error for programming errors
+                    throw new ModelError(500, e.message, ModelError.codeFor(e)); // Internal Server Error for programming errors
                 default:
                     Log.exception('User.insert', e);
                     throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
@@ -88,16 +97,37 @@ class User {
     }
 
 
+    /**
+     * Creates new User record for invited user: the user has no password until they follow the
+     * (e-mailed) set-password link, which uses the password reset token mechanism.
+     *
+     * @param   {Object} values - User details (Firstname, Lastname, Email, Role).
+     * @returns {Object} { id, token }: new user id, and password reset token for set-password link.
+     * @throws  Error on validation or referential integrity errors.
+     */
+    static async invite(values) {
+        debug('User.invite', values.Email);
+
+        const { Firstname, Lastname, Email } = values;
+        const id = await User.insert({ Firstname, Lastname, Email, Role: values.Role });
+        const token = await PasswordReset.issue(id);
+
+        return { id, token };
+    }
+
+
     /**
      * Update User details.
      *
      * @param  {number} id - User id.
      * @param  {Object} values - User details.
-     * @throws Error on referential integrity errors.
+     * @throws Error on referential integrity errors (ModelError 403 on unrecognised role).
      */
     static async update(id, values) {
         debug('User.update', id);
 
+        await checkRole(values.Role);
+
         try {
 
             await Db.query('Update User Set ? Where UserId = ?', [ values, id ]); // TODO: use execute once available: https://github.com/sidorares/node-mysql2/issues/756
@@ -108,9 +138,9 @@ class User {
                 case 'ER_DUP_ENTRY':
                 case 'ER_ROW_IS_REFERENCED_2':
                 case 'ER_NO_REFERENCED_ROW_2':
-                    throw new ModelError(403, e.message); // Forbidden
+                    throw new ModelError(403, e.message, ModelError.codeFor(e)); // Forbidden
                 case 'ER_BAD_FIELD_ERROR':
-                    throw new ModelError(500, e.message); // Internal Server Error for programming errors
+                    throw new ModelError(500, e.message, ModelError.codeFor(e)); // Internal Server Error for programming errors
                 default:
                     Log.exception('User.update', e);
                     throw new ModelError(500, e.message); // Internal Server Error for uncaught exception
@@ -119,6 +149,248 @@ class User {
     }
 
 
+    /**
+     * Set User's password (hashed with scrypt); any tokens issued with the previous password (and
+     * any outstanding password reset tokens) are revoked.
+     *
+     * @param {number} id - User id.
+     * @param {string} password - New (plain-text) password.
+     * @param {string} [keepSessionId] - Admin session to be kept (that the password was changed in).
+     */
+    static async setPassword(id, password, keepSessionId=undefined) {
+        debug('User.setPassword', id);
+
+        const hash = await Scrypt.kdf(password, { logN: 15 });
+        await User.update(id, { Password: hash.toString('base64') });
+
+        await User.revokeTokens(id, keepSessionId);
+    }
+
+
+    /**
+     * Whether password matches User's (current) password.
+     *
+     * @param   {number}  id - User id.
+     * @param   {string}  password - Password to be checked.
+     * @returns {boolean} True if password matches.
+     */
+    static async verifyPassword(id, password) {
+        const user = await User.get(id);
+        if (!user || !user.Password || !password) return false;
+
+        try {
+            return await Scrypt.verify(Buffer.from(user.Password, 'base64'), password);
+        } catch (e) {
+            if (e instanceof RangeError) return false; // "Invalid key"
+            throw e;
+        }
+    }
+
+
+    /**
+     * Record request to change User's e-mail: the e-mail is not changed until the new address is
+     * verified (by following the e-mailed link containing the returned token).
+     *
+     * @param   {number} id - User id.
+     * @param   {string} email - New e-mail address.
+     * @returns {string} Token for verification link.
+     * @throws  ModelError 409 if e-mail is already used by another user.
+     */
+    static async requestEmailChange(id, email) {
+        debug('User.requestEmailChange', id, email);
+
+        const [ existing ] = await User.getBy('Email', email);
+        if (existing && existing.UserId != id) throw new ModelError(409, `E-mail ‘${email}’ is already in use`, 'duplicate-email');
+
+        const token = emailToken();
+        await User.update(id, { PendingEmail: email, PendingEmailToken: hashCode(token) }); // only hash is recorded
+
+        return token;
+    }
+
+
+    /**
+     * Confirm e-mail change requested by requestEmailChange(): if the token is valid (and not
+     * expired), the User's e-mail is replaced by the pending e-mail.
+     *
+     * @param   {number} id - User id.
+     * @param   {string} token - Token from verification link.
+     * @returns {string} New e-mail address, or null if token is invalid or expired.
+     * @throws  ModelError 403 if e-mail has meanwhile been taken by another user.
+     */
+    static async confirmEmailChange(id, token) {
+        debug('User.confirmEmailChange', id);
+
+        const user = await User.get(id);
+        if (!user || !user.PendingEmailToken || typeof token != 'string') return null;
+        const tokenHash = Buffer.from(hashCode(token));
+        const pendingHash = Buffer.from(user.PendingEmailToken);
+        if (pendingHash.length != tokenHash.length || !crypto.timingSafeEqual(pendingHash, tokenHash)) return null;
+
+        // token is timestamp in base36 and hash separated by a hyphen; expires after 24 hours
+        const [ timestamp ] = token.split('-');
+        if (Date.now()/1000 - parseInt(timestamp, 36) > 60*60*24) return null;
+
+        await User.update(id, { Email: user.PendingEmail, PendingEmail: null, PendingEmailToken: null });
+
+        return user.PendingEmail;
+    }
+
+
+    /**
+     * Start TOTP two-factor authentication enrolment: a new shared secret is recorded, but 2FA is
+     * not enabled until a code generated from it is confirmed by totpActivate().
+     *
+     * @param   {number} id - User id.
+     * @returns {string} Base32-encoded shared secret (for provisioning URI).
+     */
+    static async totpEnrol(id) {
+        debug('User.totpEnrol', id);
+
+        const secret = Totp.generateSecret();
+        const sql = `Update User
+                     Set TotpSecret = :secret, TotpEnabledOn = Null, TotpRecoveryCodes = Null, TotpLastStep = Null
+                     Where UserId = :id`;
+        await Db.execute(sql, { id, secret });
+
+        return secret;
+    }
+
+
+    /**
+     * Complete TOTP enrolment: if the code matches the (pending) secret, 2FA is enabled, and
+     * one-time recovery codes are issued.
+     *
+     * @param   {number}   id - User id.
+     * @param   {string}   code - Code from authenticator app.
+     * @returns {string[]} Recovery codes (only hashes are recorded), or null if code does not match.
+     */
+    static async totpActivate(id, code) {
+        debug('User.totpActivate', id);
+
+        const user = await User.get(id);
+        if (!user || !user.TotpSecret) return null;
+
+        const step = Totp.verify(user.TotpSecret, code);
+        if (step == null) return null;
+
+        const recoveryCodes = [ ...Array(10) ].map(() => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+        const sql = `Update User
+                     Set TotpEnabledOn = Now(), TotpRecoveryCodes = :codes, TotpLastStep = :step
+                     Where UserId = :id`;
+        await Db.execute(sql, { id, codes: recoveryCodes.map(hashCode).join(' '), step });
+
+        return recoveryCodes;
+    }
+
+
+    /**
+     * Verify second-factor code for User with TOTP enabled: either a code from the authenticator
+     * app (which cannot be re-used), or a recovery code (which is used up).
+     *
+     * @param   {number}  id - User id.
+     * @param   {string}  code - Code from authenticator app, or recovery code.
+     * @returns {boolean} True if code is accepted.
+     */
+    static async totpVerify(id, code) {
+        const user = await User.get(id);
+        if (!user || !user.TotpEnabledOn) return false;
+
+        const step = Totp.verify(user.TotpSecret, code);
+        if (step != null) {
+            // only accept code if no code from same or later time step has already been used
+            const sql = `Update User
+                         Set TotpLastStep = :step
+                         Where UserId = :id And (TotpLastStep Is Null Or TotpLastStep < :step)`;
+            const [ result ] = await Db.execute(sql, { id, step });
+            return result.affectedRows == 1;
+        }
+
+        const hashes = (user.TotpRecoveryCodes || '').split(' ').filter(hash => hash != '');
+        const hash = hashCode(String(code || '').trim().toLowerCase());
+        if (!hashes.includes(hash)) return false;
+
+        const remaining = hashes.filter(h => h != hash).join(' ');
+        const sql = `Update User
+                     Set TotpRecoveryCodes = :remaining
+                     Where UserId = :id And TotpRecoveryCodes = :codes`; // fails if concurrently used
+        const [ result ] = await Db.execute(sql, { id, remaining, codes: user.TotpRecoveryCodes });
+        return result.affectedRows == 1;
+    }
+
+
+    /**
+     * Disable TOTP two-factor authentication for User.
+     *
+     * @param {number} id - User id.
+     */
+    static async totpDisable(id) {
+        debug('User.totpDisable', id);
+
+        const sql = `Update User
+                     Set TotpSecret = Null, TotpEnabledOn = Null, TotpRecoveryCodes = Null, TotpLastStep = Null
+                     Where UserId = :id`;
+        await Db.execute(sql, { id });
+    }
+
+
+    /**
+     * Disable User: the user can no longer sign in, and any tokens already issued are revoked.
+     *
+     * @param  {number} id - User id.
+     */
+    static async disable(id) {
+        debug('User.disable', id);
+
+        await Db.execute('Update User Set DisabledOn = Now() Where UserId = :id And DisabledOn Is Null', { id });
+        await User.revokeTokens(id);
+    }
+
+
+    /**
+     * Re-enable (previously disabled) User.
+     *
+     * @param  {number} id - User id.
+     */
+    static async enable(id) {
+        debug('User.enable', id);
+
+        await Db.execute('Update User Set DisabledOn = Null Where UserId = :id', { id });
+    }
+
+
+    /**
+     * Revoke all tokens issued to User (e.g. on password change): access tokens issued before now
+     * are no longer accepted, refresh tokens and password reset tokens can no longer be used, and
+     * admin sessions are ended.
+     *
+     * @param  {number} id - User id.
+     * @param  {string} [keepSessionId] - Admin session to be kept.
+     */
+    static async revokeTokens(id, keepSessionId=undefined) {
+        debug('User.revokeTokens', id);
+
+        await Db.execute('Update User Set TokensNotBefore = Now() Where UserId = :id', { id });
+        await RefreshToken.revokeUser(id);
+        await Session.revokeUser(id, keepSessionId);
+        await PasswordReset.revokeUser(id);
+    }
+
+
+    /**
+     * Whether token issued to User at given time has been revoked (by revokeTokens()).
+     *
+     * @param   {number}  id - User id.
+     * @param   {number}  issuedAt - Time token was issued, in seconds since epoch (as JWT 'iat').
+     * @returns {boolean} True if token has been revoked (or User no longer exists).
+     */
+    static async tokenRevoked(id, issuedAt) {
+        const sql = 'Select TokensNotBefore > From_Unixtime(:issuedAt) As revoked From User Where UserId = :id';
+        const [ [ user ] ] = await Db.execute(sql, { id, issuedAt });
+        return !user || user.revoked==1;
+    }
+
+
     /**
      * Delete User record.
      *
@@ -145,6 +417,35 @@ class User {
 }
 
 
+/**
+ * Check role (if supplied) is defined in Role table, as otherwise the user would silently have no
+ * permissions; throws ModelError 403 if not.
+ */
+async function checkRole(role) {
+    if (role === undefined) return;
+    if (!await Role.exists(role)) throw new ModelError(403, `Unrecognised role ‘${role}’`, 'invalid-role');
+}
+
+
+/**
+ * Generate e-mail verification token: the current timestamp in base36 (for expiry checks) followed
+ * by a random hex string.
+ */
+function emailToken() {
+    const now = Math.floor(Date.now()/1000).toString(36);
+    return now+'-'+crypto.randomBytes(16).toString('hex');
+}
+
+
+/**
+ * Return SHA-256 hash of (random) 2FA recovery code or e-mail verification token, as recorded in
+ * database.
+ */
+function hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+
 /* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
 
 export default User;
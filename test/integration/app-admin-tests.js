@@ -7,15 +7,31 @@
 import supertest          from 'supertest';  // SuperAgent driven library for testing HTTP servers
 import { expect }         from 'chai';       // BDD/TDD assertion library
 import Scrypt             from 'scrypt-kdf'; // scrypt key derivation function
+import crypto             from 'crypto';     // nodejs.org/api/crypto.html
 import jsdom from 'jsdom'; const JsDom = jsdom.JSDOM; // JavaScript implementation of DOM and HTML standards TODO: named export not yet available
 import dotenv             from 'dotenv';     // load environment variables from a .env file into process.env
 dotenv.config();
 
 import app  from '../../app.js';
-import User from '../../models/user.js';
+import User   from '../../models/user.js';
+import Member from '../../models/member.js';
+import Role   from '../../models/role.js';
+import Team   from '../../models/team.js';
+import Totp   from '../../lib/totp.js';
+
+import LoginThrottle from '../../lib/login-throttle.js';
+import Db            from '../../lib/mysqldb.js';
+import PasswordReset from '../../models/password-reset.js';
 
 const appAdmin = supertest.agent(app.listen()).host('admin.localhost');
 
+// CSRF token for posts, from the _csrf field of the login page form (it is bound to the session cookie)
+async function csrfToken(agent) {
+    const response = await agent.get('/login');
+    const document = new JsDom(response.text).window.document;
+    return document.querySelector('input[name=_csrf]').value;
+}
+
 
 describe(`Admin app (${app.env})`, function() {
     this.timeout(5e3); // 5 sec
@@ -37,6 +53,7 @@ describe(`Admin app (${app.env})`, function() {
             Role:      'admin',
         });
         console.info('\tadmin user', testAdmin.userId, testAdmin.username, '/', testAdmin.password);
+        appAdmin.set('X-CSRF-Token', await csrfToken(appAdmin));
     });
 
     after(async function() {
@@ -45,12 +62,13 @@ describe(`Admin app (${app.env})`, function() {
 
     describe('password reset', function() {
         let resetToken = null;
+        let otherToken = null; // outstanding token, revoked by password reset
 
         it('sees password reset request page', async function() {
             const response = await appAdmin.get('/password/reset-request');
             expect(response.status).to.equal(200);
             const document = new JsDom(response.text).window.document;
-            expect(document.querySelector('input').name).to.equal('email');
+            expect(document.querySelector('input:not([type=hidden])').name).to.equal('email');
         });
 
         it('makes password reset request', async function() {
@@ -58,7 +76,7 @@ describe(`Admin app (${app.env})`, function() {
             expect(response.status).to.equal(302);
             expect(response.headers.location).to.equal('/password/reset-request-confirm');
             resetToken = response.headers['x-reset-token'];
-            expect(resetToken).to.be.a('string');
+            expect(resetToken).to.match(/^[0-9a-f]{64}$/);
             console.info('\treset token', resetToken);
         });
 
@@ -73,7 +91,7 @@ describe(`Admin app (${app.env})`, function() {
             const response = await appAdmin.get(`/password/reset/${resetToken}`);
             expect(response.status).to.equal(200);
             const document = new JsDom(response.text).window.document;
-            expect(document.querySelector('input').name).to.equal('password');
+            expect(document.querySelector('input:not([type=hidden])').name).to.equal('password');
         });
 
         it('throws out invalid token', async function() {
@@ -84,21 +102,24 @@ describe(`Admin app (${app.env})`, function() {
         });
 
         it('throws out expired token', async function() {
-            const [ timestamp, hash ] = resetToken.split('-');
-            const expiredTimestamp = (parseInt(timestamp, 36) - 60*60*24 - 1).toString(36);
-            const response = await appAdmin.get(`/password/reset/${expiredTimestamp}-${hash}`);
+            const responseRequest = await appAdmin.post('/password/reset-request').send({ email: testAdmin.username });
+            const expiredToken = responseRequest.headers['x-reset-token'];
+            const hash = crypto.createHash('sha256').update(expiredToken).digest('hex');
+            await Db.execute('Update PasswordReset Set ExpiresOn = Now() - Interval 1 Second Where TokenHash = :hash', { hash });
+            const response = await appAdmin.get(`/password/reset/${expiredToken}`);
             expect(response.status).to.equal(200);
             const document = new JsDom(response.text).window.document;
             expect(document.querySelector('p').textContent).to.equal('This password reset link is either invalid, expired, or previously used.');
         });
 
-        it('throws out token with valid timestamp but invalid hash', async function() {
-            // the token is a timestamp in base36 and a hash separated by a hyphen
-            const [ timestamp ] = resetToken.split('-'); // (we don't need the hash here)
-            const response = await appAdmin.get(`/password/reset/${timestamp}-abcdefgh`);
-            expect(response.status).to.equal(200);
-            const document = new JsDom(response.text).window.document;
-            expect(document.querySelector('p').textContent).to.equal('This password reset link is either invalid, expired, or previously used.');
+        it('does not issue further tokens beyond request limit', async function() {
+            const responseThird = await appAdmin.post('/password/reset-request').send({ email: testAdmin.username });
+            expect(responseThird.headers['x-reset-token']).to.match(/^[0-9a-f]{64}$/);
+            otherToken = responseThird.headers['x-reset-token'];
+            const responseFourth = await appAdmin.post('/password/reset-request').send({ email: testAdmin.username });
+            expect(responseFourth.status).to.equal(302);
+            expect(responseFourth.headers.location).to.equal('/password/reset-request-confirm');
+            expect(responseFourth.headers['x-reset-token']).to.be.undefined;
         });
 
         it('chokes on different passwords', async function() {
@@ -108,11 +129,37 @@ describe(`Admin app (${app.env})`, function() {
             expect(response.headers.location).to.equal(`/password/reset/${resetToken}`);
         });
 
+        it('chokes on weak password', async function() {
+            const values = { password: 'short', passwordConfirm: 'short' };
+            const response = await appAdmin.post(`/password/reset/${resetToken}`).send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/password/reset/${resetToken}`);
+            const responseGet = await appAdmin.get(`/password/reset/${resetToken}`);
+            const document = new JsDom(responseGet.text).window.document;
+            expect(document.querySelector('p.error-msg').textContent).to.equal('Error – “password” must be at least 10 characters long');
+        });
+
         it('resets password', async function() {
+            const issuedAt = Math.floor(Date.now()/1000) - 1; // as for token issued before password reset
             const values = { password: testAdmin.password, passwordConfirm: testAdmin.password };
             const response = await appAdmin.post(`/password/reset/${resetToken}`).send(values);
             expect(response.status).to.equal(302);
             expect(response.headers.location).to.equal('/password/reset/confirm');
+            expect(await User.tokenRevoked(testAdmin.userId, issuedAt)).to.be.true;
+        });
+
+        it('throws out used token', async function() {
+            const response = await appAdmin.get(`/password/reset/${resetToken}`);
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('p').textContent).to.equal('This password reset link is either invalid, expired, or previously used.');
+        });
+
+        it('throws out other outstanding token once password has been reset', async function() {
+            const response = await appAdmin.get(`/password/reset/${otherToken}`);
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('p').textContent).to.equal('This password reset link is either invalid, expired, or previously used.');
         });
 
         it('sees password reset confirmation page', async function() {
@@ -123,6 +170,24 @@ describe(`Admin app (${app.env})`, function() {
         });
     });
 
+    describe('csrf', function() {
+        const appAdminCrossSite = supertest.agent(app.listen()).host('admin.localhost'); // no CSRF token
+
+        it('rejects login post without CSRF token', async function() {
+            const values = { username: testAdmin.username, password: testAdmin.password };
+            const response = await appAdminCrossSite.post('/login').send(values);
+            expect(response.status).to.equal(403);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('main p').textContent).to.equal('Sorry, can’t do that for you!... (403: CSRF token mismatch)');
+        });
+
+        it('rejects login post with CSRF token from another session', async function() {
+            const values = { username: testAdmin.username, password: testAdmin.password, _csrf: await csrfToken(appAdmin) };
+            const response = await appAdminCrossSite.post('/login').send(values);
+            expect(response.status).to.equal(403);
+        });
+    });
+
     describe('login', function() {
         let location = null;
 
@@ -144,7 +209,8 @@ describe(`Admin app (${app.env})`, function() {
             const response = await appAdmin.get('/login');
             expect(response.status).to.equal(200);
             const document = new JsDom(response.text).window.document;
-            expect(document.querySelectorAll('input')).to.have.lengthOf(3);
+            expect(document.querySelectorAll('input:not([type=hidden])')).to.have.lengthOf(3);
+            expect(document.querySelector('input[name=_csrf]').value).to.be.a('string');
         });
 
         it('shows e-mail/password not recognised on failed login', async function() {
@@ -159,12 +225,14 @@ describe(`Admin app (${app.env})`, function() {
             expect(document.querySelector('input[name=username').value).to.equal('no-user-by-this-name');
         });
 
-        it('logs in, and redirects to /', async function() {
+        it('logs in, and redirects to / (revoking outstanding password reset tokens)', async function() {
+            const resetToken = await PasswordReset.issue(testAdmin.userId);
             const values = { username: testAdmin.username, password: testAdmin.password };
             const response = await appAdmin.post('/login').send(values);
             expect(response.status).to.equal(302);
             location = response.headers.location;
             expect(location).to.equal('/');
+            expect(await PasswordReset.verify(resetToken)).to.be.null;
         });
 
         it('shows logged in user on login page when logged-in', async function() {
@@ -180,19 +248,20 @@ describe(`Admin app (${app.env})`, function() {
             expect(response.status).to.equal(200);
             const document = new JsDom(response.text).window.document;
             expect(document.querySelector('title').textContent.slice(0, 14)).to.equal('Koa Sample App');
-            // nav should be '/', 'members', 'teams', 'logout'
-            expect(document.querySelectorAll('nav ul li').length).to.equal(4);
+            // nav should be '/', 'members', 'teams', 'api keys', 'users', 'account', 'logout'
+            expect(document.querySelectorAll('nav ul li').length).to.equal(7);
         });
     });
 
     describe('members CRUD', function() {
         let id = null;
+        let version = null; // for optimistic concurrency check
 
         it('gets add new member page', async function() {
             const response = await appAdmin.get('/members/add');
             expect(response.status).to.equal(200);
             const document = new JsDom(response.text).window.document;
-            expect(document.querySelector('input').name).to.equal('Firstname'); // 1st input
+            expect(document.querySelector('input:not([type=hidden])').name).to.equal('Firstname'); // 1st input
         });
 
         it('fails to add new new member with bad e-mail - redirects back to same page', async function() {
@@ -248,15 +317,28 @@ describe(`Admin app (${app.env})`, function() {
             expect(response.status).to.equal(200);
             const document = new JsDom(response.text).window.document;
             expect(document.querySelector('h1').textContent).to.equal('Edit member');
+            version = document.querySelector('input[name=_version]').value;
+            expect(version).to.have.length(40);
         });
 
         it('edits member', async function() {
-            const values = { Firstname: 'Test-bis', Lastname: 'User', Email: testMember };
+            const values = { Firstname: 'Test-bis', Lastname: 'User', Email: testMember, _version: version };
             const response = await appAdmin.post(`/members/${id}/edit`).send(values);
             expect(response.status).to.equal(302);
             expect(response.headers.location).to.equal('/members');
         });
 
+        it('fails to edit member with stale version', async function() {
+            const values = { Firstname: 'Test-ter', Lastname: 'User', Email: testMember, _version: version };
+            const response = await appAdmin.post(`/members/${id}/edit`).send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal(`/members/${id}/edit`);
+            const responseEdit = await appAdmin.get(`/members/${id}/edit`);
+            const document = new JsDom(responseEdit.text).window.document;
+            expect(document.querySelector('.error-msg').textContent).to.equal('Error – Member has been changed by someone else since it was retrieved');
+            expect(document.querySelector('input[name=Firstname]').value).to.equal('Test-bis');
+        });
+
         it('sees updated details', async function() {
             const response = await appAdmin.get(`/members/${id}/edit`);
             expect(response.status).to.equal(200);
@@ -282,8 +364,599 @@ describe(`Admin app (${app.env})`, function() {
         // TODO: mostly echoes members CRUD
     });
 
+    describe('members CSV', function() {
+        const emails = [ `csv1-${testMember}`, `csv2-${testMember}` ];
+        const csv = `First name,Lastname,Email,Active\r\nTest,Csv-1,${emails[0]},true\r\nTest,Csv-2,${emails[1]},no\r\n`;
+
+        after(async function() {
+            for (const email of emails) {
+                const [ member ] = await Member.getBy('Email', email);
+                if (member) await Member.delete(member.MemberId);
+            }
+        });
+
+        it('exports filtered members', async function() {
+            const response = await appAdmin.get('/members/export?Lastname=xxxx');
+            expect(response.status).to.equal(200);
+            expect(response.headers['content-type']).to.equal('text/csv; charset=utf-8');
+            expect(response.headers['content-disposition']).to.equal('attachment; filename="members.csv"');
+            expect(response.text.split('\r\n')[0].split(',')).to.include.members([ 'MemberId', 'Firstname', 'Lastname', 'Email', 'Active' ]);
+            expect(response.text.split('\r\n')[1]).to.equal(''); // no matching members
+        });
+
+        it('fails to export members with unrecognised filter field', async function() {
+            const response = await appAdmin.get('/members/export?'+encodeURIComponent('1 or 1=1 -- ')+'=x');
+            expect(response.status).to.equal(403);
+            expect(response.headers['content-type']).to.not.equal('text/csv; charset=utf-8');
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('main').textContent).to.contain('Unrecognised Member field');
+        });
+
+        it('fails to export teams with unrecognised filter field', async function() {
+            const response = await appAdmin.get('/teams/export?Password=x');
+            expect(response.status).to.equal(403);
+        });
+
+        it('previews import, mapping matching columns', async function() {
+            const response = await appAdmin.post('/members/import').attach('csv', Buffer.from(csv), 'members.csv');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('select[name=column-0]').value).to.equal(''); // 'First name' not matched
+            expect(document.querySelector('select[name=column-2]').value).to.equal('Email');
+            expect(document.querySelectorAll('tr.error')).to.have.length(0);
+        });
+
+        it('flags invalid & duplicate rows in preview', async function() {
+            const csvBad = csv + `Test,Csv-3,${emails[0]},true\r\nTest,Csv-4,not-an-email,maybe\r\n`;
+            const values = { csv: csvBad, 'column-0': 'Firstname', 'column-1': 'Lastname', 'column-2': 'Email', 'column-3': 'Active', action: 'import' };
+            const response = await appAdmin.post('/members/import').send(values);
+            expect(response.status).to.equal(200); // not imported: preview redisplayed
+            const document = new JsDom(response.text).window.document;
+            const errors = [ ...document.querySelectorAll('tr.error') ].map(tr => tr.lastElementChild.textContent);
+            expect(errors).to.have.length(2);
+            expect(errors[0]).to.equal(`Duplicate Email ‘${emails[0]}’ (row 2)`);
+            expect(errors[1]).to.contain('“Active” must be true or false');
+            expect(errors[1]).to.contain('“Email” must be an email');
+        });
+
+        it('imports members', async function() {
+            const values = { csv, 'column-0': 'Firstname', 'column-1': 'Lastname', 'column-2': 'Email', 'column-3': 'Active', action: 'import' };
+            const response = await appAdmin.post('/members/import').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/members');
+            expect(response.headers['x-insert-count']).to.equal('2');
+            const [ member ] = await Member.getBy('Email', emails[0]);
+            expect(member.Firstname).to.equal('Test');
+            expect(member.Lastname).to.equal('Csv-1');
+        });
+
+        it('flags members which already exist', async function() {
+            const response = await appAdmin.post('/members/import').attach('csv', Buffer.from(csv), 'members.csv');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelectorAll('tr.error')).to.have.length(2);
+            expect(document.querySelector('tr.error').lastElementChild.textContent).to.equal(`Member with Email ‘${emails[0]}’ already exists`);
+        });
+    });
+
+    describe('api keys', function() {
+        let id = null;
+
+        it('gets add new api key page', async function() {
+            const response = await appAdmin.get('/api-keys/add');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('input:not([type=hidden])').name).to.equal('Name'); // 1st input
+            expect(document.querySelector('select[name=UserId] option[selected]').value).to.equal(String(testAdmin.userId));
+        });
+
+        it('fails to add api key without scopes', async function() {
+            const values = { Name: 'Test key', UserId: testAdmin.userId };
+            const response = await appAdmin.post('/api-keys/add').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/api-keys/add');
+        });
+
+        it('fails to add api key for another user', async function() {
+            const values = { Name: 'Test key', UserId: 100001, Scopes: [ 'members:read' ] };
+            const response = await appAdmin.post('/api-keys/add').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/api-keys/add');
+        });
+
+        it('fails to add api key with scope not granted by role', async function() {
+            const values = { Name: 'Test key', UserId: testAdmin.userId, Scopes: [ 'members:read', 'users:write' ] };
+            const response = await appAdmin.post('/api-keys/add').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/api-keys/add');
+            const responseGet = await appAdmin.get('/api-keys/add');
+            const document = new JsDom(responseGet.text).window.document;
+            expect(document.querySelector('p.error-msg').textContent).to.equal('Error – User’s role does not grant scope ‘users:write’');
+        });
+
+        it('adds new api key, showing key once', async function() {
+            const values = { Name: 'Test key', UserId: testAdmin.userId, Scopes: [ 'members:read', 'teams:read' ] };
+            const response = await appAdmin.post('/api-keys/add').send(values);
+            expect(response.status).to.equal(200);
+            id = response.headers['x-insert-id'];
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('code.api-key').textContent).to.match(/^sak_[0-9a-f]{48}$/);
+        });
+
+        it('lists api keys including test key', async function() {
+            const response = await appAdmin.get('/api-keys');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.getElementById(id).querySelector('td').textContent).to.equal('Test key');
+            expect(document.getElementById(id).querySelectorAll('td')[5].textContent).to.equal('never');
+        });
+
+        it('revokes api key', async function() {
+            const response = await appAdmin.post(`/api-keys/${id}/revoke`);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/api-keys');
+            const responseList = await appAdmin.get('/api-keys');
+            const document = new JsDom(responseList.text).window.document;
+            expect(document.getElementById(id).className).to.equal('revoked');
+        });
+    });
+
+    describe('users', function() {
+        const testUser = `invited-${Date.now().toString(36)}@example.net`;
+        let id = null;
+        let resetToken = null;
+        let teamId = null;
+
+        it('forbids users list to admin role', async function() {
+            const response = await appAdmin.get('/users');
+            expect(response.status).to.equal(403);
+        });
+
+        describe('su', function() {
+            before(async function() {
+                // users are managed by 'su' role only: log back in as su
+                await User.update(testAdmin.userId, { Role: 'su' });
+                await appAdmin.post('/login').send({ username: testAdmin.username, password: testAdmin.password });
+            });
+
+            after(async function() {
+                await User.update(testAdmin.userId, { Role: 'admin' });
+                await appAdmin.post('/login').send({ username: testAdmin.username, password: testAdmin.password });
+            });
+
+            it('gets invite user page', async function() {
+                const response = await appAdmin.get('/users/add');
+                expect(response.status).to.equal(200);
+                const document = new JsDom(response.text).window.document;
+                expect(document.querySelector('input:not([type=hidden])').name).to.equal('Firstname'); // 1st input
+                expect(document.querySelector('select[name=Role] option[value=guest]')).to.not.be.null;
+            });
+
+            it('invites new user', async function() {
+                const values = { Firstname: 'Invited', Lastname: 'User', Email: testUser, Role: 'guest' };
+                const response = await appAdmin.post('/users/add').send(values);
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal('/users');
+                id = response.headers['x-insert-id'];
+                resetToken = response.headers['x-reset-token'];
+                expect(resetToken).to.match(/^[0-9a-f]{64}$/);
+            });
+
+            it('lists users including invited user', async function() {
+                const response = await appAdmin.get('/users');
+                expect(response.status).to.equal(200);
+                const document = new JsDom(response.text).window.document;
+                expect(document.getElementById(id).querySelector('td').textContent).to.equal('Invited User');
+                expect(document.getElementById(id).querySelectorAll('td')[3].textContent).to.equal('invited');
+            });
+
+            it('sees set password page from invitation link', async function() {
+                const response = await appAdmin.get(`/password/reset/${resetToken}`);
+                expect(response.status).to.equal(200);
+                const document = new JsDom(response.text).window.document;
+                expect(document.querySelector('input:not([type=hidden])').name).to.equal('password');
+            });
+
+            it('edits user role', async function() {
+                const values = { Firstname: 'Invited', Lastname: 'User', Email: testUser, Role: 'admin' };
+                const response = await appAdmin.post(`/users/${id}/edit`).send(values);
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal('/users');
+                const user = await User.get(id);
+                expect(user.Role).to.equal('admin');
+            });
+
+            it('fails to set unrecognised role', async function() {
+                const values = { Firstname: 'Invited', Lastname: 'User', Email: testUser, Role: 'no-such-role' };
+                const response = await appAdmin.post(`/users/${id}/edit`).send(values);
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal(`/users/${id}/edit`);
+                const user = await User.get(id);
+                expect(user.Role).to.equal('admin');
+            });
+
+            it('fails to change own role', async function() {
+                const values = { Firstname: 'Test', Lastname: 'User', Email: testAdmin.username, Role: 'guest' };
+                const response = await appAdmin.post(`/users/${testAdmin.userId}/edit`).send(values);
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal(`/users/${testAdmin.userId}/edit`);
+                const user = await User.get(testAdmin.userId);
+                expect(user.Role).to.equal('su');
+            });
+
+            it('disables user', async function() {
+                const response = await appAdmin.post(`/users/${id}/edit`).send({ disable: 'disable' });
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal('/users');
+                const responseList = await appAdmin.get('/users');
+                const document = new JsDom(responseList.text).window.document;
+                expect(document.getElementById(id).className).to.equal('disabled');
+            });
+
+            it('re-enables user', async function() {
+                const response = await appAdmin.post(`/users/${id}/edit`).send({ enable: 'enable' });
+                expect(response.status).to.equal(302);
+                const user = await User.get(id);
+                expect(user.DisabledOn).to.be.null;
+            });
+
+            it('grants team role', async function() {
+                teamId = await Team.insert({ Name: `Grant team ${Date.now().toString(36)}` });
+                const response = await appAdmin.post(`/users/${id}/edit`).send({ 'grant-team': teamId, 'grant-role': 'captain' });
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal(`/users/${id}/edit`);
+                const responseGet = await appAdmin.get(`/users/${id}/edit`);
+                const document = new JsDom(responseGet.text).window.document;
+                expect(document.querySelector('button[name=revoke-team]').value).to.equal(String(teamId));
+                expect((await Role.permissions(id)).teams[teamId]).to.include('team-members:write');
+            });
+
+            it('revokes team role', async function() {
+                const response = await appAdmin.post(`/users/${id}/edit`).send({ 'revoke-team': teamId, 'revoke-role': 'captain' });
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal(`/users/${id}/edit`);
+                expect(await Role.teamGrants(id)).to.have.length(0);
+                await Team.delete(teamId);
+            });
+
+            it('fails to disable own account', async function() {
+                const response = await appAdmin.post(`/users/${testAdmin.userId}/edit`).send({ disable: 'disable' });
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal(`/users/${testAdmin.userId}/edit`);
+                const user = await User.get(testAdmin.userId);
+                expect(user.DisabledOn).to.be.null;
+            });
+
+            it('deletes user', async function() {
+                const response = await appAdmin.post(`/users/${id}/delete`);
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal('/users');
+                expect(await User.get(id)).to.be.undefined;
+            });
+
+            it('lists locked account', async function() {
+                for (let i=0; i<10; i++) await LoginThrottle.failure(testUser, '192.0.2.1'); // (documentation IP address)
+                const response = await appAdmin.get('/users/locked');
+                expect(response.status).to.equal(200);
+                const document = new JsDom(response.text).window.document;
+                const usernames = [ ...document.querySelectorAll('input[name=username]') ].map(input => input.value);
+                expect(usernames).to.include(testUser);
+            });
+
+            it('unlocks locked account', async function() {
+                const response = await appAdmin.post('/users/locked').send({ username: testUser });
+                expect(response.status).to.equal(302);
+                expect(response.headers.location).to.equal('/users/locked');
+                expect(await LoginThrottle.wait(testUser, '192.0.2.2')).to.equal(0);
+            });
+        });
+    });
+
+    describe('account', function() {
+        const newEmail = `changed-${Date.now().toString(36)}@example.net`;
+        let emailToken = null;
+
+        after(async function() {
+            await User.update(testAdmin.userId, { Firstname: 'Test', Email: testAdmin.username });
+        });
+
+        it('gets account page', async function() {
+            const response = await appAdmin.get('/account');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('input[name=Email]').value).to.equal(testAdmin.username);
+        });
+
+        it('updates name', async function() {
+            const values = { Firstname: 'Tested', Lastname: 'User', Email: testAdmin.username };
+            const response = await appAdmin.post('/account').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/account');
+            expect(response.headers['x-email-token']).to.be.undefined;
+            const user = await User.get(testAdmin.userId);
+            expect(user.Firstname).to.equal('Tested');
+        });
+
+        it('requests e-mail change, pending verification', async function() {
+            const values = { Firstname: 'Tested', Lastname: 'User', Email: newEmail };
+            const response = await appAdmin.post('/account').send(values);
+            expect(response.status).to.equal(302);
+            emailToken = response.headers['x-email-token'];
+            expect(emailToken).to.be.a('string');
+            const user = await User.get(testAdmin.userId);
+            expect(user.Email).to.equal(testAdmin.username);
+            expect(user.PendingEmailToken).to.match(/^[0-9a-f]{64}$/); // only hash of token is recorded
+            const responseGet = await appAdmin.get('/account');
+            const document = new JsDom(responseGet.text).window.document;
+            expect(document.querySelector('p.pending-email').textContent).to.contain(newEmail);
+        });
+
+        it('throws out invalid e-mail verification token', async function() {
+            const response = await appAdmin.get('/account/email/not-a-good-token');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelector('p').textContent).to.equal('This e-mail verification link is either invalid, expired, or previously used.');
+        });
+
+        it('verifies e-mail change', async function() {
+            const response = await appAdmin.get(`/account/email/${emailToken}`);
+            expect(response.status).to.equal(200);
+            const user = await User.get(testAdmin.userId);
+            expect(user.Email).to.equal(newEmail);
+            expect(user.PendingEmail).to.be.null;
+        });
+
+        it('fails to change password with wrong current password', async function() {
+            const values = { passwordCurrent: 'not-the-right-password', password: 'new-password', passwordConfirm: 'new-password' };
+            const response = await appAdmin.post('/account/password').send(values);
+            expect(response.status).to.equal(302);
+            const responseGet = await appAdmin.get('/account');
+            const document = new JsDom(responseGet.text).window.document;
+            expect(document.querySelector('p.error-msg').textContent).to.equal('Error – Current password not recognised');
+        });
+
+        it('fails to change password with different passwords', async function() {
+            const values = { passwordCurrent: testAdmin.password, password: 'new-password', passwordConfirm: 'different-password' };
+            const response = await appAdmin.post('/account/password').send(values);
+            expect(response.status).to.equal(302);
+            expect(await User.verifyPassword(testAdmin.userId, testAdmin.password)).to.be.true;
+        });
+
+        it('fails to change password to one containing user’s name', async function() {
+            const password = `${testAdmin.username.split('@')[0]}-${testAdmin.password}`;
+            const values = { passwordCurrent: testAdmin.password, password, passwordConfirm: password };
+            const response = await appAdmin.post('/account/password').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/account');
+            expect(await User.verifyPassword(testAdmin.userId, testAdmin.password)).to.be.true;
+            const responseGet = await appAdmin.get('/account');
+            const document = new JsDom(responseGet.text).window.document;
+            expect(document.querySelector('p.error-msg').textContent).to.match(/^Error – “password” must not contain ‘.+’$/);
+        });
+
+        it('changes password', async function() {
+            const password = `new-${testAdmin.password}`;
+            const values = { passwordCurrent: testAdmin.password, password, passwordConfirm: password, pwnedNotified: 'yes' };
+            const response = await appAdmin.post('/account/password').send(values);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/account');
+            expect(await User.verifyPassword(testAdmin.userId, password)).to.be.true;
+            testAdmin.password = password;
+        });
+    });
+
+    describe('two-factor authentication', function() {
+        let secret = null;
+        let recoveryCodes = null;
+
+        after(async function() {
+            await Role.setRequireTotp('admin', false);
+            await User.totpDisable(testAdmin.userId);
+            await appAdmin.post('/login').send({ username: testAdmin.username, password: testAdmin.password });
+        });
+
+        it('gets 2fa set up page', async function() {
+            const response = await appAdmin.get('/account/2fa');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            secret = document.querySelector('code.totp-secret').textContent;
+            expect(secret).to.match(/^[A-Z2-7]{32}$/);
+            expect(document.getElementById('qr').dataset.uri).to.contain(`secret=${secret}`);
+        });
+
+        it('fails to set up 2fa with wrong code', async function() {
+            const code = Totp.generate(secret, Totp.step()) == '000000' ? '111111' : '000000';
+            const response = await appAdmin.post('/account/2fa').send({ code });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/account/2fa');
+        });
+
+        it('sets up 2fa, showing recovery codes', async function() {
+            const response = await appAdmin.post('/account/2fa').send({ code: Totp.generate(secret, Totp.step()) });
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            recoveryCodes = [ ...document.querySelectorAll('ul.recovery-codes code') ].map(code => code.textContent);
+            expect(recoveryCodes).to.have.lengthOf(10);
+        });
+
+        it('requires second factor after password on login', async function() {
+            await appAdmin.get('/logout');
+            const response = await appAdmin.post('/login').send({ username: testAdmin.username, password: testAdmin.password });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/2fa');
+            const responseMembers = await appAdmin.get('/members');
+            expect(responseMembers.status).to.equal(302);
+            expect(responseMembers.headers.location).to.equal('/login/members');
+        });
+
+        it('rejects re-used code', async function() {
+            const response = await appAdmin.post('/2fa').send({ code: Totp.generate(secret, Totp.step()) });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/2fa');
+        });
+
+        it('logs in with recovery code', async function() {
+            const response = await appAdmin.post('/2fa').send({ code: recoveryCodes[0] });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/');
+            const responseMembers = await appAdmin.get('/members');
+            expect(responseMembers.status).to.equal(200);
+        });
+
+        it('rejects used recovery code', async function() {
+            await appAdmin.get('/logout');
+            await appAdmin.post('/login').send({ username: testAdmin.username, password: testAdmin.password });
+            const response = await appAdmin.post('/2fa').send({ code: recoveryCodes[0] });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/2fa');
+        });
+
+        it('logs in with (new) authenticator code', async function() {
+            const response = await appAdmin.post('/2fa').send({ code: Totp.generate(secret, Totp.step()+1) });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/');
+        });
+
+        it('disables 2fa', async function() {
+            const response = await appAdmin.post('/account/2fa/disable').send({ passwordCurrent: testAdmin.password });
+            expect(response.status).to.equal(302);
+            const user = await User.get(testAdmin.userId);
+            expect(user.TotpEnabledOn).to.be.null;
+        });
+
+        it('requires 2fa enrolment on login when required for role', async function() {
+            await Role.setRequireTotp('admin', true);
+            await appAdmin.get('/logout');
+            const response = await appAdmin.post('/login').send({ username: testAdmin.username, password: testAdmin.password });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/2fa/enrol');
+            const responseEnrol = await appAdmin.get('/2fa/enrol');
+            expect(responseEnrol.status).to.equal(200);
+            const document = new JsDom(responseEnrol.text).window.document;
+            secret = document.querySelector('code.totp-secret').textContent;
+        });
+
+        it('throttles 2fa enrolment codes', async function() {
+            for (let i=0; i<10; i++) await LoginThrottle.failure(testAdmin.username, '192.0.2.1'); // (documentation IP address)
+            const response = await appAdmin.post('/2fa/enrol').send({ code: Totp.generate(secret, Totp.step()) });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/2fa/enrol');
+            await LoginThrottle.unlock(testAdmin.username);
+            const user = await User.get(testAdmin.userId);
+            expect(user.TotpEnabledOn).to.be.null;
+        });
+
+        it('completes login with 2fa enrolment', async function() {
+            const response = await appAdmin.post('/2fa/enrol').send({ code: Totp.generate(secret, Totp.step()) });
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            expect(document.querySelectorAll('ul.recovery-codes code')).to.have.lengthOf(10);
+            const responseMembers = await appAdmin.get('/members');
+            expect(responseMembers.status).to.equal(200);
+        });
+    });
+
+    describe('sessions', function() {
+        const appAdminOther = supertest.agent(app.listen()).host('admin.localhost'); // another 'browser'
+        let otherSession = null;
+
+        before(async function() {
+            appAdminOther.set('X-CSRF-Token', await csrfToken(appAdminOther));
+            await appAdminOther.post('/login').set('User-Agent', 'Mozilla/5.0 (X11; Linux x86_64; rv:74.0) Gecko/20100101 Firefox/74.0')
+                .send({ username: testAdmin.username, password: testAdmin.password });
+        });
+
+        after(async function() {
+            await appAdmin.post('/login').send({ username: testAdmin.username, password: testAdmin.password });
+        });
+
+        it('lists sessions, including other browser', async function() {
+            const response = await appAdmin.get('/account/sessions');
+            expect(response.status).to.equal(200);
+            const document = new JsDom(response.text).window.document;
+            const other = [ ...document.querySelectorAll('tr[id]') ].find(tr => tr.querySelector('td').textContent.startsWith('Firefox 74'));
+            expect(other).to.not.be.undefined;
+            expect(other.className).to.equal('');
+            expect(document.querySelector('tr.current')).to.not.be.null;
+            otherSession = other.id;
+        });
+
+        it('revokes other session', async function() {
+            const responseBefore = await appAdminOther.get('/members');
+            expect(responseBefore.status).to.equal(200);
+            const response = await appAdmin.post('/account/sessions').send({ revoke: otherSession });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/account/sessions');
+            const responseAfter = await appAdminOther.get('/members');
+            expect(responseAfter.status).to.equal(302);
+            expect(responseAfter.headers.location).to.equal('/login/members');
+        });
+
+        it('fails to revoke unknown session', async function() {
+            const response = await appAdmin.post('/account/sessions').send({ revoke: 'no-such-session' });
+            expect(response.status).to.equal(302);
+            const responseList = await appAdmin.get('/account/sessions');
+            const document = new JsDom(responseList.text).window.document;
+            expect(document.querySelector('p.error-msg').textContent).to.equal('Error – Session not found');
+        });
+
+        it('revokes all sessions', async function() {
+            const response = await appAdmin.post('/account/sessions').send({ 'revoke-all': 'revoke-all' });
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/login');
+            const responseMembers = await appAdmin.get('/members');
+            expect(responseMembers.status).to.equal(302);
+            expect(responseMembers.headers.location).to.equal('/login/members');
+        });
+    });
+
+    describe('remember-me', function() {
+        const appAdminBrowser = supertest(app.listen()); // not an agent: cookies are managed explicitly
+        let rememberCookie = null;   // cookie from login
+        let renewedCookie = null;    // cookie from renewal
+
+        // remember-me cookie (& signature) from set-cookie header, as cookie header
+        const remember = setCookie => (setCookie || []).map(c => c.split(';')[0]).filter(c => c.startsWith('sample-app:remember') && !c.endsWith('=')).join('; ');
+
+        it('sets remember-me cookie on login', async function() {
+            const responseGet = await appAdminBrowser.get('/login').set('Host', 'admin.localhost');
+            const sessionCookie = responseGet.headers['set-cookie'].map(c => c.split(';')[0]).join('; ');
+            const csrf = new JsDom(responseGet.text).window.document.querySelector('input[name=_csrf]').value;
+            const values = { username: testAdmin.username, password: testAdmin.password, 'remember-me': 'on', _csrf: csrf };
+            const response = await appAdminBrowser.post('/login').set('Host', 'admin.localhost').set('Cookie', sessionCookie).send(values);
+            expect(response.status).to.equal(302);
+            rememberCookie = remember(response.headers['set-cookie']);
+            expect(rememberCookie).to.match(/^sample-app:remember=[0-9a-f]{64}; sample-app:remember.sig=/);
+        });
+
+        it('renews login from remember-me cookie, replacing it', async function() {
+            const response = await appAdminBrowser.get('/members').set('Host', 'admin.localhost').set('Cookie', rememberCookie);
+            expect(response.status).to.equal(200);
+            renewedCookie = remember(response.headers['set-cookie']);
+            expect(renewedCookie).to.match(/^sample-app:remember=[0-9a-f]{64}/);
+            expect(renewedCookie).to.not.equal(rememberCookie);
+            expect(response.headers['set-cookie'].some(c => c.startsWith('sample-app:jwt=ey'))).to.be.true;
+        });
+
+        it('does not accept replaced token from concurrent request', async function() {
+            const response = await appAdminBrowser.get('/members').set('Host', 'admin.localhost').set('Cookie', rememberCookie);
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/login/members');
+        });
+
+        it('revokes session on re-use of replaced token', async function() {
+            await Db.execute('Update RememberToken Set UsedOn = UsedOn - Interval 1 Minute Where UsedOn Is Not Null And UserId = :id', { id: testAdmin.userId });
+            const response = await appAdminBrowser.get('/members').set('Host', 'admin.localhost').set('Cookie', rememberCookie);
+            expect(response.status).to.equal(302);
+            const responseRenewed = await appAdminBrowser.get('/members').set('Host', 'admin.localhost').set('Cookie', renewedCookie);
+            expect(responseRenewed.status).to.equal(302); // session has been revoked
+            expect(responseRenewed.headers.location).to.equal('/login/members');
+        });
+    });
+
     describe('ajax', function() {
         let id = null;
+        let etag = null;
 
         it('responds (ie server running)', async function() {
             const response = await appAdmin.get('/ajax/');
@@ -291,6 +964,18 @@ describe(`Admin app (${app.env})`, function() {
             expect(response.body.resources.auth._uri).to.equal('/auth');
         });
 
+        it('returns CSRF token in header', async function() {
+            const response = await appAdmin.get('/ajax/');
+            expect(response.status).to.equal(200);
+            expect(response.headers['x-csrf-token']).to.be.a('string');
+        });
+
+        it('rejects post without CSRF token', async function() {
+            const values = { Firstname: 'Test', Lastname: 'User', Email: testMember };
+            const response = await appAdmin.post('/ajax/members').unset('X-CSRF-Token').send(values);
+            expect(response.status).to.equal(403);
+        });
+
         it('adds new member', async function() {
             const values = { Firstname: 'Test', Lastname: 'User', Email: testMember };
             const response = await appAdmin.post('/ajax/members').send(values);
@@ -315,10 +1000,11 @@ describe(`Admin app (${app.env})`, function() {
             expect(response.body).to.contain.keys('MemberId', 'Firstname', 'Lastname', 'Email');
             expect(response.body.Email).to.equal(testMember);
             expect(response.body.Firstname).to.equal('Test');
+            etag = response.headers.etag;
         });
 
         it('deletes test member', async function() {
-            const response = await appAdmin.delete('/ajax/members/'+id);
+            const response = await appAdmin.delete('/ajax/members/'+id).set('If-Match', etag);
             expect(response.status).to.equal(200);
             expect(response.body).to.be.an('object');
             expect(response.body).to.contain.keys('MemberId', 'Firstname', 'Lastname', 'Email');
@@ -11,8 +11,14 @@ import yaml       from 'js-yaml';    // JS object to YAML
 import dotenv     from 'dotenv';     // load environment variables from a .env file into process.env
 dotenv.config();
 
-import app  from '../../app.js';
-import User from '../../models/user.js';
+import app    from '../../app.js';
+import User   from '../../models/user.js';
+import Member from '../../models/member.js';
+import Team   from '../../models/team.js';
+import Role   from '../../models/role.js';
+import ApiKey from '../../models/api-key.js';
+
+import LoginThrottle from '../../lib/login-throttle.js';
 
 const appApi = supertest.agent(app.listen()).host('api.localhost');
 
@@ -44,24 +50,158 @@ describe(`API app (${app.env})`, function() {
 
     describe('/auth', function() {
         it('returns 404 on unrecognised email', async function() {
-            const response = await appApi.get('/auth').query({ username: 'xxx@user.com', password: testAdmin.password });
+            const response = await appApi.post('/auth').send({ username: 'xxx@user.com', password: testAdmin.password });
             expect(response.status).to.equal(404, response.text);
             expect(response.body).to.be.an('object');
         });
 
         it('returns 404 on bad password', async function() {
-            const response = await appApi.get('/auth').query({ username: testAdmin.username, password: 'bad-password' });
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: 'bad-password' });
             expect(response.status).to.equal(404, response.text);
             expect(response.body).to.be.an('object');
         });
 
         it('returns auth details', async function() {
-            const response = await appApi.get('/auth').query({ username: testAdmin.username, password: testAdmin.password });
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password });
             expect(response.status).to.equal(200, response.text);
             expect(response.body).to.be.an('object');
-            expect(response.body).to.contain.keys('jwt');
+            expect(response.body).to.contain.keys('jwt', 'refreshToken', 'expiresIn');
             jwt = response.body.jwt;
         });
+
+        it('returns auth details for json body', async function() {
+            const body = JSON.stringify({ username: testAdmin.username, password: testAdmin.password });
+            const response = await appApi.post('/auth').set('Content-Type', 'application/json').send(body);
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body).to.contain.keys('jwt', 'refreshToken', 'expiresIn');
+        });
+
+        it('returns auth details for basic auth', async function() {
+            const response = await appApi.post('/auth').auth(testAdmin.username, testAdmin.password);
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body).to.contain.keys('jwt', 'refreshToken', 'expiresIn');
+        });
+
+        it('returns 401 on missing credentials', async function() {
+            const response = await appApi.post('/auth');
+            expect(response.status).to.equal(401, response.text);
+        });
+
+        it('returns 429 with Retry-After once account is locked', async function() {
+            const username = `locked-${Date.now().toString(36)}@example.net`;
+            for (let i=0; i<10; i++) await LoginThrottle.failure(username, '192.0.2.1'); // (documentation IP address)
+            const response = await appApi.post('/auth').send({ username, password: 'any-password' });
+            expect(response.status).to.equal(429, response.text);
+            expect(response.body.code).to.equal('too-many-attempts');
+            expect(Number(response.headers['retry-after'])).to.be.above(0);
+            await LoginThrottle.unlock(username);
+        });
+
+        it('returns auth details with deprecation headers for GET', async function() {
+            const response = await appApi.get('/auth').query({ username: testAdmin.username, password: testAdmin.password });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.headers.deprecation).to.equal('true');
+            expect(response.headers.link).to.equal('</auth>; rel="successor-version"');
+            expect(response.body).to.contain.keys('jwt', 'refreshToken', 'expiresIn');
+        });
+
+        it('returns 410 for GET after sunset date', async function() {
+            process.env.AUTH_GET_SUNSET = '2000-01-01';
+            const response = await appApi.get('/auth').query({ username: testAdmin.username, password: testAdmin.password });
+            delete process.env.AUTH_GET_SUNSET;
+            expect(response.status).to.equal(410, response.text);
+            expect(response.headers.sunset).to.equal('Sat, 01 Jan 2000 00:00:00 GMT');
+            expect(response.body.instance).to.equal('/auth?username=***&password=***');
+        });
+
+        describe('refresh & logout', function() {
+            let auth = null; // separate session from main tests' jwt
+
+            before(async function() {
+                const response = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password });
+                auth = response.body;
+            });
+
+            it('returns 401 on invalid refresh token', async function() {
+                const response = await appApi.post('/auth/refresh').send({ refreshToken: 'not-a-refresh-token' });
+                expect(response.status).to.equal(401, response.text);
+                expect(response.body.code).to.equal('invalid-refresh-token');
+            });
+
+            it('refreshes tokens', async function() {
+                const response = await appApi.post('/auth/refresh').send({ refreshToken: auth.refreshToken });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.contain.keys('jwt', 'refreshToken', 'expiresIn');
+                expect(response.body.refreshToken).not.to.equal(auth.refreshToken);
+                const responseGet = await appApi.get('/members').auth(response.body.jwt, { type: 'bearer' });
+                expect(responseGet.status).to.equal(200, responseGet.text);
+                auth.previousRefreshToken = auth.refreshToken;
+                Object.assign(auth, response.body);
+            });
+
+            it('logs out', async function() {
+                const response = await appApi.post('/auth/logout').auth(auth.jwt, { type: 'bearer' });
+                expect(response.status).to.equal(204, response.text);
+            });
+
+            it('returns 401 on revoked jwt', async function() {
+                const response = await appApi.get('/members').auth(auth.jwt, { type: 'bearer' });
+                expect(response.status).to.equal(401, response.text);
+            });
+
+            it('returns 401 on revoked refresh token', async function() {
+                const response = await appApi.post('/auth/refresh').send({ refreshToken: auth.refreshToken });
+                expect(response.status).to.equal(401, response.text);
+            });
+
+            it('revokes session on refresh token re-use', async function() {
+                const responseAuth = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password });
+                const responseRefresh = await appApi.post('/auth/refresh').send({ refreshToken: responseAuth.body.refreshToken });
+                expect(responseRefresh.status).to.equal(200, responseRefresh.text);
+                const responseReuse = await appApi.post('/auth/refresh').send({ refreshToken: responseAuth.body.refreshToken });
+                expect(responseReuse.status).to.equal(401, responseReuse.text);
+                expect(responseReuse.body.code).to.equal('refresh-token-reused');
+                const responseGet = await appApi.get('/members').auth(responseRefresh.body.jwt, { type: 'bearer' });
+                expect(responseGet.status).to.equal(401, responseGet.text);
+            });
+        });
+    });
+
+    describe('api keys', function() {
+        let apiKey = null;
+
+        before(async function() {
+            apiKey = await ApiKey.create(testAdmin.userId, 'Test key', [ 'members:read' ]);
+        });
+
+        it('lists members with api key', async function() {
+            const response = await appApi.get('/members').auth(apiKey.key, { type: 'bearer' });
+            expect(response.status).to.equal(200, response.text);
+        });
+
+        it('records api key use', async function() {
+            const key = await ApiKey.get(apiKey.id);
+            expect(key.LastUsedOn).to.be.a('string');
+        });
+
+        it('returns 403 on request outside api key scopes', async function() {
+            const response = await appApi.get('/teams').auth(apiKey.key, { type: 'bearer' });
+            expect(response.status).to.equal(403, response.text);
+            expect(response.body.code).to.equal('insufficient-scope');
+            const responsePost = await appApi.post('/members').auth(apiKey.key, { type: 'bearer' }).send({ Email: 'x@example.net' });
+            expect(responsePost.status).to.equal(403, responsePost.text);
+        });
+
+        it('returns 401 on unrecognised api key', async function() {
+            const response = await appApi.get('/members').auth('sak_not-a-valid-key', { type: 'bearer' });
+            expect(response.status).to.equal(401, response.text);
+        });
+
+        it('returns 401 on revoked api key', async function() {
+            await ApiKey.revoke(apiKey.id);
+            const response = await appApi.get('/members').auth(apiKey.key, { type: 'bearer' });
+            expect(response.status).to.equal(401, response.text);
+        });
     });
 
     describe('/members', function() {
@@ -94,8 +234,54 @@ describe(`API app (${app.env})`, function() {
             });
         });
 
+        describe('pagination', function() {
+            it('returns first page of members list', async function() {
+                const response = await appApi.get('/members').query({ limit: 2 }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.be.an('array');
+                expect(response.body).to.have.length(2);
+                expect(Number(response.headers['x-total-count'])).to.be.above(2);
+                expect(response.headers.link).to.contain('rel="first"');
+                expect(response.headers.link).to.contain('rel="next"');
+                expect(response.headers.link).to.contain('rel="last"');
+                expect(response.headers.link).not.to.contain('rel="prev"');
+            });
+
+            it('returns page at offset', async function() {
+                const responseAll = await appApi.get('/members').auth(jwt, { type: 'bearer' });
+                const response = await appApi.get('/members').query({ limit: 1, offset: 1 }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.have.length(1);
+                expect(response.body[0]._id).to.equal(responseAll.body[1]._id);
+                expect(response.headers.link).to.contain('rel="prev"');
+            });
+
+            it('follows cursor links', async function() {
+                const responseAll = await appApi.get('/members').auth(jwt, { type: 'bearer' });
+                const responseFirst = await appApi.get('/members').query({ limit: 1, cursor: '' }).auth(jwt, { type: 'bearer' });
+                expect(responseFirst.status).to.equal(200, responseFirst.text);
+                expect(responseFirst.body[0]._id).to.equal(responseAll.body[0]._id);
+                const next = responseFirst.headers.link.match(/<([^>]+)>; rel="next"/)[1];
+                expect(next).to.contain('cursor=');
+                const responseNext = await appApi.get(next).auth(jwt, { type: 'bearer' });
+                expect(responseNext.status).to.equal(200, responseNext.text);
+                expect(responseNext.body[0]._id).to.equal(responseAll.body[1]._id);
+            });
+
+            it('returns 400 on invalid cursor', async function() {
+                const response = await appApi.get('/members').query({ cursor: 'not-a-cursor' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(400, response.text);
+            });
+
+            it('returns 400 on invalid limit', async function() {
+                const response = await appApi.get('/members').query({ limit: 'lots' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(400, response.text);
+            });
+        });
+
         describe('CRUD', function() {
             let id = null;
+            let etag = null; // for conditional requests
             it('adds a member', async function() {
                 const values = { Firstname: 'Test', Lastname: 'User', Email: testMember, Active: 'true' };
                 const response = await appApi.post('/members').auth(jwt, { type: 'bearer' }).send(values);
@@ -104,7 +290,9 @@ describe(`API app (${app.env})`, function() {
                 expect(response.body).to.contain.keys('MemberId', 'Firstname', 'Lastname', 'Email');
                 expect(response.body.Email).to.equal(testMember);
                 expect(response.headers.location).to.equal('/members/'+response.body.MemberId);
+                expect(response.headers.etag).to.be.a('string');
                 id = response.body.MemberId;
+                etag = response.headers.etag;
             });
 
             it('gets a member (json)', async function() {
@@ -119,6 +307,25 @@ describe(`API app (${app.env})`, function() {
                 expect(response.body.Active).not.to.equal(1); // note Active is stored as bit(1)
             });
 
+            it('gets a member (not modified)', async function() {
+                const response = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-None-Match', etag);
+                expect(response.status).to.equal(304, response.text);
+                expect(response.text).to.be.empty;
+            });
+
+            it('gets a member with distinct etag for other representations', async function() {
+                const responseXml = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' }).set('Accept', 'application/xml').set('If-None-Match', etag);
+                expect(responseXml.status).to.equal(200, responseXml.text);
+                expect(responseXml.headers.etag).to.not.equal(etag);
+                expect(responseXml.headers.vary).to.contain('Accept');
+                const responseFields = await appApi.get('/members/'+id).query({ fields: 'Firstname' }).auth(jwt, { type: 'bearer' }).set('If-None-Match', etag);
+                expect(responseFields.status).to.equal(200, responseFields.text);
+                expect(responseFields.headers.etag).to.not.equal(etag);
+                expect(responseFields.headers.etag).to.not.equal(responseXml.headers.etag);
+                const responseXmlNotModified = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' }).set('Accept', 'application/xml').set('If-None-Match', responseXml.headers.etag);
+                expect(responseXmlNotModified.status).to.equal(304, responseXmlNotModified.text);
+            });
+
             it('gets a member (xml)', async function() {
                 const hdrs = { Host: 'api.localhost', Accept: 'application/xml' }; // set host & accept headers
                 const response = await appApi.get('/members/'+id).set(hdrs).auth(jwt, { type: 'bearer' });
@@ -145,6 +352,59 @@ describe(`API app (${app.env})`, function() {
                 expect(body.Active).not.to.equal(1); // note Active is stored as bit(1)
             });
 
+            it('gets a member (csv)', async function() {
+                const hdrs = { Host: 'api.localhost', Accept: 'text/csv' }; // set host & accept headers
+                const response = await appApi.get('/members/'+id).set(hdrs).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.headers['content-type']).to.equal('text/csv; charset=utf-8');
+                const [ header, row ] = response.text.split('\r\n');
+                const fields = header.split(',');
+                expect(fields).to.include.members([ 'MemberId', 'Firstname', 'Lastname', 'Email', 'Teams' ]);
+                expect(row.split(',')[fields.indexOf('Email')]).to.equal(testMember);
+                expect(row.split(',')[fields.indexOf('Active')]).to.equal('true');
+            });
+
+            it('gets a member (ndjson)', async function() {
+                const hdrs = { Host: 'api.localhost', Accept: 'application/x-ndjson' }; // set host & accept headers
+                const response = await appApi.get('/members/'+id).set(hdrs).auth(jwt, { type: 'bearer' }).buffer(true);
+                expect(response.status).to.equal(200, response.text);
+                expect(response.headers['content-type']).to.equal('application/x-ndjson');
+                const lines = response.text.split('\n').filter(line => line != '');
+                expect(lines).to.have.length(1);
+                const body = JSON.parse(lines[0]);
+                expect(body.Email).to.equal(testMember);
+                expect(body.Active).to.be.true;
+            });
+
+            it('gets members (streamed ndjson)', async function() {
+                const hdrs = { Host: 'api.localhost', Accept: 'application/x-ndjson' }; // set host & accept headers
+                const response = await appApi.get('/members').query({ fields: 'Email,Active' }).set(hdrs).auth(jwt, { type: 'bearer' }).buffer(true);
+                expect(response.status).to.equal(200, response.text);
+                expect(response.headers['content-type']).to.equal('application/x-ndjson');
+                const members = response.text.split('\n').filter(line => line != '').map(line => JSON.parse(line));
+                expect(members).to.have.length(Number(response.headers['x-total-count']));
+                const member = members.find(m => m._id == id);
+                expect(member).to.deep.equal({ _id: id, _uri: '/members/'+id, Email: testMember, Active: true });
+            });
+
+            it('gets members (paged ndjson)', async function() {
+                const hdrs = { Host: 'api.localhost', Accept: 'application/x-ndjson' }; // set host & accept headers
+                const response = await appApi.get('/members').query({ limit: 2 }).set(hdrs).auth(jwt, { type: 'bearer' }).buffer(true);
+                expect(response.status).to.equal(200, response.text);
+                expect(response.text.split('\n').filter(line => line != '')).to.have.length(2);
+                expect(response.headers.link).to.contain('rel="next"');
+            });
+
+            it('gets members (csv)', async function() {
+                const hdrs = { Host: 'api.localhost', Accept: 'text/csv' }; // set host & accept headers
+                const response = await appApi.get('/members').query({ limit: 2 }).set(hdrs).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.headers['content-type']).to.equal('text/csv; charset=utf-8');
+                const lines = response.text.split('\r\n');
+                expect(lines[0]).to.equal('_id,_uri');
+                expect(lines.filter(line => line != '')).to.have.length(3);
+            });
+
             it('gets a member (filtered)', async function() {
                 const response = await appApi.get('/members?firstname=lewis').auth(jwt, { type: 'bearer' });
                 expect(response.status).to.equal(200, response.text);
@@ -152,6 +412,60 @@ describe(`API app (${app.env})`, function() {
                 expect(response.body).to.have.length(1);
             });
 
+            it('gets members (filter operators)', async function() {
+                const response = await appApi.get('/members').query({ 'Email[like]': 'member-%@example.net', 'Firstname[null]': 'false' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.be.an('array');
+                expect(response.body.map(m => m._id)).to.include(id);
+            });
+
+            it('gets members (or group)', async function() {
+                const response = await appApi.get('/members').query({ or: `Firstname=lewis|Email=${testMember}` }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.have.length(2);
+            });
+
+            it('fails to filter on unrecognised field', async function() {
+                const response = await appApi.get('/members').query({ 'Nickname[like]': 'x%' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(403, response.text);
+                expect(response.headers['content-type']).to.equal('application/problem+json');
+                expect(response.body.detail).to.equal('Unrecognised Member field');
+                expect(response.body.code).to.equal('unrecognised-field');
+            });
+
+            it('fails to filter with unrecognised operator', async function() {
+                const response = await appApi.get('/members').query({ 'Firstname[regexp]': 'x' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(400, response.text);
+            });
+
+            it('gets members (sorted)', async function() {
+                const response = await appApi.get('/members').query({ sort: '-MemberId' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                const ids = response.body.map(m => m._id);
+                expect(ids).to.deep.equal([ ...ids ].sort((a, b) => b - a));
+                expect(ids[0]).to.equal(id); // most recently added
+            });
+
+            it('gets members (selected fields)', async function() {
+                const response = await appApi.get('/members').query({ Email: testMember, fields: 'Firstname,Email' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.have.length(1);
+                expect(response.body[0]).to.have.all.keys('_id', '_uri', 'Firstname', 'Email');
+                expect(response.body[0].Email).to.equal(testMember);
+            });
+
+            it('gets a member (selected fields)', async function() {
+                const response = await appApi.get('/members/'+id).query({ fields: 'Email,Active' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.have.all.keys('_id', 'Email', 'Active');
+                expect(response.body.Active).to.be.true;
+            });
+
+            it('fails to sort on unrecognised field', async function() {
+                const response = await appApi.get('/members').query({ sort: 'Nickname' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(403, response.text);
+            });
+
             it('handles empty members list', async function() {
                 const response = await appApi.get('/members?firstname=nomatch').auth(jwt, { type: 'bearer' });
                 expect(response.status).to.equal(204, response.text);
@@ -160,23 +474,164 @@ describe(`API app (${app.env})`, function() {
 
             it('updates a member', async function() {
                 const values = { Firstname: 'Updated', Lastname: 'User', Email: testMember };
-                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).send(values);
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).send(values);
                 expect(response.status).to.equal(200, response.text);
+                etag = response.headers.etag;
                 expect(response.body).to.be.an('object');
                 expect(response.body).to.contain.keys('MemberId', 'Firstname', 'Lastname', 'Email');
                 expect(response.body.Firstname).to.equal('Updated');
             });
 
+            it('fails to update a member without If-Match', async function() {
+                const values = { Firstname: 'Unconditional' };
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).send(values);
+                expect(response.status).to.equal(428, response.text);
+            });
+
+            it('fails to update a member with stale If-Match (& leaves member unchanged)', async function() {
+                const values = { Firstname: 'Stale' };
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', '"stale"').send(values);
+                expect(response.status).to.equal(412, response.text);
+                const responseGet = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.body.Firstname).to.equal('Updated');
+                expect(responseGet.headers.etag).to.equal(etag);
+            });
+
+            it('updates a member (json body with typed values)', async function() {
+                const values = { Active: false };
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).type('json').send(JSON.stringify(values));
+                expect(response.status).to.equal(200, response.text);
+                etag = response.headers.etag;
+                const responseGet = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.body.Active).to.be.false;
+            });
+
+            it('updates a member with etag of other representation', async function() {
+                const responseGet = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' }).set('Accept', 'application/xml');
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', responseGet.headers.etag).send({ Lastname: 'Xml-Etag' });
+                expect(response.status).to.equal(200, response.text);
+                etag = response.headers.etag;
+                expect(response.body.Lastname).to.equal('Xml-Etag');
+            });
+
+            it('updates a member (xml body)', async function() {
+                const values = '<Member><Lastname>Xml-User</Lastname><Active>true</Active></Member>';
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).type('application/xml').send(values);
+                expect(response.status).to.equal(200, response.text);
+                etag = response.headers.etag;
+                expect(response.body.Lastname).to.equal('Xml-User');
+                const responseGet = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.body.Active).to.be.true;
+            });
+
+            it('updates a member (yaml body)', async function() {
+                const values = yaml.dump({ Lastname: 'User', Active: false });
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).type('application/yaml').send(values);
+                expect(response.status).to.equal(200, response.text);
+                etag = response.headers.etag;
+                expect(response.body.Lastname).to.equal('User');
+                const responseGet = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.body.Active).to.be.false;
+            });
+
+            it('fails to update a member with unsupported body type', async function() {
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).type('text/plain').send('Lastname=User');
+                expect(response.status).to.equal(415, response.text);
+            });
+
+            it('fails to update a member with malformed xml body', async function() {
+                const values = '<Member><Lastname>User</Member>';
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).type('application/xml').send(values);
+                expect(response.status).to.equal(400, response.text);
+            });
+
+            it('fails to update a member with non-scalar field value', async function() {
+                const values = { Lastname: { first: 'User' } };
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).send(values);
+                expect(response.status).to.equal(400, response.text);
+            });
+
+            it('fails to add or update a member with array body', async function() {
+                const values = [ { Firstname: 'Test', Lastname: 'User', Email: `array-${testMember}` } ];
+                const responsePost = await appApi.post('/members').auth(jwt, { type: 'bearer' }).send(values);
+                expect(responsePost.status).to.equal(400, responsePost.text);
+                const responsePatch = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).send(values);
+                expect(responsePatch.status).to.equal(400, responsePatch.text);
+            });
+
+            it('replaces a member (put)', async function() {
+                const values = { Firstname: 'Replaced', Email: testMember };
+                const response = await appApi.put('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).send(values);
+                expect(response.status).to.equal(200, response.text);
+                etag = response.headers.etag;
+                expect(response.body.Firstname).to.equal('Replaced');
+                expect(response.body.Lastname).to.be.null; // not supplied, so cleared
+            });
+
+            it('fails to replace a member without required field', async function() {
+                const values = { Firstname: 'Replaced', Lastname: 'User' };
+                const response = await appApi.put('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).send(values);
+                expect(response.status).to.equal(403, response.text);
+            });
+
+            it('updates a member (json merge patch)', async function() {
+                const values = { Lastname: 'User', Active: null };
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).type('application/merge-patch+json').send(JSON.stringify(values));
+                expect(response.status).to.equal(200, response.text);
+                etag = response.headers.etag;
+                expect(response.body.Firstname).to.equal('Replaced'); // not supplied, so unchanged
+                expect(response.body.Lastname).to.equal('User');
+                expect(response.body.Active).to.be.null;
+            });
+
+            it('updates a member (json patch)', async function() {
+                const patch = [
+                    { op: 'test', path: '/Firstname', value: 'Replaced' },
+                    { op: 'replace', path: '/Firstname', value: 'Updated' },
+                    { op: 'add', path: '/Active', value: true },
+                ];
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).type('application/json-patch+json').send(JSON.stringify(patch));
+                expect(response.status).to.equal(200, response.text);
+                etag = response.headers.etag;
+                expect(response.body.Firstname).to.equal('Updated');
+                const responseGet = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.body.Active).to.be.true;
+            });
+
+            it('fails to update a member with failing json patch (& leaves member unchanged)', async function() {
+                const patch = [
+                    { op: 'replace', path: '/Lastname', value: 'Changed' },
+                    { op: 'test', path: '/Firstname', value: 'Replaced' },
+                ];
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).type('application/json-patch+json').send(JSON.stringify(patch));
+                expect(response.status).to.equal(409, response.text);
+                const responseGet = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.body.Lastname).to.equal('User');
+            });
+
+            it('fails to update a member with json patch replacing whole member', async function() {
+                for (const value of [ 'x', null ]) {
+                    const patch = [ { op: 'replace', path: '', value } ];
+                    const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).type('application/json-patch+json').send(JSON.stringify(patch));
+                    expect(response.status).to.equal(422, response.text);
+                    expect(response.body).to.include({ status: 422, detail: 'JSON Patch must leave member details as an object' });
+                }
+                const responseGet = await appApi.get('/members/'+id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.body.Lastname).to.equal('User');
+            });
+
             it('fails to add member with duplicate e-mail', async function() {
                 const values = { Firstname: 'Test', Lastname: 'User', Email: testMember };
                 const response = await appApi.post('/members').auth(jwt, { type: 'bearer' }).send(values);
                 expect(response.status).to.equal(409, response.text);
                 expect(response.body).to.be.an('object');
-                expect(response.body.message).to.equal(`Duplicate entry '${testMember.slice(0, 24)}' for key 'Email'`);
+                expect(response.body).to.include({ type: 'about:blank', title: 'Conflict', status: 409, instance: '/members' });
+                expect(response.body.detail).to.equal(`Duplicate entry '${testMember.slice(0, 24)}' for key 'Email'`);
+                expect(response.body.code).to.equal('duplicate-email');
             });
 
             it('deletes a member', async function() {
-                const response = await appApi.delete('/members/'+id).auth(jwt, { type: 'bearer' });
+                const response = await appApi.delete('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag);
                 expect(response.status).to.equal(200, response.text);
                 expect(response.body).to.be.an('object');
                 expect(response.body).to.contain.keys('MemberId', 'Firstname', 'Lastname', 'Email');
@@ -192,21 +647,395 @@ describe(`API app (${app.env})`, function() {
 
             it('fails to update deleted member', async function() {
                 const values = { Firstname: 'Updated', Lastname: 'User', Email: testMember };
-                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).send(values);
+                const response = await appApi.patch('/members/'+id).auth(jwt, { type: 'bearer' }).set('If-Match', etag).send(values);
                 expect(response.status).to.equal(404, response.text);
             });
         });
+
+        describe('bulk', function() {
+            const emails = [ `bulk1-${testMember}`, `bulk2-${testMember}` ];
+            const results = [];
+
+            it('fails to add members in bulk with non-array body', async function() {
+                const values = { Firstname: 'Bulk', Lastname: 'User', Email: emails[0] };
+                const response = await appApi.post('/members/bulk').auth(jwt, { type: 'bearer' }).send(values);
+                expect(response.status).to.equal(400, response.text);
+            });
+
+            it('adds members in bulk', async function() {
+                const values = emails.map(email => ({ Firstname: 'Bulk', Lastname: 'User', Email: email }));
+                const response = await appApi.post('/members/bulk').auth(jwt, { type: 'bearer' }).send(values);
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body).to.have.length(2);
+                expect(response.body.map(r => r.status)).to.deep.equal([ 201, 201 ]);
+                results.push(...response.body);
+            });
+
+            it('fails to apply members in bulk with any failure (all-or-nothing)', async function() {
+                const values = [
+                    { MemberId: results[0]._id, Firstname: 'Bulk-bis', _etag: results[0]._etag },
+                    { Firstname: 'Bulk', Lastname: 'User', Email: emails[1] }, // duplicate e-mail
+                ];
+                const response = await appApi.post('/members/bulk').auth(jwt, { type: 'bearer' }).send(values);
+                expect(response.status).to.equal(207, response.text);
+                expect(response.body.map(r => r.status)).to.deep.equal([ 424, 409 ]);
+                expect(response.body.map(r => r.code)).to.deep.equal([ 'failed-dependency', 'duplicate-email' ]);
+                const responseGet = await appApi.get('/members/'+results[0]._id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.body.Firstname).to.equal('Bulk'); // unchanged
+            });
+
+            it('applies members in bulk skipping failures (best-effort)', async function() {
+                const values = [
+                    { MemberId: results[0]._id, Firstname: 'Bulk-bis', _etag: results[0]._etag },
+                    { MemberId: results[1]._id, Firstname: 'Bulk-bis', _etag: '"stale"' },
+                ];
+                const response = await appApi.post('/members/bulk?atomic=false').auth(jwt, { type: 'bearer' }).send(values);
+                expect(response.status).to.equal(207, response.text);
+                expect(response.body.map(r => r.status)).to.deep.equal([ 200, 412 ]);
+                const responseGet = await appApi.get('/members/'+results[0]._id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.body.Firstname).to.equal('Bulk-bis');
+                expect(responseGet.headers.etag).to.equal(response.body[0]._etag);
+                results[0] = response.body[0];
+            });
+
+            it('deletes members in bulk', async function() {
+                const values = results.map(r => ({ MemberId: r._id, _delete: true, _etag: r._etag }));
+                const response = await appApi.post('/members/bulk').auth(jwt, { type: 'bearer' }).send(values);
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body.map(r => r.status)).to.deep.equal([ 200, 200 ]);
+                const responseGet = await appApi.get('/members/'+results[0]._id).auth(jwt, { type: 'bearer' });
+                expect(responseGet.status).to.equal(404, responseGet.text);
+            });
+        });
+    });
+
+    describe('/teams', function() {
+        describe('include', function() {
+            let teamId = null;
+            before(async function() {
+                const response = await appApi.get('/teams').auth(jwt, { type: 'bearer' });
+                teamId = response.body[0]._id;
+            });
+
+            it('gets a team with member ids', async function() {
+                const response = await appApi.get('/teams/'+teamId).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body.Members).to.be.an('array');
+                expect(response.body.Members[0]).to.have.all.keys('_id', '_uri');
+            });
+
+            it('gets a team with embedded members (json)', async function() {
+                const response = await appApi.get('/teams/'+teamId).query({ include: 'members' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.body.Members).to.be.an('array');
+                expect(response.body.Members[0]).to.contain.keys('_id', '_uri', 'MemberId', 'Firstname', 'Lastname', 'Email', 'JoinedOn');
+                expect(response.body.Members[0].Active).to.be.a('boolean');
+            });
+
+            it('gets a team with embedded members (xml)', async function() {
+                const hdrs = { Host: 'api.localhost', Accept: 'application/xml' }; // set host & accept headers
+                const response = await appApi.get('/teams/'+teamId).query({ include: 'members' }).set(hdrs).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                expect(response.text).to.match(/<Members><Member id="\d+" uri="\/members\/\d+"><MemberId>/);
+                expect(response.text).to.match(/<JoinedOn>\d{4}-\d{2}-\d{2}/);
+            });
+
+            it('gets a team with embedded members (yaml)', async function() {
+                const hdrs = { Host: 'api.localhost', Accept: 'text/yaml' }; // set host & accept headers
+                const response = await appApi.get('/teams/'+teamId).query({ include: 'members' }).set(hdrs).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(200, response.text);
+                const body = yaml.load(response.text);
+                expect(body.Members[0]).to.contain.keys('_id', '_uri', 'MemberId', 'Firstname', 'JoinedOn');
+            });
+
+            it('fails on unrecognised include', async function() {
+                const response = await appApi.get('/teams/'+teamId).query({ include: 'coaches' }).auth(jwt, { type: 'bearer' });
+                expect(response.status).to.equal(400, response.text);
+            });
+
+            it('fails to update a team with json patch replacing whole team', async function() {
+                const responseGet = await appApi.get('/teams/'+teamId).auth(jwt, { type: 'bearer' });
+                for (const value of [ 'x', null ]) {
+                    const patch = [ { op: 'replace', path: '', value } ];
+                    const response = await appApi.patch('/teams/'+teamId).auth(jwt, { type: 'bearer' }).set('If-Match', responseGet.headers.etag).type('application/json-patch+json').send(JSON.stringify(patch));
+                    expect(response.status).to.equal(422, response.text);
+                }
+                const responseGetAfter = await appApi.get('/teams/'+teamId).auth(jwt, { type: 'bearer' });
+                expect(responseGetAfter.body.Name).to.equal(responseGet.body.Name);
+            });
+        });
+    });
+
+    describe('/users', function() {
+        const testUser = {
+            username: `invited-${Date.now().toString(36)}@example.net`,
+            password: Date.now().toString(16),
+        };
+        let suJwt = null;
+        let id = null;
+
+        before(async function() {
+            // users are managed by 'su' role only
+            await User.update(testAdmin.userId, { Role: 'su' });
+            const response = await appApi.post('/auth').send({ username: testAdmin.username, password: testAdmin.password });
+            suJwt = response.body.jwt;
+        });
+
+        after(async function() {
+            await User.update(testAdmin.userId, { Role: 'admin' });
+        });
+
+        it('returns 403 for admin role', async function() {
+            await User.update(testAdmin.userId, { Role: 'admin' }); // permissions are from user's current role
+            const response = await appApi.get('/users').auth(jwt, { type: 'bearer' });
+            await User.update(testAdmin.userId, { Role: 'su' });
+            expect(response.status).to.equal(403, response.text);
+            expect(response.body.detail).to.equal('Permission ‘users:read’ required');
+        });
+
+        it('lists users', async function() {
+            const response = await appApi.get('/users').query({ limit: 1000 }).auth(suJwt, { type: 'bearer' });
+            expect(response.status).to.equal(200, response.text);
+            const user = response.body.find(u => u._id == testAdmin.userId);
+            expect(user).to.include({ _uri: '/users/'+testAdmin.userId, Email: testAdmin.username, Role: 'su' });
+            expect(user).to.not.have.any.keys('Password', 'PasswordResetRequest');
+        });
+
+        it('invites user', async function() {
+            const values = { Firstname: 'Invited', Lastname: 'User', Email: testUser.username, Role: 'guest' };
+            const response = await appApi.post('/users').auth(suJwt, { type: 'bearer' }).send(values);
+            expect(response.status).to.equal(201, response.text);
+            id = response.body._id;
+            expect(response.headers.location).to.equal('/users/'+id);
+            expect(response.headers['x-reset-token']).to.match(/^[0-9a-f]{64}$/);
+            expect(response.body).to.include({ Email: testUser.username, Role: 'guest', DisabledOn: null });
+            expect(response.body).to.not.have.any.keys('Password', 'PasswordResetRequest');
+        });
+
+        it('does not authenticate invited user before password is set', async function() {
+            const response = await appApi.post('/auth').send({ username: testUser.username, password: '' });
+            expect(response.status).to.equal(401, response.text);
+            const responseAny = await appApi.post('/auth').send({ username: testUser.username, password: 'any-password' });
+            expect(responseAny.status).to.equal(404, responseAny.text);
+        });
+
+        it('returns 409 inviting existing user', async function() {
+            const values = { Email: testUser.username, Role: 'guest' };
+            const response = await appApi.post('/users').auth(suJwt, { type: 'bearer' }).send(values);
+            expect(response.status).to.equal(409, response.text);
+        });
+
+        it('updates user role', async function() {
+            const response = await appApi.patch('/users/'+id).auth(suJwt, { type: 'bearer' }).send({ Role: 'admin' });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body.Role).to.equal('admin');
+        });
+
+        it('returns 403 for unrecognised role', async function() {
+            const response = await appApi.patch('/users/'+id).auth(suJwt, { type: 'bearer' }).send({ Role: 'no-such-role' });
+            expect(response.status).to.equal(403, response.text);
+            expect(response.body.code).to.equal('invalid-role');
+            const responseInvite = await appApi.post('/users').auth(suJwt, { type: 'bearer' }).send({ Email: `x-${testUser.username}`, Role: 'no-such-role' });
+            expect(responseInvite.status).to.equal(403, responseInvite.text);
+            expect(responseInvite.body.code).to.equal('invalid-role');
+        });
+
+        it('returns 403 changing own role', async function() {
+            const response = await appApi.patch('/users/'+testAdmin.userId).auth(suJwt, { type: 'bearer' }).send({ Role: 'admin' });
+            expect(response.status).to.equal(403, response.text);
+            expect(response.body.code).to.equal('change-own-role');
+        });
+
+        it('revokes user’s tokens on role change', async function() {
+            const password = (await Scrypt.kdf(testUser.password, { logN: 15 })).toString('base64');
+            await User.update(id, { Password: password }); // as if invitation accepted
+            const responseAuth = await appApi.post('/auth').send({ username: testUser.username, password: testUser.password });
+            await new Promise(resolve => setTimeout(resolve, 1000)); // TokensNotBefore has 1-second resolution
+            const response = await appApi.patch('/users/'+id).auth(suJwt, { type: 'bearer' }).send({ Role: 'guest' });
+            expect(response.status).to.equal(200, response.text);
+            const responseGet = await appApi.get('/members').auth(responseAuth.body.jwt, { type: 'bearer' });
+            expect(responseGet.status).to.equal(401, responseGet.text);
+        });
+
+        it('returns 403 updating password', async function() {
+            const response = await appApi.patch('/users/'+id).auth(suJwt, { type: 'bearer' }).send({ Password: 'x' });
+            expect(response.status).to.equal(403, response.text);
+            expect(response.body.code).to.equal('unrecognised-field');
+        });
+
+        it('disables user, who can no longer authenticate', async function() {
+            const password = (await Scrypt.kdf(testUser.password, { logN: 15 })).toString('base64');
+            await User.update(id, { Password: password }); // as if invitation accepted
+            const response = await appApi.patch('/users/'+id).auth(suJwt, { type: 'bearer' }).send({ Disabled: true });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body.DisabledOn).to.be.a('string');
+            const responseAuth = await appApi.post('/auth').send({ username: testUser.username, password: testUser.password });
+            expect(responseAuth.status).to.equal(403, responseAuth.text);
+            expect(responseAuth.body.code).to.equal('account-disabled');
+        });
+
+        it('re-enables user', async function() {
+            const response = await appApi.patch('/users/'+id).auth(suJwt, { type: 'bearer' }).send({ Disabled: 'false' });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body.DisabledOn).to.be.null;
+        });
+
+        it('returns 403 disabling own account', async function() {
+            const response = await appApi.patch('/users/'+testAdmin.userId).auth(suJwt, { type: 'bearer' }).send({ Firstname: 'Changed', Disabled: true });
+            expect(response.status).to.equal(403, response.text);
+            expect(response.body.code).to.equal('disable-self');
+            const user = await User.get(testAdmin.userId);
+            expect(user.Firstname).to.equal('Test'); // other changes not made either
+        });
+
+        it('deletes user', async function() {
+            const response = await appApi.delete('/users/'+id).auth(suJwt, { type: 'bearer' });
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body.Email).to.equal(testUser.username);
+            const responseGet = await appApi.get('/users/'+id).auth(suJwt, { type: 'bearer' });
+            expect(responseGet.status).to.equal(404, responseGet.text);
+        });
+    });
+
+    describe('permissions', function() {
+        const testGuest = {
+            username: `guest-${Date.now().toString(36)}@example.net`,
+            password: Date.now().toString(16),
+        };
+        const ids = { member: null, ownTeam: null, otherTeam: null };
+        let guestJwt = null;
+
+        before(async function() {
+            testGuest.userId = await User.insert({
+                Firstname: 'Test',
+                Lastname:  'Guest',
+                Email:     testGuest.username,
+                Password:  (await Scrypt.kdf(testGuest.password, { logN: 15 })).toString('base64'),
+                Role:      'guest',
+            });
+            ids.member = await Member.insert({ Firstname: 'Test', Lastname: 'Permissions', Email: `permissions-${testMember}` });
+            ids.ownTeam = await Team.insert({ Name: `Own team ${Date.now().toString(36)}` });
+            ids.otherTeam = await Team.insert({ Name: `Other team ${Date.now().toString(36)}` });
+            await Role.grantTeam(testGuest.userId, ids.ownTeam, 'captain');
+
+            const response = await appApi.post('/auth').send({ username: testGuest.username, password: testGuest.password });
+            guestJwt = response.body.jwt;
+        });
+
+        after(async function() {
+            await User.delete(testGuest.userId); // team grants are deleted by cascade
+            await Team.delete(ids.ownTeam);
+            await Team.delete(ids.otherTeam);
+            await Member.delete(ids.member);
+        });
+
+        it('allows guest to read members', async function() {
+            const response = await appApi.get('/members/'+ids.member).auth(guestJwt, { type: 'bearer' });
+            expect(response.status).to.equal(200, response.text);
+        });
+
+        it('returns 403 for guest adding member', async function() {
+            const response = await appApi.post('/members').auth(guestJwt, { type: 'bearer' }).send({ Email: `x-${testMember}` });
+            expect(response.status).to.equal(403, response.text);
+            expect(response.body.detail).to.equal('Permission ‘members:write’ required');
+        });
+
+        it('uses current role rather than role in token', async function() {
+            await User.update(testGuest.userId, { Role: 'captain' }); // no global members permissions
+            const response = await appApi.get('/members/'+ids.member).auth(guestJwt, { type: 'bearer' });
+            await User.update(testGuest.userId, { Role: 'guest' });
+            expect(response.status).to.equal(403, response.text);
+            expect(response.body.detail).to.equal('Permission ‘members:read’ required');
+        });
+
+        it('returns 403 for captain updating own team details', async function() {
+            const response = await appApi.patch('/teams/'+ids.ownTeam).auth(guestJwt, { type: 'bearer' }).set('If-Match', '"x"').send({ Name: 'x' });
+            expect(response.status).to.equal(403, response.text);
+        });
+
+        it('returns 403 for captain adding member to other team', async function() {
+            const values = { TeamId: ids.otherTeam, MemberId: ids.member, JoinedOn: '2020-01-01' };
+            const response = await appApi.post('/team-members').auth(guestJwt, { type: 'bearer' }).send(values);
+            expect(response.status).to.equal(403, response.text);
+        });
+
+        it('allows captain to manage own team roster', async function() {
+            const values = { TeamId: ids.ownTeam, MemberId: ids.member, JoinedOn: '2020-01-01' };
+            const response = await appApi.post('/team-members').auth(guestJwt, { type: 'bearer' }).send(values);
+            expect(response.status).to.equal(201, response.text);
+            const responseDel = await appApi.delete(response.headers.location).auth(guestJwt, { type: 'bearer' }).set('If-Match', response.headers.etag);
+            expect(responseDel.status).to.equal(200, responseDel.text);
+        });
+
+        it('allows captain to read own team roster only', async function() {
+            const own = { TeamId: ids.ownTeam, MemberId: ids.member, JoinedOn: '2020-01-01' };
+            const other = { TeamId: ids.otherTeam, MemberId: ids.member, JoinedOn: '2020-01-01' };
+            const responseOwn = await appApi.post('/team-members').auth(jwt, { type: 'bearer' }).send(own);
+            const responseOther = await appApi.post('/team-members').auth(jwt, { type: 'bearer' }).send(other);
+            await User.update(testGuest.userId, { Role: 'captain' }); // no global team-members permissions
+            const responseGetOwn = await appApi.get(responseOwn.headers.location).auth(guestJwt, { type: 'bearer' });
+            const responseGetOther = await appApi.get(responseOther.headers.location).auth(guestJwt, { type: 'bearer' });
+            await User.update(testGuest.userId, { Role: 'guest' });
+            await appApi.delete(responseOwn.headers.location).auth(jwt, { type: 'bearer' }).set('If-Match', responseOwn.headers.etag);
+            await appApi.delete(responseOther.headers.location).auth(jwt, { type: 'bearer' }).set('If-Match', responseOther.headers.etag);
+            expect(responseGetOwn.status).to.equal(200, responseGetOwn.text);
+            expect(responseGetOther.status).to.equal(403, responseGetOther.text);
+        });
+    });
+
+    describe('/openapi.json', function() {
+        it('returns OpenAPI specification without auth', async function() {
+            const response = await appApi.get('/openapi.json');
+            expect(response.status).to.equal(200, response.text);
+            expect(response.body.openapi).to.match(/^3\./);
+            expect(response.body.servers[0].url).to.contain('api.localhost');
+            expect(response.body.paths['/members'].get.operationId).to.equal('GetMembers');
+            expect(response.body.paths['/members/{id}']).to.have.keys('get', 'put', 'patch', 'delete');
+            expect(response.body.paths['/team-members/{id}']).to.have.keys('get', 'delete');
+            expect(response.body.paths['/auth'].get.security).to.be.undefined;
+            expect(response.body.paths['/auth'].get.deprecated).to.equal(true);
+            expect(response.body.paths['/auth'].post.security).to.deep.equal([ { basicAuth: [] }, {} ]);
+            expect(response.body.paths['/teams'].post.security).to.deep.equal([ { bearerAuth: [] } ]);
+            expect(response.body.components.schemas.Member.properties.Email.type).to.equal('string');
+            expect(response.body.components.schemas.Member.properties.Active.type).to.equal('boolean');
+        });
+
+        it('returns OpenAPI specification as yaml', async function() {
+            const response = await appApi.get('/openapi.json').set('Accept', 'text/yaml');
+            expect(response.status).to.equal(200, response.text);
+            expect(yaml.load(response.text).paths).to.have.property('/teams/{id}');
+        });
     });
 
     describe('misc', function() {
         it('returns 401 for non-existent resource without auth', async function() {
             const response = await appApi.get('/zzzzzz');
             expect(response.status).to.equal(401, response.text);
+            expect(response.body.code).to.equal('unauthorized');
         });
 
         it('returns 404 for non-existent resource with auth', async function() {
             const response = await appApi.get('/zzzzzz').auth(jwt, { type: 'bearer' });
             expect(response.status).to.equal(404, response.text);
+            expect(response.body.code).to.equal('not-found');
+        });
+
+        it('returns problem details as xml', async function() {
+            const hdrs = { Host: 'api.localhost', Accept: 'application/xml' }; // set host & accept headers
+            const response = await appApi.get('/members/999999').set(hdrs).auth(jwt, { type: 'bearer' });
+            expect(response.status).to.equal(404, response.text);
+            expect(response.headers['content-type']).to.equal('application/problem+xml');
+            expect(response.text.match(/<code>(.*)<\/code>/)[1]).to.equal('not-found');
+        });
+
+        it('returns problem details as csv', async function() {
+            const hdrs = { Host: 'api.localhost', Accept: 'text/csv' }; // set host & accept headers
+            const response = await appApi.get('/members/999999').set(hdrs).auth(jwt, { type: 'bearer' });
+            expect(response.status).to.equal(404, response.text);
+            expect(response.headers['content-type']).to.equal('text/csv; charset=utf-8');
+            const [ header, row ] = response.text.split('\r\n');
+            expect(header).to.equal('type,title,status,detail,instance,code');
+            expect(row).to.equal('about:blank,Not Found,404,No member 999999 found,/members/999999,not-found');
         });
     });
 });
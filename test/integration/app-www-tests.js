@@ -29,8 +29,15 @@ describe(`WWW app (${app.env})`, function() {
             expect(document.querySelector('h1').textContent).to.equal('Koa Sample App contact page');
         });
 
-        it('submits contact page', async function() {
+        it('fails to submit contact page without CSRF token', async function() {
             const response = await appAdmin.post('/contact').send({ email: 'user@example.com', message: 'Hi there' });
+            expect(response.status).to.equal(403);
+        });
+
+        it('submits contact page', async function() {
+            const responseGet = await appAdmin.get('/contact');
+            const csrf = new JsDom(responseGet.text).window.document.querySelector('input[name=_csrf]').value;
+            const response = await appAdmin.post('/contact').send({ email: 'user@example.com', message: 'Hi there', _csrf: csrf });
             expect(response.status).to.equal(302);
             expect(response.headers.location).to.equal('/contact');
         });
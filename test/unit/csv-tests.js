@@ -0,0 +1,80 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Csv unit tests.                                                                                */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Csv from '../../lib/csv.js';
+
+const test = it; // just an alias
+
+
+describe('CSV', function() {
+
+    describe('stringify', function() {
+        test('header & rows', function() {
+            const csv = Csv.stringify([ 'a', 'b' ], [ { a: 1, b: 'x' }, { a: 2, b: 'y' } ]);
+            expect(csv).to.equal('a,b\r\n1,x\r\n2,y\r\n');
+        });
+
+        test('null & undefined as empty', function() {
+            expect(Csv.stringify([ 'a', 'b' ], [ { a: null } ])).to.equal('a,b\r\n,\r\n');
+        });
+
+        test('quotes fields with commas, quotes, line breaks', function() {
+            const csv = Csv.stringify([ 'a', 'b', 'c' ], [ { a: 'x,y', b: 'say "hi"', c: 'two\nlines' } ]);
+            expect(csv).to.equal('a,b,c\r\n"x,y","say ""hi""","two\nlines"\r\n');
+        });
+
+        test('neutralises potential formulae', function() {
+            const csv = Csv.stringify([ 'a', 'b', 'c', 'd', 'e', 'f' ], [ { a: '=1+2', b: '+44', c: '-x', d: '@SUM(A1)', e: '\tx', f: '\rx' } ]);
+            expect(csv).to.equal('a,b,c,d,e,f\r\n\'=1+2,\'+44,\'-x,\'@SUM(A1),\'\tx,"\'\rx"\r\n');
+        });
+
+        test('leaves numbers as they are', function() {
+            expect(Csv.stringify([ 'a' ], [ { a: -1 } ])).to.equal('a\r\n-1\r\n');
+        });
+    });
+
+    describe('parse', function() {
+        test('simple', function() {
+            expect(Csv.parse('a,b\r\n1,2\r\n')).to.deep.equal([ [ 'a', 'b' ], [ '1', '2' ] ]);
+        });
+
+        test('LF & CR line breaks, no final line break', function() {
+            expect(Csv.parse('a,b\n1,2\r3,4')).to.deep.equal([ [ 'a', 'b' ], [ '1', '2' ], [ '3', '4' ] ]);
+        });
+
+        test('quoted fields', function() {
+            const rows = Csv.parse('a,b,c\r\n"x,y","say ""hi""","two\r\nlines"\r\n');
+            expect(rows).to.deep.equal([ [ 'a', 'b', 'c' ], [ 'x,y', 'say "hi"', 'two\r\nlines' ] ]);
+        });
+
+        test('empty fields', function() {
+            expect(Csv.parse(',a,\r\n""')).to.deep.equal([ [ '', 'a', '' ], [ '' ] ]);
+        });
+
+        test('blank line', function() {
+            expect(Csv.parse('a\r\n\r\nb\r\n')).to.deep.equal([ [ 'a' ], [ '' ], [ 'b' ] ]);
+        });
+
+        test('byte order mark', function() {
+            expect(Csv.parse('\uFEFFa,b\r\n')).to.deep.equal([ [ 'a', 'b' ] ]);
+        });
+
+        test('round-trip', function() {
+            const records = [ { a: 'x,y', b: 'say "hi"' }, { a: 'two\r\nlines', b: '' } ];
+            const [ , ...rows ] = Csv.parse(Csv.stringify([ 'a', 'b' ], records));
+            expect(rows).to.deep.equal([ [ 'x,y', 'say "hi"' ], [ 'two\r\nlines', '' ] ]);
+        });
+
+        test('fails on unterminated quoted field', function() {
+            expect(() => Csv.parse('a\r\n"b')).to.throw('Unterminated quoted field at row 2');
+        });
+
+        test('fails on text following quoted field', function() {
+            expect(() => Csv.parse('"a"b')).to.throw('Unexpected character after quoted field');
+        });
+    });
+
+});
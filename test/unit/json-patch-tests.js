@@ -0,0 +1,117 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* JsonPatch unit tests (mostly examples from RFC 6902 appendix A).                               */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import JsonPatch from '../../lib/json-patch.js';
+
+const test = it; // just an alias
+
+
+describe('JSON Patch', function() {
+
+    describe('operations', function() {
+        test('add object member', function() {
+            const patched = JsonPatch.apply({ foo: 'bar' }, [ { op: 'add', path: '/baz', value: 'qux' } ]);
+            expect(patched).to.deep.equal({ foo: 'bar', baz: 'qux' });
+        });
+
+        test('add array element', function() {
+            const patched = JsonPatch.apply({ foo: [ 'bar', 'baz' ] }, [ { op: 'add', path: '/foo/1', value: 'qux' } ]);
+            expect(patched).to.deep.equal({ foo: [ 'bar', 'qux', 'baz' ] });
+        });
+
+        test('add to end of array', function() {
+            const patched = JsonPatch.apply({ foo: [ 'bar' ] }, [ { op: 'add', path: '/foo/-', value: 'qux' } ]);
+            expect(patched).to.deep.equal({ foo: [ 'bar', 'qux' ] });
+        });
+
+        test('remove object member', function() {
+            const patched = JsonPatch.apply({ baz: 'qux', foo: 'bar' }, [ { op: 'remove', path: '/baz' } ]);
+            expect(patched).to.deep.equal({ foo: 'bar' });
+        });
+
+        test('remove array element', function() {
+            const patched = JsonPatch.apply({ foo: [ 'bar', 'qux', 'baz' ] }, [ { op: 'remove', path: '/foo/1' } ]);
+            expect(patched).to.deep.equal({ foo: [ 'bar', 'baz' ] });
+        });
+
+        test('replace', function() {
+            const patched = JsonPatch.apply({ baz: 'qux', foo: 'bar' }, [ { op: 'replace', path: '/baz', value: 'boo' } ]);
+            expect(patched).to.deep.equal({ baz: 'boo', foo: 'bar' });
+        });
+
+        test('move', function() {
+            const doc = { foo: { bar: 'baz', waldo: 'fred' }, qux: { corge: 'grault' } };
+            const patched = JsonPatch.apply(doc, [ { op: 'move', from: '/foo/waldo', path: '/qux/thud' } ]);
+            expect(patched).to.deep.equal({ foo: { bar: 'baz' }, qux: { corge: 'grault', thud: 'fred' } });
+        });
+
+        test('copy', function() {
+            const patched = JsonPatch.apply({ foo: 'bar' }, [ { op: 'copy', from: '/foo', path: '/baz' } ]);
+            expect(patched).to.deep.equal({ foo: 'bar', baz: 'bar' });
+        });
+
+        test('test', function() {
+            const doc = { baz: 'qux', foo: [ 'a', 2, 'c' ] };
+            const patch = [ { op: 'test', path: '/baz', value: 'qux' }, { op: 'test', path: '/foo/1', value: 2 } ];
+            expect(JsonPatch.apply(doc, patch)).to.deep.equal(doc);
+        });
+
+        test('escaped pointer', function() {
+            const patched = JsonPatch.apply({ '/': 9, '~1': 10 }, [ { op: 'test', path: '/~01', value: 10 }, { op: 'remove', path: '/~1' } ]);
+            expect(patched).to.deep.equal({ '~1': 10 });
+        });
+
+        test('original document unchanged', function() {
+            const doc = { foo: 'bar' };
+            JsonPatch.apply(doc, [ { op: 'replace', path: '/foo', value: 'baz' } ]);
+            expect(doc).to.deep.equal({ foo: 'bar' });
+        });
+    });
+
+    describe('errors', function() {
+        test('patch not array', function() {
+            expect(() => JsonPatch.apply({}, { op: 'add', path: '/foo', value: 1 })).to.throw('must be an array');
+        });
+
+        test('unrecognised operation', function() {
+            expect(() => JsonPatch.apply({}, [ { op: 'frob', path: '/foo' } ])).to.throw('Unrecognised JSON Patch operation');
+        });
+
+        test('missing value', function() {
+            expect(() => JsonPatch.apply({}, [ { op: 'add', path: '/foo' } ])).to.throw('requires value');
+        });
+
+        test('failed test', function() {
+            expect(() => JsonPatch.apply({ baz: 'qux' }, [ { op: 'test', path: '/baz', value: 'bar' } ])).to.throw('test failed');
+        });
+
+        test('remove non-existent member', function() {
+            expect(() => JsonPatch.apply({ foo: 'bar' }, [ { op: 'remove', path: '/baz' } ])).to.throw('not found');
+        });
+
+        test('add to non-existent target', function() {
+            expect(() => JsonPatch.apply({ foo: 'bar' }, [ { op: 'add', path: '/baz/bat', value: 'qux' } ])).to.throw('not found');
+        });
+
+        test('prototype pollution', function() {
+            const patch = [ { op: 'add', path: '/__proto__/polluted', value: 'yes' } ];
+            expect(() => JsonPatch.apply({ Firstname: 'a' }, patch)).to.throw('Invalid JSON Pointer ‘/__proto__/polluted’');
+            expect(() => JsonPatch.apply({}, [ { op: 'add', path: '/constructor/prototype/polluted', value: 'yes' } ])).to.throw();
+            expect(({}).polluted).to.be.undefined;
+        });
+
+        test('inherited properties', function() {
+            expect(() => JsonPatch.apply({}, [ { op: 'remove', path: '/toString' } ])).to.throw('JSON Patch path ‘/toString’ not found');
+            expect(() => JsonPatch.apply({}, [ { op: 'add', path: '/hasOwnProperty/x', value: 1 } ])).to.throw('JSON Patch path ‘/hasOwnProperty/x’ not found');
+        });
+
+        test('error status', function() {
+            try { JsonPatch.apply({}, [ { op: 'frob', path: '/foo' } ]); } catch (e) { expect(e.status).to.equal(400); }
+            try { JsonPatch.apply({ baz: 'qux' }, [ { op: 'test', path: '/baz', value: 'bar' } ]); } catch (e) { expect(e.status).to.equal(409); }
+        });
+    });
+
+});
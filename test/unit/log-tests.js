@@ -0,0 +1,36 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Log unit tests.                                                                                */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Log from '../../lib/log.js';
+
+const test = it; // just an alias
+
+
+describe('Log', function() {
+
+    describe('scrubUrl', function() {
+        test('credentials', function() {
+            expect(Log.scrubUrl('/auth?username=me@example.net&password=secret')).to.equal('/auth?username=***&password=***');
+        });
+
+        test('tokens', function() {
+            expect(Log.scrubUrl('/reset?token=abc&refreshToken=def&jwt=ghi')).to.equal('/reset?token=***&refreshToken=***&jwt=***');
+        });
+
+        test('other params left alone', function() {
+            expect(Log.scrubUrl('/members?firstname=fred&password=secret&limit=10')).to.equal('/members?firstname=fred&password=***&limit=10');
+        });
+
+        test('encoded & mixed-case param names', function() {
+            expect(Log.scrubUrl('/auth?Pass%77ord=secret&USERNAME=me')).to.equal('/auth?Pass%77ord=***&USERNAME=***');
+        });
+
+        test('no query string', function() {
+            expect(Log.scrubUrl('/members/100001')).to.equal('/members/100001');
+        });
+    });
+
+});
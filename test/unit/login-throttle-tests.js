@@ -0,0 +1,107 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* LoginThrottle unit tests (in-process store).                                                   */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import LoginThrottle from '../../lib/login-throttle.js';
+
+const test = it; // just an alias
+
+const unique = Date.now().toString(36);
+
+
+describe('LoginThrottle', function() {
+
+    describe('per account', function() {
+        const username = `account-${unique}@example.net`;
+
+        test('free attempts', async function() {
+            for (let i=0; i<4; i++) expect(await LoginThrottle.failure(username, '192.0.2.1')).to.be.false;
+            expect(await LoginThrottle.wait(username, '192.0.2.1')).to.equal(0);
+        });
+        test('backoff', async function() {
+            await LoginThrottle.failure(username, '192.0.2.1');
+            expect(await LoginThrottle.wait(username, '192.0.2.1')).to.equal(1);
+            await LoginThrottle.failure(username, '192.0.2.1');
+            expect(await LoginThrottle.wait(username, '192.0.2.1')).to.equal(2);
+        });
+        test('backoff applies from any IP, for any case', async function() {
+            expect(await LoginThrottle.wait(username.toUpperCase(), '192.0.2.2')).to.equal(2);
+        });
+        test('lockout', async function() {
+            for (let i=0; i<3; i++) expect(await LoginThrottle.failure(username, '192.0.2.1')).to.be.false;
+            expect(await LoginThrottle.failure(username, '192.0.2.1')).to.be.true;
+            expect(await LoginThrottle.wait(username, '192.0.2.1')).to.equal(LoginThrottle.lockoutMinutes*60);
+        });
+        test('listed as locked', async function() {
+            const locked = (await LoginThrottle.locked()).find(account => account.username == username);
+            expect(locked.failures).to.equal(10);
+            expect(locked.lockedUntil).to.be.a('date');
+        });
+        test('unlock', async function() {
+            await LoginThrottle.unlock(username);
+            expect(await LoginThrottle.wait(username, '192.0.2.2')).to.equal(0);
+            expect((await LoginThrottle.locked()).map(account => account.username)).to.not.include(username);
+        });
+        test('success clears failures', async function() {
+            for (let i=0; i<6; i++) await LoginThrottle.failure(username, '192.0.2.2');
+            await LoginThrottle.success(username);
+            expect(await LoginThrottle.wait(username, '192.0.2.2')).to.equal(0);
+        });
+    });
+
+    describe('reserved attempts', function() {
+        const username = `reserve-${unique}@example.net`;
+
+        test('concurrent attempts are counted before verification', async function() {
+            const waits = await Promise.all([ ...Array(8) ].map(() => LoginThrottle.reserve(username, '203.0.113.1')));
+            expect(waits.filter(wait => wait == 0)).to.have.length(5); // free attempts; others must wait
+            expect(await LoginThrottle.wait(username, '203.0.113.1')).to.equal(1); // refused attempts not counted
+        });
+        test('lockout', async function() {
+            await LoginThrottle.unlock(username);
+            for (let i=0; i<9; i++) await LoginThrottle.failure(username, '203.0.113.2');
+            expect(await LoginThrottle.lockedOut(username)).to.be.false;
+            expect(await LoginThrottle.wait(username, '203.0.113.2')).to.equal(16);
+            await LoginThrottle.failure(username, '203.0.113.2');
+            expect(await LoginThrottle.lockedOut(username)).to.be.true;
+        });
+        test('success clears reservation', async function() {
+            await LoginThrottle.unlock(username);
+            expect(await LoginThrottle.reserve(username, '203.0.113.3')).to.equal(0);
+            await LoginThrottle.success(username, '203.0.113.3');
+            for (let i=0; i<25; i++) {
+                expect(await LoginThrottle.reserve(`reserve-${unique}-${i}@example.net`, '203.0.113.3')).to.equal(0);
+                await LoginThrottle.success(`reserve-${unique}-${i}@example.net`, '203.0.113.3');
+            }
+            expect(await LoginThrottle.wait(username, '203.0.113.3')).to.equal(0);
+        });
+        test('refused attempts do not extend lockout', async function() {
+            const user = `refused-${unique}@example.net`;
+            for (let i=0; i<10; i++) await LoginThrottle.failure(user, '203.0.113.5');
+            const [ { lockedUntil } ] = (await LoginThrottle.locked()).filter(account => account.username == user);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            for (let i=0; i<3; i++) expect(await LoginThrottle.reserve(user, '203.0.113.5')).to.be.above(0);
+            const [ locked ] = (await LoginThrottle.locked()).filter(account => account.username == user);
+            expect(locked.lockedUntil.getTime()).to.equal(lockedUntil.getTime());
+            expect(locked.failures).to.equal(10);
+        });
+        test('release', async function() {
+            for (let i=0; i<5; i++) {
+                expect(await LoginThrottle.reserve(username, '203.0.113.4')).to.equal(0);
+                await LoginThrottle.release(username, '203.0.113.4');
+            }
+            expect(await LoginThrottle.reserve(username, '203.0.113.4')).to.equal(0);
+        });
+    });
+
+    describe('per IP address', function() {
+        test('backoff after failures against different accounts', async function() {
+            for (let i=0; i<20; i++) await LoginThrottle.failure(`ip-${unique}-${i}@example.net`, '198.51.100.1');
+            expect(await LoginThrottle.wait(`ip-${unique}@example.net`, '198.51.100.1')).to.equal(1);
+            expect(await LoginThrottle.wait(`ip-${unique}@example.net`, '198.51.100.2')).to.equal(0);
+        });
+    });
+
+});
@@ -0,0 +1,56 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* OpenApi (apidoc comment parsing) unit tests.                                                   */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import OpenApi from '../../app-api/openapi.js';
+
+const test = it; // just an alias
+
+
+describe('OpenAPI', function() {
+
+    const source = `
+        /**
+         * @api {patch} /teams/:id Update team details.
+         * @apiName   PatchTeams
+         * @apiGroup  Teams
+         *
+         * @apiDescription Fields supplied are updated,
+         *   others are left unchanged.
+         *
+         *   Second paragraph.
+         *
+         * @apiParam   [fields=Name]            Fields to be returned.
+         * @apiParam   (Body) Name              Team name.
+         * @apiHeader  Content-Type             application/json,
+         *                                     application/merge-patch+json.
+         * @apiHeader  If-Match                 ETag of team details.
+         * @apiSuccess (Success 2xx) 200/OK     Updated team details.
+         * @apiError   412/PreconditionFailed   Team has been changed.
+         */
+        static async patchTeamById(ctx) {}
+
+        /**
+         * Not an apidoc comment.
+         */
+    `;
+
+    test('parses apidoc comment', function() {
+        const operations = OpenApi.parseApiDoc(source);
+        expect(operations).to.have.length(1);
+        const [ op ] = operations;
+        expect(op).to.include({ method: 'patch', path: '/teams/:id', summary: 'Update team details', name: 'PatchTeams', group: 'Teams' });
+        expect(op.description).to.equal('Fields supplied are updated, others are left unchanged.\n\nSecond paragraph.');
+        expect(op.params).to.deep.equal([
+            { group: undefined, field: 'fields', optional: true, default: 'Name', description: 'Fields to be returned.' },
+            { group: 'Body', field: 'Name', optional: false, default: undefined, description: 'Team name.' },
+        ]);
+        expect(op.headers[0]).to.deep.equal({ group: undefined, field: 'Content-Type', optional: false, default: undefined, description: 'application/json, application/merge-patch+json.' });
+        expect(op.headers[1].field).to.equal('If-Match');
+        expect(op.success).to.deep.equal([ { group: 'Success 2xx', status: 200, field: 'OK', description: 'Updated team details.' } ]);
+        expect(op.error).to.deep.equal([ { group: undefined, status: 412, field: 'PreconditionFailed', description: 'Team has been changed.' } ]);
+    });
+
+});
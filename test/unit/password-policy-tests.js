@@ -0,0 +1,118 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* PasswordPolicy unit tests (& Pwned offline breach check).                                      */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect }         from 'chai';   // BDD/TDD assertion library
+import { promises as fs } from 'fs';     // nodejs.org/api/fs.html
+import os                 from 'os';     // nodejs.org/api/os.html
+import path               from 'path';   // nodejs.org/api/path.html
+import crypto             from 'crypto'; // nodejs.org/api/crypto.html
+
+import PasswordPolicy from '../../lib/password-policy.js';
+import Pwned          from '../../lib/pwned.js';
+
+const test = it; // just an alias
+
+const user = { Firstname: 'Edward', Lastname: 'Rochester', Email: 'edward@thornfield.co.uk' };
+
+
+describe('PasswordPolicy', function() {
+
+    describe('validate', function() {
+        test('ok', function() {
+            expect(PasswordPolicy.validate('Tr0ub4dor&3x', user)).to.deep.equal([]);
+        });
+        test('min length', function() {
+            expect(PasswordPolicy.validate('Tr0ub4dor', user)).to.deep.equal([ 'must be at least 10 characters long' ]);
+        });
+        test('not a string', function() {
+            expect(PasswordPolicy.validate(undefined, user)).to.deep.equal([ 'must be at least 10 characters long' ]);
+        });
+        test('too easily guessed', function() {
+            expect(PasswordPolicy.validate('aaaaaaaaaaaaaaaa', user)).to.deep.equal([ 'is too easily guessed' ]);
+            expect(PasswordPolicy.validate('abcdefghijklmnop', user)).to.deep.equal([ 'is too easily guessed' ]);
+        });
+        test('banned word', function() {
+            expect(PasswordPolicy.validate('MyPassword-Tr0ub4dor', user)).to.deep.equal([ 'must not contain ‘password’' ]);
+        });
+        test('user’s name', function() {
+            expect(PasswordPolicy.validate('Tr0ub4dor&3x-Edward', user)).to.deep.equal([ 'must not contain ‘edward’' ]);
+        });
+        test('user’s e-mail', function() {
+            expect(PasswordPolicy.validate('Tr0ub4dor&3x-Thornfield', user)).to.deep.equal([ 'must not contain ‘thornfield’' ]);
+        });
+        test('user’s e-mail top-level domain allowed', function() {
+            expect(PasswordPolicy.validate('Tr0ub4dor&3x-uk', user)).to.deep.equal([]);
+        });
+    });
+
+    describe('settings', function() {
+        afterEach(function() {
+            delete process.env.PASSWORD_MIN_LENGTH;
+            delete process.env.PASSWORD_BANNED_WORDS;
+        });
+
+        test('min length', function() {
+            process.env.PASSWORD_MIN_LENGTH = '16';
+            expect(PasswordPolicy.validate('Tr0ub4dor&3x', user)).to.deep.equal([ 'must be at least 16 characters long' ]);
+        });
+        test('banned words', function() {
+            process.env.PASSWORD_BANNED_WORDS = 'jane, Thornfield';
+            expect(PasswordPolicy.validate('Tr0ub4dor&3x-jane', {})).to.deep.equal([ 'must not contain ‘jane’' ]);
+        });
+    });
+
+    describe('strength', function() {
+        test('character classes', function() {
+            expect(PasswordPolicy.strength('kestrelhawks')).to.equal(56); // 12 × log2(26)
+            expect(PasswordPolicy.strength('Tr0ub4dor&3x')).to.equal(78); // 12 × log2(95)
+        });
+        test('runs', function() {
+            expect(PasswordPolicy.strength('aaaaaaaa')).to.equal(9);  // 2 × log2(26)
+            expect(PasswordPolicy.strength('12345678')).to.equal(6);  // 2 × log2(10)
+            expect(PasswordPolicy.strength('zyxwvuts')).to.equal(9);  // 2 × log2(26)
+        });
+        test('empty', function() {
+            expect(PasswordPolicy.strength('')).to.equal(0);
+        });
+    });
+
+    describe('use', function() {
+        test('added rule', function() {
+            PasswordPolicy.use(pw => pw.includes('apple') ? 'must not contain forbidden fruit' : null);
+            expect(PasswordPolicy.validate('Tr0ub4dor&3x-apple', user)).to.deep.equal([ 'must not contain forbidden fruit' ]);
+            expect(PasswordPolicy.validate('Tr0ub4dor&3x-pear', user)).to.deep.equal([]);
+        });
+    });
+
+    describe('offline breach check', function() {
+        const dataset = path.join(os.tmpdir(), `pwned-${Date.now().toString(36)}`);
+        const sha1 = pw => crypto.createHash('sha1').update(pw).digest('hex').toUpperCase();
+
+        before(async function() {
+            const breached = sha1('Tr0ub4dor&3x'), notBreached = sha1('correct horse battery staple');
+            await fs.mkdir(dataset);
+            await fs.writeFile(`${dataset}/${breached.slice(0, 5)}.txt`, `0018A45C4D1DEF81644B54AB7F969B88D65:1\r\n${breached.slice(5)}:42\r\n`);
+            await fs.writeFile(`${dataset}/${notBreached.slice(0, 5)}.txt`, '0018A45C4D1DEF81644B54AB7F969B88D65:1\r\n');
+            process.env.PWNED_PASSWORDS_DATASET = dataset;
+        });
+
+        after(async function() {
+            delete process.env.PWNED_PASSWORDS_DATASET;
+            await fs.rmdir(dataset, { recursive: true });
+        });
+
+        test('breached', async function() {
+            expect(await Pwned.offlineBreachCount('Tr0ub4dor&3x')).to.equal(42);
+        });
+        test('not breached', async function() {
+            expect(await Pwned.offlineBreachCount('correct horse battery staple')).to.equal(0);
+        });
+        test('range not in dataset', async function() {
+            let error = null;
+            try { await Pwned.offlineBreachCount('not in dataset'); } catch (e) { error = e; }
+            expect(error).to.be.an('error');
+        });
+    });
+
+});
@@ -0,0 +1,69 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Permission middleware unit tests.                                                              */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Permission from '../../lib/permission-middleware.js';
+
+const test = it; // just an alias
+
+
+describe('Permission', function() {
+
+    const permissions = { // as per Role.permissions() for guest who is captain of team 100002
+        global: [ 'members:read', 'teams:read', 'team-members:read' ],
+        teams:  { 100002: [ 'team-members:read', 'team-members:write' ] },
+    };
+
+    describe('allows', function() {
+        test('global permission', function() {
+            expect(Permission.allows(permissions, 'members:read')).to.be.true;
+            expect(Permission.allows(permissions, 'members:write')).to.be.false;
+        });
+
+        test('team-scoped permission', function() {
+            expect(Permission.allows(permissions, 'team-members:write')).to.be.false;
+            expect(Permission.allows(permissions, 'team-members:write', 100002)).to.be.true;
+            expect(Permission.allows(permissions, 'team-members:write', '100002')).to.be.true; // eg from ctx.params
+            expect(Permission.allows(permissions, 'team-members:write', 100001)).to.be.false;
+            expect(Permission.allows(permissions, 'teams:write', 100002)).to.be.false;
+        });
+    });
+
+    describe('check', function() {
+        const ctx = { // minimal koa context, with permissions already obtained for request
+            state:  { auth: { id: 100001, Role: 'guest' }, permissions },
+            params: {},
+            throw:  (status, message) => { throw Object.assign(new Error(message), { status }); },
+        };
+
+        test('allows permitted request', async function() {
+            await Permission.check(ctx, 'teams:read');
+        });
+
+        test('allows request for team with grant', async function() {
+            await Permission.check(ctx, 'team-members:write', () => 100002);
+        });
+
+        test('throws 403 for request without permission', async function() {
+            try {
+                await Permission.check(ctx, 'team-members:write', () => 100001);
+                throw new Error('check should have thrown');
+            } catch (e) {
+                expect(e.status).to.equal(403);
+                expect(e.message).to.equal('Permission ‘team-members:write’ required');
+            }
+        });
+
+        test('throws 403 when not signed in', async function() {
+            try {
+                await Permission.check({ ...ctx, state: {} }, 'members:read');
+                throw new Error('check should have thrown');
+            } catch (e) {
+                expect(e.status).to.equal(403);
+            }
+        });
+    });
+
+});
@@ -0,0 +1,57 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* Problem (rfc 7807 problem details) unit tests.                                                 */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Problem    from '../../app-api/problem.js';
+import ModelError from '../../models/modelerror.js';
+
+const test = it; // just an alias
+
+
+describe('Problem details', function() {
+
+    const ctx = { request: { originalUrl: '/members/100001' } }; // minimal koa context
+
+    test('details', function() {
+        const err = Object.assign(new Error('No member 100001 found'), { status: 404 }); // as per ctx.throw()
+        expect(Problem.details(ctx, err)).to.deep.equal({
+            type:     'about:blank',
+            title:    'Not Found',
+            status:   404,
+            detail:   'No member 100001 found',
+            instance: '/members/100001',
+            code:     'not-found',
+            root:     'problem',
+        });
+    });
+
+    test('code from ModelError', function() {
+        expect(Problem.code(new ModelError(409, 'Member has been changed', 'version-conflict'))).to.equal('version-conflict');
+    });
+
+    test('code from MySQL error', function() {
+        const err = Object.assign(new Error("Duplicate entry 'x@example.net' for key 'Member.Email'"), { code: 'ER_DUP_ENTRY', sqlState: '23000' });
+        expect(Problem.code(new ModelError(409, err.message, ModelError.codeFor(err)))).to.equal('duplicate-email');
+        expect(Problem.code(err)).to.equal('duplicate-email');
+    });
+
+    test('code from MySQL error (column)', function() {
+        const err = Object.assign(new Error("Column 'TeamId' cannot be null"), { code: 'ER_BAD_NULL_ERROR', sqlState: '23000' });
+        expect(ModelError.codeFor(err)).to.equal('missing-team-id');
+    });
+
+    test('code from ctx.throw()', function() {
+        const err = Object.assign(new Error('Insufficient scope'), { status: 403, expose: true, code: 'insufficient-scope' }); // as per ctx.throw(403, msg, { code })
+        expect(Problem.code(err)).to.equal('insufficient-scope');
+        expect(Problem.code(Object.assign(new Error('ECONNREFUSED'), { code: 'ECONNREFUSED' }))).to.equal('internal-server-error');
+    });
+
+    test('code from status', function() {
+        expect(Problem.code(Object.assign(new Error(), { status: 412 }))).to.equal('precondition-failed');
+        expect(Problem.code(new ModelError(403, 'Firstname or Lastname must be supplied'))).to.equal('forbidden');
+        expect(Problem.code(new Error('oops'))).to.equal('internal-server-error');
+    });
+
+});
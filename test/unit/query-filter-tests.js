@@ -0,0 +1,146 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* QueryFilter unit tests.                                                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import QueryFilter from '../../lib/query-filter.js';
+
+const test = it; // just an alias
+
+// column definitions as returned by 'Describe Member'
+const columns = [
+    { Field: 'MemberId',  Type: 'int(11) unsigned', Null: 'NO',  Key: 'PRI' },
+    { Field: 'Firstname', Type: 'text',             Null: 'YES', Key: ''    },
+    { Field: 'Lastname',  Type: 'text',             Null: 'YES', Key: ''    },
+    { Field: 'Email',     Type: 'text',             Null: 'NO',  Key: 'UNI' },
+    { Field: 'Active',    Type: 'bit(1)',           Null: 'YES', Key: ''    },
+];
+
+const parse = query => QueryFilter.parse('Member', query, columns);
+
+describe('Query filter', function() {
+
+    describe('conditions', function() {
+        test('no filter', function() {
+            expect(parse({})).to.deep.equal({ sql: '', values: {} });
+        });
+
+        test('equality', function() {
+            const filter = parse({ Firstname: 'Lewis' });
+            expect(filter.sql).to.equal('Firstname = :f0');
+            expect(filter.values).to.deep.equal({ f0: 'Lewis' });
+        });
+
+        test('field names are matched case-insensitively', function() {
+            const filter = parse({ firstname: 'lewis' });
+            expect(filter.sql).to.equal('Firstname = :f0');
+        });
+
+        test('comparison operators', function() {
+            const filter = parse({ 'MemberId[gt]': '100002', 'MemberId[lte]': '100009', 'Lastname[like]': 'Sch%' });
+            expect(filter.sql).to.equal('MemberId > :f0 And MemberId <= :f1 And Lastname Like :f2');
+            expect(filter.values).to.deep.equal({ f0: '100002', f1: '100009', f2: 'Sch%' });
+        });
+
+        test('boolean fields', function() {
+            const filter = parse({ 'Active[ne]': 'true' });
+            expect(filter.sql).to.equal('Active != :f0');
+            expect(filter.values.f0).to.be.true;
+        });
+
+        test('in list', function() {
+            const filter = parse({ 'MemberId[in]': '100001,100002', 'Lastname[nin]': 'Hamilton' });
+            expect(filter.sql).to.equal('MemberId In (:f0) And Lastname Not In (:f1)');
+            expect(filter.values).to.deep.equal({ f0: [ '100001', '100002' ], f1: [ 'Hamilton' ] });
+        });
+
+        test('null', function() {
+            expect(parse({ 'Firstname[null]': 'true' }).sql).to.equal('Firstname Is Null');
+            expect(parse({ 'Firstname[null]': 'false' }).sql).to.equal('Firstname Is Not Null');
+        });
+
+        test('repeated parameters', function() {
+            const filter = parse({ 'MemberId[ne]': [ '100001', '100002' ] });
+            expect(filter.sql).to.equal('MemberId != :f0 And MemberId != :f1');
+        });
+
+        test('or group', function() {
+            const filter = parse({ or: 'Firstname=Lewis|Lastname[like]=Sch%', Active: 'true' });
+            expect(filter.sql).to.equal('(Firstname = :f0 Or Lastname Like :f1) And Active = :f2');
+            expect(filter.values).to.deep.equal({ f0: 'Lewis', f1: 'Sch%', f2: true });
+        });
+    });
+
+    describe('sort', function() {
+        test('default sort', function() {
+            expect(QueryFilter.parseSort('Member', 'Firstname,Lastname', columns)).to.equal('Firstname, Lastname, MemberId');
+        });
+
+        test('descending', function() {
+            expect(QueryFilter.parseSort('Member', '-lastname,firstname', columns)).to.equal('Lastname Desc, Firstname, MemberId');
+        });
+
+        test('primary key not duplicated', function() {
+            expect(QueryFilter.parseSort('Member', '-MemberId', columns)).to.equal('MemberId Desc');
+        });
+
+        test('unrecognised field', function() {
+            expect(() => QueryFilter.parseSort('Member', 'Lastname;Drop Table Member', columns)).to.throw('Unrecognised Member field');
+        });
+    });
+
+    describe('fields', function() {
+        test('no field selection', function() {
+            expect(QueryFilter.parseFields('Member', undefined, columns)).to.be.null;
+        });
+
+        test('field selection', function() {
+            expect(QueryFilter.parseFields('Member', 'firstname,Email,Firstname', columns)).to.deep.equal([ 'Firstname', 'Email' ]);
+        });
+
+        test('related collections', function() {
+            expect(QueryFilter.parseFields('Member', 'Email,teams', columns, [ 'Teams' ])).to.deep.equal([ 'Email', 'Teams' ]);
+        });
+
+        test('unrecognised field', function() {
+            expect(() => QueryFilter.parseFields('Member', 'Email,Teams', columns)).to.throw('Unrecognised Member field');
+        });
+    });
+
+    describe('include', function() {
+        test('no include', function() {
+            expect(QueryFilter.include(undefined, [ 'teams' ])).to.deep.equal([]);
+        });
+
+        test('include', function() {
+            expect(QueryFilter.include('Teams', [ 'teams' ])).to.deep.equal([ 'teams' ]);
+        });
+
+        test('unrecognised include', function() {
+            expect(() => QueryFilter.include('teams,coaches', [ 'teams' ])).to.throw('Unrecognised include ‘coaches’');
+        });
+    });
+
+    describe('errors', function() {
+        test('unrecognised field', function() {
+            expect(() => parse({ Nickname: 'Lewis' })).to.throw('Unrecognised Member field');
+            expect(() => parse({ 'Firstname = 1 Or 1': '1' })).to.throw('Unrecognised Member field');
+            expect(() => parse({ or: 'Nickname=Lewis' })).to.throw('Unrecognised Member field');
+        });
+
+        test('unrecognised operator', function() {
+            expect(() => parse({ 'Firstname[regexp]': 'L.*' })).to.throw('Unrecognised filter operator');
+        });
+
+        test('invalid null value', function() {
+            expect(() => parse({ 'Firstname[null]': 'maybe' })).to.throw('must be true or false');
+        });
+
+        test('error status', function() {
+            try { parse({ Nickname: 'Lewis' }); } catch (e) { expect(e.status).to.equal(403); }
+            try { parse({ 'Firstname[regexp]': 'L.*' }); } catch (e) { expect(e.status).to.equal(400); }
+        });
+    });
+
+});
@@ -0,0 +1,80 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* RequestBody (xml & yaml request body parsing) unit tests.                                      */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import RequestBody from '../../app-api/request-body.js';
+
+const test = it; // just an alias
+
+
+describe('Request body', function() {
+
+    describe('xml', function() {
+        test('fields', function() {
+            const xml = '<?xml version="1.0" encoding="UTF-8"?><Member><Firstname>Lewis</Firstname><Active>true</Active></Member>';
+            expect(RequestBody.fromXml(xml)).to.deep.equal({ Firstname: 'Lewis', Active: 'true' });
+        });
+
+        test('attributes ignored', function() {
+            const xml = '<Member id="100001" uri="/members/100001"><Firstname>Lewis</Firstname></Member>';
+            expect(RequestBody.fromXml(xml)).to.deep.equal({ Firstname: 'Lewis' });
+        });
+
+        test('nil (as generated by xmlify)', function() {
+            const xml = '<?xml version="1.0" encoding="UTF-8"?><Member><Firstname xsi:nil="true"></Firstname></Member>';
+            expect(RequestBody.fromXml(xml)).to.deep.equal({ Firstname: null });
+        });
+
+        test('nil (with namespace declaration)', function() {
+            const xml = '<Member xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><Firstname xsi:nil="true"/></Member>';
+            expect(RequestBody.fromXml(xml)).to.deep.equal({ Firstname: null });
+        });
+
+        test('list', function() {
+            const xml = '<Member><Teams><Team id="100001"><Name>Brainiacs</Name></Team></Teams></Member>';
+            expect(RequestBody.fromXml(xml)).to.deep.equal({ Teams: [ { Name: 'Brainiacs' } ] });
+        });
+
+        test('malformed', function() {
+            expect(() => RequestBody.fromXml('<Member><Firstname>Lewis</Member>')).to.throw('Invalid XML body');
+        });
+    });
+
+    describe('yaml', function() {
+        test('typed fields', function() {
+            const yml = 'Firstname: Lewis\nActive: true\nLastname: null\n';
+            expect(RequestBody.fromYaml(yml)).to.deep.equal({ Firstname: 'Lewis', Active: true, Lastname: null });
+        });
+
+        test('empty', function() {
+            expect(RequestBody.fromYaml('')).to.deep.equal({});
+        });
+
+        test('not a mapping', function() {
+            expect(() => RequestBody.fromYaml('- Lewis\n- Hamilton')).to.throw('Invalid YAML body');
+        });
+
+        test('malformed', function() {
+            expect(() => RequestBody.fromYaml('Firstname: [Lewis')).to.throw('Invalid YAML body');
+        });
+    });
+
+    describe('field values', function() {
+        test('scalars', function() {
+            expect(() => RequestBody.checkFields({ Firstname: 'Lewis', Active: true, Lastname: null, TeamId: 1 })).to.not.throw();
+        });
+
+        test('object', function() {
+            const body = RequestBody.fromYaml('Firstname: { first: Lewis }');
+            expect(() => RequestBody.checkFields(body)).to.throw('field ‘Firstname’ must have a scalar value');
+        });
+
+        test('array', function() {
+            const body = RequestBody.fromXml('<Member><Teams><Team id="100001"><Name>Brainiacs</Name></Team></Teams></Member>');
+            expect(() => RequestBody.checkFields(body)).to.throw('field ‘Teams’ must have a scalar value');
+        });
+    });
+
+});
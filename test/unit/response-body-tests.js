@@ -0,0 +1,56 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* ResponseBody (csv & ndjson) unit tests.                                                        */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect }   from 'chai';   // BDD/TDD assertion library
+import { Readable } from 'stream'; // nodejs.org/api/stream.html
+
+import ResponseBody from '../../app-api/response-body.js';
+
+const test = it; // just an alias
+
+
+describe('Response body', function() {
+
+    describe('csv', function() {
+        test('collection', function() {
+            const csv = ResponseBody.toCsv([ { _id: 1, _uri: '/teams/1' }, { _id: 2, _uri: '/teams/2' } ]);
+            expect(csv).to.equal('_id,_uri\r\n1,/teams/1\r\n2,/teams/2\r\n');
+        });
+
+        test('fields from all records', function() {
+            const csv = ResponseBody.toCsv([ { a: 1 }, { b: 2 } ]);
+            expect(csv).to.equal('a,b\r\n1,\r\n,2\r\n');
+        });
+
+        test('individual resource, with nested list as json', function() {
+            const csv = ResponseBody.toCsv({ Name: 'Brainiacs', Teams: [ { _id: 1 } ], Active: false });
+            expect(csv).to.equal('Name,Teams,Active\r\nBrainiacs,"[{""_id"":1}]",false\r\n');
+        });
+
+        test('error', function() {
+            expect(ResponseBody.toCsv({ message: 'Not Found' })).to.equal('message\r\nNot Found\r\n');
+        });
+    });
+
+    describe('ndjson', function() {
+        test('collection', function() {
+            const ndjson = ResponseBody.toNdjson([ { _id: 1 }, { _id: 2 } ]);
+            expect(ndjson).to.equal('{"_id":1}\n{"_id":2}\n');
+        });
+
+        test('individual resource', function() {
+            expect(ResponseBody.toNdjson({ message: 'Not Found' })).to.equal('{"message":"Not Found"}\n');
+        });
+
+        test('stream, with boolean cast & map', async function() {
+            const rows = Readable.from([ { MemberId: 1, Active: 1 }, { MemberId: 2, Active: null } ]);
+            const stream = ResponseBody.ndjsonStream(rows, row => ({ _id: row.MemberId, Active: row.Active }));
+            rows.emit('fields', [ { name: 'MemberId', columnType: 0x03, columnLength: 11 }, { name: 'Active', columnType: 0x10, columnLength: 1 } ]);
+            let ndjson = '';
+            for await (const chunk of stream) ndjson += chunk;
+            expect(ndjson).to.equal('{"_id":1,"Active":true}\n{"_id":2,"Active":null}\n');
+        });
+    });
+
+});
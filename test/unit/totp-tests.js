@@ -0,0 +1,44 @@
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+/* TOTP unit tests.                                                                               */
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -  */
+
+import { expect } from 'chai'; // BDD/TDD assertion library
+
+import Totp from '../../lib/totp.js';
+
+const test = it; // just an alias
+
+const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'; // RFC 6238 test secret '12345678901234567890', base32
+
+
+describe('Totp', function() {
+
+    describe('generate (RFC 6238 appendix B test vectors)', function() {
+        test('59', function() { expect(Totp.generate(secret, Totp.step(59e3), 8)).to.equal('94287082'); });
+        test('1111111109', function() { expect(Totp.generate(secret, Totp.step(1111111109e3), 8)).to.equal('07081804'); });
+        test('1234567890', function() { expect(Totp.generate(secret, Totp.step(1234567890e3), 8)).to.equal('89005924'); });
+        test('20000000000', function() { expect(Totp.generate(secret, Totp.step(20000000000e3), 8)).to.equal('65353130'); });
+        test('6 digits', function() { expect(Totp.generate(secret, Totp.step(59e3))).to.equal('287082'); });
+    });
+
+    describe('verify', function() {
+        const time = 1234567890e3;
+        const code = Totp.generate(secret, Totp.step(time));
+
+        test('current step', function() { expect(Totp.verify(secret, code, time)).to.equal(Totp.step(time)); });
+        test('previous step', function() { expect(Totp.verify(secret, code, time + 30e3)).to.equal(Totp.step(time)); });
+        test('expired', function() { expect(Totp.verify(secret, code, time + 90e3)).to.be.null; });
+        test('spaces ignored', function() { expect(Totp.verify(secret, code.slice(0, 3)+' '+code.slice(3), time)).to.equal(Totp.step(time)); });
+        test('wrong code', function() { expect(Totp.verify(secret, code == '000000' ? '111111' : '000000', time)).to.be.null; });
+        test('malformed code', function() { expect(Totp.verify(secret, 'abcdef', time)).to.be.null; });
+        test('missing code', function() { expect(Totp.verify(secret, undefined, time)).to.be.null; });
+    });
+
+    describe('secret & uri', function() {
+        test('secret is base32', function() { expect(Totp.generateSecret()).to.match(/^[A-Z2-7]{32}$/); });
+        test('uri', function() {
+            expect(Totp.uri('ABC', 'me@example.net', 'Koa Sample App')).to.equal('otpauth://totp/Koa%20Sample%20App:me%40example.net?secret=ABC&issuer=Koa%20Sample%20App&algorithm=SHA1&digits=6&period=30');
+        });
+    });
+
+});
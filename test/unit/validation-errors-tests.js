@@ -233,6 +233,29 @@ describe('Validation errors', function() {
             expect(errors).to.have.length(1);
             expect(errors[0]).to.equal('“fld” must match the pattern /[a-zA-Z][a-zA-Z0-9-]*/');
         });
+
+        test('password policy ok', function() {
+            const rule = { fld: 'type=password policy' };
+            const body = { fld: 'Tr0ub4dor&3x' };
+            const errors = validationErrors(body, rule);
+            expect(errors).to.be.false;
+        });
+        test('password policy bad', function() {
+            const rule = { fld: 'type=password policy' };
+            const body = { fld: 'short' };
+            const errors = validationErrors(body, rule);
+            expect(errors).to.be.an('array');
+            expect(errors).to.have.length(1);
+            expect(errors[0]).to.equal('“fld” must be at least 10 characters long');
+        });
+        test('password policy bad with name', function() {
+            const rule = { fld: 'type=password policy' };
+            const body = { fld: 'Tr0ub4dor&3x-Rochester', Lastname: 'Rochester' };
+            const errors = validationErrors(body, rule);
+            expect(errors).to.be.an('array');
+            expect(errors).to.have.length(1);
+            expect(errors[0]).to.equal('“fld” must not contain ‘rochester’');
+        });
     });
 
 });